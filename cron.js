@@ -1,48 +1,42 @@
 // backend/cron.js
-const cron = require('node-cron');
-const { rollupDaily } = require('./jobs/rollupDaily');
+//
+// Standalone job-queue worker. Runs the same jobs and schedules as the API
+// process (src/jobs), so it can take background work off the web instances:
+// start it with `node cron.js` and set JOB_WORKER_ENABLED=false on the API.
+// Any number of these may run; the queue's leases keep each job single-run.
+require('dotenv').config();
 
-const CRON_TZ = process.env.CRON_TZ || 'UTC';
-// true -> run every minute for testing; false -> use DAILY_SCHEDULE
-const CRON_DEBUG_EVERY_MINUTE = String(process.env.CRON_DEBUG_EVERY_MINUTE || 'false') === 'true';
-// real daily schedule (00:05 UTC by default)
-const DAILY_SCHEDULE = process.env.CRON_DAILY || '5 0 * * *';
-
-function todayUTC() {
-  return new Date().toISOString().slice(0, 10);
-}
+const mongoose = require('mongoose');
+const { registerJobs } = require('./src/jobs');
+const { startJobWorker, stopJobWorker } = require('./src/services/jobQueue.service');
 
-async function run(label) {
-  try {
-    // rollupDaily() without a date = “today (UTC)”
-    const res = await rollupDaily();
-    console.log(`[cron:${label}] ok date=%s pv=%s`, res.date, res.totals?.page_view ?? '—');
-  } catch (e) {
-    console.error(`[cron:${label}] failed`, e);
-  }
+// true -> refresh today's analytics rollup every minute (dev)
+const CRON_DEBUG_EVERY_MINUTE = String(process.env.CRON_DEBUG_EVERY_MINUTE || 'false') === 'true';
+if (CRON_DEBUG_EVERY_MINUTE && !process.env.ANALYTICS_ROLLUP_INTERVAL_SECONDS) {
+  process.env.ANALYTICS_ROLLUP_INTERVAL_SECONDS = '60';
+  console.warn('[cron] DEBUG_EVERY_MINUTE=true — rolling up analytics every minute for testing');
 }
 
-// 1) Ensure today exists on boot (idempotent)
-run('boot');
+async function main() {
+  mongoose.set('strictQuery', true);
+  await mongoose.connect(process.env.MONGO_URI, { dbName: 'newsdb', autoIndex: true });
+  console.log('[cron] MongoDB connected');
 
-// 2) Real daily run (00:05 UTC by default)
-cron.schedule(DAILY_SCHEDULE, () => run('daily'), { timezone: CRON_TZ });
-
-// 3) Optional fast loop for dev
-if (CRON_DEBUG_EVERY_MINUTE) {
-  cron.schedule('* * * * *', () => run('debug-1m'), { timezone: CRON_TZ });
-  console.warn('[cron] DEBUG_EVERY_MINUTE=true — running every minute for testing');
+  registerJobs();
+  startJobWorker();
 }
 
-// === Autmotion: start scheduler on boot (respects AUTMOTION_ENABLED) ===
-try {
-  const { startAutmotion } = require("./src/jobs/autmotion");
-  if (String(process.env.AUTMOTION_ENABLED || "true") === "true") {
-    const sec = parseInt(process.env.AUTMOTION_INTERVAL_SECONDS || "300", 10);
-    startAutmotion(sec);
-  } else {
-    console.log("[autmotion] booted in paused mode (AUTMOTION_ENABLED=false)");
-  }
-} catch (e) {
-  console.warn("[autmotion] not started:", e?.message || e);
+function shutdown(signal) {
+  console.log(`[cron] ${signal} — stopping worker`);
+  stopJobWorker();
+  // running jobs keep their lease until it expires; another worker then picks them up
+  mongoose.disconnect().finally(() => process.exit(0));
 }
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+main().catch((e) => {
+  console.error('[cron] failed to start:', e?.message || e);
+  process.exit(1);
+});
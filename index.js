@@ -74,6 +74,7 @@ cloudinary.config({
   const sectionsRouter = require('./src/routes/sections');
   const sectionsV2 = require('./src/routes/sectionsV2');
   const adminAdsRouter = require('./src/routes/admin.ads.routes');
+  const adsRouter = require('./src/routes/ads.routes');
   const adminAiNewsRouter = require('./src/routes/admin.aiNews.routes');
 
   const planImageRoutes = require('./src/routes/planImage.routes');
@@ -81,11 +82,30 @@ cloudinary.config({
   const historyPageRoutes = require('./src/routes/historyPageRoutes');
 
   const { z } = require('zod');
+  const { permit } = require('./src/middleware/auth');
+  const { resolveTokenUser } = require('./src/services/auth.service');
+  const { recordRevision } = require('./src/services/articleRevision.service');
+  const { checkTransition } = require('./src/services/editorialWorkflow');
+  const { runPublishSideEffects } = require('./src/services/articlePublish.service');
+  const { searchArticles } = require('./src/services/articleSearch.service');
+  const { TRENDING_SORT } = require('./src/services/engagement.service');
+  const { relatedArticles } = require('./src/services/relatedArticles.service');
+  const authCtrl = require('./src/controllers/auth.controller');
+  const adminUsersRouter = require('./src/routes/admin.users.routes');
+  const adminJobsRouter = require('./src/routes/admin.jobs.routes');
+  const adminAuditRouter = require('./src/routes/admin.audit.routes');
+  const adminTrashRouter = require('./src/routes/admin.trash.routes');
+  const adminTopicsRouter = require('./src/routes/admin.topics.routes');
+  const { trashItem } = require('./src/services/trash.service');
+  const { updatesSince, orderedUpdates, publicUpdate } = require('./src/services/liveBlog.service');
+  const { subscribe: subscribeStream } = require('./src/services/eventStream.service');
+  const streamRouter = require('./src/routes/stream.routes');
   const { withValidation } = require('./src/validators/withValidation');
 
 
   // 6) Models registered early
 const Article = require('./src/models/Article');
+const softDeletePlugin = require('./src/models/plugins/softDelete');
 const Category = require('./src/models/Category');
 const ImageLibrary = require('./src/models/ImageLibrary'); // ✅ ADD THIS
 
@@ -95,13 +115,21 @@ const ImageLibrary = require('./src/models/ImageLibrary'); // ✅ ADD THIS
 
   // Comments & newsletter models (used by their routers below)
   const Comment = require('./models/Comment');
+  const CommentReaction = require('./models/CommentReaction');
+  const CommentSpamToken = require('./models/CommentSpamToken');
+  const AdminSetting = require('./src/models/AdminSetting');
   const Subscriber = require('./models/Subscriber');
+  const NewsletterDelivery = require('./models/NewsletterDelivery');
+  const NewsletterSegment = require('./models/NewsletterSegment');
   const rssTopNewsRouter = require('./src/routes/rss.topnews');
 
 
 
   // 7) Cron jobs
-  const { startAutoNewsCron } = require("./src/cron/autoNewsCron"); // NEW: AI auto-news robot
+  const { startScheduledPublishCron } = require("./src/cron/scheduledPublishCron"); // publishAt / unpublishAt worker
+  const { startNewsletterCron } = require("./src/cron/newsletterCron"); // newsletter delivery queue + daily digest
+  const { registerJobs } = require("./src/jobs"); // job definitions + recurring schedules (Mongo job queue)
+  const { startJobWorker } = require("./src/services/jobQueue.service");
 
 
   // 9) App init
@@ -196,6 +224,10 @@ function isDefaultPlaceholder(publicId, imageUrl) {
   );
 }
 
+// Workflow fields (assignee, reviewer, internal review notes) never leave the admin API
+const PRIVATE_ARTICLE_SELECT = Article.PRIVATE_FIELDS.map((f) => `-${f}`).join(' ');
+const PRIVATE_ARTICLE_PROJECTION = Object.fromEntries(Article.PRIVATE_FIELDS.map((f) => [f, 0]));
+
 // ✅ Normalize a single article before sending to frontend
 function normalizeArticleForClient(a = {}) {
   // clone to avoid mutating mongoose lean doc references
@@ -231,6 +263,11 @@ function normalizeArticleForClient(a = {}) {
   // (optional but recommended) if imageUrl is bad, let frontend use ogImage
   if (isBadOg(out.imageUrl)) out.imageUrl = finalOg;
 
+  // live blog feed: display order, tombstones and author ids stay server-side
+  if (Array.isArray(out.liveUpdates)) out.liveUpdates = orderedUpdates(out).map(publicUpdate);
+
+  for (const f of Article.PRIVATE_FIELDS) delete out[f];
+
   return out;
 }
 
@@ -320,6 +357,35 @@ const ogImage =
       },
     };
 
+    // Live blogs are LiveBlogPosting: same fields plus the coverage window and the updates
+    const liveFeed = orderedUpdates(a).slice(0, 50);
+    if (a.live || liveFeed.length) {
+      jsonLd["@type"] = "LiveBlogPosting";
+      jsonLd.coverageStartTime = new Date(a.liveStartedAt || publishedTime).toISOString();
+      if (a.liveEndedAt) jsonLd.coverageEndTime = new Date(a.liveEndedAt).toISOString();
+      jsonLd.liveBlogUpdate = liveFeed.map((u) => ({
+        "@type": "BlogPosting",
+        headline: stripHtml(u.text).slice(0, 110),
+        articleBody: stripHtml(u.text),
+        datePublished: new Date(u.createdAt).toISOString(),
+        dateModified: new Date(u.updatedAt || u.createdAt).toISOString(),
+        ...(u.author?.name ? { author: { "@type": "Person", name: u.author.name } } : {}),
+        ...(u.imageUrl ? { image: u.imageUrl } : {}),
+        url: `${canonical}#update-${u._id}`,
+      }));
+    }
+
+    const liveHtml = liveFeed
+      .map(
+        (u) => `<article class="update" id="update-${u._id}">
+          <time datetime="${new Date(u.createdAt).toISOString()}">${escHtml(new Date(u.createdAt).toUTCString())}</time>${u.pinned ? " • Pinned" : ""}
+          <div class="content">${escHtml(stripHtml(u.text))}</div>
+          ${u.imageUrl ? `<img class="img" src="${escHtml(u.imageUrl)}" alt="${escHtml(u.imageAlt || "")}"/>` : ""}
+          ${u.embedUrl ? `<a href="${escHtml(u.embedUrl)}" rel="nofollow noopener">${escHtml(u.embedUrl)}</a>` : ""}
+        </article>`
+      )
+      .join("\n");
+
     const bodyText = stripHtml(a.body || "");
     const bodyPreview = bodyText ? escHtml(bodyText) : escHtml(a.summary || "");
 
@@ -347,7 +413,7 @@ const ogImage =
 
     <meta name="robots" content="index,follow,max-image-preview:large,max-snippet:-1,max-video-preview:-1"/>
 
-    <script type="application/ld+json">${JSON.stringify(jsonLd)}</script>
+    <script type="application/ld+json">${JSON.stringify(jsonLd).replace(/</g, "\\u003c")}</script>
 
     <style>
       body{font-family:system-ui,-apple-system,Segoe UI,Roboto,Arial,sans-serif;margin:24px;line-height:1.6;color:#111}
@@ -357,6 +423,8 @@ const ogImage =
       .summary{font-size:18px;color:#222;margin:16px 0 18px}
       .content{white-space:pre-wrap}
       .img{max-width:100%;border-radius:12px;margin:16px 0}
+      .update{border-top:1px solid #ddd;padding:12px 0}
+      .update time{color:#555;font-size:14px}
     </style>
   </head>
   <body>
@@ -368,6 +436,7 @@ const ogImage =
       ${ogImage ? `<img class="img" src="${escHtml(ogImage)}" alt="${escHtml(imageAlt)}"/>` : ""}
       ${a.summary ? `<div class="summary">${escHtml(a.summary)}</div>` : ""}
       <div class="content">${bodyPreview}</div>
+      ${liveHtml ? `<section class="live">${liveHtml}</section>` : ""}
     </div>
   </body>
   </html>`;
@@ -662,10 +731,11 @@ const ogImage =
   function setCache(key, data, ttlMs = 60_000) {
     cache.set(key, { data, exp: Date.now() + ttlMs });
   }
-  function cacheRoute(ttlMs = 60_000) {
+  // opts.byGeo: responses differ per visitor country, so the country is part of the key
+  function cacheRoute(ttlMs = 60_000, opts = {}) {
     return (req, res, next) => {
       if (req.method !== 'GET') return next();
-      const key = req.originalUrl;
+      const key = opts.byGeo ? `${req.originalUrl}|${req.geo?.country || ''}` : req.originalUrl;
       const hit = getCache(key);
       if (hit) {
         console.log('⚡ Cache HIT:', key);
@@ -679,6 +749,25 @@ const ogImage =
       next();
     };
   }
+  function invalidateCache(prefix) {
+    for (const key of cache.keys()) {
+      if (!key.startsWith(prefix)) continue;
+      const rest = key.slice(prefix.length); // query string, sub-path or |country
+      if (!rest || /^[?/|]/.test(rest)) cache.delete(key);
+    }
+  }
+
+  // /api/stream events also drop the cached copies they make stale
+  const STREAM_CACHE_PREFIXES = {
+    breaking: ['/api/breaking'],
+    ticker: ['/api/ticker'],
+    article: ['/api/top-news', '/api/sections', '/api/sections-v2', '/api/topics'],
+    topic: ['/api/topics'],
+  };
+  subscribeStream((e) => {
+    (STREAM_CACHE_PREFIXES[e.topic] || []).forEach(invalidateCache);
+    if (e.topic === 'article') SSR_CACHE.delete('ssr:home');
+  });
 
   /* -------------------- CORS (unified) -------------------- */
   const allowedOrigins = (process.env.ALLOWED_ORIGINS || '')
@@ -730,7 +819,12 @@ const ogImage =
   }
 
   // Compress all responses (JSON, HTML, etc.)
-  app.use(compression({ threshold: 0 }));
+  // event streams must reach the client frame by frame, so they skip compression
+  app.use(compression({
+    threshold: 0,
+    filter: (req, res) =>
+      !String(res.getHeader('Content-Type') || '').startsWith('text/event-stream') && compression.filter(req, res),
+  }));
 
   // ✅ Temporarily disable canonical host redirect on backend to avoid redirect loops
   // If you want canonical redirects, do them at the frontend / CDN level, not here.
@@ -748,7 +842,7 @@ const ogImage =
     if (req.method !== 'GET') return next();
 
     // Do NOT cache anything under admin/auth/uploads/etc.
-    const noCachePrefixes = ['/api/admin', '/api/auth', '/api/upload', '/api/media/upload'];
+    const noCachePrefixes = ['/api/admin', '/api/auth', '/api/upload', '/api/media/upload', '/api/stream'];
     if (noCachePrefixes.some(p => req.path.startsWith(p))) {
       res.set('Cache-Control', 'no-store');
       return next();
@@ -779,6 +873,11 @@ const ogImage =
     limit: '10mb'
   }));
 
+  // Audit trail: every non-GET admin request → AuditEvent (actor, entity, before/after, IP)
+  // Registered before any admin router; resolves the actor itself where a route has no auth middleware
+  const auditTrail = require('./src/middleware/auditTrail');
+  app.use(auditTrail({ resolveUser: (req) => userFromToken(bearerToken(req)) }));
+
   // Automation routes
   const automationRouter = require("./src/routes/automation");
   app.use("/api/automation", automationRouter);
@@ -796,7 +895,8 @@ const ogImage =
   // Admin articles router
   // Admin articles router
 const adminArticlesRouter = require('./src/routes/admin.articles.routes');
-app.use('/api/admin/articles', adminArticlesRouter);
+// optionalAuth: not enforced here, but lets edits/revisions be attributed to the logged-in user
+app.use('/api/admin/articles', optionalAuth, adminArticlesRouter);
 
 
 // ✅ Admin Image Library router (protected)
@@ -835,10 +935,12 @@ app.use('/api/admin/ai', (req, res, next) => {
     });
     app.use("/rss", rssTopNewsRouter);
 
-  app.use('/api/breaking',  cacheRoute(30_000), breakingRoutes);
+  app.use('/api/stream', streamRouter); // SSE: pushes what the two below change
+  app.use('/api/breaking',  geoMiddleware(), cacheRoute(30_000, { byGeo: true }), breakingRoutes);
   app.use('/api/ticker',    cacheRoute(30_000), tickerRoutes);
   app.use('/api/sections',  cacheRoute(60_000), sectionsRouter);
   app.use('/api/top-news',  cacheRoute(30_000), require("./src/routes/topnews"));
+  app.use('/api/topics',    geoMiddleware(), cacheRoute(60_000, { byGeo: true }), require("./src/routes/topics"));
 
   app.use('/api/plan-image', planImageRoutes);
 
@@ -948,8 +1050,12 @@ app.post('/api/articles/plan-image', async (req, res) => {
   });
 
   app.use('/api/analytics/collect', collectLimiter);
+  app.use('/api/analytics/privacy', collectLimiter);
   app.use('/api/analytics', analyticsRouter);
 
+  // Public ad serving + measurement (after geo/bot filter: uses req.geo, req.device, req.isBot)
+  app.use('/api/ads', collectLimiter, adsRouter);
+
   // ✅ Simple collector endpoint for frontend pings
   app.post('/api/analytics/collect', (req, res) => {
     res.status(204).end();
@@ -1072,7 +1178,7 @@ async function connectMongo() {
     const base = slugify(String(title), { lower: true, strict: true }) || 'article';
     let s = base;
     let i = 2;
-    while (await Article.exists({ slug: s })) {
+    while (await Article.exists({ slug: s }).setOptions({ withDeleted: true })) {
       s = `${base}-${i++}`;
     }
     return s;
@@ -1085,19 +1191,8 @@ async function connectMongo() {
     return Math.max(1, Math.round(words / 200));
   }
 
-  // Geo helper (pure function; works on lean docs too)
-  function isAllowedForGeoDoc(a = {}, geo = {}) {
-    const mode  = String(a.geoMode || 'global');
-    const areas = Array.isArray(a.geoAreas)
-      ? a.geoAreas.map(s => String(s).trim().toUpperCase()).filter(Boolean)
-      : [];
-    const country = String(geo.country || '').trim().toUpperCase();
-
-    if (!country || mode === 'global') return true;
-    if (mode === 'include') return areas.includes(country);
-    if (mode === 'exclude') return !areas.includes(country);
-    return true; // default allow
-  }
+  // Geo helper (pure function; shared with breaking news)
+  const { isAllowedForGeoDoc } = require('./src/utils/geo');
 
   /* -------------------- Redirects + Category/Tag/Media models -------------------- */
   const redirectSchema = new mongoose.Schema({
@@ -1153,6 +1248,7 @@ async function connectMongo() {
     createdBy:  { type: String, default: 'admin' },   // simple for now
   }, { timestamps: true });
   mediaSchema.index({ createdAt: -1 });
+  mediaSchema.plugin(softDeletePlugin); // trash bin: deletedAt/deletedBy, hidden from queries
   const Media    = mongoose.models.Media    || mongoose.model('Media', mediaSchema);
 
   // SITEMAP models must be registered once
@@ -1220,43 +1316,48 @@ async function connectMongo() {
   }
 
   // Auth helpers
-  function signToken() { return jwt.sign({ role: 'admin' }, JWT_SECRET, { expiresIn: '6h' }); }
-  function auth(req, res, next) {
-  // ✅ Admin auth disabled (no compulsory login anywhere)
-  // If you ever want to re-enable login later:
-  // set ADMIN_AUTH_ENABLED=true in env
-  const enabled =
-    String(process.env.ADMIN_AUTH_ENABLED || "")
-      .trim()
-      .toLowerCase() === "true";
-
-  // Default: OFF (no auth required)
-  if (!enabled) return next();
+  // Tokens are per-user JWTs ({ id, email, name, role }) signed with JWT_SECRET;
+  // see src/services/auth.service.js. A valid token always populates req.user,
+  // but a token is only *required* when ADMIN_AUTH_ENABLED=true.
+  function bearerToken(req) {
+    const header = req.headers.authorization || '';
+    return header.startsWith('Bearer ') ? header.slice(7) : (req.cookies?.token || null);
+  }
 
-  // If enabled, enforce token
-  const hdr = req.headers.authorization || "";
-  const token = hdr.startsWith("Bearer ") ? hdr.slice(7) : "";
+  async function userFromToken(token) {
+    if (!token) return null;
+    try {
+      const decoded = jwt.verify(token, JWT_SECRET);
+      return await resolveTokenUser(decoded);
+    } catch {
+      return null;
+    }
+  }
 
-  if (!token) return res.status(401).json({ error: "Unauthorized" });
+  async function auth(req, res, next) {
+    // ✅ Admin auth disabled by default (no compulsory login anywhere)
+    // set ADMIN_AUTH_ENABLED=true in env to enforce it
+    const enabled =
+      String(process.env.ADMIN_AUTH_ENABLED || "")
+        .trim()
+        .toLowerCase() === "true";
+
+    const token = bearerToken(req);
+    const user = await userFromToken(token);
+    if (user) {
+      req.user = user;
+      req.admin = user; // kept for older handlers
+    }
 
-  try {
-    const decoded = jwt.verify(token, process.env.ADMIN_JWT_SECRET);
-    req.admin = decoded;
+    if (!enabled) return next();
+    if (!token) return res.status(401).json({ error: "Unauthorized" });
+    if (!user) return res.status(401).json({ error: "Invalid token" });
     return next();
-  } catch {
-    return res.status(401).json({ error: "Invalid token" });
   }
-}
 
-  function optionalAuth(req, _res, next) {
-    const header = req.headers.authorization || '';
-    const token = header.startsWith('Bearer ') ? header.slice(7) : (req.cookies?.token || null);
-    if (token) {
-      try {
-        const decoded = jwt.verify(token, JWT_SECRET);
-        if (decoded.role === 'admin') req.user = { role: 'admin' };
-      } catch { /* ignore */ }
-    }
+  async function optionalAuth(req, _res, next) {
+    const user = await userFromToken(bearerToken(req));
+    if (user) req.user = user;
     next();
   }
 
@@ -1279,39 +1380,36 @@ function cronSecretAuth(req, res, next) {
   /* -------------------- Comments & Newsletter -------------------- */
   const commentsRouterFactory = require('./routes/comments');
   app.use(commentsRouterFactory(
-    { Article, Comment },
+    { Article, Comment, CommentReaction, CommentSpamToken, AdminSetting },
     { requireAuthOptional: optionalAuth, requireAuthAdmin: auth }
   ));
 
   const newsletterRouterFactory = require('./routes/newsletter');
   app.use(newsletterRouterFactory(
-    { Subscriber },
+    { Subscriber, NewsletterDelivery, NewsletterSegment, Article },
     { requireAuthAdmin: auth }
   ));
 
   /* -------------------- Health & Auth -------------------- */
   app.get('/api/health', (_req, res) => res.json({ ok: true }));
-  app.post('/api/auth/login', loginLimiter, (req, res) => {
-    const { password } = req.body || {};
-    if (!password) return res.status(400).json({ error: 'Password required' });
-
-    // Password strength advisory (does not block login)
-    const configured = ADMIN_PASSWORD || '';
-    const strongish =
-      configured.length >= 8 &&
-      /[A-Z]/.test(configured) &&
-      /[a-z]/.test(configured) &&
-      /\d/.test(configured) &&
-      /[\W_]/.test(configured);
-    if (!strongish) {
-      console.warn('[auth] ADMIN_PASSWORD appears weak; consider rotating to a stronger one (8+ chars, upper/lower/digit/symbol).');
-    }
-
-    if (password !== configured) {
-      return res.status(401).json({ error: 'Wrong password' });
-    }
-    res.json({ token: signToken() });
-  });
+  app.post('/api/auth/login', loginLimiter, authCtrl.login);
+  app.post('/api/auth/password/reset', loginLimiter, authCtrl.resetPassword);
+  app.get('/api/auth/me', auth, authCtrl.me);
+
+  // Newsroom accounts (admins only; needs a real login even when ADMIN_AUTH_ENABLED is off)
+  app.use('/api/admin/users', auth, permit(['admin']), adminUsersRouter);
+
+  // Background job queue: list / inspect logs / retry dead jobs / run now (admins only)
+  app.use('/api/admin/jobs', auth, permit(['admin']), adminJobsRouter);
+
+  // Who changed what: filterable audit log + CSV export (admins only)
+  app.use('/api/admin/audit', auth, permit(['admin']), adminAuditRouter);
+
+  // Trash bin for articles, media and comments (restore: editors; purge: admins)
+  app.use('/api/admin/trash', auth, permit(['editor', 'admin']), adminTrashRouter);
+
+  // Story clusters: rename / merge / split (editors)
+  app.use('/api/admin/topics', auth, permit(['editor', 'admin']), adminTopicsRouter);
 
   /* -------------------- Cloudinary signed upload -------------------- */
   app.post('/api/uploads/sign', auth, (_req, res) => {
@@ -1759,10 +1857,12 @@ async function ensureArticleHasImage(payload = {}) {
     const slug = String(catRaw).trim().toLowerCase();
     and.push({ categorySlug: slug });
   }
-  // ✅ Homepage placement filter (strict editorial control)
-  if (req.query.homepagePlacement) {
-    const hp = String(req.query.homepagePlacement).toLowerCase();
-    and.push({ homepagePlacement: hp });
+  // ✅ Homepage placement filter (strict editorial control).
+  // "trending" is not a flag any more: it ranks every visible article by reader engagement.
+  const placement = String(req.query.homepagePlacement || '').toLowerCase();
+  const trending = placement === 'trending';
+  if (placement && !trending) {
+    and.push({ homepagePlacement: placement });
   }
 
 
@@ -1798,6 +1898,7 @@ async function ensureArticleHasImage(payload = {}) {
     // Shared pipeline
     const pipeline = [
       { $match: match },
+      { $project: PRIVATE_ARTICLE_PROJECTION },
     ];
 
     // Count
@@ -1810,7 +1911,7 @@ async function ensureArticleHasImage(payload = {}) {
     const items = await Article.aggregate([
       ...pipeline,
       { $addFields: { sortKey: coalesceSortKey } },
-      { $sort: { sortKey: -1, _id: -1 } },
+      { $sort: trending ? TRENDING_SORT : { sortKey: -1, _id: -1 } },
       { $skip: (page - 1) * limit },
       { $limit: limit }
     ]);
@@ -1859,109 +1960,74 @@ async function ensureArticleHasImage(payload = {}) {
 
 
 
-  // alias search (same logic so category pages don’t miss items when publishAt is null)
+  // search — weighted full-text relevance, highlights, facets and "did you mean"
+  // (see src/services/articleSearch.service.js). Without q it lists by date, like before.
+  // Extra query params: tag, author, from, to, range=24h|7d|30d|1y, sort=relevance|date,
+  // facets=1 (facet counts come back by default only when q is set)
   app.get('/api/articles/search', optionalAuth, withValidation(ArticlesListQuerySchema, 'query'), async (req, res) => {
+    try {
+      const isAdmin    = req.user?.role === 'admin';
+      const includeAll = isAdmin && String(req.query.all || '') === '1';
+
+      const result = await searchArticles({
+        q: req.query.q,
+        category: req.query.category,
+        tag: req.query.tag,
+        author: req.query.author,
+        from: req.query.from,
+        to: req.query.to,
+        range: req.query.range,
+        homepagePlacement: req.query.homepagePlacement,
+        sort: req.query.sort,
+        page: req.query.page,
+        limit: req.query.limit,
+        facets: req.query.facets,
+        includeAll,
+      });
 
-    const page   = Math.max(parseInt(req.query.page || '1', 10), 1);
-    const limit  = Math.min(Math.max(parseInt(req.query.limit || '10', 10), 1), 50);
-    const qRaw   = String(req.query.q || '').trim();
-    const catRaw = String(req.query.category || '').trim();
-
-    const isAdmin    = req.user?.role === 'admin';
-    const includeAll = isAdmin && String(req.query.all || '') === '1';
-
-    const now = new Date();
-    const match = {};
-
-    if (req.query.homepagePlacement) {
-    match.homepagePlacement = String(req.query.homepagePlacement).toLowerCase();
-  }
-
-
-    if (qRaw) {
-      const rx = new RegExp(qRaw.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
-      match.$or = [{ title: rx }, { summary: rx }, { author: rx }];
-    }
-
-   // ✅ Category filter should use categorySlug (same as /api/articles)
-if (catRaw && catRaw.toLowerCase() !== 'all') {
-  match.categorySlug = String(catRaw).trim().toLowerCase();
-}
-
-
-    const visibilityOr = includeAll ? [{}] : [
-      { publishedAt: { $lte: now } },
-      { publishAt:   { $lte: now } },
-      { $and: [
-          { publishedAt: { $exists: false } },
-          { publishAt:   { $exists: false } }
-        ] }
-    ];
-
-    if (!includeAll) match.status = 'published';
-
-    const coalesceSortKey = {
-      $ifNull: [
-        '$publishedAt',
-        { $ifNull: [ '$publishAt', { $ifNull: [ '$updatedAt', '$createdAt' ] } ] }
-      ]
-    };
-
-    const base = [
-      { $match: match },
-      { $match: { $or: visibilityOr } },
-      { $addFields: { sortKey: coalesceSortKey } },
-    ];
-
-    const [{ total = 0 } = {}] = await Article.aggregate([
-      ...base,
-      { $count: 'total' }
-    ]);
-
-    const items = await Article.aggregate([
-      ...base,
-      { $sort: { sortKey: -1, _id: -1 } },
-      { $skip: (page - 1) * limit },
-      { $limit: limit }
-    ]);
-
-    const enforceGeo = !isAdmin;
-    const geo = req.geo || {};
-    const visibleItems = enforceGeo ? items.filter(a => isAllowedForGeoDoc(a, geo)) : items;
-
-    const normalizeCats = (val) => {
-    if (!val) return val;
-    if (Array.isArray(val)) return val.map(normalizeCats).filter(Boolean);
-    if (typeof val === 'string') return val;
-    if (val && typeof val === 'object') {
-      if (typeof val.name === 'string') return val.name;
-      if (typeof val.slug === 'string') return val.slug;
-      try { return String(val); } catch { return null; }
-    }
-    return String(val);
-  };
+      const enforceGeo = !isAdmin;
+      const geo = req.geo || {};
+      const visibleItems = enforceGeo ? result.items.filter(a => isAllowedForGeoDoc(a, geo)) : result.items;
+
+      const normalizeCats = (val) => {
+        if (!val) return val;
+        if (Array.isArray(val)) return val.map(normalizeCats).filter(Boolean);
+        if (typeof val === 'string') return val;
+        if (val && typeof val === 'object') {
+          if (typeof val.name === 'string') return val.name;
+          if (typeof val.slug === 'string') return val.slug;
+          try { return String(val); } catch { return null; }
+        }
+        return String(val);
+      };
 
-  const mapped = visibleItems.map(a => ({
-    ...a,
-    id: a._id,
-    publishedAt: a.publishedAt,
-    category: normalizeCats(a.category),
-    categories: normalizeCats(a.categories),
-  }));
+      const mapped = visibleItems.map(a => ({
+        ...a,
+        id: a._id,
+        publishedAt: a.publishedAt,
+        category: normalizeCats(a.category),
+        categories: normalizeCats(a.categories),
+      }));
 
+      if (!isAdmin) {
+        res.setHeader('Cache-Control', 'public, max-age=60, s-maxage=300, stale-while-revalidate=600');
+      }
 
-    if (!isAdmin) {
-      res.setHeader('Cache-Control', 'public, max-age=60, s-maxage=300, stale-while-revalidate=600');
+      const { page, limit, total } = result;
+      res.json({
+        items: mapped,
+        page,
+        pageSize: limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasMore: page * limit < total,
+        facets: result.facets,
+        suggestion: result.suggestion,
+      });
+    } catch (e) {
+      console.error('GET /api/articles/search failed:', e);
+      res.status(500).json({ error: 'search_failed' });
     }
-
-    res.json({
-      items: mapped,
-      page,
-      pageSize: limit,
-      total,
-      totalPages: Math.ceil(total / limit),
-      hasMore: page * limit < total
-    });
   });
 
 
@@ -2005,6 +2071,10 @@ if (catRaw && catRaw.toLowerCase() !== 'all') {
         return res.status(400).json({ error: 'Missing fields' });
       }
 
+      // creating straight into "published" is a draft → published move
+      const denied = await checkTransition('draft', normalizedStatus, req.user);
+      if (denied) return res.status(denied.status).json({ error: denied.error });
+
       // geo
       const allowedModes = ['global', 'include', 'exclude'];
       const sanitizedGeoMode = allowedModes.includes(String(geoMode)) ? String(geoMode) : 'global';
@@ -2168,6 +2238,8 @@ if (picked?.chosen) {
       for (let index = 0; index < items.length; index++) {
         try {
           const payload = await normalizeIncomingArticle(items[index]);
+          const denied = await checkTransition('draft', payload.status, req.user);
+          if (denied) throw new Error(denied.error);
           if (isDry) {
             results.push({ index, ok: true, dryRun: true, slug: payload.slug });
           } else {
@@ -2222,7 +2294,7 @@ if (picked?.chosen) {
     categoryName,
 
     imageUrl, imagePublicId,
-    status, publishAt,
+    status, publishAt, unpublishAt,
     geoMode, geoAreas,
     tags: incomingTags,
     imageAlt,
@@ -2257,6 +2329,7 @@ if (picked?.chosen) {
     if (imagePublicId !== undefined) update.imagePublicId = imagePublicId;
     if (status !== undefined) update.status = status;
     if (publishAt !== undefined) update.publishAt = new Date(publishAt);
+    if (unpublishAt !== undefined) update.unpublishAt = unpublishAt ? new Date(unpublishAt) : null;
 
     if (metaTitle !== undefined) update.metaTitle = String(metaTitle).slice(0, 80);
     if (metaDesc  !== undefined) update.metaDesc  = String(metaDesc).slice(0, 200);
@@ -2305,7 +2378,7 @@ if (category !== undefined || categorySlug !== undefined || categoryName !== und
       const newSlug = slugify(newSlugRaw);
       if (!newSlug) return res.status(400).json({ error: 'Invalid slug' });
       if (newSlug !== existing.slug) {
-        const exists = await Article.exists({ slug: newSlug, _id: { $ne: existing._id } });
+        const exists = await Article.exists({ slug: newSlug, _id: { $ne: existing._id } }).setOptions({ withDeleted: true });
         if (exists) return res.status(409).json({ error: 'Slug already in use' });
         const oldSlug = existing.slug;
         update.slug = newSlug;
@@ -2317,30 +2390,44 @@ if (category !== undefined || categorySlug !== undefined || categoryName !== und
     // If moving to published, ensure publishAt/publishedAt exist
     if (status !== undefined) {
       const s = String(status).toLowerCase();
-      update.status = (s === 'published') ? 'published' : 'draft';
+      const denied = await checkTransition(existing.status, s, req.user);
+      if (denied) return res.status(denied.status).json({ error: denied.error });
+      update.status = s;
+      update.archivedAt = (s === 'archived') ? new Date() : null;
       if (s === 'published') {
         if (!update.publishAt && !existing.publishAt) {
           update.publishAt = new Date();
         }
-        update.publishedAt = new Date();
+        // "published" with a future publishAt is a schedule; the worker flips it when due
+        const goLive = update.publishAt || existing.publishAt;
+        if (goLive > new Date()) {
+          update.status = 'scheduled';
+        } else {
+          update.publishedAt = new Date();
+        }
       }
     }
 
     const doc = await Article.findByIdAndUpdate(req.params.id, update, { new: true });
+    await recordRevision(existing, doc, {
+      user: req.user,
+      source: req.body?.revisionSource || 'api',
+      note: req.body?.revisionNote,
+    });
+    if (doc.status === 'published' && existing.status !== 'published') {
+      runPublishSideEffects(doc).catch(() => {});
+    }
     markSitemapDirty();
     res.json({ ...doc.toObject(), id: doc._id });
   });
 
-  // delete
+  // delete → trash (restore / purge via /api/admin/trash; purged after TRASH_RETENTION_DAYS)
   app.delete('/api/articles/:id', auth, async (req, res) => {
     try {
-      const doc = await Article.findByIdAndDelete(req.params.id);
+      const doc = await trashItem('article', req.params.id, req.user);
       if (!doc) return res.status(404).json({ error: 'Not found' });
-      if (doc.imagePublicId) {
-        try { await cloudinary.uploader.destroy(doc.imagePublicId); } catch (e) { console.warn('Cloudinary cleanup error:', e.message); }
-      }
       markSitemapDirty();
-      res.json({ ok: true });
+      res.json({ ok: true, trashed: true, deletedAt: doc.deletedAt });
     } catch {
       res.status(400).json({ error: 'Bad id' });
     }
@@ -2495,17 +2582,11 @@ if (category !== undefined || categorySlug !== undefined || categoryName !== und
     res.json({ items, page, pageSize: limit, total, totalPages: Math.ceil(total/limit) });
   });
 
-  // Delete media
+  // Delete media → trash; the Cloudinary asset is only destroyed when the item is purged
   app.delete('/api/media/:id', auth, async (req, res) => {
-    const doc = await Media.findById(req.params.id);
+    const doc = await trashItem('media', req.params.id, req.user);
     if (!doc) return res.status(404).json({ error: 'not found' });
-    try {
-      await cloudinary.uploader.destroy(doc.publicId);
-    } catch (e) {
-      console.warn('Cloudinary destroy warn:', e?.message);
-    }
-    await Media.deleteOne({ _id: doc._id });
-    res.json({ ok: true });
+    res.json({ ok: true, trashed: true, deletedAt: doc.deletedAt });
   });
 
   /* -------------------- Sitemap + sections v2 (optional) -------------------- */
@@ -2824,7 +2905,7 @@ if (category !== undefined || categorySlug !== undefined || categoryName !== und
         ];
       }
 
-      const a = await Article.findOne(filter).lean();
+      const a = await Article.findOne(filter).select(PRIVATE_ARTICLE_SELECT).lean();
       if (!a) return res.status(404).json({ error: 'Not found' });
 
       return res.json(normalizeArticleForClient(a));
@@ -2835,6 +2916,71 @@ if (category !== undefined || categorySlug !== undefined || categoryName !== und
     }
   });
 
+  // Live blog polling: GET /api/articles/slug/:slug/updates?since=<cursor>&limit=
+  // Pass back the returned `cursor` as `since` to get only what changed (added/edited + removed ids).
+  app.get('/api/articles/slug/:slug/updates', async (req, res) => {
+    try {
+      const slug = String(req.params.slug || '').trim();
+      if (!slug) return res.status(400).json({ error: 'Missing slug' });
+
+      let since = null;
+      if (req.query.since) {
+        const raw = String(req.query.since);
+        since = new Date(/^\d+$/.test(raw) ? Number(raw) : raw);
+        if (Number.isNaN(since.getTime())) return res.status(400).json({ error: 'Invalid since' });
+      }
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+      const now = new Date();
+      const a = await Article.findOne({
+        slug,
+        status: 'published',
+        $or: [
+          { publishAt: { $lte: now } },
+          { publishedAt: { $lte: now } },
+          { publishAt: { $exists: false }, publishedAt: { $exists: false } },
+        ],
+      })
+        .select('live liveStartedAt liveEndedAt liveUpdatedAt liveUpdates')
+        .lean();
+      if (!a) return res.status(404).json({ error: 'Not found' });
+
+      // short public cache so a crowd of pollers collapses at the CDN
+      res.setHeader('Cache-Control', 'public, max-age=5, s-maxage=5');
+
+      return res.json({
+        ...updatesSince(a, since, { limit }),
+        // stamp of the last change this read saw (not the server clock)
+        cursor: (a.liveUpdatedAt ? new Date(a.liveUpdatedAt) : since || new Date(0)).toISOString(),
+      });
+    } catch (e) {
+      console.error('GET /api/articles/slug/:slug/updates failed:', e?.message || e);
+      return res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Related articles (tags, shared keywords, category, recency); ranking cached per article,
+  // geo targeting applied per visitor (so the response is private to them)
+  app.get('/api/articles/:slug/related', async (req, res) => {
+    try {
+      const slug = String(req.params.slug || '').trim();
+      if (!slug) return res.status(400).json({ error: 'Missing slug' });
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 6, 1), 20);
+
+      const out = await relatedArticles(slug, { limit, geo: req.geo || {} });
+      if (!out) return res.status(404).json({ error: 'Not found' });
+
+      res.setHeader('Cache-Control', 'private, max-age=300');
+      return res.json({
+        article: out.article,
+        items: out.items.map((a) => normalizeArticleForClient(a)),
+      });
+    } catch (e) {
+      console.error('GET /api/articles/:slug/related failed:', e?.message || e);
+      return res.status(500).json({ error: 'Server error' });
+    }
+  });
+
 
   // ✅ SAFE universal resolver:
   // /api/articles/<something>
@@ -2849,7 +2995,7 @@ if (category !== undefined || categorySlug !== undefined || categoryName !== und
       const isObjectId = /^[0-9a-fA-F]{24}$/.test(key);
 
       if (isObjectId) {
-        const a = await Article.findById(key).lean();
+        const a = await Article.findById(key).select(PRIVATE_ARTICLE_SELECT).lean();
         if (!a) return res.status(404).json({ error: 'Not found' });
         return res.json(normalizeArticleForClient(a));
 
@@ -2887,20 +3033,44 @@ async function startServer() {
   app.listen(PORT, HOST, () => {
     console.log(`✅ API up on http://${HOST}:${PORT}`);
 
-    // 🔹 Start AI auto-news robot (autoNewsCron)
+    // 🔹 Job definitions + schedules (AI auto-news robot, feeds, X, image backfill, analytics rollup, trash purge)
+    try {
+      registerJobs();
+    } catch (e) {
+      console.error("[jobs] failed to register:", e?.message || e);
+    }
+
+    // 🔹 Scheduled publishing / expiry worker (on unless explicitly disabled)
     try {
-      // do NOT print secret values; only print status
-      console.log("[debug] AI_NEWS_CRON_ENABLED =", String(process.env.AI_NEWS_CRON_ENABLED || "false"));
+      if (String(process.env.SCHEDULED_PUBLISH_ENABLED || "true") !== "false") {
+        startScheduledPublishCron();
+      } else {
+        console.log("[scheduledPublish] NOT started (SCHEDULED_PUBLISH_ENABLED=false)");
+      }
+    } catch (e) {
+      console.error("[scheduledPublish] failed to start:", e?.message || e);
+    }
 
-      if (String(process.env.AI_NEWS_CRON_ENABLED || "false") === "true") {
-        const sec = parseInt(process.env.AI_NEWS_CRON_INTERVAL_SECONDS || "300", 10) || 300;
-        startAutoNewsCron(sec);
-        console.log("[autoNewsCron] started, every %ds", sec);
+    // 🔹 Newsletter delivery queue + daily digest (on unless explicitly disabled)
+    try {
+      if (String(process.env.NEWSLETTER_WORKER_ENABLED || "true") !== "false") {
+        startNewsletterCron();
+      } else {
+        console.log("[newsletter] NOT started (NEWSLETTER_WORKER_ENABLED=false)");
+      }
+    } catch (e) {
+      console.error("[newsletter] failed to start:", e?.message || e);
+    }
+
+    // 🔹 Job queue worker (on unless explicitly disabled, e.g. when cron.js runs as a separate worker)
+    try {
+      if (String(process.env.JOB_WORKER_ENABLED || "true") !== "false") {
+        startJobWorker();
       } else {
-        console.log("[autoNewsCron] NOT started (AI_NEWS_CRON_ENABLED is not 'true')");
+        console.log("[jobs] worker NOT started in API process (JOB_WORKER_ENABLED=false)");
       }
     } catch (e) {
-      console.error("[autoNewsCron] failed to start:", e?.message || e);
+      console.error("[jobs] worker failed to start:", e?.message || e);
     }
   });
 }
@@ -1,5 +1,9 @@
 const AnalyticsEvent = require('../models/AnalyticsEvent');
 const AnalyticsDaily = require('../models/AnalyticsDaily');
+const AnalyticsHourly = require('../models/AnalyticsHourly');
+
+const HEARTBEAT_SECONDS = 15;
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 function toUTCDateString(d) {
   const y = d.getUTCFullYear();
@@ -15,11 +19,94 @@ function getBoundsForDateString(dateStr) {
   return { start, end };
 }
 
+// True when the TTL may already have removed some of this day's raw events:
+// rolling it up again would overwrite good totals with partial ones.
+function isPastRetention(dateStr, now = new Date()) {
+  const days = AnalyticsEvent.RETENTION_DAYS;
+  if (!days) return false;
+  return getBoundsForDateString(dateStr).start.getTime() <= now.getTime() - days * DAY_MS;
+}
+
+// Per-hour totals and top paths for one day → AnalyticsHourly (replaces the day's hours)
+async function rollupHourly(targetDate, baseMatch) {
+  const hourOf = { $dateToString: { format: '%Y-%m-%dT%H', date: '$createdAt' } };
+
+  const [typeAgg, uniqAgg, pathAgg] = await Promise.all([
+    AnalyticsEvent.aggregate([
+      { $match: baseMatch },
+      { $group: { _id: { hour: hourOf, type: '$type' }, count: { $sum: 1 } } },
+    ]),
+    AnalyticsEvent.aggregate([
+      { $match: { ...baseMatch, visitorId: { $nin: [null, ''] } } },
+      { $group: { _id: { hour: hourOf, visitorId: '$visitorId' } } },
+      { $group: { _id: '$_id.hour', uniques: { $sum: 1 } } },
+    ]),
+    AnalyticsEvent.aggregate([
+      { $match: { ...baseMatch, type: { $in: ['page_view', 'heartbeat', 'read_complete'] } } },
+      { $group: { _id: { hour: hourOf, path: '$path', type: '$type' }, count: { $sum: 1 } } },
+    ]).allowDiskUse(true),
+  ]);
+
+  const hours = new Map();
+  const hourRow = (hour) => {
+    if (!hours.has(hour)) {
+      hours.set(hour, {
+        totals: { events: 0, page_view: 0, scroll: 0, heartbeat: 0, read_complete: 0, uniqueVisitors: 0, readSeconds: 0 },
+        paths: new Map(),
+      });
+    }
+    return hours.get(hour);
+  };
+
+  for (const r of typeAgg) {
+    const t = hourRow(r._id.hour).totals;
+    t.events += r.count;
+    if (t[r._id.type] != null) t[r._id.type] += r.count;
+    if (r._id.type === 'heartbeat') t.readSeconds = r.count * HEARTBEAT_SECONDS;
+  }
+  for (const r of uniqAgg) hourRow(r._id).totals.uniqueVisitors = r.uniques;
+  for (const r of pathAgg) {
+    const path = r._id.path || '/';
+    const paths = hourRow(r._id.hour).paths;
+    const cur = paths.get(path) || { path, page_view: 0, read_complete: 0, readSeconds: 0 };
+    if (r._id.type === 'heartbeat') cur.readSeconds += r.count * HEARTBEAT_SECONDS;
+    else cur[r._id.type] += r.count;
+    paths.set(path, cur);
+  }
+
+  const generatedAt = new Date();
+  const ops = [...hours.entries()].map(([hour, h]) => ({
+    updateOne: {
+      filter: { hour },
+      update: {
+        $set: {
+          hour,
+          date: targetDate,
+          start: new Date(`${hour}:00:00.000Z`),
+          totals: h.totals,
+          topPaths: [...h.paths.values()].sort((a, b) => b.page_view - a.page_view).slice(0, 20),
+          generatedAt,
+        },
+      },
+      upsert: true,
+    },
+  }));
+  if (ops.length) await AnalyticsHourly.bulkWrite(ops, { ordered: false });
+  await AnalyticsHourly.deleteMany({ date: targetDate, hour: { $nin: [...hours.keys()] } });
+
+  return ops.length;
+}
+
+// Recomputes the whole day from raw events, so running it again (late events, backfill) is safe.
 async function rollupDaily(dateStr) {
   const date = dateStr ? new Date(`${dateStr}T00:00:00.000Z`) : new Date();
   const targetDate = toUTCDateString(date);
   const { start, end } = getBoundsForDateString(targetDate);
 
+  if (isPastRetention(targetDate)) {
+    return { date: targetDate, skipped: `raw events older than ${AnalyticsEvent.RETENTION_DAYS} days are expired` };
+  }
+
   const baseMatch = {
     createdAt: { $gte: start, $lt: end },
     'flags.isBot': { $ne: true },
@@ -64,7 +151,7 @@ async function rollupDaily(dateStr) {
   for (const r of heartbeat) {
     const path = r._id || '/';
     const cur = pathMap.get(path) || { path, events: 0, page_view: 0, scroll: 0, heartbeat: 0, read_complete: 0, uniques: 0, readSeconds: 0 };
-    cur.readSeconds = (r.beats || 0) * 15;
+    cur.readSeconds = (r.beats || 0) * HEARTBEAT_SECONDS;
     pathMap.set(path, cur);
   }
 
@@ -157,6 +244,8 @@ const topCountries = Array.from(countryMap.values())
   .sort((a, b) => b.page_view - a.page_view)
   .slice(0, 20);
 
+  const hours = await rollupHourly(targetDate, baseMatch);
+
   // ---- persist ----
   await AnalyticsDaily.updateOne(
     { date: targetDate },
@@ -168,6 +257,7 @@ const topCountries = Array.from(countryMap.values())
         generatedAt: new Date(),
         topUTMs,
         topCountries, // NEW
+        hourly: true,
       },
     },
     { upsert: true }
@@ -179,7 +269,8 @@ const topCountries = Array.from(countryMap.values())
     paths: byPath.length,
     topUTMs: topUTMs.length,
     topCountries: topCountries.length,
+    hours,
   };
 }
 
-module.exports = { rollupDaily };
+module.exports = { rollupDaily, isPastRetention };
@@ -1,5 +1,6 @@
 // backend/middleware/analyticsBotFilter.js
 const jwt = require('jsonwebtoken');
+const { deviceType } = require('./device');
 
 // Basic bot UA check (safe list; can expand later)
 const botRegex = /(bot|crawler|spider|google|bing|baidu|yandex|duckduck|facebook|pinterest|slurp)/i;
@@ -13,6 +14,7 @@ module.exports = function analyticsBotFilter() {
     req.isAdmin = false;
     req.isDnt = false;
     req.isOptOut = false;
+    req.analyticsConsent = false;
 
     // Bot detection
     if (botRegex.test(ua)) {
@@ -31,6 +33,12 @@ module.exports = function analyticsBotFilter() {
       req.isOptOut = true;
     }
 
+    // Consent to a stable visitor id (ANALYTICS_CONSENT_MODE=opt-in|required)
+    // Accepts cookie `analytics_consent=1` or header `x-analytics-consent: 1`
+    if (cookie.includes('analytics_consent=1') || (req.headers['x-analytics-consent'] || '') === '1') {
+      req.analyticsConsent = true;
+    }
+
     // Admin detection (JWT in Authorization) — optional, best-effort
     // If JWT is present and decodes with { role:'admin' } or { isAdmin:true } we mark admin.
     try {
@@ -53,8 +61,8 @@ module.exports = function analyticsBotFilter() {
       req.isBot = false;
     }
 
-    // Attach a very simple device capture (UA passthrough)
-    req.device = { ua };
+    // Attach a very simple device capture (UA passthrough + mobile/tablet/desktop)
+    req.device = { ua, type: deviceType(ua, req.headers['sec-ch-ua-mobile']) };
 
     next();
   };
@@ -0,0 +1,28 @@
+// backend/middleware/device.js
+
+/**
+ * DEVICE middleware:
+ * Sets req.device = { ua, type } where type is 'mobile' | 'tablet' | 'desktop',
+ * from the User-Agent (or the Sec-CH-UA-Mobile client hint when present).
+ * Keeps whatever an earlier middleware already put on req.device.
+ */
+
+function deviceType(ua = '', chMobile) {
+  if (chMobile === '?1') return 'mobile';
+  if (/ipad|tablet|playbook|silk|(android(?!.*mobile))/i.test(ua)) return 'tablet';
+  if (/mobi|iphone|ipod|android|windows phone|blackberry|opera mini/i.test(ua)) return 'mobile';
+  return 'desktop';
+}
+
+function deviceMiddleware() {
+  return function (req, _res, next) {
+    if (!req.device?.type) {
+      const ua = req.headers['user-agent'] || '';
+      req.device = { ...(req.device || {}), ua, type: deviceType(ua, req.headers['sec-ch-ua-mobile']) };
+    }
+    next();
+  };
+}
+
+module.exports = deviceMiddleware;
+module.exports.deviceType = deviceType;
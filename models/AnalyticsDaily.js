@@ -42,6 +42,7 @@ const AnalyticsDailySchema = new mongoose.Schema({
   totals: { type: TotalsSchema, default: () => ({}) },
   byPath: { type: [ByPathSchema], default: [] },
   generatedAt: { type: Date, default: Date.now },
+  hourly: { type: Boolean, default: false }, // AnalyticsHourly written for this date too
 
   // Slices
   topUTMs: { type: [TopUTMSchema], default: [] },
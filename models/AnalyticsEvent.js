@@ -1,6 +1,10 @@
 // backend/models/AnalyticsEvent.js
 const mongoose = require('mongoose');
 
+// Raw events are deleted this many days after they arrive (TTL on createdAt); 0 keeps them forever.
+// AnalyticsDaily / AnalyticsHourly keep the rollups. Changing it later: `npm run ensure:indexes`.
+const RETENTION_DAYS = Math.max(0, parseInt(process.env.ANALYTICS_EVENT_RETENTION_DAYS || '90', 10) || 0);
+
 const AnalyticsEventSchema = new mongoose.Schema(
   {
     type: {
@@ -10,8 +14,9 @@ const AnalyticsEventSchema = new mongoose.Schema(
     },
     ts: { type: Date, required: true }, // client timestamp
 
-    visitorId: String,
+    visitorId: String, // server-side hash, never the client's id (see services/analyticsPrivacy)
     sessionId: String,
+    consent: { type: Boolean, default: false }, // visitor consented to a stable id
     path: String,
     utm: mongoose.Schema.Types.Mixed,
     referrer: String,
@@ -29,7 +34,7 @@ const AnalyticsEventSchema = new mongoose.Schema(
     },
 
     // --- NEW: flattened fields used by rollups ---
-    ip: String,
+    ip: String, // truncated or absent (ANALYTICS_IP_MODE)
     country: String, // 2-letter code like "US", "IN"
     region: String,  // provider-specific region code
     city: String,
@@ -47,4 +52,15 @@ AnalyticsEventSchema.index({ type: 1, createdAt: -1 });
 // NEW: optional index to speed country aggregations
 AnalyticsEventSchema.index({ country: 1, type: 1, createdAt: -1 });
 
+// data-subject export / delete
+AnalyticsEventSchema.index({ visitorId: 1, createdAt: -1 });
+
+if (RETENTION_DAYS) {
+  AnalyticsEventSchema.index(
+    { createdAt: 1 },
+    { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60, name: 'ttl_createdAt' }
+  );
+}
+
 module.exports = mongoose.model('AnalyticsEvent', AnalyticsEventSchema);
+module.exports.RETENTION_DAYS = RETENTION_DAYS;
@@ -0,0 +1,37 @@
+// backend/models/AnalyticsHourly.js
+const mongoose = require('mongoose');
+
+const HourTotalsSchema = new mongoose.Schema({
+  events: { type: Number, default: 0 },
+  page_view: { type: Number, default: 0 },
+  scroll: { type: Number, default: 0 },
+  heartbeat: { type: Number, default: 0 },
+  read_complete: { type: Number, default: 0 },
+  uniqueVisitors: { type: Number, default: 0 },
+  readSeconds: { type: Number, default: 0 },
+}, { _id: false });
+
+const HourPathSchema = new mongoose.Schema({
+  path: String,
+  page_view: { type: Number, default: 0 },
+  read_complete: { type: Number, default: 0 },
+  readSeconds: { type: Number, default: 0 },
+}, { _id: false });
+
+// One UTC hour of AnalyticsEvent, written by jobs/rollupDaily alongside the day's AnalyticsDaily
+const AnalyticsHourlySchema = new mongoose.Schema({
+  hour: { type: String, required: true },  // 'YYYY-MM-DDTHH' (UTC)
+  date: { type: String, required: true },  // 'YYYY-MM-DD' (UTC)
+  start: { type: Date, required: true },
+  totals: { type: HourTotalsSchema, default: () => ({}) },
+  topPaths: { type: [HourPathSchema], default: [] }, // top 20 by page_view
+  generatedAt: { type: Date, default: Date.now },
+}, {
+  timestamps: true,
+  collection: 'analyticshourly',
+});
+
+AnalyticsHourlySchema.index({ hour: 1 }, { unique: true });
+AnalyticsHourlySchema.index({ date: 1, hour: 1 });
+
+module.exports = mongoose.model('AnalyticsHourly', AnalyticsHourlySchema);
@@ -0,0 +1,18 @@
+// backend/models/AnalyticsSalt.js
+const mongoose = require('mongoose');
+
+// Random salt for one UTC day's cookieless visitor hashes (see services/analyticsPrivacy).
+// Shared by every instance through the DB; deleted the day after, so a hash can't be recomputed.
+const AnalyticsSaltSchema = new mongoose.Schema({
+  date: { type: String, required: true },    // 'YYYY-MM-DD' (UTC)
+  salt: { type: String, required: true },
+  expiresAt: { type: Date, required: true },
+}, {
+  versionKey: false,
+  collection: 'analyticssalts',
+});
+
+AnalyticsSaltSchema.index({ date: 1 }, { unique: true });
+AnalyticsSaltSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AnalyticsSalt', AnalyticsSaltSchema);
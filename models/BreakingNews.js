@@ -1,5 +1,6 @@
 // backend/models/BreakingNews.js
 const mongoose = require('mongoose');
+const streamEvents = require('../src/models/plugins/streamEvents');
 
 const BreakingNewsSchema = new mongoose.Schema(
   {
@@ -25,6 +26,39 @@ const BreakingNewsSchema = new mongoose.Schema(
       default: 0,
       index: true,
     },
+
+    // Optional article to link to instead of a raw url (resolved to its public URL on read)
+    articleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Article',
+      default: null,
+    },
+
+    // Activation window; null = open-ended on that side
+    startsAt: {
+      type: Date,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    // Set by the "breaking-sweep" job when it switched the item off
+    expiredAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Geo targeting, same semantics as Article (see src/utils/geo)
+    geoMode: {
+      type: String,
+      enum: ['global', 'include', 'exclude'],
+      default: 'global',
+    },
+    geoAreas: {
+      type: [String],
+      default: [],
+    },
   },
   {
     timestamps: true, // createdAt, updatedAt
@@ -34,5 +68,11 @@ const BreakingNewsSchema = new mongoose.Schema(
 
 // helpful compound index for listing
 BreakingNewsSchema.index({ active: 1, priority: 1, createdAt: -1 });
+// expiry sweep
+BreakingNewsSchema.index({ active: 1, expiresAt: 1 });
+
+// tell /api/stream subscribers to refetch on every change; docs aren't streamed because the
+// public list depends on the startsAt/expiresAt window and the visitor's geo
+BreakingNewsSchema.plugin(streamEvents, { topic: 'breaking', refreshOnly: true });
 
 module.exports = mongoose.model('BreakingNews', BreakingNewsSchema);
@@ -1,6 +1,10 @@
 // backend/models/Comment.js
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
+const softDelete = require('../src/models/plugins/softDelete');
+
+// Reader reactions (counts only; who reacted lives in CommentReaction)
+const REACTION_TYPES = ['up', 'like', 'laugh', 'wow', 'sad', 'angry'];
 
 const CommentSchema = new Schema({
   articleId: { type: Schema.Types.ObjectId, ref: 'Article', index: true, required: true },
@@ -10,14 +14,52 @@ const CommentSchema = new Schema({
   content: { type: String, trim: true, maxlength: 2000, required: true },
   status: { type: String, enum: ['pending', 'approved', 'spam'], default: 'pending', index: true },
   flags: {
-    isAuthor: { type: Boolean, default: false }, // optional: badge for staff
+    isAuthor: { type: Boolean, default: false }, // badge for staff (set from the logged-in user)
+  },
+  staffUserId: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+
+  reactions: Object.fromEntries(REACTION_TYPES.map(t => [t, { type: Number, default: 0 }])),
+
+  // Reader reports; auto-hidden once the reports since the last moderator review
+  // (reportCount - reviewedReportCount) reach the threshold
+  reports: [{
+    reporterHash: { type: String, required: true },
+    reason: { type: String, trim: true, maxlength: 300, default: '' },
+    createdAt: { type: Date, default: Date.now },
+  }],
+  reportCount: { type: Number, default: 0, index: true },
+  hiddenAt: { type: Date, default: null, index: true },
+  reportsReviewedAt: { type: Date, default: null },
+  reviewedReportCount: { type: Number, default: 0 }, // reportCount when a moderator last hid/unhid
+
+  // Spam/toxicity scoring (see src/services/commentSpam.service.js)
+  fingerprint: { type: String, default: '', index: true }, // hash of normalized content
+  spam: {
+    score: { type: Number, default: 0 }, // 0..100
+    reasons: [{
+      _id: false,
+      rule: String,
+      points: Number,
+      detail: String,
+    }],
+    scoredAt: { type: Date, default: null },
+    trainedAs: { type: String, enum: ['spam', 'ham', null], default: null }, // classifier label applied
   },
+
   meta: {
     ip: String,
     ua: String,
   },
 }, { timestamps: true });
 
+// Trash: deletedAt/deletedBy; trashed comments are hidden from every query (see plugin)
+CommentSchema.plugin(softDelete);
+
 CommentSchema.index({ articleId: 1, createdAt: -1 });
+CommentSchema.index({ articleId: 1, parentId: 1, status: 1, createdAt: 1 });
+CommentSchema.index({ 'meta.ip': 1, createdAt: -1 });
+CommentSchema.index({ authorEmailHash: 1, fingerprint: 1 });
+
+CommentSchema.statics.REACTION_TYPES = REACTION_TYPES;
 
 module.exports = mongoose.model('Comment', CommentSchema);
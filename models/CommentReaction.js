@@ -0,0 +1,14 @@
+// backend/models/CommentReaction.js
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// One row per (comment, reader, reaction type) so a reader can't stack votes.
+const CommentReactionSchema = new Schema({
+  commentId: { type: Schema.Types.ObjectId, ref: 'Comment', required: true, index: true },
+  voterHash: { type: String, required: true }, // hashed ip+ua (or user id for staff)
+  type: { type: String, required: true },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+CommentReactionSchema.index({ commentId: 1, voterHash: 1, type: 1 }, { unique: true });
+
+module.exports = mongoose.model('CommentReaction', CommentReactionSchema);
@@ -0,0 +1,13 @@
+// backend/models/CommentSpamToken.js
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Naive Bayes token counts learned from admin approve/spam decisions.
+// The special token "__docs__" holds the number of trained spam/ham comments.
+const CommentSpamTokenSchema = new Schema({
+  token: { type: String, required: true, unique: true, index: true },
+  spam: { type: Number, default: 0 },
+  ham: { type: Number, default: 0 },
+}, { timestamps: true });
+
+module.exports = mongoose.model('CommentSpamToken', CommentSpamTokenSchema);
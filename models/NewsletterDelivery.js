@@ -0,0 +1,35 @@
+// backend/models/NewsletterDelivery.js
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Outgoing newsletter mail queue + per-subscriber delivery log
+const NewsletterDeliverySchema = new Schema({
+  subscriberId: { type: Schema.Types.ObjectId, ref: 'Subscriber', required: true, index: true },
+  kind: { type: String, enum: ['confirm', 'digest', 'breaking'], required: true },
+  digestKey: { type: String, default: null }, // NewsletterDigest.key for kind=digest
+  segmentId: { type: Schema.Types.ObjectId, ref: 'NewsletterSegment', default: null },
+  alert: { // kind=breaking
+    title: String,
+    summary: String,
+    url: String,
+  },
+  status: { type: String, enum: ['queued', 'sending', 'sent', 'failed', 'skipped'], default: 'queued', index: true },
+  subject: { type: String, default: '' },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedAt: { type: Date, default: null },
+  sentAt: { type: Date, default: null },
+  transport: { type: String, default: '' },
+  messageId: { type: String, default: '' },
+  lastError: { type: String, default: '' },
+}, { timestamps: true });
+
+NewsletterDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+NewsletterDeliverySchema.index({ subscriberId: 1, createdAt: -1 });
+// A subscriber gets each daily digest at most once
+NewsletterDeliverySchema.index(
+  { subscriberId: 1, digestKey: 1 },
+  { unique: true, partialFilterExpression: { kind: 'digest' } }
+);
+
+module.exports = mongoose.model('NewsletterDelivery', NewsletterDeliverySchema);
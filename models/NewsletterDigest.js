@@ -0,0 +1,21 @@
+// backend/models/NewsletterDigest.js
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// One digest per period (daily 'YYYY-MM-DD', weekly 'YYYY-Www'). html/text are the full render;
+// per-subscriber mails are re-rendered from `sections` filtered to the reader's categories.
+const NewsletterDigestSchema = new Schema({
+  key: { type: String, required: true, unique: true },
+  period: { type: String, enum: ['daily', 'weekly'], default: 'daily' },
+  label: { type: String, default: '' }, // human date label used in the subject
+  subject: { type: String, default: '' },
+  html: { type: String, default: '' },
+  text: { type: String, default: '' },
+  articleIds: [{ type: Schema.Types.ObjectId, ref: 'Article' }],
+  sections: { type: Schema.Types.Mixed, default: [] }, // [{ category, categorySlug, articles: [...] }]
+  builtAt: { type: Date, default: Date.now },
+  queuedAt: { type: Date, default: null }, // set once deliveries were enqueued
+  queuedCount: { type: Number, default: 0 },
+}, { timestamps: true });
+
+module.exports = mongoose.model('NewsletterDigest', NewsletterDigestSchema);
@@ -0,0 +1,20 @@
+// backend/models/NewsletterSegment.js
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Admin-defined audience. Empty rule lists match everyone; non-empty lists are ANDed together.
+const NewsletterSegmentSchema = new Schema({
+  name: { type: String, required: true, trim: true, maxlength: 120 },
+  slug: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  description: { type: String, default: '', maxlength: 500 },
+  rules: {
+    categories: { type: [String], default: [] }, // any overlap with preferences.categories
+    countries: { type: [String], default: [] },  // ISO-2, from signup geo
+    sources: { type: [String], default: [] },    // signup source
+    frequencies: { type: [String], default: [] },
+    languages: { type: [String], default: [] },
+  },
+  active: { type: Boolean, default: true, index: true },
+}, { timestamps: true });
+
+module.exports = mongoose.model('NewsletterSegment', NewsletterSegmentSchema);
@@ -1,11 +1,33 @@
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
 
+const FREQUENCIES = ['breaking', 'daily', 'weekly'];
+
 const SubscriberSchema = new Schema({
   emailHash: { type: String, unique: true, index: true },
   emailMasked: { type: String }, // e.g., j***@g***.com (for admin viewing)
+  emailEnc: { type: String, default: '', select: false }, // AES-GCM encrypted address, only decrypted to send mail
   status: { type: String, enum: ['pending','confirmed','unsubscribed'], default: 'pending', index: true },
   token: { type: String, index: true }, // confirmation token
+  confirmedAt: { type: Date, default: null },
+  unsubscribedAt: { type: Date, default: null },
+  lastDigestAt: { type: Date, default: null },
+
+  // Reader choices (editable via the signed preferences link)
+  preferences: {
+    categories: { type: [String], default: [] }, // category slugs; empty = everything
+    frequency: { type: String, enum: FREQUENCIES, default: 'daily', index: true },
+    language: { type: String, default: 'en', lowercase: true, trim: true },
+  },
+
+  // Signup context, used by admin segments
+  country: { type: String, default: null, uppercase: true, index: true }, // from geo middleware
+  source: { type: String, default: 'site', trim: true, index: true },     // e.g. site, footer, article, import
 }, { timestamps: true });
 
+SubscriberSchema.index({ status: 1, 'preferences.frequency': 1 });
+SubscriberSchema.index({ 'preferences.categories': 1 });
+
+SubscriberSchema.statics.FREQUENCIES = FREQUENCIES;
+
 module.exports = mongoose.model('Subscriber', SubscriberSchema);
@@ -1,5 +1,6 @@
 // backend/models/TickerItem.js
 const mongoose = require('mongoose');
+const streamEvents = require('../src/models/plugins/streamEvents');
 
 const TickerItemSchema = new mongoose.Schema(
   {
@@ -33,6 +34,45 @@ const TickerItemSchema = new mongoose.Schema(
       default: true,
       index: true,
     },
+
+    // Live data (stock / weather): the "ticker-refresh" job fills value from a provider.
+    // Empty provider = value is typed in by hand.
+    provider: {
+      // e.g., "fixture", "alphavantage", "open-meteo" (see src/services/tickerProviders)
+      type: String,
+      default: '',
+      trim: true,
+      index: true,
+    },
+    symbol: {
+      // e.g., "RELIANCE.BSE", "Delhi", "28.61,77.21"
+      type: String,
+      default: '',
+      trim: true,
+      maxlength: 80,
+    },
+    numericValue: {
+      type: Number,
+      default: null,
+    },
+    direction: {
+      type: String,
+      enum: ['up', 'down', 'flat', ''],
+      default: '',
+    },
+    refreshedAt: {
+      type: Date,
+      default: null,
+    },
+    refreshError: {
+      type: String,
+      default: '',
+    },
+    // value is older than TICKER_STALE_SECONDS (kept by the refresher)
+    stale: {
+      type: Boolean,
+      default: false,
+    },
   },
   {
     timestamps: true, // createdAt, updatedAt
@@ -42,4 +82,7 @@ const TickerItemSchema = new mongoose.Schema(
 
 TickerItemSchema.index({ active: 1, order: 1, createdAt: -1 });
 
+// push every change to /api/stream subscribers
+TickerItemSchema.plugin(streamEvents, { topic: 'ticker' });
+
 module.exports = mongoose.model('TickerItem', TickerItemSchema);
@@ -5,6 +5,16 @@ const AnalyticsEvent = require('../models/AnalyticsEvent');
 // --- rollup & daily models ---
 const { rollupDaily } = require('../jobs/rollupDaily');
 const AnalyticsDaily = require('../models/AnalyticsDaily');
+const AnalyticsHourly = require('../models/AnalyticsHourly');
+const { dateRange, datesToRollup } = require('../src/services/analyticsRollup.service');
+const { enqueue } = require('../src/services/jobQueue.service');
+const privacy = require('../src/services/analyticsPrivacy.service');
+const { bufferEvents, bufferStats } = require('../src/services/analyticsBuffer.service');
+const { parseCollectBody } = require('../src/validators/analyticsEvent');
+
+// --- dashboard (staff only) ---
+const { auth, permit } = require('../src/middleware/auth');
+const dashboard = require('../src/services/analyticsDashboard.service');
 
 /* ============================
    HELPERS
@@ -20,7 +30,9 @@ function utcDateString(d = Date.now()) {
    ============================ */
 
 // POST /analytics/collect
-// POST /analytics/collect
+// Body: one event, an array of events or { events: [...] } (max ANALYTICS_BATCH_MAX).
+// navigator.sendBeacon posts the same JSON as text/plain. Events are buffered and
+// written in batches (services/analyticsBuffer).
 router.post('/collect', async (req, res) => {
   try {
     const enabled = process.env.ANALYTICS_ENABLE !== 'false';
@@ -29,54 +41,56 @@ router.post('/collect', async (req, res) => {
     const sampleRate = Number(process.env.ANALYTICS_SAMPLE_RATE || 1);
     if (sampleRate < 1 && Math.random() > sampleRate) return res.status(204).end();
 
-    const body = req.body || {};
-    if (!body.type) return res.status(400).json({ error: 'type required' });
-
-    // Drop if excluded
-    const flags = {
-      isBot: !!req.isBot,
-      isAdmin: !!req.isAdmin,
-      dnt: !!req.isDnt,
-      optOut: !!req.isOptOut,
-      ...(body.flags || {}),
-    };
-    if (flags.isBot || flags.isAdmin || flags.dnt || flags.optOut) {
-      return res.status(204).end();
-    }
+    const parsed = parseCollectBody(req.body);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
 
-    // derive client IP (first in XFF) or socket
+    // derive client IP (first in XFF) or socket — used in memory only, see ANALYTICS_IP_MODE
     const rawXff = String(req.headers['x-forwarded-for'] || '').split(',')[0].trim();
     const ip = rawXff || req.socket?.remoteAddress || null;
+    const receivedAt = new Date();
+
+    const docs = [];
+    for (const ev of parsed.events) {
+      // Drop if excluded (client flags can only add exclusions)
+      const flags = {
+        isBot: !!req.isBot || !!ev.flags?.isBot,
+        isAdmin: !!req.isAdmin || !!ev.flags?.isAdmin,
+        dnt: !!req.isDnt || !!ev.flags?.dnt,
+        optOut: !!req.isOptOut || !!ev.flags?.optOut,
+      };
+      if (flags.isBot || flags.isAdmin || flags.dnt || flags.optOut) continue;
+
+      // server-side visitor id + consent mode (the client's visitorId is never stored as sent)
+      const who = await privacy.identifyVisitor(req, ev, ip);
+      if (!who.record) continue;
+
+      docs.push({
+        type: ev.type,
+        ts: ev.ts || receivedAt,
+        visitorId: who.visitorId,
+        sessionId: who.sessionId,
+        consent: who.consent,
+        path: ev.path || null,
+        utm: ev.utm || null,
+        scroll: ev.scroll || null,
+        read: ev.read || null,
+
+        device: req.device || null,
+        flags,
+
+        // truncated/dropped ip, geo (country only without consent in opt-in mode), referrer without query;
+        // flattened country/region/city are used by rollups
+        ...privacy.minimiseEvent({ ip, geo: req.geo, referrer: ev.referrer }, who),
+
+        // rollups bucket by createdAt: the receive time, not the (later) buffer flush
+        createdAt: receivedAt,
+      });
+    }
+
+    const queued = await bufferEvents(docs);
 
-    const g = req.geo || {};
-
-    const doc = {
-      type: body.type,
-      ts: body.ts ? new Date(body.ts) : new Date(),
-      visitorId: body.visitorId || null,
-      sessionId: body.sessionId || null,
-      path: body.path || null,
-      utm: body.utm || null,
-      referrer: body.referrer || null,
-      scroll: body.scroll || null,
-      read: body.read || null,
-
-      // keep full objects
-      geo: g,
-      device: req.device || null,
-      flags,
-
-      // 🔴 NEW: flattened geo fields used by rollups
-      ip,
-      country: g.country || null,   // e.g. "US", "IN"
-      region: g.region || null,     // provider region code
-      city: g.city || null,
-    };
-
-    const saved = await AnalyticsEvent.create(doc);
-
-    if (process.env.NODE_ENV !== 'production') {
-      console.log('[analytics] saved', saved._id.toString(), doc.type, 'country=', doc.country || '(null)');
+    if (process.env.NODE_ENV !== 'production' && docs.length) {
+      console.log('[analytics] queued', queued, 'of', parsed.events.length, 'event(s)', docs.map((d) => d.type).join(','));
     }
 
     return res.status(204).end();
@@ -107,19 +121,54 @@ router.get('/health', async (req, res) => {
       now: new Date().toISOString(),
       lastHour,
       totalApprox,
+      buffer: bufferStats(), // this process's collector write buffer
     });
   } catch (err) {
     console.error('GET /analytics/health error:', err);
-    res.status(500).json({ ok: false, error: String(err?.message || err) });
+    res.status(500).json({ ok: false, error: String(err?.message || err), buffer: bufferStats() });
   }
 });
 
 // TEMP: GET /analytics/debug/last3  (remove later)
-router.get('/debug/last3', async (req, res) => {
+router.get('/debug/last3', auth, permit(['admin']), async (req, res) => {
   const docs = await AnalyticsEvent.find({}).sort({ createdAt: -1 }).limit(3).lean();
   res.json(docs);
 });
 
+/* ============================
+   PRIVACY (data-subject requests)
+   ============================ */
+
+// The client visitor id (kept in the visitor's browser) is the proof of identity:
+// it is random and only its keyed hash is stored.
+// GET /analytics/privacy/:visitorId   export everything stored for it (JSON download)
+router.get('/privacy/:visitorId', async (req, res) => {
+  try {
+    const data = await privacy.exportVisitorData(String(req.params.visitorId));
+    if (!data) return res.status(400).json({ ok: false, error: 'invalid visitorId' });
+
+    res.set('Cache-Control', 'private, no-store');
+    res.setHeader('Content-Disposition', 'attachment; filename="analytics-export.json"');
+    res.json({ ok: true, ...data });
+  } catch (e) {
+    console.error('GET /analytics/privacy/:visitorId error:', e);
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+// DELETE /analytics/privacy/:visitorId   erase it (raw events; rollups only hold counts)
+router.delete('/privacy/:visitorId', async (req, res) => {
+  try {
+    const deleted = await privacy.deleteVisitorData(String(req.params.visitorId));
+    if (!deleted) return res.status(400).json({ ok: false, error: 'invalid visitorId' });
+    console.log('[analytics] privacy delete', JSON.stringify(deleted));
+    res.json({ ok: true, deleted });
+  } catch (e) {
+    console.error('DELETE /analytics/privacy/:visitorId error:', e);
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
 /* ============================
    DAILY ROLLUP / READ
    ============================ */
@@ -138,6 +187,52 @@ router.get('/rollup/daily', async (req, res) => {
   }
 });
 
+// Roll up every day in a range that is missing, has late-arriving events or lacks hourly rollups.
+// Runs as the "analytics-backfill" job; ?dryRun=1 only lists the days it would roll up.
+// POST /analytics/rollup/backfill?from=YYYY-MM-DD&to=YYYY-MM-DD[&force=1][&dryRun=1]
+router.post('/rollup/backfill', auth, permit(['admin']), async (req, res) => {
+  try {
+    const from = String(req.query.from || req.body?.from || '').trim();
+    const to = String(req.query.to || req.body?.to || '').trim() || utcDateString();
+    const force = ['1', 'true'].includes(String(req.query.force || req.body?.force || ''));
+
+    const range = dateRange(from, to);
+    if (range.error) return res.status(400).json({ ok: false, error: range.error });
+
+    if (['1', 'true'].includes(String(req.query.dryRun || ''))) {
+      const plan = await datesToRollup({ from, to, force });
+      return res.json({ ok: true, from, to, ...plan });
+    }
+
+    const { job } = await enqueue('analytics-backfill', { from, to, force }, {
+      enqueuedBy: `admin:${req.user?.id || req.user?.email || 'unknown'}`,
+    });
+    res.status(202).json({ ok: true, jobId: job._id });
+  } catch (e) {
+    console.error('POST /analytics/rollup/backfill error:', e);
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+/* ============================
+   HOURLY
+   ============================ */
+
+// Hourly rollups for one UTC day (default today)
+// GET /analytics/hourly?date=YYYY-MM-DD
+router.get('/hourly', async (req, res) => {
+  try {
+    const date = String(req.query.date || '').trim() || utcDateString();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return res.status(400).json({ ok: false, error: 'date must be YYYY-MM-DD' });
+
+    const items = await AnalyticsHourly.find({ date }).sort({ hour: 1 }).lean();
+    res.json({ ok: true, date, items });
+  } catch (e) {
+    console.error('GET /analytics/hourly error:', e);
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
 /* ============================
    NEW: CSV must be BEFORE /daily/:date
    ============================ */
@@ -253,4 +348,114 @@ router.get('/trend', async (req, res) => {
   }
 });
 
+/* ============================
+   DASHBOARD (staff only)
+   ============================ */
+
+const staffOnly = [auth, permit(['admin', 'editor'])];
+
+function intParam(v, def, max) {
+  const n = parseInt(v, 10);
+  return Number.isFinite(n) && n > 0 ? Math.min(n, max) : def;
+}
+
+// Resolves ?from=&to= or answers 400
+function rangeOr400(req, res) {
+  const range = dashboard.parseRange({ from: req.query.from, to: req.query.to });
+  if (range.error) {
+    res.status(400).json({ ok: false, error: range.error });
+    return null;
+  }
+  return range;
+}
+
+// Active readers right now (heartbeats in the last N minutes, default 5)
+// GET /analytics/dashboard/realtime?minutes=5&limit=20
+router.get('/dashboard/realtime', staffOnly, async (req, res) => {
+  try {
+    const result = await dashboard.realtime({
+      minutes: intParam(req.query.minutes, 5, 60),
+      limit: intParam(req.query.limit, 20, 100),
+    });
+    res.set('Cache-Control', 'private, no-store');
+    res.json({ ok: true, ...result });
+  } catch (e) {
+    console.error('GET /analytics/dashboard/realtime error:', e);
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+// GET /analytics/dashboard/top-articles?from=&to=&sort=pageviews|readTime&limit=20
+router.get('/dashboard/top-articles', staffOnly, async (req, res) => {
+  try {
+    const range = rangeOr400(req, res);
+    if (!range) return;
+    const items = await dashboard.topArticles(range, {
+      sort: req.query.sort === 'readTime' ? 'readTime' : 'pageviews',
+      limit: intParam(req.query.limit, 20, 100),
+    });
+    res.json({ ok: true, from: range.from, to: range.to, items });
+  } catch (e) {
+    console.error('GET /analytics/dashboard/top-articles error:', e);
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+// Page views by referring host ("(direct)" when there is none)
+// GET /analytics/dashboard/referrers?from=&to=&limit=50
+router.get('/dashboard/referrers', staffOnly, async (req, res) => {
+  try {
+    const range = rangeOr400(req, res);
+    if (!range) return;
+    const items = await dashboard.referrers(range, { limit: intParam(req.query.limit, 50, 200) });
+    res.json({ ok: true, from: range.from, to: range.to, items });
+  } catch (e) {
+    console.error('GET /analytics/dashboard/referrers error:', e);
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+// Page views by utm source / medium / campaign
+// GET /analytics/dashboard/campaigns?from=&to=&limit=50
+router.get('/dashboard/campaigns', staffOnly, async (req, res) => {
+  try {
+    const range = rangeOr400(req, res);
+    if (!range) return;
+    const items = await dashboard.campaigns(range, { limit: intParam(req.query.limit, 50, 200) });
+    res.json({ ok: true, from: range.from, to: range.to, items });
+  } catch (e) {
+    console.error('GET /analytics/dashboard/campaigns error:', e);
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+// Country and device splits of page views
+// GET /analytics/dashboard/splits?from=&to=
+router.get('/dashboard/splits', staffOnly, async (req, res) => {
+  try {
+    const range = rangeOr400(req, res);
+    if (!range) return;
+    const result = await dashboard.splits(range);
+    res.json({ ok: true, from: range.from, to: range.to, ...result });
+  } catch (e) {
+    console.error('GET /analytics/dashboard/splits error:', e);
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+// One article: scroll-depth funnel, average read time, read_complete rate, daily views
+// GET /analytics/dashboard/articles/:slug?from=&to=
+router.get('/dashboard/articles/:slug', staffOnly, async (req, res) => {
+  try {
+    const range = rangeOr400(req, res);
+    if (!range) return;
+    const detail = await dashboard.articleDetail(String(req.params.slug), range);
+    if (!detail) return res.status(404).json({ ok: false, error: 'not_found' });
+    res.json({ ok: true, from: range.from, to: range.to, ...detail });
+  } catch (e) {
+    console.error('GET /analytics/dashboard/articles/:slug error:', e);
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
 module.exports = router;
@@ -1,18 +1,82 @@
 // backend/routes/breaking.js
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const BreakingNews = require('../models/BreakingNews');
+const Article = require('../src/models/Article');
+const { sanitizeGeoMode, sanitizeGeoAreas } = require('../src/utils/geo');
+const {
+  breakingStatus,
+  resolveArticleLinks,
+  listVisible,
+} = require('../src/services/breakingNews.service');
+
+// Dates: ISO string / epoch ms, or null/'' to clear. Returns undefined when invalid.
+function parseDate(v) {
+  if (v === null || v === '') return null;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? undefined : d;
+}
+
+/**
+ * Validate and normalise the scheduling / targeting / link fields.
+ * Returns { updates } or { error }.
+ */
+async function cleanTargeting(body = {}, current = {}) {
+  const updates = {};
+
+  for (const k of ['startsAt', 'expiresAt']) {
+    if (!(k in body)) continue;
+    const d = parseDate(body[k]);
+    if (d === undefined) return { error: `${k} is not a valid date` };
+    updates[k] = d;
+  }
+  const startsAt = 'startsAt' in updates ? updates.startsAt : current.startsAt;
+  const expiresAt = 'expiresAt' in updates ? updates.expiresAt : current.expiresAt;
+  if (startsAt && expiresAt && new Date(expiresAt) <= new Date(startsAt)) {
+    return { error: 'expiresAt must be after startsAt' };
+  }
+  // a new (future or cleared) end date revives an item the sweep switched off,
+  // unless the request sets `active` itself
+  if ('expiresAt' in updates) {
+    updates.expiredAt = null;
+    const reopened = !updates.expiresAt || updates.expiresAt > new Date();
+    if (current.expiredAt && reopened && !('active' in body)) updates.active = true;
+  }
+
+  if ('geoMode' in body) updates.geoMode = sanitizeGeoMode(body.geoMode);
+  if ('geoAreas' in body) updates.geoAreas = sanitizeGeoAreas(body.geoAreas);
+
+  if ('articleId' in body) {
+    const id = body.articleId;
+    if (id === null || id === '') {
+      updates.articleId = null;
+    } else {
+      if (!mongoose.Types.ObjectId.isValid(String(id))) return { error: 'articleId is not a valid id' };
+      if (!(await Article.exists({ _id: id }))) return { error: 'articleId does not match an article' };
+      updates.articleId = id;
+    }
+  }
+
+  return { updates };
+}
 
 // GET /api/breaking
-// Public list by default (active only). Pass ?all=1 to get all (for admin UIs).
+// Public list by default: active, inside its startsAt/expiresAt window and targeted at the
+// visitor's country (req.geo). Pass ?all=1 to get all (for admin UIs), each with a status.
 router.get('/', async (req, res) => {
   try {
     const includeAll = req.query.all === '1' || req.query.all === 'true';
-    const filter = includeAll ? {} : { active: true };
-    const items = await BreakingNews.find(filter)
+    if (!includeAll) {
+      return res.json(await listVisible({ geo: req.geo || {} }));
+    }
+
+    const now = new Date();
+    const items = await BreakingNews.find({})
       .sort({ active: -1, priority: 1, createdAt: -1 })
       .lean();
-    res.json(items);
+    const linked = await resolveArticleLinks(items);
+    res.json(linked.map((i) => ({ ...i, status: breakingStatus(i, now) })));
   } catch (err) {
     console.error('[breaking] list error', err);
     res.status(500).json({ message: 'Failed to load breaking news' });
@@ -21,17 +85,22 @@ router.get('/', async (req, res) => {
 
 // POST /api/breaking
 // Create a new breaking item
+// Body: { headline, url?, articleId?, active?, priority?, startsAt?, expiresAt?, geoMode?, geoAreas? }
 router.post('/', async (req, res) => {
   try {
     const { headline, url = '', active = true, priority = 0 } = req.body || {};
     if (!headline || !headline.trim()) {
       return res.status(400).json({ message: 'headline is required' });
     }
+    const { updates, error } = await cleanTargeting(req.body || {});
+    if (error) return res.status(400).json({ message: error });
+
     const doc = await BreakingNews.create({
       headline: headline.trim(),
       url: url.trim(),
       active: Boolean(active),
       priority: Number(priority) || 0,
+      ...updates,
     });
     res.status(201).json(doc);
   } catch (err) {
@@ -41,10 +110,13 @@ router.post('/', async (req, res) => {
 });
 
 // PATCH /api/breaking/:id
-// Update an existing breaking item
+// Update an existing breaking item (any of the POST fields; null clears a date or the article link)
 router.patch('/:id', async (req, res) => {
   try {
     const { id } = req.params;
+    const current = await BreakingNews.findById(id).lean();
+    if (!current) return res.status(404).json({ message: 'Not found' });
+
     const updates = {};
     ['headline', 'url', 'active', 'priority'].forEach((k) => {
       if (k in req.body) updates[k] = req.body[k];
@@ -53,6 +125,10 @@ router.patch('/:id', async (req, res) => {
     if (typeof updates.url === 'string') updates.url = updates.url.trim();
     if ('priority' in updates) updates.priority = Number(updates.priority) || 0;
 
+    const targeting = await cleanTargeting(req.body || {}, current);
+    if (targeting.error) return res.status(400).json({ message: targeting.error });
+    Object.assign(updates, targeting.updates);
+
     const doc = await BreakingNews.findByIdAndUpdate(id, updates, { new: true });
     if (!doc) return res.status(404).json({ message: 'Not found' });
     res.json(doc);
@@ -3,49 +3,212 @@ const express = require('express');
 const router = express.Router();
 const rateLimit = require('express-rate-limit');
 const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { createCommentSpamScorer } = require('../src/services/commentSpam.service');
+const { trashItem } = require('../src/services/trash.service');
 
-module.exports = ({ Article, Comment }, { requireAuthOptional, requireAuthAdmin }) => {
+module.exports = ({ Article, Comment, CommentReaction, CommentSpamToken, AdminSetting }, { requireAuthOptional, requireAuthAdmin }) => {
   const createLimiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 60 }); // 60/15min per IP
+  const reactLimiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 200 });
+  const reportLimiter = rateLimit({ windowMs: 60 * 60 * 1000, max: 30 });
 
-  // Helper: naive spam check (expand later)
-  function looksSpammy(text='') {
-    const bad = [/https?:\/\//i, /\bviagra\b/i, /\bcasino\b/i];
-    return bad.some(r => r.test(text));
+  // Hide a comment from the public once this many distinct readers report it
+  const REPORT_HIDE_THRESHOLD = parseInt(process.env.COMMENT_REPORT_HIDE_THRESHOLD || '3', 10);
+  const MAX_DEPTH = parseInt(process.env.COMMENT_MAX_DEPTH || '6', 10);
+  const STAFF_ROLES = ['author', 'editor', 'admin'];
+  const REACTION_TYPES = Comment.REACTION_TYPES;
+
+  const isId = (v) => mongoose.Types.ObjectId.isValid(String(v || ''));
+
+  // Spam scoring pipeline (links, repeats, IP velocity, banned words, optional Bayes)
+  const spamScorer = createCommentSpamScorer({ Comment, CommentSpamToken, AdminSetting });
+
+  // Stable per-reader hash for dedupe (no raw ip stored on reactions/reports)
+  function readerHash(req) {
+    const salt = process.env.COMMENT_VOTER_SALT || process.env.JWT_SECRET || '';
+    if (req.user?.id) return crypto.createHash('sha256').update(`user:${req.user.id}|${salt}`).digest('hex');
+    return crypto.createHash('sha256').update(`${req.ip}|${req.get('user-agent') || ''}|${salt}`).digest('hex');
   }
 
+  // Public shape: no email hash, ip/ua, or reporter details
+  function publicComment(c) {
+    return {
+      _id: c._id,
+      parentId: c.parentId || null,
+      authorName: c.authorName,
+      content: c.content,
+      flags: { isAuthor: !!c.flags?.isAuthor },
+      reactions: c.reactions || {},
+      createdAt: c.createdAt,
+      replies: [],
+    };
+  }
+
+  const publicFilter = { status: 'approved', hiddenAt: null };
+
   // List approved comments for an article by slug
+  // Threaded + paginated by top-level comment: ?page=1&limit=20&sort=oldest|newest|top
+  // ?flat=1 keeps the old flat array response.
   router.get('/api/public/articles/:slug/comments', async (req, res) => {
     const art = await Article.findOne({ slug: req.params.slug }).select('_id').lean();
     if (!art) return res.status(404).json({ error: 'Article not found' });
-    const items = await Comment.find({ articleId: art._id, status: 'approved' })
-      .sort({ createdAt: 1 })
-      .lean();
-    res.json(items);
+
+    if (String(req.query.flat || '') === '1') {
+      const items = await Comment.find({ articleId: art._id, ...publicFilter })
+        .sort({ createdAt: 1 })
+        .lean();
+      return res.json(items.map(publicComment));
+    }
+
+    const page = Math.max(parseInt(req.query.page || '1', 10), 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '20', 10), 1), 100);
+    const sort = { newest: { createdAt: -1 }, top: { 'reactions.up': -1, createdAt: 1 } }[req.query.sort] || { createdAt: 1 };
+
+    const rootQuery = { articleId: art._id, parentId: null, ...publicFilter };
+    const [total, roots] = await Promise.all([
+      Comment.countDocuments(rootQuery),
+      Comment.find(rootQuery).sort(sort).skip((page - 1) * limit).limit(limit).lean(),
+    ]);
+
+    // Load replies level by level (one query per depth)
+    const byId = new Map();
+    const items = roots.map(c => {
+      const node = publicComment(c);
+      byId.set(String(c._id), node);
+      return node;
+    });
+
+    let frontier = roots.map(c => c._id);
+    for (let depth = 1; frontier.length && depth <= MAX_DEPTH; depth++) {
+      // eslint-disable-next-line no-await-in-loop
+      const replies = await Comment.find({ articleId: art._id, parentId: { $in: frontier }, ...publicFilter })
+        .sort({ createdAt: 1 })
+        .lean();
+      frontier = [];
+      for (const r of replies) {
+        const parent = byId.get(String(r.parentId));
+        if (!parent) continue;
+        const node = publicComment(r);
+        parent.replies.push(node);
+        byId.set(String(r._id), node);
+        frontier.push(r._id);
+      }
+    }
+
+    res.json({
+      items,
+      page,
+      pageSize: limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      hasMore: page * limit < total,
+    });
   });
 
-  // Create comment (public)
+  // Create comment (public). Logged-in staff replies get the author badge and skip moderation.
   router.post('/api/public/articles/:slug/comments', createLimiter, requireAuthOptional, async (req, res) => {
     const { authorName, authorEmail, content, parentId } = req.body || {};
-    if (!authorName || !content) return res.status(400).json({ error: 'Missing fields' });
+    const isStaff = STAFF_ROLES.includes(req.user?.role);
+    const name = authorName || (isStaff ? req.user.name : '');
+    if (!name || !content) return res.status(400).json({ error: 'Missing fields' });
 
     const art = await Article.findOne({ slug: req.params.slug }).select('_id').lean();
     if (!art) return res.status(404).json({ error: 'Article not found' });
 
-    // spam heuristics
-    const status = looksSpammy(content) ? 'spam' : 'pending';
+    if (parentId) {
+      if (!isId(parentId)) return res.status(400).json({ error: 'Bad parentId' });
+      const parent = await Comment.exists({ _id: parentId, articleId: art._id, ...publicFilter });
+      if (!parent) return res.status(400).json({ error: 'Parent comment not found' });
+    }
+
     const authorEmailHash = authorEmail ? crypto.createHash('sha256').update(authorEmail.trim().toLowerCase()).digest('hex') : '';
 
+    // spam scoring (staff replies skip moderation)
+    const verdict = await spamScorer.score({ content, authorName: name, authorEmailHash, ip: req.ip });
+    const status = isStaff ? 'approved' : verdict.status;
+
     const doc = await Comment.create({
       articleId: art._id,
       parentId: parentId || null,
-      authorName, authorEmailHash, content,
+      authorName: name, authorEmailHash, content,
       status,
+      fingerprint: verdict.fingerprint,
+      spam: { score: verdict.score, reasons: verdict.reasons, scoredAt: new Date() },
+      flags: { isAuthor: isStaff },
+      staffUserId: isStaff && isId(req.user.id) ? req.user.id : null,
       meta: { ip: req.ip, ua: req.get('user-agent') }
     });
 
     res.json({ ok: true, id: doc._id, status });
   });
 
+  // React to a comment (public). Same type again toggles it off.
+  // Body: { type: 'up'|'like'|'laugh'|'wow'|'sad'|'angry' }
+  router.post('/api/public/comments/:id/react', reactLimiter, requireAuthOptional, async (req, res) => {
+    const type = String(req.body?.type || 'up');
+    if (!REACTION_TYPES.includes(type)) return res.status(400).json({ error: 'Bad reaction type' });
+    if (!isId(req.params.id)) return res.status(400).json({ error: 'Bad id' });
+
+    const exists = await Comment.exists({ _id: req.params.id, ...publicFilter });
+    if (!exists) return res.status(404).json({ error: 'Comment not found' });
+
+    const key = { commentId: req.params.id, voterHash: readerHash(req), type };
+    const removed = await CommentReaction.deleteOne(key);
+    let active = false;
+    let delta = 0;
+    if (removed.deletedCount) {
+      delta = -1;
+    } else {
+      active = true;
+      try {
+        await CommentReaction.create(key);
+        delta = 1;
+      } catch (e) {
+        if (e?.code !== 11000) throw e; // double click: already counted
+      }
+    }
+
+    const doc = await Comment.findByIdAndUpdate(
+      req.params.id,
+      { $inc: { [`reactions.${type}`]: delta } },
+      { new: true }
+    ).select('reactions').lean();
+
+    res.json({ ok: true, type, active, reactions: doc?.reactions || {} });
+  });
+
+  // Report a comment (public). One report per reader; auto-hides once the reports since
+  // the last moderator review reach the threshold, and puts it back in the review queue.
+  router.post('/api/public/comments/:id/report', reportLimiter, requireAuthOptional, async (req, res) => {
+    if (!isId(req.params.id)) return res.status(400).json({ error: 'Bad id' });
+    const reason = String(req.body?.reason || '').slice(0, 300);
+    const reporterHash = readerHash(req);
+
+    const doc = await Comment.findOneAndUpdate(
+      { _id: req.params.id, status: 'approved', 'reports.reporterHash': { $ne: reporterHash } },
+      {
+        $push: { reports: { reporterHash, reason, createdAt: new Date() } },
+        $inc: { reportCount: 1 },
+        $set: { reportsReviewedAt: null },
+      },
+      { new: true }
+    ).select('reportCount reviewedReportCount hiddenAt').lean();
+
+    if (!doc) {
+      const exists = await Comment.exists({ _id: req.params.id });
+      if (!exists) return res.status(404).json({ error: 'Comment not found' });
+      return res.json({ ok: true, alreadyReported: true });
+    }
+
+    let hidden = !!doc.hiddenAt;
+    if (!hidden && doc.reportCount - (doc.reviewedReportCount || 0) >= REPORT_HIDE_THRESHOLD) {
+      await Comment.updateOne({ _id: doc._id, hiddenAt: null }, { $set: { hiddenAt: new Date() } });
+      hidden = true;
+    }
+
+    res.json({ ok: true, hidden });
+  });
+
   // Admin: list (filter by status)
   router.get('/api/admin/comments', requireAuthAdmin, async (req, res) => {
     const status = (req.query.status || 'pending');
@@ -56,17 +219,90 @@ module.exports = ({ Article, Comment }, { requireAuthOptional, requireAuthAdmin
     res.json(items);
   });
 
-  // Admin: approve/reject/delete
+  // Admin: reported comments, most-reported first (?include=reviewed to see cleared ones)
+  router.get('/api/admin/comments/reported', requireAuthAdmin, async (req, res) => {
+    const q = { reportCount: { $gt: 0 } };
+    if (req.query.include !== 'reviewed') q.reportsReviewedAt = null;
+    const items = await Comment.find(q)
+      .sort({ reportCount: -1, updatedAt: -1 })
+      .limit(200)
+      .lean();
+    res.json(items);
+  });
+
+  // Admin: approve/reject/delete; hide/unhide; clear reports.
+  // hide/unhide mark the current reports as reviewed, so only new ones count toward re-hiding.
   router.patch('/api/admin/comments/:id', requireAuthAdmin, async (req, res) => {
     const { action } = req.body || {};
-    if (!['approve','pending','spam'].includes(action)) return res.status(400).json({ error: 'Bad action' });
-    await Comment.findByIdAndUpdate(req.params.id, { $set: { status: action } });
+    const now = new Date();
+    const updates = {
+      approve: { $set: { status: 'approved' } },
+      pending: { $set: { status: 'pending' } },
+      spam: { $set: { status: 'spam' } },
+      hide: [{ $set: { hiddenAt: now, reportsReviewedAt: now, reviewedReportCount: '$reportCount' } }],
+      unhide: [{ $set: { hiddenAt: null, reportsReviewedAt: now, reviewedReportCount: '$reportCount' } }],
+      'clear-reports': { $set: { hiddenAt: null, reports: [], reportCount: 0, reviewedReportCount: 0, reportsReviewedAt: now } },
+    };
+    if (!updates[action]) return res.status(400).json({ error: 'Bad action' });
+    const before = await Comment.findByIdAndUpdate(req.params.id, updates[action]).lean();
+    if (!before) return res.status(404).json({ error: 'Not found' });
+
+    // moderator decisions train the classifier
+    if (action === 'approve' || action === 'spam') {
+      spamScorer.train(before, action === 'spam' ? 'spam' : 'ham')
+        .catch(e => console.warn('[comments] classifier training failed:', e?.message || e));
+    }
     res.json({ ok: true });
   });
 
+  // Admin: re-run the spam pipeline on a comment (e.g. after editing banned words)
+  router.post('/api/admin/comments/:id/rescore', requireAuthAdmin, async (req, res) => {
+    if (!isId(req.params.id)) return res.status(400).json({ error: 'Bad id' });
+    const c = await Comment.findById(req.params.id).lean();
+    if (!c) return res.status(404).json({ error: 'Not found' });
+
+    const verdict = await spamScorer.score({
+      content: c.content,
+      authorName: c.authorName,
+      authorEmailHash: c.authorEmailHash,
+      ip: c.meta?.ip,
+      excludeId: c._id,
+    });
+    await Comment.updateOne({ _id: c._id }, {
+      $set: {
+        fingerprint: verdict.fingerprint,
+        'spam.score': verdict.score,
+        'spam.reasons': verdict.reasons,
+        'spam.scoredAt': new Date(),
+      },
+    });
+    res.json({ ok: true, score: verdict.score, reasons: verdict.reasons, suggestedStatus: verdict.status });
+  });
+
+  // Admin: banned-words list used by the spam pipeline
+  router.get('/api/admin/comments/banned-words', requireAuthAdmin, async (_req, res) => {
+    res.json({ ok: true, words: await spamScorer.getBannedWords() });
+  });
+
+  router.put('/api/admin/comments/banned-words', requireAuthAdmin, async (req, res) => {
+    const words = await spamScorer.setBannedWords(req.body?.words || []);
+    res.json({ ok: true, words });
+  });
+
+  // Admin: spam pipeline settings + classifier training stats
+  router.get('/api/admin/comments/spam-stats', requireAuthAdmin, async (_req, res) => {
+    res.json({
+      ok: true,
+      thresholds: spamScorer.thresholds,
+      classifier: await spamScorer.classifierStats(),
+    });
+  });
+
+  // Moves to trash; reactions are removed when the comment is purged (src/services/trash.service.js)
   router.delete('/api/admin/comments/:id', requireAuthAdmin, async (req, res) => {
-    await Comment.findByIdAndDelete(req.params.id);
-    res.json({ ok: true });
+    const doc = await trashItem('comment', req.params.id, req.user);
+    if (!doc) return res.status(404).json({ error: 'Not found' });
+    res.json({ ok: true, trashed: true, deletedAt: doc.deletedAt });
   });
 
   return router;
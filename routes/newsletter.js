@@ -1,8 +1,33 @@
 const express = require('express');
 const crypto = require('crypto');
+const rateLimit = require('express-rate-limit');
+const mongoose = require('mongoose');
 const router = express.Router();
+const {
+  encryptEmail,
+  verifyUnsubscribeToken,
+  verifyPreferencesToken,
+  enqueueConfirm,
+  enqueueDigest,
+  enqueueBreakingAlert,
+  composeDigest,
+  utcDateKey,
+  isDigestKey,
+} = require('../src/services/newsletter.service');
+const {
+  normalizePreferences,
+  normalizeRules,
+  segmentQuery,
+  findSegment,
+  subscriberListFilter,
+  slugify,
+} = require('../src/services/newsletterSegment.service');
+const { getNewsletterSnapshot } = require('../src/cron/newsletterCron');
+
+module.exports = ({ Subscriber, NewsletterDelivery, NewsletterSegment, Article }, { requireAuthAdmin }) => {
+  const subscribeLimiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 20 }); // 20/15min per IP
+  const preferencesLimiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 60 });
 
-module.exports = ({ Subscriber }, { requireAuthAdmin }) => {
   function emailHash(email) {
     return crypto.createHash('sha256').update(email.trim().toLowerCase()).digest('hex');
   }
@@ -10,23 +35,65 @@ module.exports = ({ Subscriber }, { requireAuthAdmin }) => {
     const [u, d] = email.split('@');
     return `${u[0]}***@${d[0]}***.${d.split('.').pop()}`;
   }
+  const isId = (v) => mongoose.Types.ObjectId.isValid(String(v || ''));
+  const SITE_URL = (process.env.FRONTEND_BASE_URL || 'https://timelyvoice.com').replace(/\/+$/, '');
+
+  // What readers (and the preferences page) may see about a subscription
+  function publicSubscription(sub) {
+    return {
+      emailMasked: sub.emailMasked,
+      status: sub.status,
+      preferences: {
+        categories: sub.preferences?.categories || [],
+        frequency: sub.preferences?.frequency || 'daily',
+        language: sub.preferences?.language || 'en',
+      },
+    };
+  }
+
+  function csvCell(v) {
+    const str = Array.isArray(v) ? v.join('|') : v instanceof Date ? v.toISOString() : String(v ?? '');
+    const escaped = str.replace(/"/g, '""');
+    return /[",\n]/.test(escaped) ? `"${escaped}"` : escaped;
+  }
 
   // POST /newsletter/subscribe
-  router.post('/newsletter/subscribe', async (req, res) => {
-    const { email } = req.body || {};
+  router.post('/newsletter/subscribe', subscribeLimiter, async (req, res) => {
+    const { email, source } = req.body || {};
     if (!email || !/\S+@\S+\.\S+/.test(email)) return res.status(400).json({ error: 'Bad email' });
+    const { preferences, error } = normalizePreferences(req.body || {});
+    if (error) return res.status(400).json({ error });
     const hash = emailHash(email);
-    const token = crypto.randomBytes(24).toString('hex');
+
+    // already confirmed: nothing to do (same response, so this can't be used to probe addresses)
+    const existing = await Subscriber.findOne({ emailHash: hash }).select('status token').lean();
+    if (existing?.status === 'confirmed') return res.json({ ok: true });
+
+    // keep a pending token: a repeat subscribe may not send a new mail (enqueueConfirm
+    // throttles resends), and the link already in the reader's inbox must keep working
+    const token = (existing?.status === 'pending' && existing.token) || crypto.randomBytes(24).toString('hex');
+    const country = req.geo?.country && req.geo.country !== 'ZZ' ? req.geo.country : null;
+    const $set = {
+      emailMasked: mask(email),
+      emailEnc: encryptEmail(email),
+      status: 'pending',
+      token,
+      country,
+      source: slugify(source).slice(0, 40) || 'site',
+    };
+    for (const [k, v] of Object.entries(preferences)) $set[`preferences.${k}`] = v;
 
     const doc = await Subscriber.findOneAndUpdate(
       { emailHash: hash },
-      { $set: { emailMasked: mask(email), status: 'pending', token } },
-      { upsert: true, new: true }
+      { $set, $unset: { unsubscribedAt: 1 } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
     );
 
-    // TODO: send email via SendGrid/Mailchimp webhook: link to /newsletter/confirm?token=...
-    // For now we just return token so you can test flow in dev.
-    res.json({ ok: true, token });
+    // double opt-in mail goes through the delivery queue; the newsletter worker sends it
+    // on its next tick, at NEWSLETTER_SEND_RATE_PER_MINUTE
+    await enqueueConfirm(doc._id);
+
+    res.json({ ok: true });
   });
 
   // GET /newsletter/confirm?token=...
@@ -34,15 +101,205 @@ module.exports = ({ Subscriber }, { requireAuthAdmin }) => {
     const token = req.query.token || '';
     const sub = await Subscriber.findOne({ token });
     if (!sub) return res.status(400).send('Invalid token.');
-    await Subscriber.updateOne({ _id: sub._id }, { $set: { status: 'confirmed' }, $unset: { token: 1 } });
+    await Subscriber.updateOne({ _id: sub._id }, { $set: { status: 'confirmed', confirmedAt: new Date() }, $unset: { token: 1 } });
     res.send('Subscription confirmed! You can close this tab.');
   });
 
+  // One-click unsubscribe: GET from the mail link, POST from List-Unsubscribe-Post (RFC 8058)
+  async function unsubscribe(req, res) {
+    const id = verifyUnsubscribeToken(req.query.token || req.body?.token);
+    if (!id) return res.status(400).send('Invalid unsubscribe link.');
+    await Subscriber.updateOne(
+      { _id: id, status: { $ne: 'unsubscribed' } },
+      { $set: { status: 'unsubscribed', unsubscribedAt: new Date() }, $unset: { token: 1 } }
+    );
+    res.send('You have been unsubscribed. Sorry to see you go!');
+  }
+  router.get('/newsletter/unsubscribe', unsubscribe);
+  router.post('/newsletter/unsubscribe', express.urlencoded({ extended: false }), unsubscribe);
+
+  // Reader preferences via the signed link in every mail: GET ?token=, PUT { token, categories, frequency, language }
+  router.get('/newsletter/preferences', preferencesLimiter, async (req, res) => {
+    const id = verifyPreferencesToken(req.query.token);
+    if (!id) return res.status(400).json({ error: 'Invalid preferences link' });
+    const sub = await Subscriber.findById(id).lean();
+    if (!sub) return res.status(404).json({ error: 'Not found' });
+    res.json({ ok: true, subscription: publicSubscription(sub) });
+  });
+
+  router.put('/newsletter/preferences', preferencesLimiter, async (req, res) => {
+    const id = verifyPreferencesToken(req.body?.token || req.query.token);
+    if (!id) return res.status(400).json({ error: 'Invalid preferences link' });
+    const { preferences, error } = normalizePreferences(req.body || {});
+    if (error) return res.status(400).json({ error });
+
+    const $set = {};
+    for (const [k, v] of Object.entries(preferences)) $set[`preferences.${k}`] = v;
+    // saving preferences from an unsubscribed address re-activates it (the link proves ownership)
+    if (req.body?.resubscribe) Object.assign($set, { status: 'confirmed', unsubscribedAt: null });
+
+    const sub = await Subscriber.findByIdAndUpdate(id, { $set }, { new: true }).lean();
+    if (!sub) return res.status(404).json({ error: 'Not found' });
+    res.json({ ok: true, subscription: publicSubscription(sub) });
+  });
+
   // Admin: list subscribers
+  // Filters: ?status=&frequency=&category=&language=&country=&source=&segment=<id|slug>&q=
+  // ?format=csv downloads the whole filtered list; JSON is capped by ?limit= (default 500) with X-Total-Count
   router.get('/api/admin/subscribers', requireAuthAdmin, async (req, res) => {
-    const items = await Subscriber.find().sort({ createdAt: -1 }).limit(500).lean();
+    const { filter, error } = await subscriberListFilter(req.query);
+    if (error) return res.status(400).json({ error });
+
+    if (req.query.format === 'csv') {
+      const header = ['id', 'emailMasked', 'status', 'frequency', 'categories', 'language', 'country', 'source', 'createdAt', 'confirmedAt', 'unsubscribedAt', 'lastDigestAt'];
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="subscribers-${utcDateKey()}.csv"`);
+      res.write(header.join(',') + '\n');
+
+      const cursor = Subscriber.find(filter).sort({ createdAt: -1 }).lean().cursor();
+      for await (const s of cursor) {
+        res.write([
+          s._id, s.emailMasked, s.status,
+          s.preferences?.frequency || 'daily', s.preferences?.categories || [], s.preferences?.language || 'en',
+          s.country, s.source, s.createdAt, s.confirmedAt, s.unsubscribedAt, s.lastDigestAt,
+        ].map(csvCell).join(',') + '\n');
+      }
+      return res.end();
+    }
+
+    const limit = Math.min(5000, Math.max(1, parseInt(req.query.limit, 10) || 500));
+    const skip = Math.max(0, parseInt(req.query.skip, 10) || 0);
+    const [items, total] = await Promise.all([
+      Subscriber.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      Subscriber.countDocuments(filter),
+    ]);
+    res.setHeader('X-Total-Count', String(total));
     res.json(items);
   });
 
+  /* ---------- Admin: segments ---------- */
+
+  router.get('/api/admin/newsletter/segments', requireAuthAdmin, async (_req, res) => {
+    const segments = await NewsletterSegment.find().sort({ name: 1 }).lean();
+    // live audience size (confirmed only) for each segment
+    const counts = await Promise.all(
+      segments.map((seg) => Subscriber.countDocuments({ status: 'confirmed', ...segmentQuery(seg.rules) }))
+    );
+    res.json({ ok: true, items: segments.map((seg, i) => ({ ...seg, confirmedCount: counts[i] })) });
+  });
+
+  router.post('/api/admin/newsletter/segments', requireAuthAdmin, async (req, res) => {
+    const { name, slug, description = '', rules = {}, active = true } = req.body || {};
+    if (!name || !String(name).trim()) return res.status(400).json({ error: 'name is required' });
+    const finalSlug = slugify(slug || name);
+    if (!finalSlug) return res.status(400).json({ error: 'Bad slug' });
+    if (await NewsletterSegment.exists({ slug: finalSlug })) return res.status(409).json({ error: 'Slug already exists' });
+
+    const doc = await NewsletterSegment.create({
+      name: String(name).trim(),
+      slug: finalSlug,
+      description: String(description || ''),
+      rules: normalizeRules(rules),
+      active: !!active,
+    });
+    res.status(201).json({ ok: true, segment: doc });
+  });
+
+  router.patch('/api/admin/newsletter/segments/:id', requireAuthAdmin, async (req, res) => {
+    if (!isId(req.params.id)) return res.status(400).json({ error: 'Bad id' });
+    const updates = {};
+    if ('name' in (req.body || {})) updates.name = String(req.body.name || '').trim();
+    if ('description' in (req.body || {})) updates.description = String(req.body.description || '');
+    if ('active' in (req.body || {})) updates.active = !!req.body.active;
+    if ('rules' in (req.body || {})) updates.rules = normalizeRules(req.body.rules || {});
+    if ('name' in updates && !updates.name) return res.status(400).json({ error: 'name is required' });
+
+    const doc = await NewsletterSegment.findByIdAndUpdate(req.params.id, { $set: updates }, { new: true }).lean();
+    if (!doc) return res.status(404).json({ error: 'Not found' });
+    res.json({ ok: true, segment: doc });
+  });
+
+  router.delete('/api/admin/newsletter/segments/:id', requireAuthAdmin, async (req, res) => {
+    if (!isId(req.params.id)) return res.status(400).json({ error: 'Bad id' });
+    const doc = await NewsletterSegment.findByIdAndDelete(req.params.id).lean();
+    if (!doc) return res.status(404).json({ error: 'Not found' });
+    res.json({ ok: true });
+  });
+
+  // Admin: preview a digest without storing it (?date=YYYY-MM-DD or YYYY-Www for weekly, ?format=html|text)
+  router.get('/api/admin/newsletter/digest/preview', requireAuthAdmin, async (req, res) => {
+    const key = isDigestKey(req.query.date) ? req.query.date : utcDateKey();
+    const d = await composeDigest(key);
+    if (req.query.format === 'html') return res.type('html').send(d.html);
+    if (req.query.format === 'text') return res.type('text').send(d.text);
+    res.json({ ok: true, key, period: d.period, window: { from: d.from, to: d.to }, subject: d.subject, sections: d.sections, html: d.html, text: d.text });
+  });
+
+  // Admin: build + queue a digest now ({ date?, segment?, force? })
+  // segment limits the send to that audience; force re-queues subscribers who haven't had it yet
+  router.post('/api/admin/newsletter/digest/send', requireAuthAdmin, async (req, res) => {
+    const key = isDigestKey(req.body?.date) ? req.body.date : utcDateKey();
+    const segment = req.body?.segment ? await findSegment(req.body.segment) : null;
+    if (req.body?.segment && !segment) return res.status(400).json({ error: 'Unknown segment' });
+
+    const result = await enqueueDigest(key, { force: !!req.body?.force, segment });
+    res.json(result);
+  });
+
+  // Admin: breaking alert to "breaking" subscribers ({ articleId } or { title, summary?, url?, categorySlug? }, segment?)
+  router.post('/api/admin/newsletter/breaking', requireAuthAdmin, async (req, res) => {
+    const body = req.body || {};
+    const segment = body.segment ? await findSegment(body.segment) : null;
+    if (body.segment && !segment) return res.status(400).json({ error: 'Unknown segment' });
+
+    let alert = { title: body.title, summary: body.summary, url: body.url, categorySlug: body.categorySlug };
+    if (body.articleId) {
+      if (!isId(body.articleId)) return res.status(400).json({ error: 'Bad articleId' });
+      const a = await Article.findById(body.articleId).select('title summary slug category categorySlug status').lean();
+      if (!a) return res.status(404).json({ error: 'Article not found' });
+      if (a.status !== 'published') return res.status(400).json({ error: 'Article is not published' });
+      alert = {
+        title: body.title || a.title,
+        summary: body.summary ?? a.summary,
+        url: `${SITE_URL}/article/${encodeURIComponent(a.slug)}`,
+        categorySlug: a.categorySlug || slugify(a.category),
+      };
+    }
+    if (!alert.title || !String(alert.title).trim()) return res.status(400).json({ error: 'title is required' });
+
+    const result = await enqueueBreakingAlert({ ...alert, segment });
+    res.json(result);
+  });
+
+  // Admin: delivery log (?status=&kind=&subscriberId=&digestKey=&page=&limit=)
+  router.get('/api/admin/newsletter/deliveries', requireAuthAdmin, async (req, res) => {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+    const q = {};
+    if (req.query.status) q.status = String(req.query.status);
+    if (req.query.kind) q.kind = String(req.query.kind);
+    if (req.query.digestKey) q.digestKey = String(req.query.digestKey);
+    if (req.query.subscriberId) {
+      if (!mongoose.Types.ObjectId.isValid(String(req.query.subscriberId))) return res.status(400).json({ error: 'Bad subscriberId' });
+      q.subscriberId = req.query.subscriberId;
+    }
+
+    const [items, total] = await Promise.all([
+      NewsletterDelivery.find(q).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      NewsletterDelivery.countDocuments(q),
+    ]);
+    res.json({ ok: true, items, total, page, limit });
+  });
+
+  // Admin: worker state + queue counts
+  router.get('/api/admin/newsletter/status', requireAuthAdmin, async (_req, res) => {
+    const rows = await NewsletterDelivery.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]);
+    res.json({
+      ok: true,
+      worker: getNewsletterSnapshot(),
+      queue: Object.fromEntries(rows.map((r) => [r._id, r.count])),
+    });
+  });
+
   return router;
 };
@@ -1,7 +1,22 @@
 // backend/routes/ticker.js
+const crypto = require('crypto');
 const express = require('express');
 const router = express.Router();
 const TickerItem = require('../models/TickerItem');
+const { getProvider, listProviders } = require('../src/services/tickerProviders');
+const { withStaleness } = require('../src/services/ticker.service');
+const { enqueue } = require('../src/services/jobQueue.service');
+const { auth, permit } = require('../src/middleware/auth');
+
+// provider + symbol for a live item; '' provider = manual value. Returns an error message or null.
+function checkProvider(type, provider, symbol) {
+  if (!provider) return null;
+  const p = getProvider(provider);
+  if (!p) return `unknown provider "${provider}"`;
+  if (!p.types.includes(type)) return `provider "${provider}" does not serve ${type} items`;
+  if (!symbol) return 'symbol is required for a provider-backed item';
+  return null;
+}
 
 // GET /api/ticker
 // Public list (active only). Use ?all=1 to fetch all for admin.
@@ -12,15 +27,42 @@ router.get('/', async (req, res) => {
     const items = await TickerItem.find(filter)
       .sort({ active: -1, order: 1, createdAt: -1 })
       .lean();
-    res.json(items);
+    const now = new Date();
+    res.json(items.map((i) => withStaleness(i, now)));
   } catch (err) {
     console.error('[ticker] list error', err);
     res.status(500).json({ message: 'Failed to load ticker items' });
   }
 });
 
+// GET /api/ticker/providers
+// Data providers a stock/weather item can reference
+router.get('/providers', (_req, res) => {
+  res.json(listProviders());
+});
+
+// POST /api/ticker/refresh (editors/admins)
+// Queue a provider refresh now. Body: { ids? } (default: every active provider-backed item)
+router.post('/refresh', auth, permit(['editor', 'admin']), async (req, res) => {
+  try {
+    const ids = Array.isArray(req.body?.ids) ? [...new Set(req.body.ids.map(String))].sort() : null;
+    // one manual refresh per minute for the same set of items
+    // (finished jobs keep their key until JOB_RETENTION_DAYS)
+    const scope = ids ? crypto.createHash('sha1').update(ids.join(',')).digest('hex').slice(0, 16) : 'all';
+    const { job, duplicate } = await enqueue('ticker-refresh', ids ? { ids } : {}, {
+      uniqueKey: `ticker-refresh:manual:${scope}@${new Date().toISOString().slice(0, 16)}`,
+      enqueuedBy: `admin:${req.user?.id || req.user?.email || 'unknown'}`,
+    });
+    res.status(202).json({ ok: true, jobId: job._id, duplicate });
+  } catch (err) {
+    console.error('[ticker] refresh error', err);
+    res.status(500).json({ message: 'Failed to queue ticker refresh' });
+  }
+});
+
 // POST /api/ticker
-// Create a new ticker item
+// Create a new ticker item. Live items pass { provider, symbol } instead of a value;
+// the "ticker-refresh" job fills it in.
 router.post('/', async (req, res) => {
   try {
     const {
@@ -29,20 +71,34 @@ router.post('/', async (req, res) => {
       value,
       order = 0,
       active = true,
+      provider = '',
+      symbol = '',
     } = req.body || {};
 
-    if (!label || !value) {
-      return res.status(400).json({ message: 'label and value are required' });
+    const providerName = String(provider || '').trim();
+    const symbolName = String(symbol || '').trim();
+    if (!label || (!value && !providerName)) {
+      return res.status(400).json({ message: 'label and value (or provider) are required' });
     }
+    const providerError = checkProvider(type, providerName, symbolName);
+    if (providerError) return res.status(400).json({ message: providerError });
 
     const doc = await TickerItem.create({
       type,
       label: String(label).trim(),
-      value: String(value).trim(),
+      value: value ? String(value).trim() : '…',
       order: Number(order) || 0,
       active: Boolean(active),
+      provider: providerName,
+      symbol: symbolName,
     });
 
+    if (providerName) {
+      enqueue('ticker-refresh', { ids: [String(doc._id)] }, { enqueuedBy: 'api' }).catch((e) =>
+        console.warn('[ticker] refresh enqueue failed:', e?.message || e)
+      );
+    }
+
     res.status(201).json(doc);
   } catch (err) {
     console.error('[ticker] create error', err);
@@ -56,15 +112,37 @@ router.patch('/:id', async (req, res) => {
   try {
     const { id } = req.params;
     const updates = {};
-    ['type', 'label', 'value', 'order', 'active'].forEach((k) => {
+    ['type', 'label', 'value', 'order', 'active', 'provider', 'symbol'].forEach((k) => {
       if (k in req.body) updates[k] = req.body[k];
     });
     if (typeof updates.label === 'string') updates.label = updates.label.trim();
     if (typeof updates.value === 'string') updates.value = updates.value.trim();
     if ('order' in updates) updates.order = Number(updates.order) || 0;
 
+    if (['type', 'provider', 'symbol'].some((k) => k in updates)) {
+      const current = await TickerItem.findById(id).lean();
+      if (!current) return res.status(404).json({ message: 'Not found' });
+      const next = { ...current, ...updates };
+      next.provider = String(next.provider || '').trim();
+      next.symbol = String(next.symbol || '').trim();
+      const providerError = checkProvider(next.type, next.provider, next.symbol);
+      if (providerError) return res.status(400).json({ message: providerError });
+
+      updates.provider = next.provider;
+      updates.symbol = next.symbol;
+      // a different source: the old reading no longer applies
+      if (next.provider !== current.provider || next.symbol !== current.symbol) {
+        Object.assign(updates, { numericValue: null, direction: '', refreshedAt: null, refreshError: '', stale: false });
+      }
+    }
+
     const doc = await TickerItem.findByIdAndUpdate(id, updates, { new: true });
     if (!doc) return res.status(404).json({ message: 'Not found' });
+    if (doc.provider && !doc.refreshedAt) {
+      enqueue('ticker-refresh', { ids: [String(doc._id)] }, { enqueuedBy: 'api' }).catch((e) =>
+        console.warn('[ticker] refresh enqueue failed:', e?.message || e)
+      );
+    }
     res.json(doc);
   } catch (err) {
     console.error('[ticker] patch error', err);
@@ -0,0 +1,45 @@
+// backend/scripts/analytics-backfill.js
+//
+// Roll up AnalyticsDaily / AnalyticsHourly for every day in a range that is missing,
+// has late-arriving events or lacks hourly rollups (same as the "analytics-backfill" job).
+//
+//   npm run analytics:backfill -- --from 2026-01-01 [--to 2026-01-31] [--force] [--dry-run]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { backfillRollups, datesToRollup, utcDay } = require('../src/services/analyticsRollup.service');
+
+function arg(name) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i === -1 ? null : process.argv[i + 1] || '';
+}
+const flag = (name) => process.argv.includes(`--${name}`);
+
+(async () => {
+  const from = arg('from');
+  const to = arg('to') || utcDay();
+  const force = flag('force');
+  if (!from) {
+    console.error('usage: node scripts/analytics-backfill.js --from YYYY-MM-DD [--to YYYY-MM-DD] [--force] [--dry-run]');
+    process.exit(2);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGO_URI, { dbName: 'newsdb' });
+
+    if (flag('dry-run')) {
+      const plan = await datesToRollup({ from, to, force });
+      if (plan.error) throw new Error(plan.error);
+      console.table(plan.dates);
+      if (plan.skipped.length) console.log(`${plan.skipped.length} day(s) past retention`);
+    } else {
+      const r = await backfillRollups({ from, to, force, log: (m) => console.log(m) });
+      console.log(`✅ ${r.rolledUp.length} day(s) rolled up, ${r.skipped.length} past retention`);
+    }
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (e) {
+    console.error('❌ analytics backfill failed:', e?.message || e);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,22 @@
+// backend/scripts/analytics-scrub-ips.js
+//
+// Remove (ANALYTICS_IP_MODE=drop, default) or truncate (=truncate) the client IPs kept
+// on analytics events stored before the collector stopped recording raw IPs.
+//
+//   npm run analytics:scrub-ips
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { scrubStoredIps } = require('../src/services/analyticsPrivacy.service');
+
+(async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI, { dbName: 'newsdb' });
+    const r = await scrubStoredIps({ log: (m) => console.log(m) });
+    console.log(`✅ ${r.updated} event(s) scrubbed (mode ${r.mode})`);
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (e) {
+    console.error('❌ scrub failed:', e?.message || e);
+    process.exit(1);
+  }
+})();
@@ -1,6 +1,7 @@
 // backend/scripts/ensure-indexes.js
 require('dotenv').config();
 const mongoose = require('mongoose');
+const { syncRetentionIndex } = require('../src/services/analyticsRollup.service');
 
 (async () => {
   try {
@@ -21,6 +22,13 @@ const mongoose = require('mongoose');
     await db.collection('analyticsdaily').createIndex({ date: 1 }, { unique: true });
     await db.collection('analyticsdaily').createIndex({ generatedAt: -1 });
 
+    await db.collection('analyticshourly').createIndex({ hour: 1 }, { unique: true });
+    await db.collection('analyticshourly').createIndex({ date: 1, hour: 1 });
+
+    // raw-event TTL (ANALYTICS_EVENT_RETENTION_DAYS): create, update or drop
+    const retention = await syncRetentionIndex();
+    console.log(`analyticsevents retention: ${retention.retentionDays || 'forever'} (${retention.action})`);
+
     console.log('✅ Indexes ensured');
     process.exit(0);
   } catch (e) {
@@ -8,6 +8,9 @@ const Article = ArticlePkg.default || ArticlePkg;
 import XItemPkg from "../../models/XItem.js";
 const XItem = XItemPkg.default || XItemPkg;
 
+import revisions from "../../services/articleRevision.service.js";
+const { recordRevision, automationActor } = revisions;
+
 const ALLOWED_CATEGORIES = ["Politics", "World", "Sports"];
 const PUBLISH_MODE = (process.env.AUTOMATION_PUBLISH_MODE || "draft").toLowerCase(); // "draft" | "publish"
 
@@ -25,7 +28,7 @@ async function uniqueSlugForTitle(title = "article") {
   const base = slugify(String(title || "article"), { lower: true, strict: true }) || "article";
   let s = base;
   let i = 2;
-  while (await Article.exists({ slug: s })) s = `${base}-${i++}`;
+  while (await Article.exists({ slug: s }).setOptions({ withDeleted: true })) s = `${base}-${i++}`;
   return s;
 }
 
@@ -104,26 +107,26 @@ ${current}
 }
 
 /* -------------------- main -------------------- */
-export async function processNewTweets({ limit = 20 } = {}) {
-  const batch = await XItem.find({ status: "new" }).sort({ tweetedAt: 1 }).limit(limit);
-  if (!batch.length) return { processed: 0, skipped: 0, errors: 0 };
 
-  let processed = 0, skipped = 0, errors = 0;
-
-  for (const tweet of batch) {
-    try {
-      tweet.status = "processing";
+/**
+ * Tweet → article for one XItem (a mongoose doc).
+ * Returns "processed" | "skipped"; on failure the item is marked "error" and the error rethrown,
+ * unless keepNewOnError is set (the job queue will retry it), in which case it goes back to "new".
+ */
+export async function processTweet(tweet, { keepNewOnError = false } = {}) {
+  try {
+    tweet.status = "processing";
+    await tweet.save();
+
+    const rawText = String(tweet.text || "").trim();
+    if (countWords(rawText) < 6 || rawText.length < 30) {
+      tweet.status = "error";
+      tweet.error  = "SKIP_TOO_SHORT";
       await tweet.save();
+      return "skipped";
+    }
 
-      const rawText = String(tweet.text || "").trim();
-      if (countWords(rawText) < 6 || rawText.length < 30) {
-        tweet.status = "error";
-        tweet.error  = "SKIP_TOO_SHORT";
-        await tweet.save();
-        skipped++; continue;
-      }
-
-      const prompt = `
+    const prompt = `
 Convert the tweet below into a publishable news article.
 
 Tweet:
@@ -139,66 +142,82 @@ STRICT REQUIREMENTS:
 - Output VALID JSON ONLY (no markdown, no backticks), with keys: category, summary, body
 `;
 
-      const raw = await openrouterChat({ prompt, temperature: 0.4 });
-      const parsed = extractJsonLike(raw);
-
-      let category = String(parsed.category || "").trim();
-      if (!ALLOWED_CATEGORIES.includes(category)) category = "Politics";
-
-      let summary = String(parsed.summary || "").trim();
-      let body    = String(parsed.body || "").trim();
-
-      if (countWords(body) < 520 && body) body = await expandToWords({ body, targetMin: 520, maxTries: 3 });
-
-      if (countWords(body) < 480) {
-        const tail = await openrouterChat({
-          prompt: `Continue the article below with additional neutral context until the TOTAL reaches ~520–580 words. Output ONLY the continuation paragraphs (no headings, no JSON, no backticks).\n\n---\n${body}\n---`,
-          temperature: 0.3,
-          maxTokens: 600
-        });
-        const cont = String(tail || "").trim();
-        if (cont) body = `${body}\n\n${cont}`.trim();
-      }
-
-      if (countWords(body) < 420) throw new Error("Model body too short");
-
-      const sWords = summary.split(/\s+/).filter(Boolean);
-      if (sWords.length > 95) summary = sWords.slice(0, 90).join(" ");
-
-      const title = rawText.slice(0, 120).replace(/\s+/g, " ").trim() || "Update";
-      const slug  = await uniqueSlugForTitle(title);
-
-      const fallbackId = process.env.AUTOMATION_DEFAULT_IMAGE_ID || "";
-      const imageUrl   = getFirstImageUrl(tweet.media, tweet.image) || fallbackId;
-
-      const now = new Date();
-      await Article.create({
-        title,
-        slug,
-        summary,
-        body,
-        category,
-        author: "Desk",
-        status: PUBLISH_MODE === "publish" ? "published" : "draft",
-        publishAt: PUBLISH_MODE === "publish" ? now : null,
-        publishedAt: PUBLISH_MODE === "publish" ? now : null,
-        imageUrl,
-        sourceHandle: tweet.handle || "",
-        sourceId: tweet.xId || "",
-        readingTime: Math.max(1, Math.round(countWords(body) / 200)),
+    const raw = await openrouterChat({ prompt, temperature: 0.4 });
+    const parsed = extractJsonLike(raw);
+
+    let category = String(parsed.category || "").trim();
+    if (!ALLOWED_CATEGORIES.includes(category)) category = "Politics";
+
+    let summary = String(parsed.summary || "").trim();
+    let body    = String(parsed.body || "").trim();
+
+    if (countWords(body) < 520 && body) body = await expandToWords({ body, targetMin: 520, maxTries: 3 });
+
+    if (countWords(body) < 480) {
+      const tail = await openrouterChat({
+        prompt: `Continue the article below with additional neutral context until the TOTAL reaches ~520–580 words. Output ONLY the continuation paragraphs (no headings, no JSON, no backticks).\n\n---\n${body}\n---`,
+        temperature: 0.3,
+        maxTokens: 600
       });
+      const cont = String(tail || "").trim();
+      if (cont) body = `${body}\n\n${cont}`.trim();
+    }
 
-      tweet.status = "published"; // queue item completed
-      tweet.error = "";
+    if (countWords(body) < 420) throw new Error("Model body too short");
+
+    const sWords = summary.split(/\s+/).filter(Boolean);
+    if (sWords.length > 95) summary = sWords.slice(0, 90).join(" ");
+
+    const title = rawText.slice(0, 120).replace(/\s+/g, " ").trim() || "Update";
+    const slug  = await uniqueSlugForTitle(title);
+
+    const fallbackId = process.env.AUTOMATION_DEFAULT_IMAGE_ID || "";
+    const imageUrl   = getFirstImageUrl(tweet.media, tweet.image) || fallbackId;
+
+    const now = new Date();
+    const doc = await Article.create({
+      title,
+      slug,
+      summary,
+      body,
+      category,
+      author: "Desk",
+      status: PUBLISH_MODE === "publish" ? "published" : "in_review",
+      publishAt: PUBLISH_MODE === "publish" ? now : null,
+      publishedAt: PUBLISH_MODE === "publish" ? now : null,
+      imageUrl,
+      sourceHandle: tweet.handle || "",
+      sourceId: tweet.xId || "",
+      readingTime: Math.max(1, Math.round(countWords(body) / 200)),
+    });
+    await recordRevision(null, doc, { user: automationActor("x-pipeline"), source: "x-pipeline" });
+
+    tweet.status = "published"; // queue item completed
+    tweet.error = "";
+    await tweet.save();
+    return "processed";
+  } catch (err) {
+    try {
+      tweet.status = keepNewOnError ? "new" : "error";
+      tweet.error  = String(err?.message || err);
       await tweet.save();
-      processed++;
+    } catch (_) {}
+    throw err;
+  }
+}
+
+export async function processNewTweets({ limit = 20 } = {}) {
+  const batch = await XItem.find({ status: "new" }).sort({ tweetedAt: 1 }).limit(limit);
+  if (!batch.length) return { processed: 0, skipped: 0, errors: 0 };
+
+  let processed = 0, skipped = 0, errors = 0;
+
+  for (const tweet of batch) {
+    try {
+      if ((await processTweet(tweet)) === "skipped") skipped++;
+      else processed++;
     } catch (err) {
       console.error("[X] processNewTweets failed:", err?.message || err);
-      try {
-        tweet.status = "error";
-        tweet.error  = String(err?.message || err);
-        await tweet.save();
-      } catch (_) {}
       errors++;
     }
   }
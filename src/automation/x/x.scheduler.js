@@ -1,50 +1,86 @@
 // src/automation/x/x.scheduler.js
+"use strict";
+
+/**
+ * X (Twitter) automation on the job queue:
+ *  - "x-fetch": pulls new tweets for every enabled XSource, then queues one
+ *    "x-item" job per new XItem that has no queued/running job yet
+ *    (uniqueKey x-item:<id>; a dead job releases it)
+ *  - "x-item": x.pipeline's tweet → article for a single item (AUTOMATION_PUBLISH_MODE
+ *    decides draft vs publish). Failed attempts put the item back to "new" for the
+ *    retry; the last one marks it "error", so it isn't picked up again.
+ *
+ * start() adds the recurring x-fetch schedule (X_FETCH_INTERVAL_SECONDS, default 300).
+ */
+
 const XSource = require("../../models/XSource");
-const XItem   = require("../../models/XItem");
+const XItem = require("../../models/XItem");
+const Job = require("../../models/Job");
 const { fetchTweetsForHandle } = require("./x.service");
-const { processNewTweets }     = require("./x.pipeline");
+const { processTweet } = require("./x.pipeline");
+const { defineJob, schedule, enqueue } = require("../../services/jobQueue.service");
 
-function sleep(ms){ return new Promise(r => setTimeout(r, ms)); }
+const ITEMS_PER_FETCH = parseInt(process.env.X_ITEMS_PER_FETCH || "20", 10);
 
-function start() {
-  const interval = Number(process.env.AUTMOTION_INTERVAL_SECONDS || 300);
-
-  async function runCycle() {
-    console.log("[X] Auto-cycle started");
-    const sources = await XSource.find({ enabled: true });
-
-    // 1) Fetch for each source
-    for (const src of sources) {
-      try {
-        const count = await fetchTweetsForHandle(src.handle, 4);
-        console.log(`[X] ${src.handle} → fetched ${count} tweets`);
-      } catch (err) {
-        console.error(`[X] ${src.handle} fetch error:`, err?.message || err);
-      }
-      await sleep(120);
-    }
+function sleep(ms) { return new Promise((r) => setTimeout(r, ms)); }
 
-    // 2) Process until empty
+async function runFetchCycle(_payload, ctx) {
+  const sources = await XSource.find({ enabled: true }).select("_id handle").lean();
+  let created = 0;
+  let failed = 0;
+
+  for (const src of sources) {
+    ctx.signal.throwIfAborted();
     try {
-      let round = 0, total = 0;
-      while (true) {
-        const { processed, skipped, errors } = await processNewTweets({ limit: 20 });
-        const moved = processed + skipped + errors;
-        if (!moved) break;
-        total += moved;
-        round++;
-        console.log(`[X] processed round=${round} → ok:${processed} skip:${skipped} err:${errors}`);
-        await sleep(300);
-      }
-      console.log("[X] Cycle complete");
+      const count = await fetchTweetsForHandle(src.handle, 4);
+      created += count;
+      ctx.log(`${src.handle} → fetched ${count} tweets`);
     } catch (err) {
-      console.error("[X] processNewTweets failed:", err?.message || err);
+      failed++;
+      ctx.warn(`${src.handle} fetch error: ${err?.message || err}`);
     }
+    await ctx.heartbeat();
+    await sleep(120);
+  }
+
+  const pending = await Job.distinct("payload.itemId", { name: "x-item", status: { $in: ["queued", "running"] } });
+  const items = await XItem.find({ status: "new", _id: { $nin: pending } })
+    .sort({ tweetedAt: 1 })
+    .limit(ITEMS_PER_FETCH)
+    .select("_id")
+    .lean();
+
+  let queued = 0;
+  for (const it of items) {
+    const { duplicate } = await enqueue(
+      "x-item",
+      { itemId: String(it._id) },
+      { uniqueKey: `x-item:${it._id}`, enqueuedBy: "x-fetch" }
+    );
+    if (!duplicate) queued++;
   }
 
-  // run now, then on interval
-  runCycle();
-  setInterval(runCycle, interval * 1000);
+  if (failed && failed === sources.length) throw new Error(`all ${failed} X sources failed`);
+  return { sources: sources.length, created, failed, queued };
+}
+
+async function runItem(payload, ctx) {
+  // "processing": an earlier attempt's worker died mid-item
+  const tweet = await XItem.findOne({ _id: payload.itemId, status: { $in: ["new", "processing"] } });
+  if (!tweet) return { skipped: "item missing or already handled" };
+
+  const outcome = await processTweet(tweet, { keepNewOnError: ctx.attempt < ctx.job.maxAttempts });
+  ctx.log(`${tweet.handle || "item"} ${tweet.xId || payload.itemId} → ${outcome}`);
+  return { outcome };
+}
+
+defineJob("x-fetch", runFetchCycle, { concurrency: 1, maxAttempts: 1, timeoutSec: 600 });
+defineJob("x-item", runItem, { concurrency: 2, maxAttempts: 3, backoffSec: 120, timeoutSec: 300 });
+
+function start() {
+  const interval = Number(process.env.X_FETCH_INTERVAL_SECONDS || process.env.AUTMOTION_INTERVAL_SECONDS || 300);
+  schedule("x-fetch", { job: "x-fetch", everySec: Math.max(60, interval) });
+  console.log(`[X] fetch scheduled every ${Math.max(60, interval)}s`);
 }
 
 module.exports = { start };
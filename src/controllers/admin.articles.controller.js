@@ -3,6 +3,7 @@
 const Article = require("../models/Article");
 const { buildImageVariants } = require("../services/imageVariants");
 const { decideAndAttach } = require("../services/imageStrategy");
+const { checkTransition } = require("../services/editorialWorkflow");
 const {
   uploadDriveImageToCloudinary,
   uploadDriveVideoToCloudinary,
@@ -137,6 +138,9 @@ exports.createOne = async (req, res) => {
     ensureSlug(article);
 
     article.status = String(article.status || "draft").toLowerCase();
+    // new articles start as drafts; anything further is a workflow transition
+    const denied = await checkTransition("draft", article.status, req.user);
+    if (denied) return res.status(denied.status).json({ ok: false, error: denied.error });
     if (article.status === "published" && !article.publishedAt) {
       article.publishedAt = new Date();
     }
@@ -203,6 +207,11 @@ exports.importMany = async (req, res) => {
         ensureSlug(article);
 
         article.status = String(article.status || "draft").toLowerCase();
+        const denied = await checkTransition("draft", article.status, req.user);
+        if (denied) {
+          results.push({ ok: false, slug: article.slug, error: denied.error });
+          continue;
+        }
         if (article.status === "published" && !article.publishedAt) {
           article.publishedAt = new Date();
         }
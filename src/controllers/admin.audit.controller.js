@@ -0,0 +1,142 @@
+// backend/src/controllers/admin.audit.controller.js
+const mongoose = require("mongoose");
+const AuditEvent = require("../models/AuditEvent");
+
+const LIST_FIELDS = "-body -before -after";
+
+function escapeRegex(s) {
+  return String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function parseDate(v) {
+  if (!v) return null;
+  const d = new Date(String(v));
+  return Number.isNaN(d.getTime()) ? undefined : d;
+}
+
+function csvCell(v) {
+  const str = Array.isArray(v) ? v.join("|") : v instanceof Date ? v.toISOString() : String(v ?? "");
+  const escaped = str.replace(/"/g, '""');
+  return /[",\n]/.test(escaped) ? `"${escaped}"` : escaped;
+}
+
+// Top-level fields whose value differs between the two snapshots
+function changedFields(before, after) {
+  if (!before && !after) return [];
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const skip = new Set(["updatedAt", "__v", "_truncated"]);
+  return Array.from(keys).filter(
+    (k) => !skip.has(k) && JSON.stringify(before?.[k]) !== JSON.stringify(after?.[k])
+  );
+}
+
+/**
+ * Filters (all optional):
+ *   ?actor=<userId|email|name fragment> ?entityType=Article ?entityId=
+ *   ?method=DELETE ?route=<path fragment> ?status=2xx|4xx|5xx|<code>
+ *   ?ip= ?from=<date> ?to=<date>
+ */
+function buildFilter(q = {}) {
+  const filter = {};
+
+  if (q.actor) {
+    const actor = String(q.actor).trim();
+    if (mongoose.Types.ObjectId.isValid(actor)) filter["actor.id"] = actor;
+    else {
+      const rx = new RegExp(escapeRegex(actor), "i");
+      filter.$or = [{ "actor.email": rx }, { "actor.name": rx }];
+    }
+  }
+  if (q.entityType) filter.entityType = String(q.entityType);
+  if (q.entityId) filter.entityId = String(q.entityId);
+  if (q.method) filter.method = String(q.method).toUpperCase();
+  if (q.route) filter.route = new RegExp(escapeRegex(q.route), "i");
+  if (q.ip) filter.ip = String(q.ip);
+
+  if (q.status) {
+    const m = /^([1-5])xx$/i.exec(String(q.status));
+    if (m) filter.statusCode = { $gte: Number(m[1]) * 100, $lt: Number(m[1]) * 100 + 100 };
+    else if (/^\d{3}$/.test(String(q.status))) filter.statusCode = Number(q.status);
+    else return { error: "status must be 2xx|3xx|4xx|5xx or a status code" };
+  }
+
+  const from = parseDate(q.from);
+  const to = parseDate(q.to);
+  if (from === undefined || to === undefined) return { error: "from/to must be dates" };
+  if (from || to) {
+    filter.at = {};
+    if (from) filter.at.$gte = from;
+    if (to) filter.at.$lte = to;
+  }
+
+  return { filter };
+}
+
+/**
+ * GET /api/admin/audit
+ * Newest first. JSON: ?limit= (default 100, max 500) & ?skip=, X-Total-Count header;
+ * snapshots are left out unless ?snapshots=1 (GET /:id always has them).
+ * ?format=csv streams every matching event with a changedFields column.
+ */
+exports.list = async (req, res) => {
+  try {
+    const { filter, error } = buildFilter(req.query);
+    if (error) return res.status(400).json({ error });
+
+    if (req.query.format === "csv") {
+      const header = [
+        "at", "actorId", "actorEmail", "actorName", "actorRole", "via",
+        "method", "route", "statusCode", "entityType", "entityId", "changedFields", "ip", "userAgent",
+      ];
+      const stamp = new Date().toISOString().slice(0, 10);
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="audit-${stamp}.csv"`);
+      res.write(header.join(",") + "\n");
+
+      const cursor = AuditEvent.find(filter).sort({ at: -1 }).select("-body").lean().cursor();
+      for await (const e of cursor) {
+        res.write([
+          e.at, e.actor?.id, e.actor?.email, e.actor?.name, e.actor?.role, e.actor?.via,
+          e.method, e.route, e.statusCode, e.entityType, e.entityId,
+          changedFields(e.before, e.after), e.ip, e.userAgent,
+        ].map(csvCell).join(",") + "\n");
+      }
+      return res.end();
+    }
+
+    const limit = Math.min(500, Math.max(1, parseInt(req.query.limit, 10) || 100));
+    const skip = Math.max(0, parseInt(req.query.skip, 10) || 0);
+    const withSnapshots = String(req.query.snapshots || "") === "1";
+
+    const [items, total] = await Promise.all([
+      AuditEvent.find(filter)
+        .sort({ at: -1 })
+        .skip(skip)
+        .limit(limit)
+        .select(withSnapshots ? "" : LIST_FIELDS)
+        .lean(),
+      AuditEvent.countDocuments(filter),
+    ]);
+    res.setHeader("X-Total-Count", String(total));
+    res.json({ items, total, limit, skip });
+  } catch (e) {
+    console.error("[audit.list]", e);
+    if (res.headersSent) return res.end();
+    res.status(500).json({ error: "Failed to load audit events" });
+  }
+};
+
+/** GET /api/admin/audit/:id — one event with body, before/after and changedFields */
+exports.get = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(String(req.params.id || ""))) {
+      return res.status(400).json({ error: "Invalid id" });
+    }
+    const event = await AuditEvent.findById(req.params.id).lean();
+    if (!event) return res.status(404).json({ error: "Not found" });
+    res.json({ ...event, changedFields: changedFields(event.before, event.after) });
+  } catch (e) {
+    console.error("[audit.get]", e);
+    res.status(500).json({ error: "Failed to load audit event" });
+  }
+};
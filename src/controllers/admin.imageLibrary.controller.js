@@ -143,12 +143,8 @@ exports.createImage = async (req, res) => {
       let backfill = null;
       if (created.length === 1) {
         try {
-          const { backfillMatchingArticlesFromLibraryImage } = require("../services/imageBackfill");
-          backfill = await backfillMatchingArticlesFromLibraryImage(created[0], {
-            limit: 300,
-            lookbackHours: 168,
-            onlyAi: true,
-          });
+          const { queueImageBackfill } = require("../jobs/imageBackfill");
+          backfill = await queueImageBackfill(created[0]._id);
         } catch (e) {
           console.error("[ImageLibrary:createImage] backfill error:", e?.message || e);
           backfill = { ok: false, error: String(e?.message || e) };
@@ -203,12 +199,8 @@ exports.createImage = async (req, res) => {
 
     let backfill = null;
     try {
-      const { backfillMatchingArticlesFromLibraryImage } = require("../services/imageBackfill");
-      backfill = await backfillMatchingArticlesFromLibraryImage(doc, {
-        limit: 300,
-        lookbackHours: 168,
-        onlyAi: true,
-      });
+      const { queueImageBackfill } = require("../jobs/imageBackfill");
+      backfill = await queueImageBackfill(doc._id);
     } catch (e) {
       console.error("[ImageLibrary:createImage] backfill error:", e?.message || e);
       backfill = { ok: false, error: String(e?.message || e) };
@@ -0,0 +1,127 @@
+// backend/src/controllers/admin.jobs.controller.js
+const mongoose = require("mongoose");
+const Job = require("../models/Job");
+const {
+  enqueue,
+  retryJob,
+  cancelJob,
+  isDefined,
+  getQueueStats,
+  setSchedulePaused,
+  getSchedule,
+} = require("../services/jobQueue.service");
+
+function isValidId(id) {
+  return mongoose.Types.ObjectId.isValid(String(id || ""));
+}
+
+function actor(req) {
+  return `admin:${req.user?.id || req.user?.email || "unknown"}`;
+}
+
+/**
+ * GET /api/admin/jobs
+ * Optional filters: ?status=queued,running,dead & ?name=ai-news & ?limit=50 & ?skip=0
+ * Logs are omitted from the list; GET /:id returns them.
+ */
+exports.list = async (req, res) => {
+  try {
+    const { status, name } = req.query || {};
+    const filter = {};
+    if (status) {
+      const arr = String(status).split(",").map((s) => s.trim()).filter((s) => Job.STATUSES.includes(s));
+      if (arr.length) filter.status = arr.length > 1 ? { $in: arr } : arr[0];
+    }
+    if (name) filter.name = String(name);
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const skip = Math.max(parseInt(req.query.skip, 10) || 0, 0);
+
+    const [items, total] = await Promise.all([
+      Job.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).select("-logs").lean(),
+      Job.countDocuments(filter),
+    ]);
+    res.json({ items, total, limit, skip });
+  } catch (e) {
+    console.error("[jobs.list]", e);
+    res.status(500).json({ error: "Failed to load jobs" });
+  }
+};
+
+/** GET /api/admin/jobs/stats — counts per job/status, schedules and this worker */
+exports.stats = async (_req, res) => {
+  try {
+    res.json(await getQueueStats());
+  } catch (e) {
+    console.error("[jobs.stats]", e);
+    res.status(500).json({ error: "Failed to load job stats" });
+  }
+};
+
+/** GET /api/admin/jobs/:id — full job including logs */
+exports.get = async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) return res.status(400).json({ error: "Invalid id" });
+    const job = await Job.findById(req.params.id).lean();
+    if (!job) return res.status(404).json({ error: "Not found" });
+    res.json(job);
+  } catch (e) {
+    console.error("[jobs.get]", e);
+    res.status(500).json({ error: "Failed to load job" });
+  }
+};
+
+/** POST /api/admin/jobs/:id/retry — requeue a dead or cancelled job */
+exports.retry = async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) return res.status(400).json({ error: "Invalid id" });
+    const job = await retryJob(req.params.id, { by: actor(req) });
+    if (!job) return res.status(409).json({ error: "Only dead, cancelled or queued jobs can be retried" });
+    res.json(job);
+  } catch (e) {
+    console.error("[jobs.retry]", e);
+    res.status(500).json({ error: "Failed to retry job" });
+  }
+};
+
+/** POST /api/admin/jobs/:id/cancel — only jobs that have not started */
+exports.cancel = async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) return res.status(400).json({ error: "Invalid id" });
+    const job = await cancelJob(req.params.id, { by: actor(req) });
+    if (!job) return res.status(409).json({ error: "Only queued jobs can be cancelled" });
+    res.json(job);
+  } catch (e) {
+    console.error("[jobs.cancel]", e);
+    res.status(500).json({ error: "Failed to cancel job" });
+  }
+};
+
+/**
+ * POST /api/admin/jobs/run/:name
+ * Body: { payload? } — queue a registered job now, ahead of scheduled work.
+ */
+exports.runNow = async (req, res) => {
+  try {
+    const { name } = req.params;
+    if (!isDefined(name)) return res.status(404).json({ error: `Unknown job "${name}"` });
+    const payload = req.body?.payload && typeof req.body.payload === "object" ? req.body.payload : {};
+    const { job } = await enqueue(name, payload, { priority: 10, enqueuedBy: actor(req) });
+    res.status(201).json(job);
+  } catch (e) {
+    console.error("[jobs.runNow]", e);
+    res.status(500).json({ error: "Failed to queue job" });
+  }
+};
+
+/** POST /api/admin/jobs/schedules/:id/pause | /resume — applies to every instance */
+exports.pauseSchedule = (paused) => async (req, res) => {
+  try {
+    if (!getSchedule(req.params.id)) return res.status(404).json({ error: "Unknown schedule" });
+    const list = await setSchedulePaused(req.params.id, paused);
+    res.json({ ok: true, id: req.params.id, paused, pausedSchedules: list });
+  } catch (e) {
+    console.error("[jobs.pauseSchedule]", e);
+    res.status(500).json({ error: "Failed to update schedule" });
+  }
+};
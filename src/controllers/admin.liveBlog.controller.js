@@ -0,0 +1,115 @@
+// backend/src/controllers/admin.liveBlog.controller.js
+const mongoose = require("mongoose");
+const Article = require("../models/Article");
+const liveBlog = require("../services/liveBlog.service");
+
+function isValidId(id) {
+  return mongoose.Types.ObjectId.isValid(String(id || ""));
+}
+
+function sendResult(res, result, status = 200) {
+  if (result.error) return res.status(result.status || 400).json({ ok: false, error: result.error });
+  return res.status(status).json({ ok: true, ...result });
+}
+
+/**
+ * GET /api/admin/articles/:id/live
+ * Live state and every update (removed ones included, flagged by removedAt).
+ */
+exports.get = async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) return res.status(400).json({ ok: false, error: "Bad id" });
+    const a = await Article.findById(req.params.id)
+      .select("title slug status live liveStartedAt liveEndedAt liveUpdatedAt liveUpdates")
+      .lean();
+    if (!a) return res.status(404).json({ ok: false, error: "Not found" });
+
+    const removed = (a.liveUpdates || []).filter((u) => u.removedAt);
+    res.json({
+      ok: true,
+      article: { _id: a._id, title: a.title, slug: a.slug, status: a.status },
+      live: !!a.live,
+      liveStartedAt: a.liveStartedAt,
+      liveEndedAt: a.liveEndedAt,
+      liveUpdatedAt: a.liveUpdatedAt,
+      updates: [...liveBlog.orderedUpdates(a), ...removed],
+    });
+  } catch (e) {
+    console.error("[liveBlog.get]", e);
+    res.status(500).json({ ok: false, error: "Failed to load live blog" });
+  }
+};
+
+/**
+ * PATCH /api/admin/articles/:id/live
+ * Body: { live } — starts (or resumes) / ends live coverage
+ */
+exports.setLive = async (req, res) => {
+  try {
+    if (typeof req.body?.live !== "boolean") return res.status(400).json({ ok: false, error: "live must be true or false" });
+    if (!isValidId(req.params.id)) return res.status(400).json({ ok: false, error: "Bad id" });
+
+    const state = await liveBlog.setLive(req.params.id, req.body.live);
+    if (!state) return res.status(404).json({ ok: false, error: "Not found" });
+    res.json({ ok: true, ...state });
+  } catch (e) {
+    console.error("[liveBlog.setLive]", e);
+    res.status(500).json({ ok: false, error: "Failed to update live state" });
+  }
+};
+
+/**
+ * POST /api/admin/articles/:id/live/updates
+ * Body: { text, imageUrl?, imagePublicId?, imageAlt?, embedUrl?, pinned?, createdAt? }
+ */
+exports.append = async (req, res) => {
+  try {
+    const result = await liveBlog.appendUpdate(req.params.id, req.body || {}, req.user);
+    sendResult(res, result, 201);
+  } catch (e) {
+    console.error("[liveBlog.append]", e);
+    res.status(500).json({ ok: false, error: "Failed to add update" });
+  }
+};
+
+/**
+ * PATCH /api/admin/articles/:id/live/updates/:updateId
+ * Body: any of the append fields
+ */
+exports.edit = async (req, res) => {
+  try {
+    const result = await liveBlog.editUpdate(req.params.id, req.params.updateId, req.body || {});
+    sendResult(res, result);
+  } catch (e) {
+    console.error("[liveBlog.edit]", e);
+    res.status(500).json({ ok: false, error: "Failed to edit update" });
+  }
+};
+
+/**
+ * POST /api/admin/articles/:id/live/updates/:updateId/pin
+ * Body: { pinned = true }
+ */
+exports.pin = async (req, res) => {
+  try {
+    const pinned = req.body?.pinned === undefined ? true : !!req.body.pinned;
+    const result = await liveBlog.editUpdate(req.params.id, req.params.updateId, { pinned });
+    sendResult(res, result);
+  } catch (e) {
+    console.error("[liveBlog.pin]", e);
+    res.status(500).json({ ok: false, error: "Failed to pin update" });
+  }
+};
+
+/**
+ * DELETE /api/admin/articles/:id/live/updates/:updateId
+ */
+exports.remove = async (req, res) => {
+  try {
+    const result = await liveBlog.removeUpdate(req.params.id, req.params.updateId);
+    sendResult(res, result);
+  } catch (e) {
+    console.error("[liveBlog.remove]", e);
+    res.status(500).json({ ok: false, error: "Failed to remove update" });
+  }
+};
@@ -0,0 +1,65 @@
+// backend/src/controllers/admin.topics.controller.js
+const topics = require("../services/topics.service");
+
+function sendResult(res, result, status = 200) {
+  if (result.error) return res.status(result.status || 400).json({ ok: false, error: result.error });
+  return res.status(status).json({ ok: true, ...result });
+}
+
+/**
+ * GET /api/admin/topics?q=&status=active|merged|all
+ * Most recently covered first; ?limit= (default 50, max 200) & ?skip=.
+ */
+exports.list = async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const skip = Math.max(parseInt(req.query.skip, 10) || 0, 0);
+    const status = req.query.status === "all" ? "" : req.query.status === "merged" ? "merged" : "active";
+    const { items, total } = await topics.listAdminTopics({ q: req.query.q || "", status, limit, skip });
+    res.json({ ok: true, items, total, limit, skip });
+  } catch (e) {
+    console.error("[topics.list]", e);
+    res.status(500).json({ ok: false, error: "Failed to load topics" });
+  }
+};
+
+/** GET /api/admin/topics/:id — the topic and every article in it (drafts included) */
+exports.get = async (req, res) => {
+  try {
+    sendResult(res, await topics.adminTopic(req.params.id));
+  } catch (e) {
+    console.error("[topics.get]", e);
+    res.status(500).json({ ok: false, error: "Failed to load topic" });
+  }
+};
+
+/** PATCH /api/admin/topics/:id  { title?, summary? } */
+exports.update = async (req, res) => {
+  try {
+    sendResult(res, await topics.updateTopic(req.params.id, req.body || {}));
+  } catch (e) {
+    console.error("[topics.update]", e);
+    res.status(500).json({ ok: false, error: "Failed to update topic" });
+  }
+};
+
+/** POST /api/admin/topics/:id/merge  { into } — fold this topic into `into` */
+exports.merge = async (req, res) => {
+  try {
+    sendResult(res, await topics.mergeTopics(req.params.id, req.body?.into));
+  } catch (e) {
+    console.error("[topics.merge]", e);
+    res.status(500).json({ ok: false, error: "Failed to merge topics" });
+  }
+};
+
+/** POST /api/admin/topics/:id/split  { articleIds, title? } — move those articles to a new topic */
+exports.split = async (req, res) => {
+  try {
+    const { articleIds, title } = req.body || {};
+    sendResult(res, await topics.splitTopic(req.params.id, { articleIds, title }), 201);
+  } catch (e) {
+    console.error("[topics.split]", e);
+    res.status(500).json({ ok: false, error: "Failed to split topic" });
+  }
+};
@@ -0,0 +1,86 @@
+// backend/src/controllers/admin.trash.controller.js
+const {
+  TRASH_TYPES,
+  RETENTION_DAYS,
+  restoreItem,
+  listTrash,
+  trashCounts,
+  purgeItem,
+} = require("../services/trash.service");
+const { enqueue } = require("../services/jobQueue.service");
+
+function badType(res) {
+  return res.status(400).json({ error: `type must be one of: ${TRASH_TYPES.join(", ")}` });
+}
+
+/**
+ * GET /api/admin/trash?type=article|media|comment
+ * Newest-trashed first; ?limit= (default 50, max 200) & ?skip=.
+ * Each item carries deletedAt, deletedBy and purgeAt.
+ */
+exports.list = async (req, res) => {
+  try {
+    const type = String(req.query.type || "article");
+    if (!TRASH_TYPES.includes(type)) return badType(res);
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const skip = Math.max(parseInt(req.query.skip, 10) || 0, 0);
+    const { items, total } = await listTrash(type, { limit, skip });
+    res.json({ type, items, total, limit, skip, retentionDays: RETENTION_DAYS });
+  } catch (e) {
+    console.error("[trash.list]", e);
+    res.status(500).json({ error: "Failed to load trash" });
+  }
+};
+
+/** GET /api/admin/trash/summary — trashed counts per type */
+exports.summary = async (_req, res) => {
+  try {
+    res.json({ counts: await trashCounts(), retentionDays: RETENTION_DAYS });
+  } catch (e) {
+    console.error("[trash.summary]", e);
+    res.status(500).json({ error: "Failed to load trash summary" });
+  }
+};
+
+/** POST /api/admin/trash/:type/:id/restore */
+exports.restore = async (req, res) => {
+  try {
+    const { type, id } = req.params;
+    if (!TRASH_TYPES.includes(type)) return badType(res);
+    const doc = await restoreItem(type, id);
+    if (!doc) return res.status(404).json({ error: "Not in trash" });
+    res.json({ ok: true, type, item: doc });
+  } catch (e) {
+    console.error("[trash.restore]", e);
+    res.status(500).json({ error: "Failed to restore item" });
+  }
+};
+
+/** DELETE /api/admin/trash/:type/:id — purge now (admins only) */
+exports.purge = async (req, res) => {
+  try {
+    const { type, id } = req.params;
+    if (!TRASH_TYPES.includes(type)) return badType(res);
+    const purged = await purgeItem(type, id);
+    if (!purged) return res.status(404).json({ error: "Not in trash" });
+    res.json({ ok: true, type, purgedId: id });
+  } catch (e) {
+    console.error("[trash.purge]", e);
+    res.status(500).json({ error: "Failed to purge item" });
+  }
+};
+
+/** POST /api/admin/trash/purge-expired — queue the retention purge now (admins only) */
+exports.purgeExpired = async (req, res) => {
+  try {
+    const { job } = await enqueue("trash-purge", {}, {
+      priority: 10,
+      enqueuedBy: `admin:${req.user?.id || req.user?.email || "unknown"}`,
+    });
+    res.status(202).json({ ok: true, jobId: job._id, retentionDays: RETENTION_DAYS });
+  } catch (e) {
+    console.error("[trash.purgeExpired]", e);
+    res.status(500).json({ error: "Failed to queue purge" });
+  }
+};
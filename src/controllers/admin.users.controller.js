@@ -0,0 +1,164 @@
+// backend/src/controllers/admin.users.controller.js
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const {
+  ROLES,
+  hashPassword,
+  validatePassword,
+  issueResetToken,
+  publicUser,
+} = require("../services/auth.service");
+
+function isValidId(id) {
+  return mongoose.Types.ObjectId.isValid(String(id || ""));
+}
+
+function actorId(req) {
+  return req.user?.id && isValidId(req.user.id) ? req.user.id : null;
+}
+
+/**
+ * GET /api/admin/users
+ * Optional filters: ?role=author|editor|admin & ?active=true|false & ?q=
+ */
+exports.list = async (req, res) => {
+  try {
+    const { role, active, q } = req.query || {};
+    const filter = {};
+    if (role && ROLES.includes(role)) filter.role = role;
+    if (active === "true") filter.active = { $ne: false };
+    if (active === "false") filter.active = false;
+    if (q) {
+      const rx = new RegExp(String(q).replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
+      filter.$or = [{ name: rx }, { email: rx }];
+    }
+
+    const items = await User.find(filter).sort({ createdAt: 1 }).lean();
+    res.json(items.map(publicUser));
+  } catch (e) {
+    console.error("[users.list]", e);
+    res.status(500).json({ error: "Failed to load users" });
+  }
+};
+
+/**
+ * POST /api/admin/users
+ * Body: { name, email, role, password? }
+ * Without a password the account is created as an invite and the
+ * response carries a one-time link the new user sets their password with.
+ */
+exports.create = async (req, res) => {
+  try {
+    const { name, email, role = "author", password } = req.body || {};
+    if (!name || !email) return res.status(400).json({ error: "name and email are required" });
+    if (!ROLES.includes(role)) return res.status(400).json({ error: "Invalid role" });
+
+    const normalizedEmail = String(email).trim().toLowerCase();
+    if (await User.exists({ email: normalizedEmail })) {
+      return res.status(409).json({ error: "A user with this email already exists" });
+    }
+
+    let passwordHash = "";
+    if (password) {
+      const invalid = validatePassword(password);
+      if (invalid) return res.status(400).json({ error: invalid });
+      passwordHash = await hashPassword(password);
+    }
+
+    const user = await User.create({
+      name: String(name).trim(),
+      email: normalizedEmail,
+      role,
+      passwordHash,
+      passwordChangedAt: passwordHash ? new Date() : null,
+      invitedBy: actorId(req),
+    });
+
+    const invite = passwordHash ? null : await issueResetToken(user._id, "invite");
+    res.status(201).json({ user: publicUser(user), invite });
+  } catch (e) {
+    console.error("[users.create]", e);
+    res.status(400).json({ error: e?.message || "Create failed" });
+  }
+};
+
+/**
+ * PATCH /api/admin/users/:id
+ * Body: { name?, role? }
+ */
+exports.update = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidId(id)) return res.status(400).json({ error: "Bad id" });
+
+    const { name, role } = req.body || {};
+    const $set = {};
+    if (typeof name === "string" && name.trim()) $set.name = name.trim();
+    if (typeof role !== "undefined") {
+      if (!ROLES.includes(role)) return res.status(400).json({ error: "Invalid role" });
+      if (String(id) === String(req.user?.id) && role !== "admin") {
+        return res.status(400).json({ error: "You cannot remove your own admin role" });
+      }
+      $set.role = role;
+    }
+
+    const user = await User.findByIdAndUpdate(id, { $set }, { new: true }).lean();
+    if (!user) return res.status(404).json({ error: "Not found" });
+    res.json(publicUser(user));
+  } catch (e) {
+    console.error("[users.update]", e);
+    res.status(400).json({ error: e?.message || "Update failed" });
+  }
+};
+
+/**
+ * POST /api/admin/users/:id/disable
+ * POST /api/admin/users/:id/enable
+ */
+function setActive(active) {
+  return async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!isValidId(id)) return res.status(400).json({ error: "Bad id" });
+      if (!active && String(id) === String(req.user?.id)) {
+        return res.status(400).json({ error: "You cannot disable your own account" });
+      }
+
+      const $set = { active };
+      // a disabled account must not be able to use a pending invite/reset link
+      if (!active) Object.assign($set, { resetTokenHash: null, resetTokenExpiresAt: null });
+
+      const user = await User.findByIdAndUpdate(id, { $set }, { new: true }).lean();
+      if (!user) return res.status(404).json({ error: "Not found" });
+      res.json(publicUser(user));
+    } catch (e) {
+      console.error("[users.setActive]", e);
+      res.status(500).json({ error: "Update failed" });
+    }
+  };
+}
+
+exports.disable = setActive(false);
+exports.enable = setActive(true);
+
+/**
+ * POST /api/admin/users/:id/reset-token
+ * Issues a fresh one-time password reset link (or re-sends an invite).
+ */
+exports.issueResetToken = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidId(id)) return res.status(400).json({ error: "Bad id" });
+
+    const user = await User.findById(id).lean();
+    if (!user) return res.status(404).json({ error: "Not found" });
+    if (user.active === false) return res.status(400).json({ error: "User is disabled" });
+
+    const kind = user.passwordHash ? "reset" : "invite";
+    const reset = await issueResetToken(user._id, kind);
+    res.json({ user: publicUser(user), kind, ...reset });
+  } catch (e) {
+    console.error("[users.issueResetToken]", e);
+    res.status(500).json({ error: "Failed to issue reset token" });
+  }
+};
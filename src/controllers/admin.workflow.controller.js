@@ -0,0 +1,308 @@
+// backend/src/controllers/admin.workflow.controller.js
+const mongoose = require("mongoose");
+const Article = require("../models/Article");
+const User = require("../models/User");
+const { permit } = require("../middleware/auth");
+const { markSitemapDirty } = require("../routes/sitemap");
+const { recordRevision } = require("../services/articleRevision.service");
+const { runPublishSideEffects } = require("../services/articlePublish.service");
+const {
+  STATES,
+  getWorkflow,
+  saveOverrides,
+  rolesFor,
+  nextStates,
+} = require("../services/editorialWorkflow");
+
+const QUEUE_FIELDS =
+  "_id title slug status category categorySlug author source assignee reviewer publishAt publishedAt updatedAt createdAt";
+
+function isValidId(id) {
+  return mongoose.Types.ObjectId.isValid(String(id || ""));
+}
+
+function myId(req) {
+  return req.user?.id && isValidId(req.user.id) ? req.user.id : null;
+}
+
+function commentAuthor(user) {
+  return {
+    id: user?.id && isValidId(user.id) ? user.id : null,
+    name: user?.name || user?.email || "",
+    role: user?.role || "",
+  };
+}
+
+/**
+ * GET /api/admin/articles/workflow
+ * States, effective transitions and (for the caller) where each state can go next.
+ */
+exports.getWorkflow = async (req, res) => {
+  try {
+    const wf = await getWorkflow();
+    const role = req.user?.role;
+    const mine = {};
+    if (role) {
+      for (const s of STATES) mine[s] = await nextStates(s, role);
+    }
+    res.json({ ok: true, states: wf.states, transitions: wf.transitions, overrides: wf.overrides, mine });
+  } catch (e) {
+    console.error("[workflow.get]", e);
+    res.status(500).json({ ok: false, error: "Failed to load workflow" });
+  }
+};
+
+/**
+ * PUT /api/admin/articles/workflow
+ * Body: { transitions: { from: { to: [roles] } } } — overrides on top of the defaults.
+ */
+exports.saveWorkflow = async (req, res) => {
+  try {
+    const wf = await saveOverrides(req.body?.transitions || {});
+    res.json({ ok: true, states: wf.states, transitions: wf.transitions, overrides: wf.overrides });
+  } catch (e) {
+    console.error("[workflow.save]", e);
+    res.status(500).json({ ok: false, error: "Failed to save workflow" });
+  }
+};
+
+/**
+ * GET /api/admin/articles/queue
+ * What is waiting on the logged-in user:
+ *  - review:     in_review articles where I am the reviewer
+ *  - assigned:   draft / in_review articles assigned to me
+ *  - unclaimed:  (editor/admin) in_review articles with no reviewer yet
+ *  - to_publish: (editor/admin) approved articles waiting to be scheduled/published
+ */
+exports.queue = async (req, res) => {
+  try {
+    const me = myId(req);
+    const isEditor = ["editor", "admin"].includes(req.user?.role);
+
+    const or = [];
+    if (me) {
+      or.push({ status: "in_review", reviewer: me });
+      or.push({ status: { $in: ["draft", "in_review"] }, assignee: me });
+    }
+    if (isEditor) {
+      or.push({ status: "in_review", reviewer: null });
+      or.push({ status: "approved" });
+    }
+    if (!or.length) return res.json({ ok: true, items: [], counts: {} });
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+    const docs = await Article.find({ $or: or })
+      .select(QUEUE_FIELDS)
+      .populate({ path: "assignee reviewer", select: "name email role" })
+      .sort({ updatedAt: -1 })
+      .limit(limit)
+      .lean();
+
+    const counts = {};
+    const items = docs.map((a) => {
+      let reason = "to_publish";
+      if (a.status === "in_review" && me && String(a.reviewer?._id || "") === me) reason = "review";
+      else if (me && String(a.assignee?._id || "") === me && a.status !== "approved") reason = "assigned";
+      else if (a.status === "in_review") reason = "unclaimed";
+      counts[reason] = (counts[reason] || 0) + 1;
+      return { ...a, waitingReason: reason };
+    });
+
+    res.json({ ok: true, items, counts });
+  } catch (e) {
+    console.error("[workflow.queue]", e);
+    res.status(500).json({ ok: false, error: "Failed to load queue" });
+  }
+};
+
+/**
+ * Middleware for POST /:id/transition — loads the article and enforces the
+ * roles configured for (current status → body.to) via permit().
+ */
+exports.loadTransition = async (req, res, next) => {
+  try {
+    const to = String(req.body?.to || "").toLowerCase();
+    if (!STATES.includes(to)) return res.status(400).json({ ok: false, error: `Unknown status "${req.body?.to || ""}"` });
+    if (!isValidId(req.params.id)) return res.status(400).json({ ok: false, error: "Bad id" });
+
+    const doc = await Article.findById(req.params.id);
+    if (!doc) return res.status(404).json({ ok: false, error: "Not found" });
+
+    const from = doc.status || "draft";
+    if (from === to) return res.status(400).json({ ok: false, error: `Article is already ${to}` });
+
+    // admins may force any transition
+    const roles = (await rolesFor(from, to)) || [];
+    if (!roles.length && req.user?.role !== "admin") {
+      return res.status(400).json({ ok: false, error: `Cannot move from ${from} to ${to}` });
+    }
+
+    req.article = doc;
+    req.transition = { from, to };
+    return permit([...new Set([...roles, "admin"])])(req, res, next);
+  } catch (e) {
+    console.error("[workflow.loadTransition]", e);
+    res.status(500).json({ ok: false, error: "Transition failed" });
+  }
+};
+
+/**
+ * POST /api/admin/articles/:id/transition
+ * Body: { to, note?, publishAt?, unpublishAt? }  (publishAt required in the future for "scheduled")
+ */
+exports.transition = async (req, res) => {
+  try {
+    const doc = req.article;
+    const { from, to } = req.transition;
+    const note = String(req.body?.note || "").trim();
+    const now = new Date();
+    const before = doc.toObject();
+
+    if (to === "scheduled") {
+      const when = new Date(req.body?.publishAt || doc.publishAt || "");
+      if (Number.isNaN(when.getTime()) || when <= now) {
+        return res.status(400).json({ ok: false, error: "publishAt must be a future date to schedule" });
+      }
+      doc.publishAt = when;
+    }
+    if (req.body && Object.prototype.hasOwnProperty.call(req.body, "unpublishAt")) {
+      const until = req.body.unpublishAt ? new Date(req.body.unpublishAt) : null;
+      if (until && Number.isNaN(until.getTime())) {
+        return res.status(400).json({ ok: false, error: "Invalid unpublishAt" });
+      }
+      doc.unpublishAt = until;
+    }
+    if (to === "published") {
+      if (!doc.publishAt || doc.publishAt > now) doc.publishAt = now;
+      if (!doc.publishedAt) doc.publishedAt = now;
+    }
+    doc.archivedAt = to === "archived" ? now : null;
+    doc.status = to;
+    if (note) doc.reviewComments.push({ author: commentAuthor(req.user), body: `[${from} → ${to}] ${note}` });
+
+    try {
+      await doc.save();
+    } catch (err) {
+      // e.g. the publish quality gate (min summary/body length)
+      return res.status(400).json({ ok: false, error: err.message || "Validation failed" });
+    }
+
+    await recordRevision(before, doc, { user: req.user, source: "workflow", note });
+    if (to === "published") runPublishSideEffects(doc.toObject()).catch(() => {});
+    else if (from === "published") markSitemapDirty();
+
+    res.json({
+      ok: true,
+      article: {
+        _id: doc._id,
+        slug: doc.slug,
+        status: doc.status,
+        publishAt: doc.publishAt,
+        publishedAt: doc.publishedAt,
+        unpublishAt: doc.unpublishAt,
+        archivedAt: doc.archivedAt,
+      },
+      next: await nextStates(doc.status, req.user?.role),
+    });
+  } catch (e) {
+    console.error("[workflow.transition]", e);
+    res.status(500).json({ ok: false, error: "Transition failed" });
+  }
+};
+
+/**
+ * PATCH /api/admin/articles/:id/assignment
+ * Body: { assignee?: userId|null, reviewer?: userId|null }
+ */
+exports.assign = async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) return res.status(400).json({ ok: false, error: "Bad id" });
+
+    const $set = {};
+    for (const field of ["assignee", "reviewer"]) {
+      if (!Object.prototype.hasOwnProperty.call(req.body || {}, field)) continue;
+      const val = req.body[field];
+      if (val === null || val === "") {
+        $set[field] = null;
+        continue;
+      }
+      if (!isValidId(val)) return res.status(400).json({ ok: false, error: `Bad ${field} id` });
+      const user = await User.findOne({ _id: val, active: { $ne: false } }).select("_id role").lean();
+      if (!user) return res.status(400).json({ ok: false, error: `${field} not found or disabled` });
+      if (field === "reviewer" && user.role === "author") {
+        return res.status(400).json({ ok: false, error: "Reviewer must be an editor or admin" });
+      }
+      $set[field] = user._id;
+    }
+    if (!Object.keys($set).length) return res.status(400).json({ ok: false, error: "Nothing to update" });
+
+    const doc = await Article.findByIdAndUpdate(req.params.id, { $set }, { new: true })
+      .select("_id status assignee reviewer")
+      .populate({ path: "assignee reviewer", select: "name email role" })
+      .lean();
+    if (!doc) return res.status(404).json({ ok: false, error: "Not found" });
+
+    res.json({ ok: true, article: doc });
+  } catch (e) {
+    console.error("[workflow.assign]", e);
+    res.status(500).json({ ok: false, error: "Assignment failed" });
+  }
+};
+
+/**
+ * GET /api/admin/articles/:id/review-comments
+ */
+exports.listComments = async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) return res.status(400).json({ ok: false, error: "Bad id" });
+    const doc = await Article.findById(req.params.id).select("reviewComments").lean();
+    if (!doc) return res.status(404).json({ ok: false, error: "Not found" });
+    res.json({ ok: true, items: doc.reviewComments || [] });
+  } catch (e) {
+    console.error("[workflow.listComments]", e);
+    res.status(500).json({ ok: false, error: "Failed to load comments" });
+  }
+};
+
+/**
+ * POST /api/admin/articles/:id/review-comments
+ * Body: { body }
+ */
+exports.addComment = async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) return res.status(400).json({ ok: false, error: "Bad id" });
+    const body = String(req.body?.body || "").trim().slice(0, 5000);
+    if (!body) return res.status(400).json({ ok: false, error: "Comment body required" });
+
+    const comment = { _id: new mongoose.Types.ObjectId(), author: commentAuthor(req.user), body, resolved: false, createdAt: new Date() };
+    const r = await Article.updateOne({ _id: req.params.id }, { $push: { reviewComments: comment } });
+    if (!r.matchedCount) return res.status(404).json({ ok: false, error: "Not found" });
+
+    res.status(201).json({ ok: true, comment });
+  } catch (e) {
+    console.error("[workflow.addComment]", e);
+    res.status(500).json({ ok: false, error: "Failed to add comment" });
+  }
+};
+
+/**
+ * PATCH /api/admin/articles/:id/review-comments/:commentId
+ * Body: { resolved }
+ */
+exports.updateComment = async (req, res) => {
+  try {
+    const { id, commentId } = req.params;
+    if (!isValidId(id) || !isValidId(commentId)) return res.status(400).json({ ok: false, error: "Bad id" });
+
+    const r = await Article.updateOne(
+      { _id: id, "reviewComments._id": commentId },
+      { $set: { "reviewComments.$.resolved": !!req.body?.resolved } }
+    );
+    if (!r.matchedCount) return res.status(404).json({ ok: false, error: "Not found" });
+
+    res.json({ ok: true });
+  } catch (e) {
+    console.error("[workflow.updateComment]", e);
+    res.status(500).json({ ok: false, error: "Failed to update comment" });
+  }
+};
@@ -1,4 +1,10 @@
 const Ad = require("../models/Ad");
+const mongoose = require("mongoose");
+const { serveAd, visitorKey, serveToken, verifyServeToken } = require("../services/adServing.service");
+const { recordAdEvent, adReport, utcDay } = require("../services/adStats.service");
+const { sanitizeGeoMode, sanitizeGeoAreas } = require("../utils/geo");
+
+const DEVICES = ["mobile", "tablet", "desktop"];
 
 /**
  * GET /api/admin/ads
@@ -22,6 +28,157 @@ exports.list = async (req, res) => {
   }
 };
 
+/**
+ * GET /api/ads/serve?slot=homepage@0[&vid=<visitorId>]
+ * Public: picks one ad for the slot (rotation, window, geo/device targeting, frequency caps).
+ * vid (or X-Visitor-Id) is the analytics visitor id, used for frequency capping.
+ */
+exports.serve = async (req, res) => {
+  try {
+    const visitor = visitorKey({
+      visitorId: String(req.query.vid || req.get("x-visitor-id") || "").slice(0, 100),
+      ip: req.ip,
+      ua: req.get("user-agent"),
+    });
+
+    const result = await serveAd({
+      slot: req.query.slot,
+      geo: req.geo || {},
+      device: req.device || {},
+      visitor,
+    });
+    if (result.error) return res.status(400).json({ error: result.error });
+
+    // per visitor: never share through a CDN
+    res.set("Cache-Control", "private, no-store");
+    if (!result.ad) return res.json({ ad: null, slot: result.slot });
+
+    // the signed token ties this serve's impression beacon and click together (each counted once)
+    const token = serveToken(result.ad._id);
+    const qs = `t=${encodeURIComponent(token)}&slot=${encodeURIComponent(String(req.query.slot))}`;
+    res.json({
+      ad: result.ad,
+      slot: result.slot,
+      token,
+      impressionUrl: `/api/ads/${result.ad._id}/impression?${qs}`,
+      clickUrl: `/api/ads/${result.ad._id}/click?${qs}`,
+    });
+  } catch (e) {
+    console.error("[ads.serve]", e);
+    res.status(500).json({ error: "Failed to serve ad" });
+  }
+};
+
+// Measurement context shared by impressions and clicks. Bots, admins and requests without a
+// valid serve token for this ad return null (not recorded); DNT / opt-out visitors are counted
+// without a visitor key.
+function eventContext(req, adId) {
+  if (req.isBot || req.isAdmin) return null;
+  const token = verifyServeToken(req.query.t, adId);
+  if (!token) return null;
+  const anonymous = req.isDnt || req.isOptOut;
+  return {
+    token,
+    slot: req.query.slot || "",
+    visitor: anonymous
+      ? null
+      : visitorKey({
+          visitorId: String(req.query.vid || req.get("x-visitor-id") || "").slice(0, 100),
+          ip: req.ip,
+          ua: req.get("user-agent"),
+        }),
+    country: req.geo?.country || null,
+    device: req.device?.type || null,
+    path: req.query.path || "",
+  };
+}
+
+/**
+ * POST /api/ads/:id/impression?t=&slot=   (navigator.sendBeacon; GET works too)
+ * Always 204; missing/expired tokens and repeats of a serve token are ignored.
+ */
+exports.impression = async (req, res) => {
+  try {
+    const ctx = eventContext(req, req.params.id);
+    if (ctx && mongoose.Types.ObjectId.isValid(req.params.id) && (await Ad.exists({ _id: req.params.id }))) {
+      await recordAdEvent({ ad: req.params.id, type: "impression", ...ctx });
+    }
+  } catch (e) {
+    console.error("[ads.impression]", e);
+  }
+  res.set("Cache-Control", "no-store");
+  res.status(204).end();
+};
+
+/**
+ * GET /api/ads/:id/click?t=&slot=
+ * Records the click (valid serve tokens only), then 302 to the ad's linkUrl.
+ */
+exports.click = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ error: "Not found" });
+  let ad;
+  try {
+    ad = await Ad.findById(req.params.id).select("linkUrl").lean();
+  } catch (e) {
+    console.error("[ads.click]", e);
+    return res.status(500).json({ error: "Failed to load ad" });
+  }
+  if (!ad || !/^https?:\/\//i.test(ad.linkUrl || "")) return res.status(404).json({ error: "Not found" });
+
+  const ctx = eventContext(req, ad._id);
+  if (ctx) {
+    // the visitor is on their way whatever happens to the write
+    recordAdEvent({ ad: ad._id, type: "click", ...ctx }).catch((e) => console.error("[ads.click] record", e));
+  }
+
+  res.set("Cache-Control", "no-store");
+  res.redirect(302, ad.linkUrl);
+};
+
+function csvCell(v) {
+  const str = v instanceof Date ? v.toISOString() : String(v ?? "");
+  const escaped = str.replace(/"/g, '""');
+  return /[",\n]/.test(escaped) ? `"${escaped}"` : escaped;
+}
+
+/**
+ * GET /api/admin/ads/report?from=YYYY-MM-DD&to=YYYY-MM-DD[&ad=<id>][&groupBy=day|ad|country|device][&format=csv]
+ * From the daily rollups (AdDaily); today is as fresh as the last hourly "ad-rollup".
+ * Defaults to the last 30 days.
+ */
+exports.report = async (req, res) => {
+  try {
+    const DAY = /^\d{4}-\d{2}-\d{2}$/;
+    const to = DAY.test(req.query.to || "") ? req.query.to : utcDay();
+    const from = DAY.test(req.query.from || "") ? req.query.from : utcDay(new Date(new Date(`${to}T00:00:00Z`).getTime() - 29 * 86400000));
+    if (from > to) return res.status(400).json({ error: "from must not be after to" });
+
+    const adId = req.query.ad || null;
+    if (adId && !mongoose.Types.ObjectId.isValid(adId)) return res.status(400).json({ error: "Bad ad id" });
+    const groupBy = String(req.query.groupBy || "day");
+
+    const rows = await adReport({ from, to, adId, groupBy });
+    const totals = rows.reduce(
+      (t, r) => ({ impressions: t.impressions + r.impressions, clicks: t.clicks + r.clicks }),
+      { impressions: 0, clicks: 0 }
+    );
+    totals.ctr = totals.impressions ? Number((totals.clicks / totals.impressions).toFixed(4)) : 0;
+
+    if (String(req.query.format || "").toLowerCase() === "csv") {
+      const cols = rows.length ? Object.keys(rows[0]) : ["ad", "impressions", "clicks", "ctr"];
+      const lines = [cols.join(","), ...rows.map((r) => cols.map((c) => csvCell(r[c])).join(","))];
+      res.set("Content-Type", "text/csv; charset=utf-8");
+      res.set("Content-Disposition", `attachment; filename="ads-${groupBy}-${from}_${to}.csv"`);
+      return res.send(lines.join("\n"));
+    }
+
+    res.json({ from, to, groupBy, totals, rows });
+  } catch (e) {
+    console.error("[ads.report]", e);
+    res.status(500).json({ error: "Failed to build report" });
+  }
+};
+
 /**
  * GET /api/admin/ads/:id
  */
@@ -40,7 +197,8 @@ exports.read = async (req, res) => {
  * Body:
  * {
  *   imageUrl, linkUrl, placementIndex, enabled, target: {type, value}, notes,
- *   custom: { afterNth?: number, ... }
+ *   custom: { afterNth?: number, ... },
+ *   weight?, startAt?, endAt?, geoMode?, geoAreas?, devices?, frequencyCap?: { max, windowHours }
  * }
  */
 exports.create = async (req, res) => {
@@ -124,9 +282,53 @@ function normalizePayload(body = {}) {
     target,
     notes: String(body.notes || ""),
     custom,
+    ...normalizeDelivery(body, {}),
   };
 }
 
+function toDateOrNull(v, field) {
+  if (v == null || v === "") return null;
+  const d = new Date(v);
+  if (Number.isNaN(d.getTime())) throw new Error(`${field} is not a valid date`);
+  return d;
+}
+
+/**
+ * Rotation / scheduling / targeting fields present in body (create and update).
+ * Throws on an invalid date or a window that ends before it starts.
+ */
+function normalizeDelivery(body = {}, existing = {}) {
+  const out = {};
+
+  if (body.weight !== undefined) out.weight = Math.max(0, Number(body.weight) || 0);
+  if (body.startAt !== undefined) out.startAt = toDateOrNull(body.startAt, "startAt");
+  if (body.endAt !== undefined) out.endAt = toDateOrNull(body.endAt, "endAt");
+
+  const startAt = out.startAt !== undefined ? out.startAt : existing.startAt;
+  const endAt = out.endAt !== undefined ? out.endAt : existing.endAt;
+  if (startAt && endAt && new Date(endAt) <= new Date(startAt)) {
+    throw new Error("endAt must be after startAt");
+  }
+
+  if (body.geoMode !== undefined) out.geoMode = sanitizeGeoMode(body.geoMode);
+  if (body.geoAreas !== undefined) out.geoAreas = sanitizeGeoAreas(body.geoAreas);
+  if (body.devices !== undefined) {
+    out.devices = (Array.isArray(body.devices) ? body.devices : [])
+      .map((d) => String(d).toLowerCase())
+      .filter((d) => DEVICES.includes(d));
+  }
+
+  if (body.frequencyCap !== undefined) {
+    const fc = body.frequencyCap && typeof body.frequencyCap === "object" ? body.frequencyCap : {};
+    out.frequencyCap = {
+      max: Math.max(0, Math.floor(Number(fc.max ?? existing.frequencyCap?.max ?? 0)) || 0),
+      windowHours: Math.max(1, Number(fc.windowHours ?? existing.frequencyCap?.windowHours ?? 24) || 24),
+    };
+  }
+
+  return out;
+}
+
 /**
  * Build a partial update payload. Merge custom safely with existing.
  */
@@ -172,5 +374,7 @@ function normalizeUpdatePayload(body = {}, existing) {
     update.custom = merged;
   }
 
+  Object.assign(update, normalizeDelivery(body, existing || {}));
+
   return update;
 }
@@ -6,6 +6,7 @@ const slugify = require("slugify");
 const { extractTags } = require("../services/textFeatures");
 const { finalizeArticleImages } = require("../services/finalizeArticleImages");
 const { buildImageVariants } = require("../services/imageVariants");
+const { trashItem } = require("../services/trash.service");
 
 // ---------------------------------------------------------
 // Helpers
@@ -194,3 +195,16 @@ exports.update = async (req, res) => {
     res.status(500).json({ error: String(err.message) });
   }
 };
+
+// ---------------------------------------------------------
+// SOFT DELETE (move to trash; restore/purge under /api/admin/trash)
+// ---------------------------------------------------------
+exports.softDelete = async (req, res) => {
+  try {
+    const doc = await trashItem("article", req.params.id, req.user);
+    if (!doc) return res.status(404).json({ error: "not_found" });
+    res.json({ ok: true, trashed: true, deletedAt: doc.deletedAt });
+  } catch (err) {
+    res.status(500).json({ error: String(err.message) });
+  }
+};
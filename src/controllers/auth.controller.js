@@ -0,0 +1,99 @@
+// backend/src/controllers/auth.controller.js
+const User = require("../models/User");
+const {
+  verifyPassword,
+  validatePassword,
+  signUserToken,
+  signBootstrapToken,
+  bootstrapAllowed,
+  consumeResetToken,
+  publicUser,
+} = require("../services/auth.service");
+
+function warnIfWeak(configured) {
+  const strongish =
+    configured.length >= 8 &&
+    /[A-Z]/.test(configured) &&
+    /[a-z]/.test(configured) &&
+    /\d/.test(configured) &&
+    /[\W_]/.test(configured);
+  if (!strongish) {
+    console.warn("[auth] ADMIN_PASSWORD appears weak; consider rotating to a stronger one (8+ chars, upper/lower/digit/symbol).");
+  }
+}
+
+/**
+ * POST /api/auth/login
+ * Body: { email, password }
+ * Returns: { token, user }
+ */
+exports.login = async (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+    if (!password) return res.status(400).json({ error: "Password required" });
+
+    if (!email) {
+      const configured = String(process.env.ADMIN_PASSWORD || "");
+      if (!configured || !(await bootstrapAllowed())) {
+        return res.status(400).json({ error: "Email required" });
+      }
+      warnIfWeak(configured);
+      if (password !== configured) {
+        return res.status(401).json({ error: "Wrong password" });
+      }
+      return res.json({ token: signBootstrapToken(), user: { id: null, role: "admin", bootstrap: true } });
+    }
+
+    const user = await User.findOne({ email: String(email).trim().toLowerCase() });
+    const ok = user && user.active !== false && (await verifyPassword(password, user.passwordHash));
+    if (!ok) return res.status(401).json({ error: "Invalid email or password" });
+
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    res.json({ token: signUserToken(user), user: publicUser(user) });
+  } catch (e) {
+    console.error("[auth.login]", e);
+    res.status(500).json({ error: "Login failed" });
+  }
+};
+
+/**
+ * POST /api/auth/password/reset
+ * Body: { token, password }
+ * Used both for invite acceptance and forgotten-password resets.
+ */
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body || {};
+    if (!token) return res.status(400).json({ error: "Token required" });
+
+    const invalid = validatePassword(password);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const user = await consumeResetToken(token, password);
+    if (!user) return res.status(400).json({ error: "Invalid or expired token" });
+
+    res.json({ token: signUserToken(user), user: publicUser(user) });
+  } catch (e) {
+    console.error("[auth.resetPassword]", e);
+    res.status(500).json({ error: "Password reset failed" });
+  }
+};
+
+/**
+ * GET /api/auth/me
+ */
+exports.me = async (req, res) => {
+  try {
+    if (!req.user) return res.status(401).json({ error: "Unauthorized" });
+    if (!req.user.id) return res.json({ user: req.user });
+
+    const user = await User.findById(req.user.id).lean();
+    if (!user) return res.status(404).json({ error: "Not found" });
+    res.json({ user: publicUser(user) });
+  } catch (e) {
+    console.error("[auth.me]", e);
+    res.status(500).json({ error: "Failed to load user" });
+  }
+};
@@ -13,6 +13,7 @@ const fetch = global.fetch || require("node-fetch");
 const FeedSource = require("../models/FeedSource");
 const FeedItem = require("../models/FeedItem");
 const Article = require("../models/Article");
+const { recordRevision, automationActor } = require("../services/articleRevision.service");
 const XSource = require("../models/XSource"); // <-- NEW
 
 const { chooseHeroImage } = require("../services/imagePicker");
@@ -806,7 +807,7 @@ const payload = {
   // ensure unique slug
   let finalSlug = payload.slug;
   let suffix = 2;
-  while (await Article.exists({ slug: finalSlug })) {
+  while (await Article.exists({ slug: finalSlug }).setOptions({ withDeleted: true })) {
     finalSlug = `${payload.slug}-${suffix++}`;
   }
   payload.slug = finalSlug;
@@ -815,6 +816,7 @@ const payload = {
   payload.publishedAt = new Date();
 
   const doc = await Article.create(payload);
+  await recordRevision(null, doc, { user: automationActor("rss-rewrite"), source: "ai-rewrite" });
 
   item.status = "drafted";
   item.articleId = doc._id;
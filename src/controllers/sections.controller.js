@@ -1,6 +1,7 @@
 // backend/src/controllers/sections.controller.js
 const Section = require("../models/Section");
 const Ad = require("../models/Ad");
+const { runningFilter, untargetedFilter, pickWeighted } = require("../services/adServing.service");
 
 const planService = require("../services/sectionsPlan.service");
 
@@ -59,6 +60,7 @@ exports.plan = async (req, res) => {
     targetType: sectionType,
     targetValue: sectionValue,
     marketsService,
+    articleSlug: req.query.article, // for feed.source = "related"
   });
   const plan = Array.isArray(planRows) ? planRows : [];
 
@@ -73,13 +75,30 @@ exports.plan = async (req, res) => {
   // 3) Fetch ads defensively (include custom so we can carry afterNth)
   let adRows = [];
   try {
-    const ads = await Ad.find(
-      { enabled: true, "target.type": sectionType, "target.value": sectionValue },
-      "_id imageUrl linkUrl placementIndex target custom"
+    // The plan is cached for every visitor, so only ads that suit everyone go in;
+    // geo/device-targeted and frequency-capped ads are served by /api/ads/serve
+    const running = await Ad.find(
+      {
+        $and: [
+          runningFilter(),
+          untargetedFilter(),
+          { "target.type": sectionType, "target.value": sectionValue },
+        ],
+      },
+      "_id imageUrl linkUrl placementIndex target custom weight"
     )
       .sort({ placementIndex: 1, createdAt: 1 })
       .lean();
 
+    // Rotation: one ad per placement, picked by weight
+    const bySlot = new Map();
+    for (const a of running) {
+      const k = Number(a.placementIndex ?? 0);
+      if (!bySlot.has(k)) bySlot.set(k, []);
+      bySlot.get(k).push(a);
+    }
+    const ads = [...bySlot.values()].map((group) => pickWeighted(group)).filter(Boolean);
+
     // ✅ Keep any `custom.afterNth` from the Ad document
     adRows = ads.map((a) => ({
       _id: a._id,
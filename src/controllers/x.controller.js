@@ -517,7 +517,7 @@ exports.createDraftFromXItem = async (req, res) => {
       body: g.body || "",
       author: g.author || "Desk",
       category: g.category || "Politics",
-      status: "Draft",
+      status: "in_review", // AI draft from X → review queue
       publishedAt: g.publishAt ? new Date(g.publishAt) : null,
 
       // ⬅️ NEW
@@ -5,14 +5,27 @@
  * Auto Newsroom Cron
  * ------------------
  * Periodically calls the AI news generator and saves articles to MongoDB.
+ *
+ * Runs as the "ai-news" job on the Mongo job queue (services/jobQueue.service.js):
+ * one run at a time across all instances, with a lease instead of an in-memory
+ * inFlight flag, so a crashed or hung run can no longer block the robot.
  */
 
 const Article = require("../models/Article");
+const { recordRevision, automationActor } = require("../services/articleRevision.service");
 const AiGenerationLog = require("../models/AiGenerationLog");
 const { generateNewsBatch } = require("../services/aiNewsGenerator");
 const { finalizeArticleImages } = require("../services/finalizeArticleImages");
 const slugify = require("slugify");
 const { fetchLiveSeeds } = require("../services/liveNewsIngestor");
+const Job = require("../models/Job");
+const {
+  defineJob,
+  schedule,
+  enqueue,
+  waitForJob,
+  releaseRunning,
+} = require("../services/jobQueue.service");
 
 // NEW: advanced AI article guard (source URL + similarity + topic fingerprints)
 const {
@@ -41,15 +54,10 @@ const FORCED_CATEGORIES = String(process.env.AI_NEWS_CRON_CATEGORIES || "")
 const WINDOW_START_HOUR = parseInt(process.env.AI_NEWS_CRON_WINDOW_START_HOUR || "0", 10);
 const WINDOW_END_HOUR = parseInt(process.env.AI_NEWS_CRON_WINDOW_END_HOUR || "24", 10);
 
-// in-memory guard + status snapshot
-let timer = null;
-let inFlight = false;
-let inFlightSince = null;
+const JOB_NAME = "ai-news";
+const TRIGGER = "cron-auto-newsroom";
 
-let lastRunAt = null;
-let lastStatus = null;
-let todayCountSaved = 0;
-let todayDateKey = null;
+let scheduledEverySec = null;
 
 function clampCount(n) {
   if (!Number.isFinite(n)) return 0;
@@ -57,10 +65,6 @@ function clampCount(n) {
   return Math.floor(n);
 }
 
-function currentDateKey(d = new Date()) {
-  return d.toISOString().slice(0, 10);
-}
-
 function isWithinTimeWindow(now = new Date()) {
   const h = now.getHours();
   if (WINDOW_START_HOUR === WINDOW_END_HOUR) return true;
@@ -81,7 +85,7 @@ async function computeAllowedCount() {
     AiGenerationLog.aggregate([
       {
         $match: {
-          triggeredBy: "cron-auto-newsroom",
+          triggeredBy: TRIGGER,
           runAt: { $gte: oneHourAgo },
         },
       },
@@ -90,7 +94,7 @@ async function computeAllowedCount() {
     AiGenerationLog.aggregate([
       {
         $match: {
-          triggeredBy: "cron-auto-newsroom",
+          triggeredBy: TRIGGER,
           runAt: { $gte: dayStart },
         },
       },
@@ -111,37 +115,25 @@ async function computeAllowedCount() {
 }
 
 /**
- * ✅ NEW: allow admin route to reset a stuck lock.
- * This fixes your permanent: reason="in_flight"
+ * Release a stuck run: expires the lease of any running "ai-news" job so the
+ * queue re-queues or dead-letters it. (Leases also expire on their own.)
  */
-function clearInFlight() {
-  inFlight = false;
-  inFlightSince = null;
+async function clearInFlight() {
+  const { released } = await releaseRunning(JOB_NAME);
   return {
     ok: true,
-    cleared: true,
+    cleared: released > 0,
+    released,
     inFlight: false,
   };
 }
 
 /**
- * MAIN EXECUTION — single cron run
- * Now always returns a structured result object so admin routes
- * can respond quickly instead of dealing with undefined.
- *
- * ✅ NEW: supports { force: true } to override stuck inFlight
+ * MAIN EXECUTION — single cron run (the "ai-news" job handler).
+ * Always returns a structured result object; it is stored as the job result.
+ * Call through the queue (enqueueAutoNewsRun) rather than directly so runs never overlap.
  */
-async function runOnceAutoNews({ reason = "interval", force = false } = {}) {
-  if (inFlight && !force) {
-    console.log("[autoNewsCron] skip — previous run still in flight");
-    return { ok: false, skipped: true, reason: "in_flight", inFlightSince };
-  }
-
-  if (inFlight && force) {
-    console.warn("[autoNewsCron] force run requested; clearing inFlight lock");
-    clearInFlight();
-  }
-
+async function runOnceAutoNews({ reason = "interval" } = {}) {
   const now = new Date();
 
   if (!isWithinTimeWindow(now)) {
@@ -161,14 +153,6 @@ async function runOnceAutoNews({ reason = "interval", force = false } = {}) {
   }
 
   const startedAt = Date.now();
-  inFlight = true;
-  inFlightSince = new Date();
-
-  const key = currentDateKey(now);
-  if (todayDateKey !== key) {
-    todayDateKey = key;
-    todayCountSaved = 0;
-  }
 
   let seeds = [];
   let normalized = [];
@@ -185,8 +169,6 @@ async function runOnceAutoNews({ reason = "interval", force = false } = {}) {
         usedHour,
         usedDay
       );
-      lastRunAt = new Date();
-      lastStatus = "success";
 
       return {
         ok: true,
@@ -256,12 +238,9 @@ async function runOnceAutoNews({ reason = "interval", force = false } = {}) {
         requestStatus: desiredStatus,
         categories: categories || [],
         samples: [],
-        triggeredBy: "cron-auto-newsroom",
+        triggeredBy: TRIGGER,
       });
 
-      lastRunAt = new Date();
-      lastStatus = "error";
-
       return {
         ok: false,
         skipped: false,
@@ -311,7 +290,7 @@ async function runOnceAutoNews({ reason = "interval", force = false } = {}) {
         summary: g.summary || "",
         author: g.author || "Desk",
         category: g.category || "General",
-        status: "draft",
+        status: "in_review",
         publishAt: g.publishAt || new Date(),
 
         // ✅ force ImageLibrary picking
@@ -369,12 +348,13 @@ async function runOnceAutoNews({ reason = "interval", force = false } = {}) {
       let finalSlug = payload.slug;
       let suffix = 2;
       // eslint-disable-next-line no-await-in-loop
-      while (await Article.exists({ slug: finalSlug })) {
+      while (await Article.exists({ slug: finalSlug }).setOptions({ withDeleted: true })) {
         finalSlug = `${payload.slug}-${suffix++}`;
       }
       payload.slug = finalSlug;
 
-      payload.status = desiredStatus === "published" ? "published" : "draft";
+      // AI output goes to the review queue unless auto-publish is configured
+      payload.status = desiredStatus === "published" ? "published" : "in_review";
       if (payload.status === "published") {
         payload.publishedAt = new Date();
       }
@@ -386,6 +366,10 @@ async function runOnceAutoNews({ reason = "interval", force = false } = {}) {
       // eslint-disable-next-line no-await-in-loop
       const doc = await Article.create(payload);
 
+      // the AI's version is revision 1, so editors' later changes can be diffed against it
+      // eslint-disable-next-line no-await-in-loop
+      await recordRevision(null, doc, { user: automationActor("ai-news"), source: "ai-news" });
+
       // eslint-disable-next-line no-await-in-loop
       await markTopicUsed(seedForGuard, doc._id);
 
@@ -409,13 +393,9 @@ async function runOnceAutoNews({ reason = "interval", force = false } = {}) {
       requestStatus: desiredStatus,
       categories: categories || [],
       samples: createdSummaries,
-      triggeredBy: "cron-auto-newsroom",
+      triggeredBy: TRIGGER,
     });
 
-    lastRunAt = new Date();
-    lastStatus = "success";
-    todayCountSaved += createdSummaries.length;
-
     console.log(
       "[autoNewsCron] done — saved=%s (requested=%s, generated=%s, skippedDuplicates=%s, skippedTopicDuplicates=%s)",
       createdSummaries.length,
@@ -455,15 +435,12 @@ async function runOnceAutoNews({ reason = "interval", force = false } = {}) {
         requestStatus: DEFAULT_STATUS,
         categories: FORCED_CATEGORIES || [],
         samples: [],
-        triggeredBy: "cron-auto-newsroom",
+        triggeredBy: TRIGGER,
       });
     } catch (logErr) {
       console.error("[autoNewsCron] log-create failed:", logErr?.message || logErr);
     }
 
-    lastRunAt = new Date();
-    lastStatus = "error";
-
     return {
       ok: false,
       skipped: false,
@@ -474,19 +451,25 @@ async function runOnceAutoNews({ reason = "interval", force = false } = {}) {
       generated: normalized.length,
       saved: createdSummaries.length,
     };
-  } finally {
-    inFlight = false;
-    inFlightSince = null;
   }
 }
 
+defineJob(
+  JOB_NAME,
+  (payload = {}) => runOnceAutoNews({ reason: payload.reason || "schedule" }),
+  {
+    concurrency: 1,
+    maxAttempts: 1, // the next slot is the retry; never re-generate a half-finished batch
+    leaseSec: 120,
+    timeoutSec: parseInt(process.env.AI_NEWS_JOB_TIMEOUT_SECONDS || "1200", 10),
+  }
+);
+
 function startAutoNewsCron(intervalSec = DEFAULT_INTERVAL_SEC) {
   const sec = clampCount(intervalSec) || DEFAULT_INTERVAL_SEC;
 
-  if (timer) clearInterval(timer);
-
   console.log(
-    "[autoNewsCron] starting — interval=%ss, status=%s, window=%s-%s, categories=%s",
+    "[autoNewsCron] scheduling — interval=%ss, status=%s, window=%s-%s, categories=%s",
     sec,
     DEFAULT_STATUS,
     WINDOW_START_HOUR,
@@ -494,34 +477,75 @@ function startAutoNewsCron(intervalSec = DEFAULT_INTERVAL_SEC) {
     FORCED_CATEGORIES.length ? FORCED_CATEGORIES.join(",") : "(auto)"
   );
 
-  timer = setInterval(() => {
-    runOnceAutoNews().catch((e) =>
-      console.error("[autoNewsCron] tick error:", e?.message || e)
-    );
-  }, sec * 1000);
+  schedule(JOB_NAME, { job: JOB_NAME, everySec: sec, payload: { reason: "interval" } });
+  scheduledEverySec = sec;
 }
 
-function getCronStatusSnapshot() {
+/**
+ * Queue a run now (admin / external cron) and wait up to waitMs for its result.
+ * If a run is already queued or running, that one is returned instead of starting another.
+ */
+async function enqueueAutoNewsRun({ reason = "manual-api", waitMs = 25000 } = {}) {
+  let job = await Job.findOne({ name: JOB_NAME, status: { $in: ["queued", "running"] } })
+    .sort({ createdAt: -1 })
+    .lean();
+  const alreadyPending = !!job;
+  if (!job) {
+    ({ job } = await enqueue(JOB_NAME, { reason }, { priority: 10, enqueuedBy: reason }));
+  }
+
+  const finished = waitMs > 0 ? await waitForJob(job._id, waitMs) : job;
+  if (finished?.status === "succeeded") return { ...(finished.result || {}), jobId: finished._id };
   return {
-    intervalSeconds: clampCount(DEFAULT_INTERVAL_SEC),
-    enabled: !!timer,
+    ok: true,
+    queued: true,
+    alreadyPending,
+    jobId: job._id,
+    status: finished?.status || job.status,
+    lastError: finished?.lastError || undefined,
+  };
+}
+
+async function getCronStatusSnapshot() {
+  const dayStart = new Date();
+  dayStart.setHours(0, 0, 0, 0);
+
+  const [runningJob, lastJob, todayAgg] = await Promise.all([
+    Job.findOne({ name: JOB_NAME, status: "running" }).select("startedAt lease").lean(),
+    Job.findOne({ name: JOB_NAME, status: { $in: ["succeeded", "dead"] } })
+      .sort({ finishedAt: -1 })
+      .select("status finishedAt result lastError")
+      .lean(),
+    AiGenerationLog.aggregate([
+      { $match: { triggeredBy: TRIGGER, runAt: { $gte: dayStart } } },
+      { $group: { _id: null, total: { $sum: "$countSaved" } } },
+    ]),
+  ]);
+
+  const lastOk = lastJob?.status === "succeeded" && lastJob.result?.ok !== false;
+
+  return {
+    intervalSeconds: scheduledEverySec || clampCount(DEFAULT_INTERVAL_SEC),
+    enabled: !!scheduledEverySec,
     windowStartHour: WINDOW_START_HOUR,
     windowEndHour: WINDOW_END_HOUR,
     categories: FORCED_CATEGORIES,
     maxPerDay: MAX_PER_DAY,
-    todayCountSaved,
-    lastRunAt,
-    lastStatus,
-
-    // ✅ helpful for debugging lock
-    inFlight,
-    inFlightSince,
+    todayCountSaved: todayAgg?.[0]?.total || 0,
+    lastRunAt: lastJob?.finishedAt || null,
+    lastStatus: lastJob ? (lastOk ? "success" : "error") : null,
+
+    // queue lease (any instance)
+    inFlight: !!runningJob,
+    inFlightSince: runningJob?.startedAt || null,
+    leaseExpiresAt: runningJob?.lease?.expiresAt || null,
   };
 }
 
 module.exports = {
   startAutoNewsCron,
   runOnceAutoNews,
+  enqueueAutoNewsRun,
   getCronStatusSnapshot,
   clearInFlight,
 };
@@ -0,0 +1,113 @@
+// backend/src/cron/newsletterCron.js
+"use strict";
+
+/**
+ * Newsletter Cron
+ * ---------------
+ * Every tick:
+ *  - drains queued NewsletterDelivery rows at NEWSLETTER_SEND_RATE_PER_MINUTE
+ *  - once per UTC day, at/after NEWSLETTER_DIGEST_HOUR_UTC, builds the daily digest
+ *    and queues it for confirmed "daily" subscribers (NEWSLETTER_DIGEST_ENABLED=false to turn off)
+ *  - on NEWSLETTER_WEEKLY_DAY_UTC (0 = Sunday) the same happens for the weekly digest
+ *
+ * The queue lives in Mongo, so a restart resumes where it left off.
+ */
+
+const {
+  processQueue,
+  enqueueDigest,
+  utcDateKey,
+  utcWeekKey,
+} = require("../services/newsletter.service");
+const NewsletterDigest = require("../../models/NewsletterDigest");
+
+const DEFAULT_INTERVAL_SEC = parseInt(process.env.NEWSLETTER_WORKER_INTERVAL_SECONDS || "15", 10);
+const RATE_PER_MINUTE = parseInt(process.env.NEWSLETTER_SEND_RATE_PER_MINUTE || "60", 10);
+const DIGEST_ENABLED = String(process.env.NEWSLETTER_DIGEST_ENABLED || "true") !== "false";
+const DIGEST_HOUR_UTC = parseInt(process.env.NEWSLETTER_DIGEST_HOUR_UTC || "17", 10);
+const WEEKLY_DAY_UTC = parseInt(process.env.NEWSLETTER_WEEKLY_DAY_UTC || "0", 10);
+
+let timer = null;
+let intervalSec = DEFAULT_INTERVAL_SEC;
+let inFlight = false;
+let lastRunAt = null;
+let lastResult = null;
+let lastDigest = null;
+
+async function maybeQueueDigest(key) {
+  const existing = await NewsletterDigest.findOne({ key }).select("queuedAt").lean();
+  if (existing?.queuedAt) return null;
+
+  lastDigest = await enqueueDigest(key);
+  if (lastDigest.queued) console.log("[newsletter] digest %s queued for %d subscriber(s)", key, lastDigest.queued);
+  return lastDigest;
+}
+
+async function maybeQueueDigests(now) {
+  if (!DIGEST_ENABLED || now.getUTCHours() < DIGEST_HOUR_UTC) return null;
+  const daily = await maybeQueueDigest(utcDateKey(now));
+  const weekly = now.getUTCDay() === WEEKLY_DAY_UTC ? await maybeQueueDigest(utcWeekKey(now)) : null;
+  return daily || weekly ? { daily, weekly } : null;
+}
+
+async function runOnceNewsletter() {
+  if (inFlight) return { skipped: true, reason: "in_flight" };
+  inFlight = true;
+  const now = new Date();
+
+  try {
+    const digest = await maybeQueueDigests(now);
+    const perTick = Math.max(1, Math.ceil((RATE_PER_MINUTE * intervalSec) / 60));
+    const sent = await processQueue({ limit: perTick });
+
+    if (sent.sent || sent.failed) {
+      console.log("[newsletter] sent=%d failed=%d retry=%d skipped=%d", sent.sent, sent.failed, sent.retry, sent.skipped);
+    }
+
+    lastResult = { ok: true, ...sent, digest };
+    return lastResult;
+  } catch (err) {
+    console.error("[newsletter] run failed:", err?.message || err);
+    lastResult = { ok: false, error: err?.message || String(err) };
+    return lastResult;
+  } finally {
+    lastRunAt = now;
+    inFlight = false;
+  }
+}
+
+function startNewsletterCron(sec = DEFAULT_INTERVAL_SEC) {
+  intervalSec = Math.max(5, parseInt(sec, 10) || DEFAULT_INTERVAL_SEC);
+
+  if (timer) clearInterval(timer);
+  console.log(
+    "[newsletter] starting — interval=%ss rate=%d/min digest=%s",
+    intervalSec,
+    RATE_PER_MINUTE,
+    DIGEST_ENABLED ? `${DIGEST_HOUR_UTC}:00 UTC (weekly on day ${WEEKLY_DAY_UTC})` : "off"
+  );
+
+  timer = setInterval(() => {
+    runOnceNewsletter().catch((e) =>
+      console.error("[newsletter] tick error:", e?.message || e)
+    );
+  }, intervalSec * 1000);
+}
+
+function getNewsletterSnapshot() {
+  return {
+    enabled: !!timer,
+    intervalSeconds: intervalSec,
+    ratePerMinute: RATE_PER_MINUTE,
+    digest: { enabled: DIGEST_ENABLED, hourUtc: DIGEST_HOUR_UTC, weeklyDayUtc: WEEKLY_DAY_UTC, last: lastDigest },
+    inFlight,
+    lastRunAt,
+    lastResult,
+  };
+}
+
+module.exports = {
+  startNewsletterCron,
+  runOnceNewsletter,
+  getNewsletterSnapshot,
+};
@@ -0,0 +1,189 @@
+// backend/src/cron/scheduledPublishCron.js
+"use strict";
+
+/**
+ * Scheduled Publishing Cron
+ * -------------------------
+ * Every tick:
+ *  - status "scheduled" with publishAt <= now   → "published" (+ publishedAt, side effects)
+ *  - status "published" with unpublishAt <= now → "archived"
+ *
+ * All state lives on the Article documents, so a restart simply catches up
+ * on whatever became due while the process was down. Each promotion is a
+ * conditional update on the current status, so overlapping ticks or several
+ * instances never publish the same article twice.
+ *
+ * A due article is validated as published first (the same quality gate as a
+ * manual publish); one that fails goes back to "approved" with scheduleError set.
+ */
+
+const Article = require("../models/Article");
+const { recordRevision } = require("../services/articleRevision.service");
+const {
+  runPublishSideEffects,
+  runUnpublishSideEffects,
+} = require("../services/articlePublish.service");
+
+const DEFAULT_INTERVAL_SEC = parseInt(
+  process.env.SCHEDULED_PUBLISH_INTERVAL_SECONDS || "60",
+  10
+);
+const MAX_PER_RUN = parseInt(process.env.SCHEDULED_PUBLISH_MAX_PER_RUN || "50", 10);
+
+let timer = null;
+let inFlight = false;
+let lastRunAt = null;
+let lastResult = null;
+
+/** The validation message if `article` may not go live as it stands, else null. */
+async function publishValidationError(article, now) {
+  const candidate = Article.hydrate(article);
+  candidate.set({ status: "published", publishedAt: now });
+  try {
+    await candidate.validate();
+    return null;
+  } catch (err) {
+    return String(err?.message || err).slice(0, 500);
+  }
+}
+
+/** Send a due article that failed validation back to "approved" so an editor can fix it. */
+async function holdBack(before, now, message) {
+  const doc = await Article.findOneAndUpdate(
+    { _id: before._id, status: "scheduled", publishAt: { $lte: now } },
+    { $set: { status: "approved", scheduleError: message } },
+    { new: true }
+  ).lean();
+  if (!doc) return;
+
+  console.warn("[scheduledPublish] not publishing %s: %s", before.slug || before._id, message);
+  await recordRevision(before, doc, { source: "scheduler", note: `not published: ${message}` });
+}
+
+async function promoteDue(now) {
+  const due = await Article.find({ status: "scheduled", publishAt: { $lte: now } })
+    .select("_id")
+    .sort({ publishAt: 1 })
+    .limit(MAX_PER_RUN)
+    .lean();
+
+  const published = [];
+  for (const { _id } of due) {
+    // eslint-disable-next-line no-await-in-loop
+    const before = await Article.findById(_id).lean();
+    if (!before) continue;
+
+    // eslint-disable-next-line no-await-in-loop
+    const invalid = await publishValidationError(before, now);
+    if (invalid) {
+      // eslint-disable-next-line no-await-in-loop
+      await holdBack(before, now, invalid);
+      continue;
+    }
+
+    // eslint-disable-next-line no-await-in-loop
+    const doc = await Article.findOneAndUpdate(
+      { _id, status: "scheduled", publishAt: { $lte: now } },
+      { $set: { status: "published", publishedAt: now, archivedAt: null, scheduleError: "" } },
+      { new: true }
+    ).lean();
+    if (!doc) continue; // someone else got it first (or it was unscheduled)
+
+    published.push(String(doc._id));
+    // eslint-disable-next-line no-await-in-loop
+    await recordRevision(before, doc, { source: "scheduler" });
+    // eslint-disable-next-line no-await-in-loop
+    await runPublishSideEffects(doc);
+  }
+  return published;
+}
+
+async function expireDue(now) {
+  const due = await Article.find({ status: "published", unpublishAt: { $ne: null, $lte: now } })
+    .select("_id")
+    .sort({ unpublishAt: 1 })
+    .limit(MAX_PER_RUN)
+    .lean();
+
+  const archived = [];
+  for (const { _id } of due) {
+    // eslint-disable-next-line no-await-in-loop
+    const before = await Article.findById(_id).lean();
+
+    // eslint-disable-next-line no-await-in-loop
+    const doc = await Article.findOneAndUpdate(
+      { _id, status: "published", unpublishAt: { $ne: null, $lte: now } },
+      { $set: { status: "archived", archivedAt: now } },
+      { new: true }
+    ).lean();
+    if (!doc) continue;
+
+    archived.push(String(doc._id));
+    // eslint-disable-next-line no-await-in-loop
+    await recordRevision(before, doc, { source: "scheduler", note: "expired (unpublishAt)" });
+  }
+  if (archived.length) runUnpublishSideEffects();
+  return archived;
+}
+
+async function runOnceScheduledPublish() {
+  if (inFlight) return { skipped: true, reason: "in_flight" };
+  inFlight = true;
+  const now = new Date();
+
+  try {
+    const published = await promoteDue(now);
+    const archived = await expireDue(now);
+
+    if (published.length || archived.length) {
+      console.log(
+        "[scheduledPublish] published=%d archived=%d",
+        published.length,
+        archived.length
+      );
+    }
+
+    lastResult = { ok: true, published, archived };
+    return lastResult;
+  } catch (err) {
+    console.error("[scheduledPublish] run failed:", err?.message || err);
+    lastResult = { ok: false, error: err?.message || String(err) };
+    return lastResult;
+  } finally {
+    lastRunAt = now;
+    inFlight = false;
+  }
+}
+
+function startScheduledPublishCron(intervalSec = DEFAULT_INTERVAL_SEC) {
+  const sec = Math.max(5, parseInt(intervalSec, 10) || DEFAULT_INTERVAL_SEC);
+
+  if (timer) clearInterval(timer);
+  console.log("[scheduledPublish] starting — interval=%ss", sec);
+
+  // catch up immediately on anything that became due while we were down
+  runOnceScheduledPublish().catch(() => {});
+
+  timer = setInterval(() => {
+    runOnceScheduledPublish().catch((e) =>
+      console.error("[scheduledPublish] tick error:", e?.message || e)
+    );
+  }, sec * 1000);
+}
+
+function getScheduledPublishSnapshot() {
+  return {
+    enabled: !!timer,
+    intervalSeconds: DEFAULT_INTERVAL_SEC,
+    maxPerRun: MAX_PER_RUN,
+    inFlight,
+    lastRunAt,
+    lastResult,
+  };
+}
+
+module.exports = {
+  startScheduledPublishCron,
+  runOnceScheduledPublish,
+  getScheduledPublishSnapshot,
+};
@@ -0,0 +1,17 @@
+// backend/src/jobs/adRollup.js
+// "ad-rollup": AdEvent → AdDaily (per-ad impressions, clicks, CTR, by country/device)
+// for one UTC day (idempotent upsert). Payload: { date: "YYYY-MM-DD" } | { previousDay: true } | {} (today).
+const { defineJob } = require("../services/jobQueue.service");
+const { rollupAdDay } = require("../services/adStats.service");
+const { previousUtcDay } = require("./analyticsRollup");
+
+defineJob(
+  "ad-rollup",
+  async (payload = {}, ctx) => {
+    const date = payload.date || (payload.previousDay ? previousUtcDay() : undefined);
+    const r = await rollupAdDay(date);
+    ctx.log(`rolled up ${r.date}: ${r.ads} ad(s), ${r.impressions} impressions, ${r.clicks} clicks`);
+    return r;
+  },
+  { concurrency: 1, maxAttempts: 3, backoffSec: 300, timeoutSec: 900 }
+);
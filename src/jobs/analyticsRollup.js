@@ -0,0 +1,42 @@
+// backend/src/jobs/analyticsRollup.js
+// "analytics-rollup": AnalyticsEvent → AnalyticsDaily for one UTC day (idempotent upsert).
+// Payload: { date: "YYYY-MM-DD" } | { previousDay: true } | {} (today).
+const { defineJob } = require("../services/jobQueue.service");
+const { rollupDaily } = require("../../jobs/rollupDaily");
+const { backfillRollups, syncRetentionIndex, utcDay } = require("../services/analyticsRollup.service");
+
+function previousUtcDay(now = new Date()) {
+  return new Date(now.getTime() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+defineJob(
+  "analytics-rollup",
+  async (payload = {}, ctx) => {
+    const date = payload.date || (payload.previousDay ? previousUtcDay() : undefined);
+    const res = await rollupDaily(date);
+    ctx.log(res.skipped ? `skipped ${res.date}: ${res.skipped}` : `rolled up ${res.date} pv=${res.totals?.page_view ?? "—"}`);
+    return { date: res.date, totals: res.totals, skipped: res.skipped };
+  },
+  { concurrency: 1, maxAttempts: 3, backoffSec: 300, timeoutSec: 900 }
+);
+
+// "analytics-backfill": rolls up every day in a range that is missing, has late events or lacks
+// hourly rollups (see services/analyticsRollup). Payload: { from, to, force? } | { lookbackDays }.
+// The scheduled run also applies ANALYTICS_EVENT_RETENTION_DAYS to the raw-event TTL index.
+defineJob(
+  "analytics-backfill",
+  async (payload = {}, ctx) => {
+    if (payload.lookbackDays) {
+      const r = await syncRetentionIndex();
+      if (r.action !== "none") ctx.log(`retention index ${r.action} (${r.retentionDays}d)`);
+    }
+    const to = payload.to || utcDay();
+    const from = payload.from || utcDay(Date.now() - (Number(payload.lookbackDays) || 7) * 24 * 60 * 60 * 1000);
+    const res = await backfillRollups({ from, to, force: !!payload.force, log: ctx.log });
+    ctx.log(`backfill ${from}..${to}: ${res.rolledUp.length} day(s) rolled up, ${res.skipped.length} past retention`);
+    return res;
+  },
+  { concurrency: 1, maxAttempts: 2, backoffSec: 600, timeoutSec: 3600 }
+);
+
+module.exports = { previousUtcDay };
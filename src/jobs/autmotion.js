@@ -1,80 +1,122 @@
 // backend/src/jobs/autmotion.js
+//
+// Feed automation on the job queue:
+//  - "feeds-due" (the "feeds" schedule, every intervalSec) finds enabled feeds whose
+//    schedule (30m | hourly | daily) has elapsed and queues one "feed-fetch" job per feed
+//  - "feed-fetch" pulls a single RSS feed into FeedItem
+// Start/stop pause the schedule cluster-wide (AdminSetting), so every instance agrees.
+const FeedSource = require("../models/FeedSource");
+const Job = require("../models/Job");
+const ctrl = require("../controllers/automation.controller");
+const { getStatus: getLocalState, setIntervalSec } = require("../state/autmotionState");
 const {
-  getStatus, setIntervalSec, setTimer, getTimer,
-  setRunning, setInFlight, setLastRun, setNextRun
-} = require("../state/autmotionState");
+  defineJob,
+  schedule,
+  enqueue,
+  setSchedulePaused,
+  getPausedSchedules,
+  getSchedule,
+} = require("../services/jobQueue.service");
 
-// If you already have these helpers in automation.controller.js, great.
-// If not, the tick() below will simply do nothing but still update status.
-let helpers;
-try {
-  helpers = require("../controllers/automation.controller");
-} catch (_) {
-  helpers = {};
-}
+const SCHEDULE_ID = "feeds";
 
-async function tick() {
-  const st = getStatus();
-  if (!st.running) return;
+const PERIOD_MS = {
+  "30m": 30 * 60 * 1000,
+  hourly: 60 * 60 * 1000,
+  daily: 24 * 60 * 60 * 1000,
+};
 
-  if (st.inFlight) return; // prevent overlap
-  setInFlight(true);
-  setLastRun(new Date());
+async function queueDueFeeds(_payload, ctx) {
+  const now = Date.now();
+  const feeds = await FeedSource.find({ enabled: true, schedule: { $in: Object.keys(PERIOD_MS) } })
+    .select("_id name schedule lastFetchedAt")
+    .lean();
 
-  try {
-    // 1) Fetch feeds due (optional if your controller has it)
-    if (typeof helpers.fetchAllDueFeeds === "function") {
-      await helpers.fetchAllDueFeeds();
-    }
+  let queued = 0;
+  for (const f of feeds) {
+    ctx.signal.throwIfAborted();
+    const period = PERIOD_MS[f.schedule];
+    if (f.lastFetchedAt && now - new Date(f.lastFetchedAt).getTime() < period) continue;
 
-    // 2) Process pending items (optional if your controller has it)
-    if (typeof helpers.processPendingItems === "function") {
-      await helpers.processPendingItems();
+    const slot = new Date(Math.floor(now / period) * period).toISOString();
+    const { duplicate } = await enqueue(
+      "feed-fetch",
+      { feedId: String(f._id) },
+      { uniqueKey: `feed-fetch:${f._id}@${slot}`, enqueuedBy: "feeds-due" }
+    );
+    if (!duplicate) {
+      queued++;
+      ctx.log(`queued ${f.name} (${f.schedule})`);
     }
+  }
+  return { feeds: feeds.length, queued };
+}
 
-    // If you don’t have the above yet, this still acts as a heartbeat.
-    // We keep it harmless and idempotent.
+async function fetchFeed(payload, ctx) {
+  const feed = await FeedSource.findById(payload.feedId).lean();
+  if (!feed) {
+    const err = new Error("feed not found");
+    err.permanent = true;
+    throw err;
+  }
+
+  try {
+    const r = await ctrl._fetchSingleFeedInternal(feed);
+    await FeedSource.updateOne({ _id: feed._id }, { $set: { lastFetchedAt: new Date(), lastFetchError: "" } });
+    ctx.log(`${feed.name}: created=${r.created} skipped=${r.skipped}`);
+    return r;
   } catch (e) {
-    console.warn("[autmotion] tick error:", e?.message || e);
-  } finally {
-    setInFlight(false);
-    const sec = getStatus().intervalSec;
-    setNextRun(new Date(Date.now() + sec * 1000));
+    await FeedSource.updateOne({ _id: feed._id }, { $set: { lastFetchError: String(e?.message || e).slice(0, 500) } });
+    throw e;
   }
 }
 
-function startAutmotion(secOverride) {
-  if (getTimer()) stopAutmotion();
+defineJob("feeds-due", queueDueFeeds, { concurrency: 1, maxAttempts: 1, timeoutSec: 120 });
+defineJob("feed-fetch", fetchFeed, { concurrency: 3, maxAttempts: 3, backoffSec: 60, timeoutSec: 120 });
 
-  if (typeof secOverride !== "undefined") setIntervalSec(secOverride);
-  const sec = getStatus().intervalSec;
-
-  setRunning(true);
-  setNextRun(new Date(Date.now() + sec * 1000));
+/** Install the recurring "feeds" schedule; paused/running state is kept in AdminSetting. */
+function scheduleAutmotion() {
+  schedule(SCHEDULE_ID, { job: "feeds-due", everySec: getLocalState().intervalSec });
+}
 
-  const t = setInterval(tick, sec * 1000);
-  setTimer(t);
-  console.log(`[autmotion] started, every ${sec}s`);
+async function startAutmotion(secOverride) {
+  if (typeof secOverride !== "undefined") setIntervalSec(secOverride);
+  scheduleAutmotion();
+  await setSchedulePaused(SCHEDULE_ID, false);
+  console.log(`[autmotion] started, every ${getLocalState().intervalSec}s`);
 }
 
-function stopAutmotion() {
-  const t = getTimer();
-  if (t) clearInterval(t);
-  setTimer(null);
-  setRunning(false);
-  setNextRun(null);
+async function stopAutmotion() {
+  if (!getSchedule(SCHEDULE_ID)) scheduleAutmotion();
+  await setSchedulePaused(SCHEDULE_ID, true);
   console.log("[autmotion] stopped");
 }
 
 async function runOnceNow() {
-  // Run a single tick immediately (even if stopped)
-  const wasRunning = getStatus().running;
-  setRunning(true);
-  try {
-    await tick();
-  } finally {
-    setRunning(wasRunning);
-  }
+  const { job } = await enqueue("feeds-due", {}, { priority: 10, enqueuedBy: "run-now" });
+  return job;
+}
+
+async function getStatus() {
+  const { intervalSec } = getLocalState();
+  const [paused, active, last] = await Promise.all([
+    getPausedSchedules(),
+    Job.exists({ name: { $in: ["feeds-due", "feed-fetch"] }, status: "running" }),
+    Job.findOne({ name: "feeds-due", status: { $in: ["succeeded", "dead"] } })
+      .sort({ finishedAt: -1 })
+      .select("finishedAt")
+      .lean(),
+  ]);
+
+  const running = !!getSchedule(SCHEDULE_ID) && !paused.includes(SCHEDULE_ID);
+  const ms = intervalSec * 1000;
+  return {
+    running,
+    inFlight: !!active,
+    intervalSec,
+    lastRun: last?.finishedAt || null,
+    nextRun: running ? new Date((Math.floor(Date.now() / ms) + 1) * ms) : null,
+  };
 }
 
-module.exports = { startAutmotion, stopAutmotion, runOnceNow, getStatus };
+module.exports = { scheduleAutmotion, startAutmotion, stopAutmotion, runOnceNow, getStatus };
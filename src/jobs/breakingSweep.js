@@ -0,0 +1,11 @@
+// backend/src/jobs/breakingSweep.js
+// "breaking-sweep": switches off breaking news items whose expiresAt has passed
+// (every BREAKING_SWEEP_INTERVAL_SECONDS, default 60).
+const { defineJob } = require("../services/jobQueue.service");
+const { sweepExpired } = require("../services/breakingNews.service");
+
+defineJob(
+  "breaking-sweep",
+  (_payload, ctx) => sweepExpired({ log: ctx.log }),
+  { concurrency: 1, maxAttempts: 1, timeoutSec: 120 }
+);
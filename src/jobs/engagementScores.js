@@ -0,0 +1,15 @@
+// backend/src/jobs/engagementScores.js
+// "engagement-scores": recompute Article.engagement (views, read completion, decayed score)
+// from recent analytics events; the score drives the "trending" sort.
+const { defineJob } = require("../services/jobQueue.service");
+const { computeEngagementScores } = require("../services/engagement.service");
+
+defineJob(
+  "engagement-scores",
+  async (_payload, ctx) => {
+    const r = await computeEngagementScores({ log: ctx.log });
+    ctx.log(`scored ${r.scored} article(s), reset ${r.reset} (window ${r.windowHours}h)`);
+    return r;
+  },
+  { concurrency: 1, maxAttempts: 2, backoffSec: 120, timeoutSec: 600 }
+);
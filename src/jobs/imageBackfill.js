@@ -0,0 +1,37 @@
+// backend/src/jobs/imageBackfill.js
+// "image-backfill": after a library image is added, swap it into recent AI drafts
+// that still use the default image. Queued by admin.imageLibrary.controller.
+const ImageLibrary = require("../models/ImageLibrary");
+const { defineJob, enqueue } = require("../services/jobQueue.service");
+const { backfillMatchingArticlesFromLibraryImage } = require("../services/imageBackfill");
+
+const BACKFILL_OPTS = { limit: 300, lookbackHours: 168, onlyAi: true };
+
+defineJob(
+  "image-backfill",
+  async (payload, ctx) => {
+    const image = await ImageLibrary.findById(payload.imageId).lean();
+    if (!image) {
+      const err = new Error("image not found");
+      err.permanent = true;
+      throw err;
+    }
+    const r = await backfillMatchingArticlesFromLibraryImage(image, BACKFILL_OPTS);
+    if (r?.ok === false) throw new Error(r.error || "backfill_failed");
+    ctx.log(`backfill for ${image.publicId}: ${JSON.stringify(r)}`);
+    return r;
+  },
+  { concurrency: 1, maxAttempts: 3, backoffSec: 60, timeoutSec: 600 }
+);
+
+/** Queue a backfill for one library image; returns the shape the admin UI shows as `backfill`. */
+async function queueImageBackfill(imageId, enqueuedBy = "image-library") {
+  const { job } = await enqueue(
+    "image-backfill",
+    { imageId: String(imageId) },
+    { uniqueKey: `image-backfill:${imageId}`, enqueuedBy }
+  );
+  return { ok: true, queued: true, jobId: job?._id || null };
+}
+
+module.exports = { queueImageBackfill };
@@ -0,0 +1,122 @@
+// backend/src/jobs/index.js
+//
+// Loads every job definition and installs the recurring schedules this
+// process should feed into the queue. Both the API server (index.js) and the
+// standalone worker (cron.js) call registerJobs() before startJobWorker().
+const { schedule } = require("../services/jobQueue.service");
+
+let registered = false;
+
+function registerJobs() {
+  if (registered) return;
+  registered = true;
+
+  // Requiring a module registers its handlers (defineJob)
+  const { startAutoNewsCron } = require("../cron/autoNewsCron"); // ai-news
+  const xScheduler = require("../automation/x/x.scheduler"); // x-fetch, x-item
+  const { scheduleAutmotion } = require("./autmotion"); // feeds-due, feed-fetch
+  require("./imageBackfill"); // image-backfill
+  require("./analyticsRollup"); // analytics-rollup, analytics-backfill
+  require("./trashPurge"); // trash-purge
+  require("./breakingSweep"); // breaking-sweep
+  require("./tickerRefresh"); // ticker-refresh
+  require("./adRollup"); // ad-rollup
+  require("./engagementScores"); // engagement-scores
+  require("./topicAssign"); // topic-assign
+
+  // AI auto-news robot
+  // do NOT print secret values; only print status
+  console.log("[debug] AI_NEWS_CRON_ENABLED =", String(process.env.AI_NEWS_CRON_ENABLED || "false"));
+  if (String(process.env.AI_NEWS_CRON_ENABLED || "false") === "true") {
+    startAutoNewsCron(parseInt(process.env.AI_NEWS_CRON_INTERVAL_SECONDS || "300", 10) || 300);
+  } else {
+    console.log("[autoNewsCron] NOT scheduled (AI_NEWS_CRON_ENABLED is not 'true')");
+  }
+
+  // Analytics: finalize yesterday shortly after midnight UTC; keep today fresh every hour
+  if (String(process.env.ANALYTICS_ROLLUP_ENABLED || "true") !== "false") {
+    schedule("analytics-rollup-daily", {
+      job: "analytics-rollup",
+      dailyAtUtc: process.env.ANALYTICS_ROLLUP_DAILY_AT_UTC || "00:05",
+      payload: { previousDay: true },
+      skipIfPending: false,
+    });
+    schedule("analytics-rollup-today", {
+      job: "analytics-rollup",
+      everySec: parseInt(process.env.ANALYTICS_ROLLUP_INTERVAL_SECONDS || "3600", 10),
+      payload: {},
+    });
+    // Re-roll recent days that were missed or got late events
+    schedule("analytics-backfill", {
+      job: "analytics-backfill",
+      dailyAtUtc: process.env.ANALYTICS_BACKFILL_AT_UTC || "00:30",
+      payload: { lookbackDays: parseInt(process.env.ANALYTICS_BACKFILL_LOOKBACK_DAYS || "7", 10) },
+    });
+  }
+
+  // Ads: same cadence as analytics (yesterday is final after midnight UTC; today hourly)
+  if (String(process.env.AD_ROLLUP_ENABLED || "true") !== "false") {
+    schedule("ad-rollup-daily", {
+      job: "ad-rollup",
+      dailyAtUtc: process.env.AD_ROLLUP_DAILY_AT_UTC || "00:10",
+      payload: { previousDay: true },
+      skipIfPending: false,
+    });
+    schedule("ad-rollup-today", {
+      job: "ad-rollup",
+      everySec: parseInt(process.env.AD_ROLLUP_INTERVAL_SECONDS || "3600", 10),
+      payload: {},
+    });
+  }
+
+  // Article engagement scores for the "trending" sort
+  if (String(process.env.ENGAGEMENT_SCORES_ENABLED || "true") !== "false") {
+    schedule("engagement-scores", {
+      job: "engagement-scores",
+      everySec: parseInt(process.env.ENGAGEMENT_SCORES_INTERVAL_SECONDS || "900", 10),
+    });
+  }
+
+  // Story clusters for articles the save hooks missed
+  if (String(process.env.TOPIC_ASSIGN_ENABLED || "true") !== "false") {
+    schedule("topic-assign", {
+      job: "topic-assign",
+      everySec: parseInt(process.env.TOPIC_ASSIGN_INTERVAL_SECONDS || "600", 10),
+      payload: { lookbackDays: 3 },
+    });
+  }
+
+  // Empty the trash bin of items past their retention period
+  schedule("trash-purge", {
+    job: "trash-purge",
+    dailyAtUtc: process.env.TRASH_PURGE_AT_UTC || "03:30",
+  });
+
+  // Switch off breaking news once its window closes
+  schedule("breaking-sweep", {
+    job: "breaking-sweep",
+    everySec: parseInt(process.env.BREAKING_SWEEP_INTERVAL_SECONDS || "60", 10),
+  });
+
+  // Live stock / weather values for the ticker
+  if (String(process.env.TICKER_REFRESH_ENABLED || "true") !== "false") {
+    schedule("ticker-refresh", {
+      job: "ticker-refresh",
+      everySec: parseInt(process.env.TICKER_REFRESH_INTERVAL_SECONDS || "300", 10),
+    });
+  }
+
+  // RSS feeds with a 30m/hourly/daily schedule (start/stop from the automation dashboard)
+  if (String(process.env.AUTMOTION_ENABLED || "true") === "true") {
+    scheduleAutmotion();
+  } else {
+    console.log("[autmotion] not scheduled (AUTMOTION_ENABLED=false)");
+  }
+
+  // X sources (off unless explicitly enabled)
+  if (String(process.env.X_AUTOMATION_ENABLED || "false") === "true") {
+    xScheduler.start();
+  }
+}
+
+module.exports = { registerJobs };
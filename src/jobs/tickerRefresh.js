@@ -0,0 +1,15 @@
+// backend/src/jobs/tickerRefresh.js
+// "ticker-refresh": pulls stock / weather values for provider-backed ticker items
+// (every TICKER_REFRESH_INTERVAL_SECONDS, default 300). Payload { ids } limits the run.
+const { defineJob } = require("../services/jobQueue.service");
+const { refreshTickerItems } = require("../services/ticker.service");
+
+defineJob(
+  "ticker-refresh",
+  async (payload, ctx) => {
+    const r = await refreshTickerItems({ ids: payload?.ids || null, log: ctx.log });
+    ctx.log(`refreshed ${r.refreshed}/${r.items}, failed ${r.failed}, newly stale ${r.markedStale}`);
+    return r;
+  },
+  { concurrency: 1, maxAttempts: 1, timeoutSec: 300 }
+);
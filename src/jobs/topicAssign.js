@@ -0,0 +1,18 @@
+// backend/src/jobs/topicAssign.js
+// "topic-assign": put published articles that have no story cluster yet into one
+// (writes the Article hooks don't see, failed hook runs). Payload { lookbackDays }
+// widens the sweep, e.g. a one-off backfill via POST /api/admin/jobs/run/topic-assign.
+const { defineJob } = require("../services/jobQueue.service");
+const { assignPendingTopics } = require("../services/topics.service");
+
+defineJob(
+  "topic-assign",
+  async (payload = {}, ctx) => {
+    const lookbackDays = Math.min(Math.max(Number(payload.lookbackDays) || 3, 1), 365);
+    const limit = Math.min(Math.max(Number(payload.limit) || 500, 1), 5000);
+    const r = await assignPendingTopics({ lookbackDays, limit, log: ctx.log });
+    ctx.log(`scanned ${r.scanned}, assigned ${r.assigned} (${r.created} new topic(s)), failed ${r.failed}`);
+    return r;
+  },
+  { concurrency: 1, maxAttempts: 2, backoffSec: 120, timeoutSec: 900 }
+);
@@ -0,0 +1,15 @@
+// backend/src/jobs/trashPurge.js
+// "trash-purge": permanently removes articles, media and comments that have been
+// in the trash longer than TRASH_RETENTION_DAYS (default 30).
+const { defineJob } = require("../services/jobQueue.service");
+const { purgeExpired } = require("../services/trash.service");
+
+defineJob(
+  "trash-purge",
+  async (_payload, ctx) => {
+    const r = await purgeExpired({ log: ctx.log });
+    ctx.log(`purged ${JSON.stringify(r.purged)} (retention ${r.retentionDays}d)`);
+    return r;
+  },
+  { concurrency: 1, maxAttempts: 3, backoffSec: 600, timeoutSec: 1800 }
+);
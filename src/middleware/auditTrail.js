@@ -0,0 +1,214 @@
+// backend/src/middleware/auditTrail.js
+/**
+ * Audit Trail Middleware
+ * - Records one AuditEvent for every non-GET request to an admin surface
+ *   (/api/admin/*, /api/automation/*, and the staff-only writes that live
+ *   outside /api/admin: articles, categories, tags, media, breaking, ticker, sections…)
+ * - Entity type/id come from ENTITY_ROUTES; "before" is loaded before the handler
+ *   runs and "after" is re-read once the response is sent (trashed documents included;
+ *   null after a purge)
+ * - Failed and rejected requests are recorded too (statusCode tells them apart)
+ * - Never blocks or fails the request: write errors are only logged
+ */
+const mongoose = require('mongoose');
+const AuditEvent = require('../models/AuditEvent');
+
+const MAX_SNAPSHOT_BYTES = parseInt(process.env.AUDIT_MAX_SNAPSHOT_BYTES || '65536', 10);
+
+// Which non-GET requests count as admin requests
+const ADMIN_PREFIXES = [
+  '/api/admin',
+  '/api/automation',
+  '/api/articles',
+  '/api/categories',
+  '/api/tags',
+  '/api/media',
+  '/api/uploads',
+  '/api/breaking',
+  '/api/ticker',
+  '/api/sections',
+  '/api/sections-v2',
+  '/api/history-page',
+  '/api/plan-image',
+];
+
+const OBJECT_ID = '([a-f0-9]{24})';
+
+// prefix/<id>/... → model; first match wins, so specific routes go first
+function idRoute(prefix, model) {
+  return { re: new RegExp(`^${prefix}(?:/${OBJECT_ID})?(?:/|$)`, 'i'), model };
+}
+
+const ENTITY_ROUTES = [
+  // singleton settings (AdminSetting rows, looked up by key)
+  { re: /^\/api\/admin\/prompt\/?$/, model: 'AdminSetting', key: 'dailyPrompt' },
+  { re: /^\/api\/admin\/articles\/workflow\/?$/, model: 'AdminSetting', key: 'editorialWorkflow' },
+  { re: /^\/api\/admin\/comments\/banned-words\/?$/, model: 'AdminSetting', key: 'commentBannedWords' },
+
+  // trash bin: /api/admin/trash/<type>/<id>[/restore]
+  { re: /^\/api\/admin\/trash\/article\/([a-f0-9]{24})(?:\/|$)/i, model: 'Article' },
+  { re: /^\/api\/admin\/trash\/media\/([a-f0-9]{24})(?:\/|$)/i, model: 'Media' },
+  { re: /^\/api\/admin\/trash\/comment\/([a-f0-9]{24})(?:\/|$)/i, model: 'Comment' },
+
+  idRoute('/api/admin/articles', 'Article'),
+  idRoute('/api/articles', 'Article'),
+  idRoute('/api/categories', 'Category'),
+  idRoute('/api/tags', 'Tag'),
+  idRoute('/api/media', 'Media'),
+  idRoute('/api/breaking', 'BreakingNews'),
+  idRoute('/api/ticker', 'TickerItem'),
+  idRoute('/api/sections-v2/admin/sections-v2', 'PageSectionV2'),
+  idRoute('/api/sections', 'Section'),
+  idRoute('/api/admin/ads', 'Ad'),
+  idRoute('/api/admin/image-library', 'ImageLibrary'),
+  idRoute('/api/admin/users', 'User'),
+  idRoute('/api/admin/comments', 'Comment'),
+  idRoute('/api/admin/newsletter/segments', 'NewsletterSegment'),
+  idRoute('/api/admin/jobs', 'Job'),
+  idRoute('/api/admin/topics', 'Topic'),
+  idRoute('/api/automation/feeds', 'FeedSource'),
+  idRoute('/api/automation/items', 'FeedItem'),
+  idRoute('/api/automation/x/sources', 'XSource'),
+  idRoute('/api/automation/x/items', 'XItem'),
+];
+
+// Never persisted, wherever they appear (request bodies and snapshots)
+const SECRET_KEY = /password|secret|token$|apikey|emailenc|hash$/i;
+
+function isAdminWrite(req) {
+  if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) return false;
+  return ADMIN_PREFIXES.some((p) => req.path === p || req.path.startsWith(`${p}/`));
+}
+
+function resolveEntity(path) {
+  for (const r of ENTITY_ROUTES) {
+    const m = r.re.exec(path);
+    if (!m) continue;
+    if (r.key) return { type: `AdminSetting:${r.key}`, model: r.model, filter: { key: r.key }, id: r.key };
+    const id = m[1] || null;
+    return { type: r.model, model: r.model, filter: id ? { _id: id } : null, id };
+  }
+  return { type: '', model: null, filter: null, id: null };
+}
+
+// Expects plain JSON (see bounded()); query objects are plain already
+function redact(value, depth = 0) {
+  if (value == null || typeof value !== 'object') return value;
+  if (depth > 8) return '[…]';
+  if (Array.isArray(value)) return value.map((v) => redact(v, depth + 1));
+
+  const out = {};
+  for (const [k, v] of Object.entries(value)) {
+    out[k] = SECRET_KEY.test(k) ? '[redacted]' : redact(v, depth + 1);
+  }
+  return out;
+}
+
+// Keep snapshots bounded: oversized documents keep only their short top-level fields
+function bounded(value) {
+  if (value == null) return null;
+  const clean = redact(JSON.parse(JSON.stringify(value)));
+  if (JSON.stringify(clean).length <= MAX_SNAPSHOT_BYTES) return clean;
+  if (typeof clean !== 'object' || Array.isArray(clean)) return { _truncated: true };
+
+  const out = { _truncated: true };
+  for (const [k, v] of Object.entries(clean)) {
+    if (v == null || typeof v !== 'object') {
+      out[k] = typeof v === 'string' && v.length > 500 ? `${v.slice(0, 500)}…` : v;
+    }
+  }
+  return out;
+}
+
+async function loadSnapshot(entity) {
+  if (!entity.model || !entity.filter) return null;
+  const Model = mongoose.models[entity.model];
+  if (!Model) return null;
+  return Model.findOne(entity.filter).setOptions({ withDeleted: true }).lean(); // snapshots show trash state
+}
+
+// Create routes answer with the new document (or { ok, article: {...} }); pick it out
+function createdDocFrom(body) {
+  if (!body || typeof body !== 'object') return null;
+  if (body._id) return body;
+  for (const v of Object.values(body)) {
+    if (v && typeof v === 'object' && !Array.isArray(v) && v._id) return v;
+  }
+  return null;
+}
+
+/**
+ * @param {object}   [opts]
+ * @param {function} [opts.resolveUser] async (req) => user; used when no auth middleware set req.user
+ */
+module.exports = function auditTrail(opts = {}) {
+  const { resolveUser } = opts;
+
+  return async function auditTrailMiddleware(req, res, next) {
+    if (!isAdminWrite(req)) return next();
+
+    const startedAt = Date.now();
+    const entity = resolveEntity(req.path);
+
+    let before = null;
+    try {
+      before = await loadSnapshot(entity);
+    } catch (e) {
+      console.warn('[audit] before snapshot failed:', e?.message || e);
+    }
+
+    let responseBody;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return json(body);
+    };
+
+    res.on('finish', async () => {
+      try {
+        let user = req.user || null;
+        if (!user && typeof resolveUser === 'function') user = await resolveUser(req).catch(() => null);
+        const viaCron = !user && !!req.headers['x-cron-secret'];
+
+        let entityId = entity.id;
+        let after = null;
+        if (entity.filter) {
+          after = await loadSnapshot(entity);
+        } else if (res.statusCode < 400) {
+          const created = createdDocFrom(responseBody);
+          if (created) {
+            entityId = String(created._id);
+            after = created;
+          }
+        }
+
+        await AuditEvent.create({
+          at: new Date(startedAt),
+          actor: {
+            id: user?.id && mongoose.Types.ObjectId.isValid(user.id) ? user.id : null,
+            email: user?.email || '',
+            name: user?.name || '',
+            role: user?.role || '',
+            via: user ? 'jwt' : viaCron ? 'cron-secret' : '',
+          },
+          method: req.method,
+          route: req.path,
+          query: Object.keys(req.query || {}).length ? redact({ ...req.query }) : null,
+          statusCode: res.statusCode,
+          durationMs: Date.now() - startedAt,
+          entityType: entity.type,
+          entityId: entityId || '',
+          body: bounded(req.body && typeof req.body === 'object' ? req.body : null),
+          before: bounded(before),
+          after: bounded(after),
+          ip: req.ip || '',
+          userAgent: String(req.headers['user-agent'] || '').slice(0, 300),
+        });
+      } catch (e) {
+        console.error('[audit] failed to record %s %s:', req.method, req.path, e?.message || e);
+      }
+    });
+
+    return next();
+  };
+};
@@ -3,6 +3,7 @@
 //   router.post('/...', auth, permit(['editor','admin']), handler)
 
 const jwt = require('jsonwebtoken');
+const { resolveTokenUser } = require('../services/auth.service');
 
 function parseBearer(header = '') {
   // Accept: "Bearer <token>"
@@ -11,7 +12,7 @@ function parseBearer(header = '') {
   return token.trim();
 }
 
-module.exports.auth = function auth(req, res, next) {
+module.exports.auth = async function auth(req, res, next) {
   try {
     const header = req.headers.authorization || '';
     const token = parseBearer(header);
@@ -27,13 +28,16 @@ module.exports.auth = function auth(req, res, next) {
 
     const payload = jwt.verify(token, secret);
 
-    // Expecting a payload that includes at least an id and a role
-    // e.g. { id: '...', email: '...', role: 'admin', iat: ..., exp: ... }
+    // Same checks as the API's own auth: disabled accounts, tokens from before a
+    // password change and bootstrap tokens once real accounts exist are refused
+    const user = await resolveTokenUser(payload);
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized: invalid or expired token' });
+    }
+
     req.user = {
-      id: payload.id || payload._id || payload.sub,
-      email: payload.email,
-      role: payload.role || 'user',
       ...payload, // keep any extra claims available
+      ...user,
     };
 
     return next();
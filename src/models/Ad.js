@@ -25,6 +25,24 @@ const AdSchema = new Schema({
 
   enabled: { type: Boolean, default: true },
   notes:   { type: String, default: "" },
+
+  // Rotation: ads sharing a slot (target + placementIndex) are picked in proportion to weight; 0 = paused
+  weight: { type: Number, default: 1, min: 0 },
+
+  // Campaign window; null = open-ended on that side
+  startAt: { type: Date, default: null },
+  endAt:   { type: Date, default: null },
+
+  // Targeting: geo as on Article (see src/utils/geo); devices empty = every device
+  geoMode:  { type: String, enum: ["global", "include", "exclude"], default: "global" },
+  geoAreas: { type: [String], default: [] },
+  devices:  { type: [{ type: String, enum: ["mobile", "tablet", "desktop"] }], default: [] },
+
+  // Per-visitor frequency cap: at most `max` serves per `windowHours`; max 0 = uncapped
+  frequencyCap: {
+    max:         { type: Number, default: 0, min: 0 },
+    windowHours: { type: Number, default: 24, min: 1 },
+  },
 }, { timestamps: true });
 
 AdSchema.index({ "target.type": 1, "target.value": 1, placementIndex: 1 });
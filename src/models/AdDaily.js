@@ -0,0 +1,26 @@
+// backend/src/models/AdDaily.js
+const { Schema, model } = require("mongoose");
+
+const SliceSchema = new Schema({
+  key:         { type: String, default: null }, // country code or device type
+  impressions: { type: Number, default: 0 },
+  clicks:      { type: Number, default: 0 },
+}, { _id: false });
+
+// Per-ad totals for one UTC day, rebuilt by the "ad-rollup" job (idempotent upsert)
+const AdDailySchema = new Schema({
+  date:        { type: String, required: true }, // 'YYYY-MM-DD' (UTC)
+  ad:          { type: Schema.Types.ObjectId, ref: "Ad", required: true },
+  impressions: { type: Number, default: 0 },
+  clicks:      { type: Number, default: 0 },
+  ctr:         { type: Number, default: 0 }, // clicks / impressions
+  uniques:     { type: Number, default: 0 }, // distinct visitors with an impression
+  byCountry:   { type: [SliceSchema], default: [] },
+  byDevice:    { type: [SliceSchema], default: [] },
+  generatedAt: { type: Date, default: Date.now },
+}, { timestamps: true, collection: "addaily" });
+
+AdDailySchema.index({ date: 1, ad: 1 }, { unique: true });
+AdDailySchema.index({ ad: 1, date: 1 });
+
+module.exports = model("AdDaily", AdDailySchema);
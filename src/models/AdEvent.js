@@ -0,0 +1,27 @@
+// backend/src/models/AdEvent.js
+const { Schema, model } = require("mongoose");
+
+const RETENTION_DAYS = parseInt(process.env.AD_EVENT_RETENTION_DAYS || "90", 10);
+
+// One ad impression or click (bots and admins are never recorded).
+// Raw events are kept AD_EVENT_RETENTION_DAYS; AdDaily keeps the totals for billing.
+const AdEventSchema = new Schema({
+  ad:      { type: Schema.Types.ObjectId, ref: "Ad", required: true },
+  type:    { type: String, enum: ["impression", "click"], required: true },
+  at:      { type: Date, default: Date.now },
+  token:   { type: String, default: null }, // from /api/ads/serve; one impression + one click per token
+  slot:    { type: String, default: "" },
+  visitor: { type: String, default: null }, // hashed (see adServing.visitorKey)
+  country: { type: String, default: null },
+  device:  { type: String, default: null }, // mobile | tablet | desktop
+  path:    { type: String, default: "" },
+}, { versionKey: false });
+
+AdEventSchema.index({ at: 1, ad: 1, type: 1 });
+AdEventSchema.index(
+  { token: 1, type: 1 },
+  { unique: true, partialFilterExpression: { token: { $type: "string" } } }
+);
+AdEventSchema.index({ at: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60, name: "ttl_at" });
+
+module.exports = model("AdEvent", AdEventSchema);
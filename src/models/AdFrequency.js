@@ -0,0 +1,17 @@
+// backend/src/models/AdFrequency.js
+const { Schema, model } = require("mongoose");
+
+// How often an ad was served to one visitor in one frequency-cap window.
+// Rows expire on their own once the window is over.
+const AdFrequencySchema = new Schema({
+  ad:          { type: Schema.Types.ObjectId, ref: "Ad", required: true },
+  visitor:     { type: String, required: true }, // hashed visitor key, never the raw id
+  windowStart: { type: Date, required: true },
+  count:       { type: Number, default: 0 },
+  expiresAt:   { type: Date, required: true },
+}, { versionKey: false });
+
+AdFrequencySchema.index({ visitor: 1, ad: 1, windowStart: 1 }, { unique: true });
+AdFrequencySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = model("AdFrequency", AdFrequencySchema);
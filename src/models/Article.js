@@ -1,5 +1,6 @@
 // backend/src/models/Article.js
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 
 /**
  * ---- Content quality thresholds (tweak via env if you like) ----
@@ -74,10 +75,12 @@ sourceImageFrom: { type: String, default: "" },
   // Other
   readingTime: { type: Number, default: 0 },
 
-  // Publishing
+  // Publishing / editorial workflow
+  // draft → in_review → approved → scheduled → published → archived
+  // (allowed transitions per role live in src/services/editorialWorkflow.js)
   status: {
     type: String,
-    enum: ['draft', 'published'],
+    enum: ['draft', 'in_review', 'approved', 'scheduled', 'published', 'archived'],
     default: 'draft',
     index: true,
     lowercase: true,
@@ -85,6 +88,75 @@ sourceImageFrom: { type: String, default: "" },
   },
   publishAt:   { type: Date },              // schedule time
   publishedAt: { type: Date, index: true }, // set when actually publishing
+  unpublishAt: { type: Date, default: null }, // scheduled expiry (→ archived)
+  archivedAt:  { type: Date, default: null },
+  // Why the scheduler sent it back to "approved" instead of publishing (cleared when it publishes)
+  scheduleError: { type: String, default: '' },
+
+  // Set once the publish side effects ran, so a restart never posts twice
+  telegramPostedAt: { type: Date, default: null },
+
+  // Who is working on it / who signs it off
+  assignee: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null, index: true },
+  reviewer: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null, index: true },
+
+  // Internal review notes (never shown publicly)
+  reviewComments: {
+    type: [{
+      author: {
+        id:   { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+        name: { type: String, default: '' },
+        role: { type: String, default: '' },
+      },
+      body:      { type: String, required: true, trim: true },
+      resolved:  { type: Boolean, default: false },
+      createdAt: { type: Date, default: Date.now },
+    }],
+    default: [],
+  },
+
+  // Live blog: a running story told as timestamped updates (see services/liveBlog.service)
+  live:          { type: Boolean, default: false, index: true },
+  liveStartedAt: { type: Date, default: null },
+  liveEndedAt:   { type: Date, default: null },
+  liveUpdates: {
+    type: [{
+      author: {
+        id:   { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+        name: { type: String, default: '' },
+        role: { type: String, default: '' },
+      },
+      text:     { type: String, required: true, trim: true },
+      imageUrl: { type: String, default: '' },
+      imagePublicId: { type: String, default: '' },
+      imageAlt: { type: String, default: '' },
+      embedUrl: { type: String, default: '' }, // tweet / YouTube / etc.; rendered by the frontend
+      pinned:   { type: Boolean, default: false },
+      createdAt: { type: Date, default: Date.now }, // the update's timestamp (editable for backfills)
+      updatedAt: { type: Date, default: Date.now },
+      removedAt: { type: Date, default: null },     // kept so pollers learn about removals
+    }],
+    default: [],
+  },
+  liveUpdatedAt: { type: Date, default: null }, // last change to liveUpdates (cheap polling check)
+
+  // Reader engagement, recomputed by the "engagement-scores" job (see services/engagement.service).
+  // Counts cover the scoring window; score decays with event age and drives the "trending" sort.
+  engagement: {
+    score:          { type: Number, default: 0 },
+    views:          { type: Number, default: 0 },
+    uniques:        { type: Number, default: 0 },
+    readSeconds:    { type: Number, default: 0 },
+    readCompletes:  { type: Number, default: 0 },
+    completionRate: { type: Number, default: 0 },
+    computedAt:     { type: Date, default: null },
+  },
+
+  // Story cluster (see services/topics.service): set when the article is first published,
+  // changed only by an editor's merge/split. topicKey is the aiArticleGuard topic key it matched on.
+  topic:     { type: mongoose.Schema.Types.ObjectId, ref: 'Topic', default: null },
+  topicSlug: { type: String, default: null },
+  topicKey:  { type: String, default: '' },
 
   // Provenance
   source:    { type: String, default: 'automation' },
@@ -161,13 +233,63 @@ ArticleSchema.pre('save', function(next) {
   next();
 });
 
+// Topics: newly published articles get one (the "topic-assign" job sweeps up any the hooks
+// miss: updateOne/updateMany writes, DB hiccups), and a status change of a clustered article
+// (publish, unpublish, archive) recounts its topic. Never blocks or fails the write.
+function syncTopicAfterWrite(doc, statusChanged) {
+  if (!doc) return;
+  const topics = require('../services/topics.service'); // lazy: the service requires this model
+  const warn = (err) => console.warn('[topics] sync failed:', err?.message || err);
+  if (doc.status === 'published' && !doc.topic) topics.assignTopic(doc).catch(warn);
+  else if (doc.topic && statusChanged) topics.recountTopic(doc.topic).catch(warn);
+}
+ArticleSchema.pre('save', function rememberStatusChange() {
+  this.$locals.statusChanged = this.isModified('status');
+});
+ArticleSchema.post('save', function syncTopicAfterSave(doc) {
+  syncTopicAfterWrite(doc, !!doc.$locals.statusChanged);
+});
+// The hook gets the pre-update doc unless the query asked for { new: true }: read it back
+ArticleSchema.post('findOneAndUpdate', function syncTopicAfterUpdate(doc) {
+  if (!doc) return;
+  const update = this.getUpdate() || {};
+  const statusChanged = 'status' in update || 'status' in (update.$set || {});
+  if (doc.topic && !statusChanged) return;
+  this.model.findById(doc._id).lean()
+    .then((fresh) => syncTopicAfterWrite(fresh, statusChanged))
+    .catch((err) => console.warn('[topics] sync failed:', err?.message || err));
+});
+
+// Trash: deletedAt/deletedBy; trashed articles are hidden from every query (see plugin)
+ArticleSchema.plugin(softDelete);
+
 // Helpful indexes
 ArticleSchema.index({ status: 1, publishedAt: -1 });
+// scheduled publishing / expiry worker
+ArticleSchema.index({ status: 1, publishAt: 1 });
+ArticleSchema.index({ status: 1, unpublishAt: 1 });
 ArticleSchema.index({ category: 1, publishedAt: -1 });
 ArticleSchema.index({ categorySlug: 1, publishedAt: -1 });
 ArticleSchema.index({ tags: 1, publishedAt: -1 });
 ArticleSchema.index({ publishedAt: -1 });
 ArticleSchema.index({ slug: 1 }, { unique: true });
 ArticleSchema.index({ category: 1, year: 1 });
+// topic pages: a cluster's coverage by date
+ArticleSchema.index({ topic: 1, publishedAt: -1 });
+// "trending" sort (top news, sections)
+ArticleSchema.index({ status: 1, 'engagement.score': -1, publishedAt: -1 });
+
+// Full-text search (/api/articles/search) — weighted relevance
+ArticleSchema.index(
+  { title: 'text', tags: 'text', summary: 'text', author: 'text', body: 'text' },
+  {
+    name: 'article_text',
+    weights: { title: 10, tags: 6, summary: 4, author: 3, body: 1 },
+    default_language: 'english',
+  }
+);
+
+// Editorial workflow fields; public reads drop them
+ArticleSchema.statics.PRIVATE_FIELDS = ['assignee', 'reviewer', 'reviewComments', 'scheduleError'];
 
 module.exports = mongoose.models.Article || mongoose.model('Article', ArticleSchema);
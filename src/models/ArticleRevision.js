@@ -0,0 +1,46 @@
+// backend/src/models/ArticleRevision.js
+const mongoose = require("mongoose");
+
+const ArticleRevisionSchema = new mongoose.Schema(
+  {
+    articleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Article",
+      required: true,
+      index: true,
+    },
+
+    // 1, 2, 3 … per article
+    rev: { type: Number, required: true },
+
+    // Copy of the tracked article fields *after* this save
+    snapshot: { type: mongoose.Schema.Types.Mixed, default: {} },
+
+    // Which tracked fields differ from the previous revision
+    changedFields: { type: [String], default: [] },
+
+    // Who made the change (null id = legacy shared login / system)
+    actor: {
+      id: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+      name: { type: String, default: "" },
+      role: { type: String, default: "" },
+    },
+
+    // Where the save came from: "initial" | "admin" | "api" | "publish" | "restore" | "ai-rewrite" …
+    source: { type: String, default: "admin", index: true },
+
+    // Set when this revision re-applies an older one
+    restoredFrom: { type: Number, default: null },
+
+    note: { type: String, default: "" },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+ArticleRevisionSchema.index({ articleId: 1, rev: -1 }, { unique: true });
+
+module.exports =
+  mongoose.models.ArticleRevision ||
+  mongoose.model("ArticleRevision", ArticleRevisionSchema);
@@ -0,0 +1,50 @@
+// backend/src/models/AuditEvent.js
+const mongoose = require("mongoose");
+
+// One row per non-GET admin request (written by src/middleware/auditTrail.js)
+const AuditEventSchema = new mongoose.Schema(
+  {
+    at: { type: Date, default: Date.now },
+
+    // Who (null id = anonymous / shared login / cron secret)
+    actor: {
+      id: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+      email: { type: String, default: "" },
+      name: { type: String, default: "" },
+      role: { type: String, default: "" },
+      via: { type: String, default: "" }, // "jwt" | "cron-secret" | "" (none)
+    },
+
+    // What
+    method: { type: String, required: true },
+    route: { type: String, required: true }, // path without query string
+    query: { type: mongoose.Schema.Types.Mixed, default: null },
+    statusCode: { type: Number, default: null },
+    durationMs: { type: Number, default: null },
+
+    entityType: { type: String, default: "" }, // "Article", "Ad", "AdminSetting:dailyPrompt", ...
+    entityId: { type: String, default: "" },
+
+    body: { type: mongoose.Schema.Types.Mixed, default: null }, // request body, secrets redacted
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    after: { type: mongoose.Schema.Types.Mixed, default: null },
+
+    // Where from
+    ip: { type: String, default: "" },
+    userAgent: { type: String, default: "" },
+  },
+  { versionKey: false }
+);
+
+AuditEventSchema.index({ at: -1 });
+AuditEventSchema.index({ entityType: 1, entityId: 1, at: -1 });
+AuditEventSchema.index({ "actor.id": 1, at: -1 });
+AuditEventSchema.index({ method: 1, at: -1 });
+
+// Optional retention (AUDIT_RETENTION_DAYS unset = keep forever)
+const RETENTION_DAYS = parseInt(process.env.AUDIT_RETENTION_DAYS || "0", 10);
+if (RETENTION_DAYS > 0) {
+  AuditEventSchema.index({ at: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+}
+
+module.exports = mongoose.model("AuditEvent", AuditEventSchema);
@@ -20,6 +20,10 @@ const FeedSourceSchema = new mongoose.Schema(
 
     // for future scheduling (manual | 30m | hourly | daily)
     schedule: { type: String, default: 'manual' },
+
+    // set by the "feed-fetch" job (src/jobs/autmotion.js)
+    lastFetchedAt:  { type: Date, default: null },
+    lastFetchError: { type: String, default: '' },
   },
   { timestamps: true }
 );
@@ -0,0 +1,75 @@
+// backend/src/models/Job.js
+const mongoose = require("mongoose");
+
+const JOB_STATUSES = ["queued", "running", "succeeded", "dead", "cancelled"];
+
+const JobLogSchema = new mongoose.Schema(
+  {
+    at: { type: Date, default: Date.now },
+    level: { type: String, enum: ["info", "warn", "error"], default: "info" },
+    msg: { type: String, default: "" },
+  },
+  { _id: false }
+);
+
+const JobSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, index: true }, // handler name, e.g. "ai-news"
+    payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+
+    status: { type: String, enum: JOB_STATUSES, default: "queued", index: true },
+    priority: { type: Number, default: 0 }, // higher runs first
+    runAt: { type: Date, default: Date.now }, // not picked up before this (backoff / schedules)
+
+    // Dedupe key for schedule slots and one-off jobs ("ai-news@2026-10-19T10:05:00.000Z")
+    uniqueKey: { type: String, default: undefined },
+    releasedKey: { type: String, default: undefined }, // uniqueKey given up when the job died / was cancelled
+
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 3 },
+
+    // Concurrency slot (0..concurrency-1); unique per name while running
+    lane: { type: Number, default: null },
+    lease: {
+      owner: { type: String, default: null }, // worker id (host:pid:random)
+      expiresAt: { type: Date, default: null },
+    },
+
+    startedAt: { type: Date, default: null },
+    finishedAt: { type: Date, default: null },
+    durationMs: { type: Number, default: null },
+
+    result: { type: mongoose.Schema.Types.Mixed, default: null },
+    lastError: { type: String, default: "" },
+    logs: { type: [JobLogSchema], default: [] }, // capped on write
+
+    enqueuedBy: { type: String, default: "system" }, // "schedule", "admin:<id>", "api", ...
+  },
+  { timestamps: true }
+);
+
+// Claim order
+JobSchema.index({ name: 1, status: 1, priority: -1, runAt: 1 });
+// Lease reaper
+JobSchema.index({ status: 1, "lease.expiresAt": 1 });
+// Cluster-wide concurrency: one running job per (name, lane)
+JobSchema.index(
+  { name: 1, lane: 1 },
+  { unique: true, partialFilterExpression: { status: "running" } }
+);
+JobSchema.index(
+  { uniqueKey: 1 },
+  { unique: true, partialFilterExpression: { uniqueKey: { $type: "string" } } }
+);
+// Succeeded jobs are dropped after JOB_RETENTION_DAYS; dead jobs stay until retried or removed
+JobSchema.index(
+  { finishedAt: 1 },
+  {
+    expireAfterSeconds: parseInt(process.env.JOB_RETENTION_DAYS || "14", 10) * 24 * 60 * 60,
+    partialFilterExpression: { status: "succeeded" },
+  }
+);
+
+JobSchema.statics.STATUSES = JOB_STATUSES;
+
+module.exports = mongoose.model("Job", JobSchema);
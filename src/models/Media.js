@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 const MediaSchema = new mongoose.Schema({
   url: { type: String, required: true },
   mime: { type: String, required: true },
@@ -7,6 +8,7 @@ const MediaSchema = new mongoose.Schema({
   height: Number,
   createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
 }, { timestamps: true });
+MediaSchema.plugin(softDelete);
 
 module.exports = mongoose.model('Media', MediaSchema);
     
\ No newline at end of file
@@ -35,6 +35,8 @@ const RssTopicFingerprintSchema = new mongoose.Schema(
 );
 
 RssTopicFingerprintSchema.index({ key: 1, category: 1 }, { unique: true });
+// topics.service: which seed an AI article was generated from
+RssTopicFingerprintSchema.index({ articleIds: 1 });
 
 module.exports = mongoose.model(
   "RssTopicFingerprint",
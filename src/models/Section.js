@@ -164,7 +164,10 @@ const SectionSchema = new Schema(
       mode: { type: String, enum: ["auto", "manual", "mixed"], default: "auto" },
       categories: [{ type: String }], // store slugs/ids as strings
       tags: [{ type: String }],
-      sortBy: { type: String, enum: ["publishedAt", "priority"], default: "publishedAt" },
+      sortBy: { type: String, enum: ["publishedAt", "priority", "trending"], default: "publishedAt" }, // trending: Article.engagement.score
+      // related: articles related to relatedTo (a slug) or to the page's ?article=
+      source: { type: String, enum: ["query", "related"], default: "query" },
+      relatedTo: { type: String, default: "" },
       timeWindowHours: { type: Number, default: 0 },
       // Slice controls (1-based)
     sliceFrom: { type: Number, default: 1 },
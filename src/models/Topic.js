@@ -0,0 +1,38 @@
+// backend/src/models/Topic.js
+const mongoose = require("mongoose");
+
+/**
+ * A story cluster: every article we ran on one developing story.
+ * Built from the same topic keys aiArticleGuard uses for RssTopicFingerprint
+ * (see services/topics.service); editors can rename, merge and split.
+ */
+const TopicSchema = new mongoose.Schema(
+  {
+    slug: { type: String, required: true, unique: true, trim: true },
+    title: { type: String, required: true, trim: true },
+    summary: { type: String, default: "" },
+    category: { type: String, default: null },
+
+    // Topic keys ("box office dhurandhar") of the articles in this cluster
+    keys: { type: [String], default: [] },
+    // Union of the key tokens, for finding candidate clusters
+    tokens: { type: [String], default: [] },
+
+    status: { type: String, enum: ["active", "merged"], default: "active" },
+    mergedInto: { type: mongoose.Schema.Types.ObjectId, ref: "Topic", default: null },
+
+    articleCount: { type: Number, default: 0 },
+    firstPublishedAt: { type: Date, default: null },
+    lastPublishedAt: { type: Date, default: null },
+
+    // auto: created by assignment; manual: created by an editor (split)
+    origin: { type: String, enum: ["auto", "manual"], default: "auto" },
+  },
+  { timestamps: true }
+);
+
+TopicSchema.index({ status: 1, keys: 1 });
+TopicSchema.index({ status: 1, tokens: 1, lastPublishedAt: -1 });
+TopicSchema.index({ status: 1, lastPublishedAt: -1 });
+
+module.exports = mongoose.models.Topic || mongoose.model("Topic", TopicSchema);
@@ -2,8 +2,19 @@ const mongoose = require('mongoose');
 const UserSchema = new mongoose.Schema({
   name:  { type: String, required: true },
   email: { type: String, required: true, lowercase: true, unique: true, index: true },
-  passwordHash: { type: String, required: true },
-  role: { type: String, enum: ['author','editor','admin'], default: 'author', index: true }
+  // empty until an invited user sets a password via their invite/reset link
+  passwordHash: { type: String, default: '' },
+  role: { type: String, enum: ['author','editor','admin'], default: 'author', index: true },
+
+  // disabled accounts cannot log in and their existing tokens stop working
+  active: { type: Boolean, default: true, index: true },
+  invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  lastLoginAt: { type: Date, default: null },
+  passwordChangedAt: { type: Date, default: null },
+
+  // one-time invite / password reset token (sha256 of the token we hand out)
+  resetTokenHash: { type: String, default: null, index: true },
+  resetTokenExpiresAt: { type: Date, default: null },
 }, { timestamps: true });
 
 module.exports = mongoose.model('User', UserSchema);
@@ -9,7 +9,14 @@ const xItemSchema = new mongoose.Schema({
   media: { type: [Object], default: [] },
 
   // Manual pipeline states: new -> extracted -> generated -> drafted
-  status: { type: String, enum: ['new', 'extracted', 'generated', 'drafted'], default: 'new', index: true },
+  // Automatic (x.pipeline): new -> processing -> published | error
+  status: {
+    type: String,
+    enum: ['new', 'extracted', 'generated', 'drafted', 'processing', 'published', 'error'],
+    default: 'new',
+    index: true,
+  },
+  error: { type: String, default: '' }, // last x.pipeline failure (or SKIP_TOO_SHORT)
 
   // Step data
   extractedText: { type: String, default: '' },    // after Extract
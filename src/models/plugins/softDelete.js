@@ -0,0 +1,94 @@
+// backend/src/models/plugins/softDelete.js
+const mongoose = require("mongoose");
+
+/**
+ * Soft delete ("trash") for a schema.
+ *
+ * Adds deletedAt / deletedBy and hides trashed documents from every find,
+ * count, update and aggregate, so existing public queries need no changes.
+ * A query sees trashed documents when it either:
+ *  - filters on deletedAt itself (e.g. { deletedAt: { $ne: null } } for the trash list), or
+ *  - opts in with .setOptions({ withDeleted: true }) (slug uniqueness checks, purge, restore).
+ * deleteOne/deleteMany are left alone: they are the purge path.
+ */
+
+const QUERY_HOOKS = [
+  "find",
+  "findOne",
+  "findOneAndUpdate",
+  "findOneAndReplace",
+  "countDocuments",
+  "distinct",
+  "updateOne",
+  "updateMany",
+  "replaceOne",
+];
+
+// Stages that must stay first in a pipeline
+const LEADING_STAGES = ["$geoNear", "$search", "$searchMeta", "$vectorSearch", "$collStats", "$indexStats"];
+
+function mentionsDeletedAt(filter) {
+  if (!filter || typeof filter !== "object") return false;
+  if (Array.isArray(filter)) return filter.some(mentionsDeletedAt);
+  return Object.keys(filter).some(
+    (k) => k === "deletedAt" || (["$and", "$or", "$nor"].includes(k) && mentionsDeletedAt(filter[k]))
+  );
+}
+
+module.exports = function softDeletePlugin(schema) {
+  schema.add({
+    deletedAt: { type: Date, default: null, index: true },
+    deletedBy: {
+      id: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+      name: { type: String, default: "" },
+      role: { type: String, default: "" },
+    },
+  });
+
+  schema.pre(QUERY_HOOKS, function excludeTrashed() {
+    if (this.getOptions().withDeleted) return;
+    if (mentionsDeletedAt(this.getFilter())) return;
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre("aggregate", function excludeTrashedFromPipeline() {
+    if (this.options?.withDeleted) return;
+    const pipeline = this.pipeline();
+    const first = pipeline[0];
+
+    if (first?.$match) {
+      if (!mentionsDeletedAt(first.$match)) first.$match.deletedAt = null; // keeps $text as the first stage
+      return;
+    }
+    const at = first && LEADING_STAGES.some((s) => s in first) ? 1 : 0;
+    pipeline.splice(at, 0, { $match: { deletedAt: null } });
+  });
+
+  /** Move to trash. actor = req.user ({ id, name, role }) or null. */
+  schema.methods.softDelete = async function softDelete(actor = null) {
+    const deletedBy = {
+      id: actor?.id && mongoose.Types.ObjectId.isValid(actor.id) ? actor.id : null,
+      name: actor?.name || actor?.email || "",
+      role: actor?.role || "",
+    };
+    this.deletedAt = new Date();
+    this.deletedBy = deletedBy;
+    await this.constructor
+      .updateOne({ _id: this._id }, { $set: { deletedAt: this.deletedAt, deletedBy } })
+      .setOptions({ withDeleted: true });
+    return this;
+  };
+
+  /** Take a trashed document out of the trash; null if it is not trashed (or gone). */
+  schema.statics.restoreById = function restoreById(id) {
+    return this.findOneAndUpdate(
+      { _id: id, deletedAt: { $ne: null } },
+      { $set: { deletedAt: null, deletedBy: { id: null, name: "", role: "" } } },
+      { new: true }
+    );
+  };
+
+  schema.statics.findTrashed = function findTrashed(filter = {}) {
+    return this.find({ ...filter, deletedAt: { $ne: null } });
+  };
+};
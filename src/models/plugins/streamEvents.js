@@ -0,0 +1,49 @@
+// backend/src/models/plugins/streamEvents.js
+const { publish: streamPublish } = require("../../services/eventStream.service");
+
+/**
+ * Publish "<topic>.created|updated|deleted" on /api/stream for every write to a schema,
+ * whichever route or job made it. Bulk writes (updateMany/deleteMany) publish
+ * "<topic>.refresh" instead: clients refetch the list. Queries run with
+ * .setOptions({ skipStreamEvent: true }) publish nothing (bookkeeping-only writes).
+ * refreshOnly: every write publishes "<topic>.refresh" with no payload, for collections
+ * whose public list is filtered per visitor (time window, geo) and must not be streamed raw.
+ *
+ *   schema.plugin(streamEvents, { topic: "ticker" })
+ *   schema.plugin(streamEvents, { topic: "breaking", refreshOnly: true })
+ */
+module.exports = function streamEventsPlugin(schema, { topic, refreshOnly = false }) {
+  const plain = (doc) => (doc && typeof doc.toObject === "function" ? doc.toObject() : doc);
+  const quiet = (query) => !!query.getOptions?.()?.skipStreamEvent;
+  const publish = (type, data) => streamPublish(refreshOnly ? `${topic}.refresh` : type, refreshOnly ? {} : data);
+
+  schema.pre("save", function rememberIsNew() {
+    this.$locals.wasNew = this.isNew;
+  });
+  schema.post("save", function publishSaved(doc) {
+    publish(`${topic}.${doc.$locals.wasNew ? "created" : "updated"}`, plain(doc));
+  });
+
+  schema.post("findOneAndUpdate", function publishUpdated(doc) {
+    if (doc && !quiet(this)) publish(`${topic}.updated`, plain(doc));
+  });
+  schema.post("updateOne", function publishUpdatedOne(result) {
+    if (result?.modifiedCount && !quiet(this)) publish(`${topic}.refresh`, {});
+  });
+
+  schema.post(["findOneAndDelete", "findOneAndReplace"], function publishDeleted(doc) {
+    if (!doc) return;
+    if (this.op === "findOneAndReplace") publish(`${topic}.updated`, plain(doc));
+    else publish(`${topic}.deleted`, { _id: doc._id });
+  });
+  schema.post("deleteOne", { document: true, query: false }, function publishDocDeleted(doc) {
+    publish(`${topic}.deleted`, { _id: doc._id });
+  });
+  schema.post("deleteOne", { document: false, query: true }, function publishQueryDeleted(result) {
+    if (result?.deletedCount) publish(`${topic}.refresh`, {});
+  });
+
+  schema.post(["updateMany", "deleteMany"], function publishBulk(result) {
+    if ((result?.modifiedCount || result?.deletedCount) && !quiet(this)) publish(`${topic}.refresh`, {});
+  });
+};
@@ -1,9 +1,12 @@
 const express = require("express");
 const router = express.Router();
 const ctrl = require("../controllers/ads.controller");
+const { auth, permit } = require("../middleware/auth");
 
 // Base path (mounted at /api/admin/ads)
 router.get("/", ctrl.list);
+// billing data: admins only
+router.get("/report", auth, permit(["admin"]), ctrl.report);
 router.get("/:id", ctrl.read);
 router.post("/", ctrl.create);
 router.patch("/:id", ctrl.update);
@@ -13,9 +13,8 @@ const AiGenerationLog = require("../models/AiGenerationLog");
 // NEW: cron + RSS integration
 const {
   getCronStatusSnapshot,
-  runOnceAutoNews,
-  // ✅ If you add this export in autoNewsCron.js, it will be used automatically:
-  // clearInFlight,
+  enqueueAutoNewsRun,
+  clearInFlight,
 } = require("../cron/autoNewsCron");
 
 const { fetchLiveSeeds } = require("../services/liveNewsIngestor");
@@ -61,9 +60,9 @@ router.get("/ping", (_req, res) => {
 // CRON STATUS — used by AutomationDashboard "Automation status"
 // GET /api/admin/ai/cron-status
 // ─────────────────────────────────────────────────────────────
-router.get("/cron-status", (_req, res) => {
+router.get("/cron-status", async (_req, res) => {
   try {
-    const snapshot = getCronStatusSnapshot();
+    const snapshot = await getCronStatusSnapshot();
     return res.json({ ok: true, status: snapshot });
   } catch (err) {
     console.error("[admin.aiNews] /cron-status error:", err?.message || err);
@@ -79,12 +78,17 @@ router.get("/cron-status", (_req, res) => {
 // POST /api/admin/ai/run-cron-once
 // Protected by x-cron-secret
 //
-// Supports: ?force=1  (force run even if lock is stuck)
+// Queues an "ai-news" job (or joins the one already queued/running) and waits
+// up to AI_NEWS_RUN_WAIT_SECONDS for it; otherwise returns { queued: true, jobId }.
+// Supports: ?force=1  (release a stuck running job first)
 // ─────────────────────────────────────────────────────────────
 router.post("/run-cron-once", requireCronSecret, async (req, res) => {
   try {
     const force = String(req.query.force || "") === "1";
-    const result = await runOnceAutoNews({ reason: "manual-api", force });
+    if (force) await clearInFlight();
+
+    const waitSec = parseInt(process.env.AI_NEWS_RUN_WAIT_SECONDS || "25", 10);
+    const result = await enqueueAutoNewsRun({ reason: "manual-api", waitMs: waitSec * 1000 });
     return res.json({ ok: true, result });
   } catch (err) {
     console.error("[admin.aiNews] /run-cron-once error:", err?.message || err);
@@ -102,8 +106,8 @@ router.post("/run-cron-once", requireCronSecret, async (req, res) => {
 // ─────────────────────────────────────────────────────────────
 router.post("/clear-in-flight", requireCronSecret, async (_req, res) => {
   try {
-    // ✅ this clears the REAL lock in autoNewsCron.js
-    const result = require("../cron/autoNewsCron").clearInFlight();
+    // releases the job-queue lease held by a running "ai-news" job
+    const result = await clearInFlight();
     return res.json({ ok: true, result });
   } catch (e) {
     console.error("[admin.aiNews] /clear-in-flight error:", e?.message || e);
@@ -249,7 +253,7 @@ router.post("/generate-batch", requireCronSecret, async (req, res) => {
         summary: g.summary || "",
         author: g.author || "Desk",
         category: g.category || "General",
-        status: "draft",
+        status: "in_review",
         publishAt: g.publishAt || new Date(),
 
         // ✅ Force ImageLibrary picker for this route too
@@ -301,12 +305,13 @@ router.post("/generate-batch", requireCronSecret, async (req, res) => {
       let finalSlug = payload.slug;
       let suffix = 2;
       // eslint-disable-next-line no-await-in-loop
-      while (await Article.exists({ slug: finalSlug })) {
+      while (await Article.exists({ slug: finalSlug }).setOptions({ withDeleted: true })) {
         finalSlug = `${payload.slug}-${suffix++}`;
       }
       payload.slug = finalSlug;
 
-      payload.status = desiredStatus === "published" ? "published" : "draft";
+      // AI output goes to the review queue unless publishing was requested
+      payload.status = desiredStatus === "published" ? "published" : "in_review";
       if (payload.status === "published") {
         payload.publishedAt = new Date();
       }
@@ -28,6 +28,31 @@ const { getImageCandidatesForArticle } = require("../services/imageStrategy");
 // Controller for create/import/preview
 const ctrl = require("../controllers/admin.articles.controller");
 
+// Revision history (who changed what, diff, restore)
+const {
+  recordRevision,
+  pickSnapshot,
+  listRevisions,
+  getRevision,
+  diffSnapshots,
+  restoreRevision,
+  automationActor,
+} = require("../services/articleRevision.service");
+
+// Editorial workflow (states, role-gated transitions, review queue)
+const { permit } = require("../middleware/auth");
+const { checkTransition } = require("../services/editorialWorkflow");
+const workflow = require("../controllers/admin.workflow.controller");
+const liveBlog = require("../controllers/admin.liveBlog.controller");
+const { runPublishSideEffects } = require("../services/articlePublish.service");
+const { trashItem } = require("../services/trash.service");
+const {
+  runOnceScheduledPublish,
+  getScheduledPublishSnapshot,
+} = require("../cron/scheduledPublishCron");
+const STAFF = ["author", "editor", "admin"];
+const EDITORS = ["editor", "admin"];
+
 const slugify = require("slugify");
 
 // ────────────────────────────────────────────────────────────────────────────────
@@ -348,6 +373,12 @@ function normalizeRemoteImageUrl(raw = "") {
   return s;
 }
 
+// Revision note for image writes an editor asked the picker to make
+function requestedBy(req) {
+  const who = req.user?.name || req.user?.email || "";
+  return who ? `requested by ${who}` : "";
+}
+
 // ────────────────────────────────────────────────────────────────────────────────
 // ✅ NEW: FORCE RE-PICK IMAGE — POST /api/admin/articles/:id/repick-image
 // (easy for Postman, no guessing)
@@ -358,6 +389,7 @@ router.post("/:id/repick-image", async (req, res) => {
 
     const article = await Article.findById(id).lean();
     if (!article) return res.status(404).json({ ok: false, error: "not_found" });
+    const before = { ...article };
 
     // Clear image fields so autopick is allowed
     article.imagePublicId = null;
@@ -399,6 +431,11 @@ router.post("/:id/repick-image", async (req, res) => {
       { $set: toSave },
       { new: true }
     ).lean();
+    await recordRevision(before, updated, {
+      user: automationActor("image-picker"),
+      source: "image-repick",
+      note: requestedBy(req),
+    });
 
     return res.json({ ok: true, article: updated });
   } catch (err) {
@@ -552,12 +589,56 @@ router.post("/import-image-from-url", async (req, res) => {
   }
 });
 
+// WORKFLOW — GET/PUT /api/admin/articles/workflow
+router.get("/workflow", workflow.getWorkflow);
+router.put("/workflow", permit(["admin"]), workflow.saveWorkflow);
+
+// SCHEDULER — GET /api/admin/articles/scheduler/status, POST /api/admin/articles/scheduler/run
+router.get("/scheduler/status", (_req, res) => {
+  res.json({ ok: true, ...getScheduledPublishSnapshot() });
+});
+router.post("/scheduler/run", permit(EDITORS), async (_req, res) => {
+  const result = await runOnceScheduledPublish();
+  res.json({ ok: true, result });
+});
+
+// REVIEW QUEUE — GET /api/admin/articles/queue (what is waiting on me)
+router.get("/queue", permit(STAFF), workflow.queue);
+
+// TRANSITION — POST /api/admin/articles/:id/transition { to, note?, publishAt? }
+router.post("/:id/transition", permit(STAFF), workflow.loadTransition, workflow.transition);
+
+// ASSIGNMENT — PATCH /api/admin/articles/:id/assignment { assignee?, reviewer? }
+router.patch("/:id/assignment", permit(EDITORS), workflow.assign);
+
+// REVIEW COMMENTS — /api/admin/articles/:id/review-comments
+router.get("/:id/review-comments", permit(STAFF), workflow.listComments);
+router.post("/:id/review-comments", permit(STAFF), workflow.addComment);
+router.patch("/:id/review-comments/:commentId", permit(STAFF), workflow.updateComment);
+
+// LIVE BLOG — /api/admin/articles/:id/live (state) and /:id/live/updates (the feed)
+router.get("/:id/live", permit(STAFF), liveBlog.get);
+router.patch("/:id/live", permit(EDITORS), liveBlog.setLive);
+router.post("/:id/live/updates", permit(STAFF), liveBlog.append);
+router.patch("/:id/live/updates/:updateId", permit(STAFF), liveBlog.edit);
+router.post("/:id/live/updates/:updateId/pin", permit(STAFF), liveBlog.pin);
+router.delete("/:id/live/updates/:updateId", permit(STAFF), liveBlog.remove);
+
 // LIST DRAFTS — GET /api/admin/articles/drafts
+// Includes AI drafts waiting in review; ?status=draft|in_review narrows it.
 router.get("/drafts", async (req, res) => {
   try {
+    const wanted = ["draft", "in_review"].includes(req.query.status)
+      ? [req.query.status]
+      : ["draft", "in_review"];
     const q = {
       $and: [
-        { $or: [{ status: "draft" }, { status: { $exists: false } }] },
+        {
+          $or: [
+            { status: { $in: wanted } },
+            ...(wanted.includes("draft") ? [{ status: { $exists: false } }] : []),
+          ],
+        },
         { $or: [{ publishedAt: { $exists: false } }, { publishedAt: null }] },
       ],
     };
@@ -630,13 +711,13 @@ router.get("/drafts", async (req, res) => {
   }
 });
 
-// DELETE — DELETE /api/admin/articles/:id
+// DELETE — DELETE /api/admin/articles/:id (moves to trash; see /api/admin/trash)
 router.delete("/:id", async (req, res) => {
   try {
     const { id } = req.params;
-    const doc = await Article.findByIdAndDelete(id).lean();
+    const doc = await trashItem("article", id, req.user);
     if (!doc) return res.status(404).json({ error: "not_found" });
-    return res.json({ ok: true, deletedId: id });
+    return res.json({ ok: true, deletedId: id, trashed: true, deletedAt: doc.deletedAt });
   } catch (err) {
     console.error("[admin.articles] delete error", err);
     return res.status(500).json({ error: "failed_to_delete_article" });
@@ -811,6 +892,8 @@ router.patch("/:id", async (req, res) => {
   "sourceUrl",
 
   "status",
+  "publishAt",
+  "unpublishAt",
   "tags",
   "body",
   "bodyHtml",
@@ -933,6 +1016,32 @@ router.patch("/:id", async (req, res) => {
     const current = await Article.findById(req.params.id).lean();
     if (!current) return res.status(404).json({ error: "not_found" });
 
+    for (const k of ["publishAt", "unpublishAt"]) {
+      if (!hasPatch(k)) continue;
+      const d = patch[k] ? new Date(patch[k]) : null;
+      if (d && Number.isNaN(d.getTime())) return res.status(400).json({ error: `invalid_${k}` });
+      patch[k] = d;
+    }
+
+    if (hasPatch("status")) {
+      patch.status = String(patch.status || "").toLowerCase();
+      const denied = await checkTransition(current.status, patch.status, req.user);
+      if (denied) return res.status(denied.status).json({ error: denied.error });
+
+      // "published" with a future publishAt is a schedule; the worker flips it when due
+      const goLive = hasPatch("publishAt") ? patch.publishAt : current.publishAt;
+      if (patch.status === "published" && goLive && goLive > new Date()) {
+        patch.status = "scheduled";
+        delete patch.publishedAt;
+      }
+      if (patch.status === "scheduled" && !(goLive && goLive > new Date())) {
+        return res.status(400).json({ error: "publishAt must be a future date to schedule" });
+      }
+
+      if (patch.status === "published" && !patch.publishedAt) patch.publishedAt = new Date();
+      patch.archivedAt = patch.status === "archived" ? new Date() : null;
+    }
+
     const merged = { ...current, ...patch };
 
     // if default placeholder currently, treat as NO image (allow autopick)
@@ -1133,11 +1242,14 @@ router.patch("/:id", async (req, res) => {
   "sourceUrl",
 
   "status",
+  "publishAt",
+  "unpublishAt",
   "tags",
   "body",
   "bodyHtml",
   "author",
   "publishedAt",
+  "archivedAt",
   "year",
   "era",
   "videoUrl",
@@ -1170,6 +1282,15 @@ router.patch("/:id", async (req, res) => {
 
     if (!updated) return res.status(404).json({ error: "not_found" });
 
+    await recordRevision(current, updated, {
+      user: req.user,
+      source: req.body.revisionSource || "admin",
+      note: req.body.revisionNote,
+    });
+    if (updated.status === "published" && current.status !== "published") {
+      runPublishSideEffects(updated).catch(() => {});
+    }
+
     const items = normalizeArticlesWithCategories([updated]);
     const a = items[0];
 
@@ -1205,6 +1326,7 @@ router.post("/:id/use-default-image", async (req, res) => {
     if (!article) {
       return res.status(404).json({ ok: false, error: "not_found" });
     }
+    const before = article.toObject();
 
     article.imagePublicId = DEFAULT_PID;
     article.imageUrl = null;
@@ -1214,6 +1336,11 @@ router.post("/:id/use-default-image", async (req, res) => {
     finalizeImageFields(article);
 
     await article.save();
+    await recordRevision(before, article, {
+      user: automationActor("default-image"),
+      source: "default-image",
+      note: requestedBy(req),
+    });
 
     return res.json({
       ok: true,
@@ -1233,6 +1360,12 @@ router.post("/:id/use-default-image", async (req, res) => {
 // PUBLISH — POST /api/admin/articles/:id/publish
 router.post("/:id/publish", async (req, res) => {
   try {
+    const before = await Article.findById(req.params.id).lean();
+    if (!before) return res.status(404).json({ error: "not_found" });
+
+    const denied = await checkTransition(before.status, "published", req.user);
+    if (denied) return res.status(denied.status).json({ error: denied.error });
+
     const updated = await Article.findByIdAndUpdate(
       req.params.id,
       { $set: { status: "published", publishedAt: new Date() } },
@@ -1247,6 +1380,8 @@ router.post("/:id/publish", async (req, res) => {
 
     if (!updated) return res.status(404).json({ error: "not_found" });
 
+    await recordRevision(before, updated, { user: req.user, source: "publish" });
+
     const items = normalizeArticlesWithCategories([updated]);
     const a = items[0];
 
@@ -1263,18 +1398,103 @@ router.post("/:id/publish", async (req, res) => {
 
     res.json(a);
 
-    try {
-      const { publishEverywhere } = require("../services/socialPublisher");
-      Promise.resolve()
-        .then(() => publishEverywhere(updated))
-        .catch(() => {});
-    } catch (_) {}
+    // sitemap + Telegram (+ socialPublisher if installed); same as the scheduler
+    runPublishSideEffects(updated).catch(() => {});
   } catch (err) {
     console.error("[admin.articles] publish error", err);
     res.status(500).json({ error: "failed_to_publish" });
   }
 });
 
+// REVISIONS — GET /api/admin/articles/:id/revisions
+// Newest first; snapshots omitted (fetch a single revision for the content).
+router.get("/:id/revisions", async (req, res) => {
+  try {
+    if (!looksLikeObjectId(req.params.id)) {
+      return res.status(400).json({ error: "bad_id" });
+    }
+    const items = await listRevisions(req.params.id, { limit: req.query.limit });
+    res.json({ items });
+  } catch (err) {
+    console.error("[admin.articles] revisions list error", err);
+    res.status(500).json({ error: "failed_to_list_revisions" });
+  }
+});
+
+// REVISION DIFF — GET /api/admin/articles/:id/revisions/diff?from=3&to=5
+// "to" defaults to the latest revision; "to=current" diffs against the live article.
+router.get("/:id/revisions/diff", async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!looksLikeObjectId(id)) return res.status(400).json({ error: "bad_id" });
+
+    const from = await getRevision(id, req.query.from);
+    if (!from) return res.status(404).json({ error: "from_revision_not_found" });
+
+    let toSnap;
+    let toRev;
+    if (String(req.query.to || "") === "current") {
+      const live = await Article.findById(id).lean();
+      if (!live) return res.status(404).json({ error: "not_found" });
+      toSnap = pickSnapshot(live);
+      toRev = "current";
+    } else {
+      const latest = req.query.to ? null : (await listRevisions(id, { limit: 1 }))[0];
+      const to = await getRevision(id, req.query.to || latest?.rev);
+      if (!to) return res.status(404).json({ error: "to_revision_not_found" });
+      toSnap = to.snapshot;
+      toRev = to.rev;
+    }
+
+    res.json({
+      from: from.rev,
+      to: toRev,
+      changes: diffSnapshots(from.snapshot || {}, toSnap || {}),
+    });
+  } catch (err) {
+    console.error("[admin.articles] revisions diff error", err);
+    res.status(500).json({ error: "failed_to_diff_revisions" });
+  }
+});
+
+// REVISION — GET /api/admin/articles/:id/revisions/:rev
+router.get("/:id/revisions/:rev", async (req, res) => {
+  try {
+    if (!looksLikeObjectId(req.params.id)) {
+      return res.status(400).json({ error: "bad_id" });
+    }
+    const doc = await getRevision(req.params.id, req.params.rev);
+    if (!doc) return res.status(404).json({ error: "not_found" });
+    res.json(doc);
+  } catch (err) {
+    console.error("[admin.articles] revision read error", err);
+    res.status(500).json({ error: "failed_to_read_revision" });
+  }
+});
+
+// RESTORE — POST /api/admin/articles/:id/revisions/:rev/restore
+// Re-applies the old content as a new revision (slug/status/publishAt are left alone).
+router.post("/:id/revisions/:rev/restore", async (req, res) => {
+  try {
+    if (!looksLikeObjectId(req.params.id)) {
+      return res.status(400).json({ error: "bad_id" });
+    }
+    const updated = await restoreRevision(req.params.id, req.params.rev, {
+      user: req.user,
+      note: req.body?.revisionNote,
+    });
+    if (!updated) return res.status(404).json({ error: "not_found" });
+
+    const a = normalizeArticlesWithCategories([updated])[0];
+    a.category = toCatText(a.category);
+    a.categories = Array.isArray(a.categories) ? a.categories.map(toCatText) : [];
+    res.json(a);
+  } catch (err) {
+    console.error("[admin.articles] revision restore error", err);
+    res.status(500).json({ error: "failed_to_restore_revision" });
+  }
+});
+
 // IMAGE CANDIDATES — GET /api/admin/articles/:id/image-candidates?limit=12
 // Returns multiple ImageLibrary matches so the admin can cycle through them.
 router.get("/:id/image-candidates", async (req, res) => {
@@ -0,0 +1,10 @@
+// backend/src/routes/admin.audit.routes.js
+const express = require("express");
+const router = express.Router();
+
+const ctrl = require("../controllers/admin.audit.controller");
+
+router.get("/", ctrl.list);
+router.get("/:id", ctrl.get);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+// backend/src/routes/admin.jobs.routes.js
+const express = require("express");
+const router = express.Router();
+
+const ctrl = require("../controllers/admin.jobs.controller");
+
+router.get("/", ctrl.list);
+router.get("/stats", ctrl.stats);
+router.post("/run/:name", ctrl.runNow);
+router.post("/schedules/:id/pause", ctrl.pauseSchedule(true));
+router.post("/schedules/:id/resume", ctrl.pauseSchedule(false));
+router.get("/:id", ctrl.get);
+router.post("/:id/retry", ctrl.retry);
+router.post("/:id/cancel", ctrl.cancel);
+
+module.exports = router;
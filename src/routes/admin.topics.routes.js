@@ -0,0 +1,13 @@
+// backend/src/routes/admin.topics.routes.js
+const express = require("express");
+const router = express.Router();
+
+const ctrl = require("../controllers/admin.topics.controller");
+
+router.get("/", ctrl.list);
+router.get("/:id", ctrl.get);
+router.patch("/:id", ctrl.update);
+router.post("/:id/merge", ctrl.merge);
+router.post("/:id/split", ctrl.split);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+// backend/src/routes/admin.trash.routes.js
+const express = require("express");
+const router = express.Router();
+
+const { permit } = require("../middleware/auth");
+const ctrl = require("../controllers/admin.trash.controller");
+
+router.get("/", ctrl.list);
+router.get("/summary", ctrl.summary);
+router.post("/purge-expired", permit(["admin"]), ctrl.purgeExpired);
+router.post("/:type/:id/restore", ctrl.restore);
+router.delete("/:type/:id", permit(["admin"]), ctrl.purge);
+
+module.exports = router;
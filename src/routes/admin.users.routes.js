@@ -0,0 +1,14 @@
+// backend/src/routes/admin.users.routes.js
+const express = require("express");
+const router = express.Router();
+
+const ctrl = require("../controllers/admin.users.controller");
+
+router.get("/", ctrl.list);
+router.post("/", ctrl.create);
+router.patch("/:id", ctrl.update);
+router.post("/:id/disable", ctrl.disable);
+router.post("/:id/enable", ctrl.enable);
+router.post("/:id/reset-token", ctrl.issueResetToken);
+
+module.exports = router;
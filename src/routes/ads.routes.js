@@ -0,0 +1,11 @@
+const express = require("express");
+const router = express.Router();
+const ctrl = require("../controllers/ads.controller");
+
+// Base path (mounted at /api/ads) — public
+router.get("/serve", ctrl.serve);
+router.post("/:id/impression", ctrl.impression);
+router.get("/:id/impression", ctrl.impression);
+router.get("/:id/click", ctrl.click);
+
+module.exports = router;
@@ -30,24 +30,24 @@ try {
   // requireAuthAdmin = r;
 } catch (_) {}
 
-router.get("/status", requireAuthAdmin, (req, res) => {
-  res.json(getStatus());
+router.get("/status", requireAuthAdmin, async (req, res) => {
+  res.json(await getStatus());
 });
 
-router.post("/control/start", requireAuthAdmin, (req, res) => {
+router.post("/control/start", requireAuthAdmin, async (req, res) => {
   const sec = req.body?.intervalSec;
-  startAutmotion(sec);
-  res.json({ ok: true, ...getStatus() });
+  await startAutmotion(sec);
+  res.json({ ok: true, ...(await getStatus()) });
 });
 
-router.post("/control/stop", requireAuthAdmin, (req, res) => {
-  stopAutmotion();
-  res.json({ ok: true, ...getStatus() });
+router.post("/control/stop", requireAuthAdmin, async (req, res) => {
+  await stopAutmotion();
+  res.json({ ok: true, ...(await getStatus()) });
 });
 
 router.post("/control/run-now", requireAuthAdmin, async (req, res) => {
-  await runOnceNow();
-  res.json({ ok: true, ...getStatus() });
+  const job = await runOnceNow();
+  res.json({ ok: true, jobId: job._id, ...(await getStatus()) });
 });
 
 module.exports = router;
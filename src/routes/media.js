@@ -5,6 +5,7 @@ const path    = require('path');
 const { nanoid } = require('nanoid');
 const Media = require('../models/Media');
 const { auth, permit } = require('../middleware/auth');
+const { trashItem } = require('../services/trash.service');
 
 const upload = multer({
   limits: { fileSize: 5 * 1024 * 1024 }, // 5MB
@@ -38,7 +39,8 @@ router.get('/', auth, permit(['author','editor','admin']), async (req,res) => {
 });
 
 router.delete('/:id', auth, permit(['editor','admin']), async (req,res) => {
-  await Media.deleteOne({ _id: req.params.id });
+  const doc = await trashItem('media', req.params.id, req.user);
+  if (!doc) return res.sendStatus(404);
   res.sendStatus(204);
 });
 
@@ -3,6 +3,7 @@
 const express = require("express");
 const router = express.Router();
 const Article = require("../models/Article");
+const { TRENDING_SORT } = require("../services/engagement.service");
 
 // ───────────────────────────────────────────────────────────────────────────────
 // Site base URL (links in RSS items)
@@ -243,9 +244,12 @@ function buildVideoPosterFromCloudinaryVideo(videoUrl = "") {
 // Shared handler for both /top-news and /top-news.xml
 // ───────────────────────────────────────────────────────────────────────────────
 
+// ?sort=latest|trending (default TOP_NEWS_SORT, like /api/top-news)
 async function handleTopNewsRss(req, res, next) {
   try {
     const limit = Math.min(parseInt(req.query.limit || "50", 10), 100);
+    const sort =
+      String(req.query.sort || process.env.TOP_NEWS_SORT || "trending") === "latest" ? "latest" : "trending";
     const now = new Date();
 
     const rows = await Article.find({
@@ -264,12 +268,16 @@ async function handleTopNewsRss(req, res, next) {
       .select(
         "title slug summary publishedAt publishAt updatedAt createdAt imageUrl ogImage cover imagePublicId videoUrl"
       )
-      .sort({
-        publishedAt: -1,
-        publishAt: -1,
-        createdAt: -1,
-        _id: -1,
-      })
+      .sort(
+        sort === "trending"
+          ? TRENDING_SORT
+          : {
+              publishedAt: -1,
+              publishAt: -1,
+              createdAt: -1,
+              _id: -1,
+            }
+      )
       .limit(limit)
       .lean();
 
@@ -100,6 +100,7 @@ const ZoneSchema = z.object({
       tags: z.array(z.string()).optional(),
       includeIds: z.array(z.string()).optional(),
       sinceDays: z.number().int().min(0).optional(),
+      sort: z.enum(["publishedAt_desc", "publishedAt_asc", "trending"]).optional(),
     })
     .optional(),
 });
@@ -140,7 +141,9 @@ const BaseSectionSchema = z
         mode: z.enum(["auto", "manual", "mixed"]).default("auto"),
         categories: z.array(z.string()).default([]),
         tags: z.array(z.string()).default([]),
-        sortBy: z.enum(["publishedAt", "priority"]).default("publishedAt"),
+        sortBy: z.enum(["publishedAt", "priority", "trending"]).default("publishedAt"),
+        source: z.enum(["query", "related"]).default("query"),
+        relatedTo: z.string().trim().optional(),
         timeWindowHours: z.coerce.number().int().min(0).default(0),
         sliceFrom: z.coerce.number().int().min(1).optional(),
         sliceTo: z.coerce.number().int().min(1).optional(),
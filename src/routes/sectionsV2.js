@@ -4,6 +4,8 @@ const router = express.Router();
 const PageSectionV2 = require("../models/PageSectionV2");
 // ⬇️ Adjust this path/name if your Article model is elsewhere
 const Article = require("../models/Article");
+const { TRENDING_SORT } = require("../services/engagement.service");
+const { relatedArticles } = require("../services/relatedArticles.service");
 
 /* ---------------------------
    Helpers
@@ -61,7 +63,8 @@ async function fetchArticlesForSection(section) {
   const where = buildArticleQuery(q);
   const limit = Math.min(Math.max(Number(q.limit) || 5, 1), 50);
   const sortField = q.sortBy || "publishedAt";
-  const sort = { [sortField]: -1 };
+  // "trending": reader engagement (engagement-scores job), newest first on ties
+  const sort = sortField === "trending" ? TRENDING_SORT : { [sortField]: -1 };
 
   // return only fields the frontend needs
   const projection = {
@@ -106,7 +109,8 @@ function normalizeBody(b = {}) {
 
 /* ---------------------------
    PUBLIC: fetch rails for a side
-   GET /api/sections-v2?side=right
+   GET /api/sections-v2?side=right[&article=<slug>]
+   (article: the page's story, for source.type "related")
 ----------------------------*/
 router.get("/sections-v2", async (req, res, next) => {
   try {
@@ -136,6 +140,20 @@ router.get("/sections-v2", async (req, res, next) => {
           return base;
         }
 
+        // Related sections: stories related to query.slug or the page's article.
+        // The response is cached for everyone, so geo-targeted stories are left out.
+        if (d.source?.type === "related") {
+          const slug = String(d.query?.slug || req.query.article || "").trim();
+          const limit = Math.min(Math.max(Number(d.query?.limit) || 5, 1), 20);
+          try {
+            const related = slug ? await relatedArticles(slug, { limit }) : null;
+            base.items = related ? related.items : [];
+          } catch (e) {
+            base.items = [];
+          }
+          return base;
+        }
+
         // Query-based sections: fetch articles per query
         try {
           base.items = await fetchArticlesForSection(d);
@@ -0,0 +1,83 @@
+// backend/src/routes/stream.routes.js
+/**
+ * GET /api/stream — server-sent events for breaking news, the ticker and newly published articles.
+ *
+ *  ?topics=breaking,ticker,article   subset of topics (default: all)
+ *  Last-Event-ID (or ?lastEventId=)  replays what was missed; "reset" means refetch everything
+ *
+ * Events: breaking.refresh (refetch /api/breaking), ticker.*, article.published.
+ * A ": ping" comment goes out every STREAM_HEARTBEAT_SECONDS so proxies keep the connection open.
+ */
+const express = require("express");
+const { subscribe, eventsAfter, streamStats } = require("../services/eventStream.service");
+
+const router = express.Router();
+
+const TOPICS = ["breaking", "ticker", "article"];
+const HEARTBEAT_MS = parseInt(process.env.STREAM_HEARTBEAT_SECONDS || "25", 10) * 1000;
+const RETRY_MS = parseInt(process.env.STREAM_RETRY_MS || "5000", 10);
+const MAX_CLIENTS = parseInt(process.env.STREAM_MAX_CLIENTS || "2000", 10);
+
+let clients = 0;
+
+function frame({ id, event, data }) {
+  let out = "";
+  if (id) out += `id: ${id}\n`;
+  if (event) out += `event: ${event}\n`;
+  return `${out}data: ${JSON.stringify(data ?? {})}\n\n`;
+}
+
+router.get("/", (req, res) => {
+  if (clients >= MAX_CLIENTS) {
+    res.set("Retry-After", "30");
+    return res.status(503).json({ error: "Too many stream clients" });
+  }
+
+  const asked = String(req.query.topics || "")
+    .split(",")
+    .map((t) => t.trim().toLowerCase())
+    .filter((t) => TOPICS.includes(t));
+  const topics = new Set(asked.length ? asked : TOPICS);
+
+  res.status(200);
+  res.set({
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // nginx: do not buffer
+  });
+  res.flushHeaders();
+  clients++;
+
+  const send = (e) => {
+    if (topics.has(e.topic)) res.write(frame({ id: e.id, event: e.type, data: e.data }));
+  };
+
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const lastEventId = req.get("Last-Event-ID") || req.query.lastEventId;
+  const replay = lastEventId ? eventsAfter(lastEventId) : [];
+  const missed = replay && replay.filter((e) => topics.has(e.topic));
+  if (missed === null) {
+    res.write(frame({ id: streamStats().lastEventId, event: "reset", data: { reason: "unknown_last_event_id" } }));
+  } else {
+    missed.forEach(send);
+    res.write(frame({ id: streamStats().lastEventId, event: "ready", data: { topics: [...topics], replayed: missed.length } }));
+  }
+
+  const unsubscribe = subscribe(send);
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    clients--;
+  });
+});
+
+// GET /api/stream/stats — connected clients and buffer state
+router.get("/stats", (_req, res) => {
+  res.json({ ok: true, clients, ...streamStats() });
+});
+
+module.exports = router;
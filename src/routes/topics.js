@@ -0,0 +1,69 @@
+// backend/src/routes/topics.js
+// Public story clusters (see services/topics.service). Mounted behind geoMiddleware:
+// geo-targeted articles only show to visitors they're meant for.
+const router = require("express").Router();
+const { listTopics, topicPage } = require("../services/topics.service");
+
+function normalizeMedia(a) {
+  const cover = a.cover;
+  const imageUrl =
+    a.imageUrl ||
+    (typeof cover === "string" ? cover : null) ||
+    (cover && typeof cover === "object" ? cover.url : null) ||
+    null;
+  const imageAlt = a.imageAlt || (cover && typeof cover === "object" ? cover.alt : null) || a.title || "";
+  return { imageUrl, imageAlt };
+}
+
+function listItem(a) {
+  const { cover, ...rest } = a;
+  return { ...rest, id: a._id, ...normalizeMedia(a) };
+}
+
+/**
+ * GET /api/topics
+ * Developing stories (at least TOPIC_MIN_ARTICLES pieces), most recently covered first.
+ * query: ?limit=20&page=1&category=Sports
+ */
+router.get("/", async (req, res, next) => {
+  try {
+    const limit = Math.max(1, Math.min(50, Number(req.query.limit ?? 20) || 20));
+    const page = Math.max(1, Number(req.query.page ?? 1) || 1);
+    const items = await listTopics({
+      limit,
+      skip: (page - 1) * limit,
+      category: req.query.category ? String(req.query.category) : "",
+    });
+    res.json({ items, page, limit });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/topics/:slug
+ * The topic, its articles (newest first) and the same articles grouped by day.
+ * A merged topic 308-redirects to the topic it was merged into.
+ */
+router.get("/:slug", async (req, res, next) => {
+  try {
+    const out = await topicPage(req.params.slug, { geo: req.geo || {} });
+    if (!out) return res.status(404).json({ error: "Not found" });
+
+    if (out.redirectTo) {
+      res.setHeader("Location", `${req.baseUrl}/${encodeURIComponent(out.redirectTo)}`);
+      return res.status(308).end();
+    }
+
+    res.setHeader("Cache-Control", "public, max-age=60");
+    res.json({
+      topic: out.topic,
+      items: out.items.map(listItem),
+      timeline: out.timeline.map((d) => ({ date: d.date, articles: d.articles.map(listItem) })),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 // backend/src/routes/topnews.js
 const router = require("express").Router();
 const Article = require("../models/Article");
+const { TRENDING_SORT } = require("../services/engagement.service");
 
 // Category model (exists in this project)
 let Category;
@@ -118,14 +119,18 @@ function stripArticleFields(a, catMap) {
 
 /**
  * GET /api/top-news
- * query: ?limit=50&page=1
- * Newest first by publishedAt (with fallbacks).
+ * query: ?limit=50&page=1&sort=latest|trending
+ * latest: newest first by publishedAt (with fallbacks).
+ * trending: by reader engagement score (engagement-scores job), then newest.
+ * Default sort: TOP_NEWS_SORT (trending).
  */
 router.get("/", async (req, res, next) => {
   try {
     const limit = Math.max(1, Math.min(100, Number(req.query.limit ?? 50)));
     const page = Math.max(1, Number(req.query.page ?? 1));
     const skip = (page - 1) * limit;
+    const sort =
+      String(req.query.sort || process.env.TOP_NEWS_SORT || "trending") === "latest" ? "latest" : "trending";
 
     const now = new Date();
     const q = {
@@ -140,7 +145,7 @@ router.get("/", async (req, res, next) => {
           // ✅ NEW: select videoUrl from Mongo
           "title slug summary imageUrl imageAlt cover videoUrl publishedAt updatedAt author category"
         )
-        .sort({ publishedAt: -1, updatedAt: -1, createdAt: -1 })
+        .sort(sort === "trending" ? TRENDING_SORT : { publishedAt: -1, updatedAt: -1, createdAt: -1 })
         .skip(skip)
         .limit(limit)
         .lean(),
@@ -153,6 +158,7 @@ router.get("/", async (req, res, next) => {
       items: rows.map((a) => stripArticleFields(a, catMap)),
       page,
       limit,
+      sort,
       total: rows.length,
     });
   } catch (err) {
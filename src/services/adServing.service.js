@@ -0,0 +1,194 @@
+// backend/src/services/adServing.service.js
+"use strict";
+
+/**
+ * Server-side ad selection for GET /api/ads/serve.
+ *
+ * A slot is a target plus a placement index, written "<type>[:<value>][@<placementIndex>]":
+ *   homepage@0   category:business@2   path:/world
+ * Among the enabled ads at a slot, an ad is eligible when it is inside its startAt/endAt
+ * window, targets the visitor's country (req.geo) and device (req.device.type), and has not
+ * hit its frequency cap for this visitor. One eligible ad is picked at random, in proportion
+ * to its weight.
+ *
+ * Each serve carries a signed token (serveToken) that its impression beacon and click must
+ * bring back; verifyServeToken checks it belongs to that ad and is younger than AD_TOKEN_TTL_HOURS.
+ */
+
+const crypto = require("crypto");
+const Ad = require("../models/Ad");
+const AdFrequency = require("../models/AdFrequency");
+const { isAllowedForGeoDoc } = require("../utils/geo");
+
+const TARGET_TYPES = ["homepage", "category", "path"];
+
+const PUBLIC_FIELDS = "_id imageUrl linkUrl target placementIndex custom";
+const TOKEN_TTL_MS = Math.max(1, Number(process.env.AD_TOKEN_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+function parseSlot(slot) {
+  const m = /^([a-z]+)(?::([^@]*))?(?:@(\d+))?$/.exec(String(slot || "").trim());
+  if (!m || !TARGET_TYPES.includes(m[1])) return null;
+  return { type: m[1], value: m[2] || "", placementIndex: m[3] ? Number(m[3]) : 0 };
+}
+
+/** Mongo filter: enabled, weighted in, inside the campaign window. */
+function runningFilter(now = new Date()) {
+  return {
+    enabled: true,
+    weight: { $ne: 0 },
+    $and: [
+      // null also matches ads created before these fields existed
+      { $or: [{ startAt: null }, { startAt: { $lte: now } }] },
+      { $or: [{ endAt: null }, { endAt: { $gt: now } }] },
+    ],
+  };
+}
+
+/**
+ * Mongo filter: no geo or device targeting and no frequency cap, i.e. ads whose pick is the
+ * same for every visitor. Used where the response is cached for everyone (/api/sections/plan).
+ */
+function untargetedFilter() {
+  return {
+    $and: [
+      { $or: [{ geoMode: null }, { geoMode: "global" }] },
+      { $or: [{ devices: null }, { devices: { $size: 0 } }] },
+      { $or: [{ "frequencyCap.max": null }, { "frequencyCap.max": { $lte: 0 } }] },
+    ],
+  };
+}
+
+function matchesDevice(ad, device = {}) {
+  const wanted = Array.isArray(ad.devices) ? ad.devices : [];
+  return !wanted.length || !device.type || wanted.includes(device.type);
+}
+
+/** Weighted random pick; ads without a weight count as 1. */
+function pickWeighted(ads, rand = Math.random) {
+  const weightOf = (a) => (a.weight == null ? 1 : Math.max(0, Number(a.weight) || 0));
+  const total = ads.reduce((n, a) => n + weightOf(a), 0);
+  if (!total) return null;
+
+  let r = rand() * total;
+  for (const a of ads) {
+    r -= weightOf(a);
+    if (r < 0) return a;
+  }
+  return ads[ads.length - 1];
+}
+
+function adSecret() {
+  return process.env.AD_TOKEN_SECRET || process.env.JWT_SECRET || "";
+}
+
+/**
+ * Stable key for frequency capping (client visitor id, else IP + UA). Keyed with
+ * the server secret: a plain hash of an IPv4 address is cheap to brute-force.
+ */
+function visitorKey({ visitorId, ip, ua }) {
+  const raw = visitorId ? `v:${visitorId}` : ip ? `ip:${ip}|${ua || ""}` : "";
+  return raw ? crypto.createHmac("sha256", adSecret()).update(raw).digest("hex").slice(0, 32) : null;
+}
+
+/* -------------------- serve tokens -------------------- */
+
+function tokenSignature(adId, nonce, servedAt) {
+  return crypto.createHmac("sha256", adSecret()).update(`ad|${adId}|${nonce}|${servedAt}`).digest("base64url").slice(0, 32);
+}
+
+/** "<nonce>.<servedAt base36>.<hmac>" for one serve of adId. */
+function serveToken(adId, now = new Date()) {
+  const nonce = crypto.randomBytes(12).toString("hex");
+  const servedAt = now.getTime().toString(36);
+  return `${nonce}.${servedAt}.${tokenSignature(String(adId), nonce, servedAt)}`;
+}
+
+/** The token's nonce (the per-serve dedupe key) when it is a valid, unexpired token for adId; else null. */
+function verifyServeToken(token, adId, now = new Date()) {
+  const [nonce, servedAt, sig] = String(token || "").split(".");
+  if (!/^[a-f0-9]{24}$/.test(nonce || "") || !servedAt || !sig) return null;
+
+  const age = now.getTime() - parseInt(servedAt, 36);
+  if (!(age >= -60 * 1000 && age <= TOKEN_TTL_MS)) return null; // a minute of clock skew between instances
+
+  const expected = tokenSignature(String(adId), nonce, servedAt);
+  if (sig.length !== expected.length) return null;
+  return crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected)) ? nonce : null;
+}
+
+/* -------------------- frequency caps -------------------- */
+
+function capWindow(ad, now) {
+  const ms = Math.max(1, Number(ad.frequencyCap?.windowHours) || 24) * 60 * 60 * 1000;
+  const start = new Date(Math.floor(now.getTime() / ms) * ms);
+  return { start, end: new Date(start.getTime() + ms) };
+}
+
+const isCapped = (ad) => Number(ad.frequencyCap?.max) > 0;
+
+/** Drop ads this visitor has already seen `frequencyCap.max` times in the current window. */
+async function withinCaps(ads, visitor, now) {
+  const capped = ads.filter(isCapped);
+  if (!capped.length || !visitor) return ads;
+
+  const rows = await AdFrequency.find({
+    visitor,
+    $or: capped.map((a) => ({ ad: a._id, windowStart: capWindow(a, now).start })),
+  }).lean();
+  const seen = new Map(rows.map((r) => [String(r.ad), r.count]));
+
+  return ads.filter((a) => !isCapped(a) || (seen.get(String(a._id)) || 0) < Number(a.frequencyCap.max));
+}
+
+async function countServe(ad, visitor, now) {
+  if (!isCapped(ad) || !visitor) return;
+  const { start, end } = capWindow(ad, now);
+  try {
+    await AdFrequency.updateOne(
+      { visitor, ad: ad._id, windowStart: start },
+      { $inc: { count: 1 }, $setOnInsert: { expiresAt: end } },
+      { upsert: true }
+    );
+  } catch (e) {
+    if (e?.code !== 11000) throw e; // concurrent first serve: the other upsert counted it
+  }
+}
+
+/**
+ * Pick the ad to show at `slot` for this visitor.
+ * Returns { ad } (null when nothing is eligible) or { error } for a bad slot.
+ */
+async function serveAd({ slot, geo = {}, device = {}, visitor = null, now = new Date() }) {
+  const target = parseSlot(slot);
+  if (!target) return { error: "Invalid slot" };
+
+  const candidates = await Ad.find({
+    ...runningFilter(now),
+    "target.type": target.type,
+    "target.value": target.value,
+    placementIndex: target.placementIndex,
+  }).lean();
+
+  const targeted = candidates.filter((a) => isAllowedForGeoDoc(a, geo) && matchesDevice(a, device));
+  const eligible = await withinCaps(targeted, visitor, now);
+  const ad = pickWeighted(eligible);
+  if (!ad) return { ad: null, slot: target };
+
+  await countServe(ad, visitor, now);
+
+  const out = {};
+  for (const k of PUBLIC_FIELDS.split(" ")) if (ad[k] !== undefined) out[k] = ad[k];
+  return { ad: out, slot: target };
+}
+
+module.exports = {
+  parseSlot,
+  runningFilter,
+  untargetedFilter,
+  matchesDevice,
+  pickWeighted,
+  visitorKey,
+  serveToken,
+  verifyServeToken,
+  serveAd,
+};
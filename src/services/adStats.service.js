@@ -0,0 +1,193 @@
+// backend/src/services/adStats.service.js
+"use strict";
+
+/**
+ * Ad measurement.
+ *
+ *  recordAdEvent(event)     one impression / click (deduped per serve token)
+ *  rollupAdDay(date)        AdEvent → AdDaily for one UTC day ("ad-rollup" job; idempotent)
+ *  adReport(opts)           rows for the admin report / CSV (by day, ad, country or device)
+ */
+
+const mongoose = require("mongoose");
+const Ad = require("../models/Ad");
+const AdEvent = require("../models/AdEvent");
+const AdDaily = require("../models/AdDaily");
+
+const TOKEN_RE = /^[a-f0-9]{24}$/;
+
+function utcDay(d = new Date()) {
+  return new Date(d).toISOString().slice(0, 10);
+}
+
+function dayBounds(dateStr) {
+  const start = new Date(`${dateStr}T00:00:00.000Z`);
+  return { start, end: new Date(start.getTime() + 24 * 60 * 60 * 1000) };
+}
+
+const ctr = (clicks, impressions) => (impressions ? Number((clicks / impressions).toFixed(4)) : 0);
+
+/** Returns true when stored, false for a repeat of the same serve token. */
+async function recordAdEvent({ ad, type, token = null, slot = "", visitor = null, country = null, device = null, path = "" }) {
+  try {
+    await AdEvent.create({
+      ad,
+      type,
+      token: TOKEN_RE.test(String(token || "")) ? token : null,
+      slot: String(slot || "").slice(0, 200),
+      visitor,
+      country: country && country !== "ZZ" ? country : null,
+      device,
+      path: String(path || "").slice(0, 500),
+    });
+    return true;
+  } catch (e) {
+    if (e?.code === 11000) return false;
+    throw e;
+  }
+}
+
+function slices(rows) {
+  const map = new Map();
+  for (const r of rows) {
+    const key = r._id.key || null;
+    const cur = map.get(key) || { key, impressions: 0, clicks: 0 };
+    if (r._id.type === "impression") cur.impressions += r.count;
+    else cur.clicks += r.count;
+    map.set(key, cur);
+  }
+  return [...map.values()].sort((a, b) => b.impressions - a.impressions);
+}
+
+async function rollupAdDay(dateStr) {
+  const date = dateStr || utcDay();
+  const { start, end } = dayBounds(date);
+  const match = { at: { $gte: start, $lt: end } };
+
+  const [totals, byCountry, byDevice, uniques] = await Promise.all([
+    AdEvent.aggregate([{ $match: match }, { $group: { _id: { ad: "$ad", type: "$type" }, count: { $sum: 1 } } }]),
+    AdEvent.aggregate([
+      { $match: match },
+      { $group: { _id: { ad: "$ad", type: "$type", key: "$country" }, count: { $sum: 1 } } },
+    ]),
+    AdEvent.aggregate([
+      { $match: match },
+      { $group: { _id: { ad: "$ad", type: "$type", key: "$device" }, count: { $sum: 1 } } },
+    ]),
+    AdEvent.aggregate([
+      { $match: { ...match, type: "impression", visitor: { $ne: null } } },
+      { $group: { _id: { ad: "$ad", visitor: "$visitor" } } },
+      { $group: { _id: "$_id.ad", uniques: { $sum: 1 } } },
+    ]),
+  ]);
+
+  const perAd = new Map();
+  const row = (ad) => {
+    const k = String(ad);
+    if (!perAd.has(k)) perAd.set(k, { ad, impressions: 0, clicks: 0, uniques: 0, country: [], device: [] });
+    return perAd.get(k);
+  };
+  for (const t of totals) row(t._id.ad)[t._id.type === "impression" ? "impressions" : "clicks"] = t.count;
+  for (const c of byCountry) row(c._id.ad).country.push(c);
+  for (const d of byDevice) row(d._id.ad).device.push(d);
+  for (const u of uniques) row(u._id).uniques = u.uniques;
+
+  const now = new Date();
+  const ops = [...perAd.values()].map((r) => ({
+    updateOne: {
+      filter: { date, ad: r.ad },
+      update: {
+        $set: {
+          impressions: r.impressions,
+          clicks: r.clicks,
+          ctr: ctr(r.clicks, r.impressions),
+          uniques: r.uniques,
+          byCountry: slices(r.country),
+          byDevice: slices(r.device),
+          generatedAt: now,
+        },
+      },
+      upsert: true,
+    },
+  }));
+  if (ops.length) await AdDaily.bulkWrite(ops, { ordered: false });
+
+  return {
+    date,
+    ads: ops.length,
+    impressions: [...perAd.values()].reduce((n, r) => n + r.impressions, 0),
+    clicks: [...perAd.values()].reduce((n, r) => n + r.clicks, 0),
+  };
+}
+
+const GROUPS = ["day", "ad", "country", "device"];
+
+/**
+ * Report rows from AdDaily.
+ * groupBy: day (per ad per day) | ad (per ad over the range) | country | device (per ad per slice)
+ */
+async function adReport({ from, to, adId = null, groupBy = "day" } = {}) {
+  const group = GROUPS.includes(groupBy) ? groupBy : "day";
+  const q = { date: { $gte: from, $lte: to } };
+  if (adId) q.ad = new mongoose.Types.ObjectId(String(adId));
+
+  const days = await AdDaily.find(q).sort({ date: 1 }).lean();
+  const ads = await Ad.find({ _id: { $in: [...new Set(days.map((d) => String(d.ad)))] } })
+    .select("_id linkUrl notes target placementIndex")
+    .lean();
+  const adInfo = new Map(ads.map((a) => [String(a._id), a]));
+  const label = (id) => {
+    const a = adInfo.get(String(id));
+    return {
+      ad: String(id),
+      adNotes: a?.notes || "",
+      adLink: a?.linkUrl || "",
+      slot: a ? `${a.target?.type}${a.target?.value ? `:${a.target.value}` : ""}@${a.placementIndex ?? 0}` : "",
+    };
+  };
+
+  if (group === "day") {
+    return days.map((d) => ({
+      date: d.date,
+      ...label(d.ad),
+      impressions: d.impressions,
+      clicks: d.clicks,
+      ctr: d.ctr,
+      uniques: d.uniques,
+    }));
+  }
+
+  const acc = new Map();
+  const add = (key, base, impressions, clicks, uniques = 0) => {
+    const cur = acc.get(key) || { ...base, impressions: 0, clicks: 0, ...(group === "ad" ? { uniques: 0, days: 0 } : {}) };
+    cur.impressions += impressions;
+    cur.clicks += clicks;
+    if (group === "ad") {
+      cur.uniques += uniques; // summed daily uniques (a visitor on two days counts twice)
+      cur.days += 1;
+    }
+    acc.set(key, cur);
+  };
+
+  for (const d of days) {
+    if (group === "ad") {
+      add(String(d.ad), label(d.ad), d.impressions, d.clicks, d.uniques);
+    } else {
+      const field = group === "country" ? "byCountry" : "byDevice";
+      for (const s of d[field] || []) {
+        add(`${d.ad}|${s.key}`, { ...label(d.ad), [group]: s.key || "unknown" }, s.impressions, s.clicks);
+      }
+    }
+  }
+
+  return [...acc.values()]
+    .map((r) => ({ ...r, ctr: ctr(r.clicks, r.impressions) }))
+    .sort((a, b) => b.impressions - a.impressions);
+}
+
+module.exports = {
+  utcDay,
+  recordAdEvent,
+  rollupAdDay,
+  adReport,
+};
@@ -351,4 +351,8 @@ module.exports = {
   markTopicUsed,
   markSeedSeen,
   canonicalizeSourceUrl,
+
+  // used by topics.service (story clusters)
+  computeTopicKey,
+  jaccardSimilarity,
 };
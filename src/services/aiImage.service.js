@@ -2,6 +2,7 @@
 const { v2: cloudinary } = require("cloudinary");
 const Article = require("../models/Article");
 const { buildImageVariants } = require("./imageVariants");
+const { recordRevision, automationActor } = require("./articleRevision.service");
 
 // lazy fetch polyfill
 const fetch =
@@ -78,6 +79,7 @@ async function generateAiHeroForArticle(articleId) {
 
   const article = await Article.findById(articleId);
   if (!article) throw new Error("Article not found");
+  const before = article.toObject();
 
   const { title, summary, category, tags, slug } = article;
 
@@ -188,6 +190,7 @@ Return just the image that best represents this story.
   };
 
   await article.save();
+  await recordRevision(before, article, { user: automationActor("ai-image"), source: "ai-image" });
 
   return {
     articleId: article._id,
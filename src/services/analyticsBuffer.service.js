@@ -0,0 +1,162 @@
+// backend/src/services/analyticsBuffer.service.js
+"use strict";
+
+/**
+ * In-memory write buffer for POST /api/analytics/collect.
+ * Events are queued and written with one insertMany when ANALYTICS_BUFFER_MAX_BATCH are waiting
+ * or every ANALYTICS_BUFFER_FLUSH_MS (0 = write each request straight away).
+ * The buffer is per process and holds at most ANALYTICS_BUFFER_LIMIT events: beyond that new
+ * events are dropped (counted in stats) rather than growing memory while Mongo is unavailable.
+ * A failed write is queued again unless Mongo rejected the documents themselves.
+ *
+ *  bufferEvents(docs)   queue documents (createdAt already set to the receive time)
+ *  flushEvents()        write everything queued now (shutdown, tests)
+ *  bufferStats()        counters for GET /api/analytics/health
+ */
+
+const AnalyticsEvent = require("../../models/AnalyticsEvent");
+
+const FLUSH_MS = parseInt(process.env.ANALYTICS_BUFFER_FLUSH_MS || "2000", 10);
+const MAX_BATCH = parseInt(process.env.ANALYTICS_BUFFER_MAX_BATCH || "500", 10);
+const LIMIT = parseInt(process.env.ANALYTICS_BUFFER_LIMIT || "10000", 10);
+
+let queue = [];
+let timer = null;
+let flushing = null; // promise of the running flush
+let shutdownHooked = false;
+
+const stats = {
+  received: 0,
+  inserted: 0,
+  dropped: 0,
+  failed: 0, // documents Mongo rejected (not retried)
+  flushes: 0,
+  failedFlushes: 0,
+  lastFlushAt: null,
+  lastFlushMs: null,
+  lastFlushSize: 0,
+  lastError: null,
+};
+
+// A bulk write error means the server saw the batch: the rejected documents would fail again
+const isRejection = (e) => e?.name === "MongoBulkWriteError" || e?.name === "ValidationError" || Array.isArray(e?.writeErrors);
+
+async function writeBatch(batch, { requeue = true } = {}) {
+  const started = Date.now();
+  try {
+    // ordered: false writes the valid documents of a batch even when some fail validation
+    const saved = await AnalyticsEvent.insertMany(batch, { ordered: false });
+    stats.inserted += saved.length;
+    stats.failed += batch.length - saved.length;
+  } catch (e) {
+    stats.failedFlushes += 1;
+    stats.lastError = String(e?.message || e).slice(0, 300);
+
+    if (isRejection(e)) {
+      const failed = Array.isArray(e.writeErrors) ? e.writeErrors.length : batch.length;
+      stats.failed += failed;
+      stats.inserted += batch.length - failed;
+      console.error(`[analytics] insertMany rejected ${failed}/${batch.length} event(s):`, stats.lastError);
+    } else if (!requeue) {
+      stats.dropped += batch.length;
+      console.error(`[analytics] insertMany failed, ${batch.length} event(s) dropped:`, stats.lastError);
+    } else {
+      // Mongo unreachable: put the batch back in front, within the limit
+      const room = Math.max(0, LIMIT - queue.length);
+      queue = batch.slice(0, room).concat(queue);
+      stats.dropped += batch.length - Math.min(room, batch.length);
+      console.error(`[analytics] insertMany failed, ${Math.min(room, batch.length)} event(s) requeued:`, stats.lastError);
+    }
+  } finally {
+    stats.flushes += 1;
+    stats.lastFlushAt = new Date();
+    stats.lastFlushMs = Date.now() - started;
+    stats.lastFlushSize = batch.length;
+  }
+}
+
+async function flushEvents() {
+  if (timer) {
+    clearTimeout(timer);
+    timer = null;
+  }
+  if (flushing) await flushing;
+  if (!queue.length) return;
+
+  flushing = (async () => {
+    while (queue.length) {
+      const batch = queue.splice(0, MAX_BATCH);
+      const before = queue.length;
+      await writeBatch(batch);
+      if (queue.length > before) break; // requeued: retry on the next timer, not in a tight loop
+    }
+  })();
+  try {
+    await flushing;
+  } finally {
+    flushing = null;
+  }
+  if (queue.length) scheduleFlush();
+}
+
+function scheduleFlush() {
+  if (timer || !FLUSH_MS) return;
+  timer = setTimeout(() => {
+    timer = null;
+    flushEvents().catch((e) => console.error("[analytics] flush error:", e));
+  }, FLUSH_MS);
+  timer.unref?.();
+}
+
+// Write what is queued before the process exits (SIGTERM from the platform on deploys)
+function hookShutdown() {
+  if (shutdownHooked) return;
+  shutdownHooked = true;
+  for (const signal of ["SIGTERM", "SIGINT"]) {
+    process.once(signal, () => {
+      const done = () => process.kill(process.pid, signal);
+      Promise.race([flushEvents(), new Promise((r) => setTimeout(r, 5000))]).then(done, done);
+    });
+  }
+}
+
+/** Returns the number of documents queued (the rest were dropped: buffer full). */
+async function bufferEvents(docs = []) {
+  if (!docs.length) return 0;
+  stats.received += docs.length;
+
+  if (!FLUSH_MS) {
+    await writeBatch(docs, { requeue: false });
+    return docs.length;
+  }
+
+  hookShutdown();
+  const room = Math.max(0, LIMIT - queue.length);
+  const accepted = docs.slice(0, room);
+  stats.dropped += docs.length - accepted.length;
+  queue.push(...accepted);
+
+  if (queue.length >= MAX_BATCH && !flushing) {
+    flushEvents().catch((e) => console.error("[analytics] flush error:", e));
+  } else {
+    scheduleFlush();
+  }
+  return accepted.length;
+}
+
+function bufferStats() {
+  return {
+    buffered: queue.length,
+    flushing: !!flushing,
+    limit: LIMIT,
+    maxBatch: MAX_BATCH,
+    flushMs: FLUSH_MS,
+    ...stats,
+  };
+}
+
+module.exports = {
+  bufferEvents,
+  flushEvents,
+  bufferStats,
+};
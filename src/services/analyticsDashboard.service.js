@@ -0,0 +1,441 @@
+// backend/src/services/analyticsDashboard.service.js
+"use strict";
+
+/**
+ * Read-side analytics for the admin dashboard, from AnalyticsEvent
+ * (same exclusions as the daily rollup: bots, admins, DNT, opt-outs).
+ *
+ * Raw events are kept for ANALYTICS_EVENT_RETENTION_DAYS. Whole UTC days older than that are
+ * read from AnalyticsDaily instead: page views, read time and read_completes add up exactly,
+ * uniques are the sum of each day's uniques. The rollups have no referrer, device or scroll-depth
+ * slices, so referrers(), the device split and the scroll funnel cover the retained days only.
+ *
+ *  realtime({ minutes })             active readers per path (heartbeats in the last N minutes)
+ *  topArticles(range, opts)          pageviews / uniques / read time per article
+ *  referrers(range) / campaigns(range) / splits(range)
+ *  articleDetail(slug, range)        scroll-depth funnel, average read time, read_complete rate
+ *
+ * Article pages are /article/<slug>; results are joined back to Article titles.
+ */
+
+const AnalyticsEvent = require("../../models/AnalyticsEvent");
+const AnalyticsDaily = require("../../models/AnalyticsDaily");
+const Article = require("../models/Article");
+
+const { RETENTION_DAYS } = AnalyticsEvent;
+const DAY_MS = 86400000;
+
+const HEARTBEAT_SECONDS = 15; // the client sends one heartbeat every 15s of active reading
+const ARTICLE_PATH = /^\/article\/([^/?#]+)/;
+const MAX_RANGE_DAYS = parseInt(process.env.ANALYTICS_DASHBOARD_MAX_DAYS || "92", 10);
+
+const EXCLUDED = {
+  "flags.isBot": { $ne: true },
+  "flags.isAdmin": { $ne: true },
+  "flags.dnt": { $ne: true },
+  "flags.optOut": { $ne: true },
+};
+
+// Device type for events stored before the collector recorded device.type (see middleware/device)
+const DEVICE_EXPR = {
+  $ifNull: [
+    "$device.type",
+    {
+      $switch: {
+        branches: [
+          {
+            case: { $regexMatch: { input: { $ifNull: ["$device.ua", ""] }, regex: "ipad|tablet|playbook|silk|(android(?!.*mobile))", options: "i" } },
+            then: "tablet",
+          },
+          {
+            case: { $regexMatch: { input: { $ifNull: ["$device.ua", ""] }, regex: "mobi|iphone|ipod|android|windows phone|blackberry|opera mini", options: "i" } },
+            then: "mobile",
+          },
+        ],
+        default: "desktop",
+      },
+    },
+  ],
+};
+
+const COUNTRY_EXPR = { $ifNull: ["$country", "$geo.country"] };
+
+/**
+ * from/to: ISO timestamps or YYYY-MM-DD (UTC day; `to` is inclusive). Default: the last 7 days.
+ * Returns { from, to } or { error }.
+ */
+function parseRange({ from, to } = {}) {
+  const DAY = /^\d{4}-\d{2}-\d{2}$/;
+  const end = to ? new Date(DAY.test(to) ? Date.parse(`${to}T00:00:00Z`) + 86400000 : to) : new Date();
+  const start = from ? new Date(DAY.test(from) ? `${from}T00:00:00Z` : from) : new Date(end.getTime() - 7 * 86400000);
+
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) return { error: "Invalid from/to" };
+  if (start >= end) return { error: "from must be before to" };
+  if (end - start > MAX_RANGE_DAYS * 86400000) return { error: `Range is limited to ${MAX_RANGE_DAYS} days` };
+  return { from: start, to: end };
+}
+
+function baseMatch({ from, to }) {
+  return { createdAt: { $gte: from, $lt: to }, ...EXCLUDED };
+}
+
+const utcDay = (d) => new Date(d).toISOString().slice(0, 10);
+
+/**
+ * Raw events vs rollups for a range: { events: { from, to } | null, days: ["YYYY-MM-DD", ...] }.
+ * The first fully retained day is the day after the one the TTL is currently eating into.
+ */
+function splitRange({ from, to }, now = new Date()) {
+  if (!RETENTION_DAYS) return { events: { from, to }, days: [] };
+  const retainedFrom = new Date(Date.parse(`${utcDay(now.getTime() - RETENTION_DAYS * DAY_MS)}T00:00:00Z`) + DAY_MS);
+  if (from >= retainedFrom) return { events: { from, to }, days: [] };
+
+  const days = [];
+  for (let t = Date.parse(`${utcDay(from)}T00:00:00Z`); t < Math.min(retainedFrom, to); t += DAY_MS) days.push(utcDay(t));
+  return { events: to > retainedFrom ? { from: retainedFrom, to } : null, days };
+}
+
+async function rollups(days, fields) {
+  if (!days.length) return [];
+  return AnalyticsDaily.find({ date: { $in: days } }).select(`date ${fields}`).lean();
+}
+
+// Second stage of a two-stage uniques count: the first $group is keyed { k, v: "$visitorId" }
+const UNIQUE_VISITOR = { $sum: { $cond: [{ $eq: [{ $ifNull: ["$_id.v", null] }, null] }, 0, 1] } };
+
+/** Sum rows that share key(row) (numeric fields only), then sort by `by` and keep `limit`. */
+function mergeRows(rows, key, { by = "pageviews", limit = Infinity } = {}) {
+  const map = new Map();
+  for (const r of rows) {
+    const k = key(r);
+    const cur = map.get(k);
+    if (!cur) {
+      map.set(k, { ...r });
+      continue;
+    }
+    for (const [f, v] of Object.entries(r)) if (typeof v === "number") cur[f] = (cur[f] || 0) + v;
+  }
+  return [...map.values()].sort((a, b) => (b[by] || 0) - (a[by] || 0)).slice(0, limit);
+}
+
+function slugFromPath(path) {
+  const m = ARTICLE_PATH.exec(String(path || ""));
+  return m ? decodeURIComponent(m[1]) : null;
+}
+
+async function articlesBySlug(slugs) {
+  if (!slugs.length) return new Map();
+  const rows = await Article.find({ slug: { $in: slugs } })
+    .select("_id slug title category imageUrl publishedAt")
+    .lean();
+  return new Map(rows.map((a) => [a.slug, a]));
+}
+
+/** Attach { article: { _id, title, ... } } to rows that carry a `path`. */
+async function withArticles(rows) {
+  const slugs = [...new Set(rows.map((r) => slugFromPath(r.path)).filter(Boolean))];
+  const bySlug = await articlesBySlug(slugs);
+  return rows.map((r) => {
+    const a = bySlug.get(slugFromPath(r.path));
+    return a ? { ...r, article: { _id: a._id, slug: a.slug, title: a.title, category: a.category, imageUrl: a.imageUrl } } : r;
+  });
+}
+
+const rate = (n, d) => (d ? Number((n / d).toFixed(4)) : 0);
+
+async function realtime({ minutes = 5, limit = 20 } = {}) {
+  const since = new Date(Date.now() - minutes * 60 * 1000);
+  const match = { createdAt: { $gte: since }, type: "heartbeat", ...EXCLUDED };
+
+  const [byPath, total] = await Promise.all([
+    AnalyticsEvent.aggregate([
+      { $match: match },
+      { $group: { _id: { path: "$path", reader: { $ifNull: ["$sessionId", "$visitorId"] } } } },
+      { $group: { _id: "$_id.path", readers: { $sum: 1 } } },
+      { $sort: { readers: -1 } },
+      { $limit: limit },
+    ]),
+    AnalyticsEvent.aggregate([
+      { $match: match },
+      { $group: { _id: { $ifNull: ["$sessionId", "$visitorId"] } } },
+      { $count: "n" },
+    ]),
+  ]);
+
+  return {
+    since,
+    minutes,
+    activeReaders: total[0]?.n || 0,
+    paths: await withArticles(byPath.map((r) => ({ path: r._id || "/", readers: r.readers }))),
+  };
+}
+
+async function topArticles(range, { sort = "pageviews", limit = 20 } = {}) {
+  const { events, days } = splitRange(range);
+  const by = sort === "readTime" ? "readSeconds" : "pageviews";
+
+  const [rows, daily] = await Promise.all([
+    events
+      ? AnalyticsEvent.aggregate([
+          { $match: { ...baseMatch(events), path: ARTICLE_PATH, type: { $in: ["page_view", "heartbeat", "read_complete"] } } },
+          {
+            $group: {
+              _id: { k: "$path", v: "$visitorId" },
+              pageviews: { $sum: { $cond: [{ $eq: ["$type", "page_view"] }, 1, 0] } },
+              heartbeats: { $sum: { $cond: [{ $eq: ["$type", "heartbeat"] }, 1, 0] } },
+              readCompletes: { $sum: { $cond: [{ $eq: ["$type", "read_complete"] }, 1, 0] } },
+            },
+          },
+          {
+            $group: {
+              _id: "$_id.k",
+              pageviews: { $sum: "$pageviews" },
+              heartbeats: { $sum: "$heartbeats" },
+              readCompletes: { $sum: "$readCompletes" },
+              uniques: UNIQUE_VISITOR,
+            },
+          },
+          {
+            $project: {
+              _id: 0,
+              path: "$_id",
+              pageviews: 1,
+              readCompletes: 1,
+              uniques: 1,
+              readSeconds: { $multiply: ["$heartbeats", HEARTBEAT_SECONDS] },
+            },
+          },
+          { $sort: { [by]: -1 } },
+          // with rollup days in the range the totals are only known after merging
+          ...(days.length ? [] : [{ $limit: limit }]),
+        ]).allowDiskUse(true)
+      : [],
+    rollups(days, "byPath"),
+  ]);
+
+  const fromRollups = daily.flatMap((d) =>
+    (d.byPath || [])
+      .filter((p) => ARTICLE_PATH.test(p.path || ""))
+      .map((p) => ({ path: p.path, pageviews: p.page_view || 0, readCompletes: p.read_complete || 0, uniques: p.uniques || 0, readSeconds: p.readSeconds || 0 }))
+  );
+
+  return withArticles(
+    mergeRows([...rows, ...fromRollups], (r) => r.path, { by, limit }).map((r) => ({
+      ...r,
+      avgReadSeconds: r.pageviews ? Math.round(r.readSeconds / r.pageviews) : 0,
+      readCompleteRate: rate(r.readCompletes, r.pageviews),
+    }))
+  );
+}
+
+async function referrers(range, { limit = 50 } = {}) {
+  const { events } = splitRange(range);
+  if (!events) return [];
+  const rows = await AnalyticsEvent.aggregate([
+    { $match: { ...baseMatch(events), type: "page_view" } },
+    {
+      $project: {
+        visitorId: 1,
+        host: {
+          $let: {
+            vars: { m: { $regexFind: { input: { $ifNull: ["$referrer", ""] }, regex: "^[a-z][a-z0-9+.-]*://(?:www\\.)?([^/:?#]+)", options: "i" } } },
+            in: { $toLower: { $ifNull: [{ $arrayElemAt: ["$$m.captures", 0] }, "(direct)"] } },
+          },
+        },
+      },
+    },
+    { $group: { _id: { k: "$host", v: "$visitorId" }, pageviews: { $sum: 1 } } },
+    { $group: { _id: "$_id.k", pageviews: { $sum: "$pageviews" }, uniques: UNIQUE_VISITOR } },
+    { $project: { _id: 0, referrer: "$_id", pageviews: 1, uniques: 1 } },
+    { $sort: { pageviews: -1 } },
+    { $limit: limit },
+  ]).allowDiskUse(true);
+  return rows;
+}
+
+async function campaigns(range, { limit = 50 } = {}) {
+  const { events, days } = splitRange(range);
+
+  const [rows, daily] = await Promise.all([
+    events
+      ? AnalyticsEvent.aggregate([
+          { $match: { ...baseMatch(events), type: { $in: ["page_view", "read_complete"] }, "utm.source": { $nin: [null, ""] } } },
+          {
+            $group: {
+              _id: { k: { source: "$utm.source", medium: "$utm.medium", campaign: "$utm.campaign" }, v: "$visitorId" },
+              pageviews: { $sum: { $cond: [{ $eq: ["$type", "page_view"] }, 1, 0] } },
+              readCompletes: { $sum: { $cond: [{ $eq: ["$type", "read_complete"] }, 1, 0] } },
+            },
+          },
+          {
+            $group: {
+              _id: "$_id.k",
+              pageviews: { $sum: "$pageviews" },
+              readCompletes: { $sum: "$readCompletes" },
+              uniques: UNIQUE_VISITOR,
+            },
+          },
+          {
+            $project: {
+              _id: 0,
+              source: "$_id.source",
+              medium: { $ifNull: ["$_id.medium", null] },
+              campaign: { $ifNull: ["$_id.campaign", null] },
+              pageviews: 1,
+              readCompletes: 1,
+              uniques: 1,
+            },
+          },
+          { $sort: { pageviews: -1 } },
+          ...(days.length ? [] : [{ $limit: limit }]),
+        ]).allowDiskUse(true)
+      : [],
+    rollups(days, "topUTMs"),
+  ]);
+
+  const fromRollups = daily.flatMap((d) =>
+    (d.topUTMs || [])
+      .filter((u) => u.source)
+      .map((u) => ({
+        source: u.source,
+        medium: u.medium || null,
+        campaign: u.campaign || null,
+        pageviews: u.page_view || 0,
+        readCompletes: u.read_complete || 0,
+        uniques: u.uniques || 0,
+      }))
+  );
+
+  return mergeRows([...rows, ...fromRollups], (r) => `${r.source}|${r.medium || ""}|${r.campaign || ""}`, { limit }).map((r) => ({
+    ...r,
+    readCompleteRate: rate(r.readCompletes, r.pageviews),
+  }));
+}
+
+async function splits(range) {
+  const { events, days } = splitRange(range);
+  const split = (key) =>
+    events
+      ? AnalyticsEvent.aggregate([
+          { $match: { ...baseMatch(events), type: "page_view" } },
+          { $group: { _id: { k: key, v: "$visitorId" }, pageviews: { $sum: 1 } } },
+          { $group: { _id: "$_id.k", pageviews: { $sum: "$pageviews" }, uniques: UNIQUE_VISITOR } },
+          { $project: { _id: 0, key: "$_id", pageviews: 1, uniques: 1 } },
+          { $sort: { pageviews: -1 } },
+        ]).allowDiskUse(true)
+      : [];
+
+  const [byCountry, byDevice, daily] = await Promise.all([
+    split(COUNTRY_EXPR),
+    split(DEVICE_EXPR),
+    rollups(days, "totals.page_view topCountries"),
+  ]);
+
+  const retainedTotal = byDevice.reduce((n, r) => n + r.pageviews, 0);
+  const total = retainedTotal + daily.reduce((n, d) => n + (d.totals?.page_view || 0), 0);
+  const countries = mergeRows(
+    [
+      ...byCountry,
+      ...daily.flatMap((d) => (d.topCountries || []).map((c) => ({ key: c.country || null, pageviews: c.page_view || 0, uniques: c.uniques || 0 }))),
+    ],
+    (r) => r.key || ""
+  );
+  const withShare = (rows, name, of) => rows.map((r) => ({ [name]: r.key || null, pageviews: r.pageviews, uniques: r.uniques, share: rate(r.pageviews, of) }));
+
+  return {
+    pageviews: total,
+    countries: withShare(countries, "country", total),
+    devices: withShare(byDevice, "device", retainedTotal), // retained days only (no device rollup)
+  };
+}
+
+async function articleDetail(slug, range) {
+  const article = await Article.findOne({ slug }).select("_id slug title category publishedAt imageUrl").lean();
+  if (!article) return null;
+
+  const path = new RegExp(`^/article/${slug.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}(?:[/?#]|$)`);
+  const { events, days } = splitRange(range);
+  const match = events ? { ...baseMatch(events), path } : null;
+
+  const [counts, funnel, dailyEvents, daily] = await Promise.all([
+    match
+      ? AnalyticsEvent.aggregate([
+          { $match: match },
+          { $group: { _id: { k: "$type", v: "$visitorId" }, count: { $sum: 1 } } },
+          { $group: { _id: "$_id.k", count: { $sum: "$count" }, uniques: UNIQUE_VISITOR } },
+        ])
+      : [],
+    // furthest depth each visitor reached (scroll flags are cumulative per page view)
+    match
+      ? AnalyticsEvent.aggregate([
+          { $match: { ...match, type: "scroll" } },
+          {
+            $group: {
+              _id: "$visitorId",
+              p25: { $max: { $cond: ["$scroll.p25", 1, 0] } },
+              p50: { $max: { $cond: ["$scroll.p50", 1, 0] } },
+              p75: { $max: { $cond: ["$scroll.p75", 1, 0] } },
+              p90: { $max: { $cond: ["$scroll.p90", 1, 0] } },
+            },
+          },
+          { $group: { _id: null, p25: { $sum: "$p25" }, p50: { $sum: "$p50" }, p75: { $sum: "$p75" }, p90: { $sum: "$p90" } } },
+        ])
+      : [],
+    match
+      ? AnalyticsEvent.aggregate([
+          { $match: { ...match, type: "page_view" } },
+          { $group: { _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } }, pageviews: { $sum: 1 } } },
+          { $sort: { _id: 1 } },
+        ])
+      : [],
+    rollups(days, "byPath"),
+  ]);
+
+  const byType = Object.fromEntries(counts.map((c) => [c._id, c]));
+  const retainedUniques = byType.page_view?.uniques || 0;
+  let pageviews = byType.page_view?.count || 0;
+  let uniques = retainedUniques;
+  let readSeconds = (byType.heartbeat?.count || 0) * HEARTBEAT_SECONDS;
+  let readCompletes = byType.read_complete?.count || 0;
+
+  const series = [];
+  for (const d of daily) {
+    const rows = (d.byPath || []).filter((p) => path.test(p.path || ""));
+    if (!rows.length) continue;
+    const dayViews = rows.reduce((n, p) => n + (p.page_view || 0), 0);
+    pageviews += dayViews;
+    uniques += rows.reduce((n, p) => n + (p.uniques || 0), 0);
+    readSeconds += rows.reduce((n, p) => n + (p.readSeconds || 0), 0);
+    readCompletes += rows.reduce((n, p) => n + (p.read_complete || 0), 0);
+    series.push({ date: d.date, pageviews: dayViews });
+  }
+  series.sort((a, b) => a.date.localeCompare(b.date));
+  const f = funnel[0] || {};
+
+  return {
+    article,
+    pageviews,
+    uniques,
+    readSeconds,
+    avgReadSeconds: pageviews ? Math.round(readSeconds / pageviews) : 0,
+    readCompletes,
+    readCompleteRate: rate(readCompletes, pageviews),
+    // retained days only (no scroll-depth rollup)
+    scrollFunnel: ["p25", "p50", "p75", "p90"].map((depth) => ({
+      depth,
+      readers: f[depth] || 0,
+      rate: rate(f[depth] || 0, retainedUniques),
+    })),
+    daily: [...series, ...dailyEvents.map((d) => ({ date: d._id, pageviews: d.pageviews }))],
+  };
+}
+
+module.exports = {
+  parseRange,
+  realtime,
+  topArticles,
+  referrers,
+  campaigns,
+  splits,
+  articleDetail,
+};
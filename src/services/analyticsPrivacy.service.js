@@ -0,0 +1,230 @@
+// backend/src/services/analyticsPrivacy.service.js
+"use strict";
+
+/**
+ * Visitor identity and data minimisation for POST /api/analytics/collect.
+ *
+ * Identity is computed on the server; the client's visitorId is never stored as sent.
+ *  - cookieless: "d_" + sha256(daily salt, IP, user agent). The salt is random per UTC day and
+ *    deleted the day after (AnalyticsSalt), so a visitor is only recognisable within one day.
+ *  - consented: "v_" + HMAC(ANALYTICS_VISITOR_SECRET, client visitorId). Stable, so the visitor
+ *    can later export or delete their data by presenting the same client id.
+ *
+ * ANALYTICS_CONSENT_MODE
+ *  cookieless (default)  everyone gets the daily hash; consent is ignored
+ *  opt-in                consented visitors get the stable id + session + city; others the daily hash, country only
+ *  required              nothing is recorded without consent
+ * Consent: cookie analytics_consent=1, header X-Analytics-Consent: 1 (req.analyticsConsent) or body.consent === true.
+ *
+ * ANALYTICS_IP_MODE: drop (default) | truncate (IPv4 /24, IPv6 /48). Raw IPs are only used in memory.
+ *
+ *  identifyVisitor(req, body, ip)  { record, visitorId, sessionId, consent }
+ *  minimiseEvent(fields, who)      ip / geo / referrer as they may be stored
+ *  exportVisitorData(clientId)     everything stored for a client visitor id
+ *  deleteVisitorData(clientId)     erase it (analytics events, ad events, frequency counters)
+ *  scrubStoredIps()                apply ANALYTICS_IP_MODE to events stored before it existed
+ */
+
+const crypto = require("crypto");
+const AnalyticsEvent = require("../../models/AnalyticsEvent");
+const AnalyticsSalt = require("../../models/AnalyticsSalt");
+const AdEvent = require("../models/AdEvent");
+const AdFrequency = require("../models/AdFrequency");
+const { visitorKey } = require("./adServing.service");
+
+const CONSENT_MODES = ["cookieless", "opt-in", "required"];
+const CONSENT_MODE = CONSENT_MODES.includes(process.env.ANALYTICS_CONSENT_MODE)
+  ? process.env.ANALYTICS_CONSENT_MODE
+  : "cookieless";
+const IP_MODE = process.env.ANALYTICS_IP_MODE === "truncate" ? "truncate" : "drop";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CLIENT_ID_RE = /^[A-Za-z0-9._:-]{8,100}$/;
+
+const sha256 = (s) => crypto.createHash("sha256").update(s).digest("hex");
+
+function visitorSecret() {
+  return process.env.ANALYTICS_VISITOR_SECRET || process.env.JWT_SECRET || "";
+}
+
+/* -------------------- salts -------------------- */
+
+const saltCache = new Map(); // date -> salt (this process)
+
+async function dailySalt(date) {
+  if (saltCache.has(date)) return saltCache.get(date);
+
+  const expiresAt = new Date(Date.parse(`${date}T00:00:00.000Z`) + 2 * DAY_MS);
+  let doc;
+  try {
+    doc = await AnalyticsSalt.findOneAndUpdate(
+      { date },
+      { $setOnInsert: { date, salt: crypto.randomBytes(32).toString("hex"), expiresAt } },
+      { upsert: true, new: true }
+    ).lean();
+  } catch (e) {
+    if (e?.code !== 11000) throw e;
+    doc = await AnalyticsSalt.findOne({ date }).lean(); // another instance created it first
+  }
+
+  saltCache.clear(); // only today's salt is ever needed
+  saltCache.set(date, doc.salt);
+  return doc.salt;
+}
+
+/* -------------------- identity -------------------- */
+
+async function dailyVisitorHash({ ip, ua, now = new Date() }) {
+  if (!ip) return null;
+  const date = now.toISOString().slice(0, 10);
+  const salt = await dailySalt(date);
+  return `d_${sha256(`${salt}|${ip}|${ua || ""}`).slice(0, 32)}`;
+}
+
+function stableVisitorHash(clientId) {
+  if (!CLIENT_ID_RE.test(String(clientId || ""))) return null;
+  return `v_${crypto.createHmac("sha256", visitorSecret()).update(`visitor:${clientId}`).digest("hex").slice(0, 32)}`;
+}
+
+function hasConsent(req, body = {}) {
+  return !!req.analyticsConsent || body.consent === true;
+}
+
+async function identifyVisitor(req, body = {}, ip = req.ip) {
+  const consent = CONSENT_MODE !== "cookieless" && hasConsent(req, body);
+  if (CONSENT_MODE === "required" && !consent) return { record: false, consent };
+
+  if (consent) {
+    const visitorId = stableVisitorHash(body.visitorId);
+    if (visitorId) {
+      const sessionId = CLIENT_ID_RE.test(String(body.sessionId || ""))
+        ? `s_${sha256(`${visitorSecret()}|session:${body.sessionId}`).slice(0, 24)}`
+        : null;
+      return { record: true, visitorId, sessionId, consent };
+    }
+  }
+
+  const visitorId = await dailyVisitorHash({ ip, ua: req.get("user-agent") });
+  return { record: true, visitorId, sessionId: null, consent: false };
+}
+
+/* -------------------- minimisation -------------------- */
+
+function truncateIp(ip) {
+  const raw = String(ip || "").replace(/^::ffff:/, "");
+  if (!raw) return null;
+  if (/^\d{1,3}(\.\d{1,3}){3}$/.test(raw)) return raw.replace(/\.\d{1,3}$/, ".0");
+  if (raw.includes(":")) {
+    const groups = raw.split("::")[0].split(":").filter(Boolean).slice(0, 3);
+    return `${groups.join(":")}::`;
+  }
+  return null;
+}
+
+const storedIp = (ip) => (IP_MODE === "truncate" ? truncateIp(ip) : null);
+
+// Origin + path only: query strings and fragments of referring pages can carry personal data
+function cleanReferrer(ref) {
+  if (!ref) return null;
+  try {
+    const u = new URL(String(ref));
+    if (!/^https?:$/.test(u.protocol)) return null;
+    return `${u.origin}${u.pathname}`.slice(0, 500);
+  } catch {
+    return null;
+  }
+}
+
+function minimiseEvent({ ip, geo = {}, referrer }, who = {}) {
+  const precise = who.consent || CONSENT_MODE === "cookieless";
+  const { ip: _ip, ...rest } = geo || {};
+  const storedGeo = precise ? rest : { country: rest.country || null, source: rest.source };
+
+  return {
+    ip: storedIp(ip),
+    geo: storedGeo,
+    country: storedGeo.country || null,
+    region: storedGeo.region || null,
+    city: storedGeo.city || null,
+    referrer: cleanReferrer(referrer),
+  };
+}
+
+/* -------------------- data-subject requests -------------------- */
+
+// Every key this client id can have been stored under (legacy events kept the raw id)
+function subjectFilter(clientId) {
+  if (!CLIENT_ID_RE.test(String(clientId || ""))) return null;
+  return { visitorId: { $in: [stableVisitorHash(clientId), clientId] } };
+}
+
+async function exportVisitorData(clientId) {
+  const filter = subjectFilter(clientId);
+  if (!filter) return null;
+
+  const adVisitor = visitorKey({ visitorId: clientId });
+  const [events, adEvents] = await Promise.all([
+    AnalyticsEvent.find(filter).sort({ createdAt: 1 }).select("-__v -ip -geo.ip").lean(),
+    AdEvent.find({ visitor: adVisitor }).sort({ at: 1 }).select("-_id ad type at slot country device path").lean(),
+  ]);
+
+  return { visitorId: filter.visitorId.$in[0], exportedAt: new Date(), events, adEvents };
+}
+
+async function deleteVisitorData(clientId) {
+  const filter = subjectFilter(clientId);
+  if (!filter) return null;
+
+  const adVisitor = visitorKey({ visitorId: clientId });
+  const [events, adEvents, adFrequency] = await Promise.all([
+    AnalyticsEvent.deleteMany(filter),
+    AdEvent.deleteMany({ visitor: adVisitor }),
+    AdFrequency.deleteMany({ visitor: adVisitor }),
+  ]);
+
+  return {
+    events: events.deletedCount || 0,
+    adEvents: adEvents.deletedCount || 0,
+    adFrequency: adFrequency.deletedCount || 0,
+  };
+}
+
+/** Drop (or truncate) `ip` and `geo.ip` on events stored before ANALYTICS_IP_MODE applied. */
+async function scrubStoredIps({ batchSize = 1000, log = () => {} } = {}) {
+  const filter = { $or: [{ ip: { $nin: [null, ""] } }, { "geo.ip": { $exists: true } }] };
+
+  if (IP_MODE === "drop") {
+    const r = await AnalyticsEvent.updateMany(filter, { $unset: { ip: "", "geo.ip": "" } });
+    return { mode: IP_MODE, updated: r.modifiedCount || 0 };
+  }
+
+  let updated = 0;
+  let ops = [];
+  const flush = async () => {
+    if (!ops.length) return;
+    await AnalyticsEvent.bulkWrite(ops, { ordered: false });
+    updated += ops.length;
+    log(`scrubbed ${updated}`);
+    ops = [];
+  };
+  for await (const ev of AnalyticsEvent.find(filter).select("_id ip").lean().cursor()) {
+    const ip = truncateIp(ev.ip);
+    ops.push({ updateOne: { filter: { _id: ev._id }, update: ip ? { $set: { ip }, $unset: { "geo.ip": "" } } : { $unset: { ip: "", "geo.ip": "" } } } });
+    if (ops.length >= batchSize) await flush();
+  }
+  await flush();
+  return { mode: IP_MODE, updated };
+}
+
+module.exports = {
+  CONSENT_MODE,
+  IP_MODE,
+  identifyVisitor,
+  stableVisitorHash,
+  truncateIp,
+  cleanReferrer,
+  minimiseEvent,
+  exportVisitorData,
+  deleteVisitorData,
+  scrubStoredIps,
+};
@@ -0,0 +1,139 @@
+// backend/src/services/analyticsRollup.service.js
+"use strict";
+
+/**
+ * Keeping AnalyticsDaily / AnalyticsHourly complete while raw events expire.
+ *
+ *  datesToRollup({ from, to, force })   which UTC days in a range need (re-)rolling, and why
+ *  backfillRollups({ from, to, force }) rolls those days up ("analytics-backfill" job, `npm run analytics:backfill`)
+ *  syncRetentionIndex()                 applies ANALYTICS_EVENT_RETENTION_DAYS to an existing TTL index
+ *
+ * A day is rolled up again when it has no AnalyticsDaily yet ("missing"), when its raw event count
+ * no longer matches the stored totals ("late": events arrived after the last rollup), or when it
+ * was rolled up before hourly rollups existed ("no-hourly"). Days whose raw events may already
+ * have expired are never touched.
+ */
+
+const AnalyticsEvent = require("../../models/AnalyticsEvent");
+const AnalyticsDaily = require("../../models/AnalyticsDaily");
+const { rollupDaily, isPastRetention } = require("../../jobs/rollupDaily");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_BACKFILL_DAYS = parseInt(process.env.ANALYTICS_BACKFILL_MAX_DAYS || "366", 10);
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const utcDay = (d = new Date()) => new Date(d).toISOString().slice(0, 10);
+
+/** YYYY-MM-DD strings from `from` to `to` inclusive, or { error }. */
+function dateRange(from, to) {
+  if (!DATE_RE.test(String(from || "")) || !DATE_RE.test(String(to || ""))) {
+    return { error: "from and to must be YYYY-MM-DD" };
+  }
+  const start = Date.parse(`${from}T00:00:00Z`);
+  const end = Date.parse(`${to}T00:00:00Z`);
+  if (Number.isNaN(start) || Number.isNaN(end) || start > end) return { error: "Invalid from/to" };
+
+  const n = Math.round((end - start) / DAY_MS) + 1;
+  if (n > MAX_BACKFILL_DAYS) return { error: `Backfill is limited to ${MAX_BACKFILL_DAYS} days` };
+  return { dates: Array.from({ length: n }, (_, i) => utcDay(start + i * DAY_MS)) };
+}
+
+async function datesToRollup({ from, to, force = false, now = new Date() }) {
+  const range = dateRange(from, to);
+  if (range.error) return range;
+  const today = utcDay(now);
+  const dates = range.dates.filter((d) => d <= today);
+  if (!dates.length) return { dates: [], skipped: [] };
+
+  const start = new Date(`${dates[0]}T00:00:00.000Z`);
+  const end = new Date(Date.parse(`${dates[dates.length - 1]}T00:00:00.000Z`) + DAY_MS);
+
+  // same exclusions as rollupDaily, so counts compare with totals.events
+  const [counts, dailies] = await Promise.all([
+    AnalyticsEvent.aggregate([
+      {
+        $match: {
+          createdAt: { $gte: start, $lt: end },
+          "flags.isBot": { $ne: true },
+          "flags.isAdmin": { $ne: true },
+          "flags.dnt": { $ne: true },
+          "flags.optOut": { $ne: true },
+        },
+      },
+      { $group: { _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } }, events: { $sum: 1 } } },
+    ]).allowDiskUse(true),
+    AnalyticsDaily.find({ date: { $in: dates } }).select("date totals.events hourly").lean(),
+  ]);
+  const eventsOn = new Map(counts.map((c) => [c._id, c.events]));
+  const dailyOn = new Map(dailies.map((d) => [d.date, d]));
+
+  const todo = [];
+  const skipped = [];
+  for (const date of dates) {
+    if (isPastRetention(date, now)) {
+      skipped.push({ date, reason: "past-retention" });
+      continue;
+    }
+    const events = eventsOn.get(date) || 0;
+    const daily = dailyOn.get(date);
+    let reason = null;
+    if (force) reason = "forced";
+    else if (!daily) reason = events ? "missing" : null;
+    else if ((daily.totals?.events || 0) !== events) reason = "late";
+    else if (!daily.hourly && events) reason = "no-hourly";
+
+    if (reason) todo.push({ date, reason, events });
+  }
+  return { dates: todo, skipped };
+}
+
+async function backfillRollups({ from, to, force = false, log = () => {} }) {
+  const plan = await datesToRollup({ from, to, force });
+  if (plan.error) throw new Error(plan.error);
+
+  const done = [];
+  for (const { date, reason } of plan.dates) {
+    const r = await rollupDaily(date);
+    log(`${date} (${reason}): ${r.skipped || `pv=${r.totals?.page_view ?? 0} hours=${r.hours}`}`);
+    done.push({ date, reason, page_view: r.totals?.page_view ?? 0, skipped: r.skipped || undefined });
+  }
+  return { from, to, rolledUp: done, skipped: plan.skipped };
+}
+
+/**
+ * Mongo keeps a TTL index's original expireAfterSeconds when the schema changes,
+ * so apply the configured retention with collMod (or drop the index when retention is 0).
+ */
+async function syncRetentionIndex() {
+  const days = AnalyticsEvent.RETENTION_DAYS;
+  const coll = AnalyticsEvent.collection;
+  const indexes = await coll.indexes().catch((e) => (e?.codeName === "NamespaceNotFound" ? [] : Promise.reject(e)));
+  const ttl = indexes.find((i) => i.name === "ttl_createdAt");
+
+  if (!days) {
+    if (ttl) await coll.dropIndex("ttl_createdAt");
+    return { retentionDays: 0, action: ttl ? "dropped" : "none" };
+  }
+
+  const seconds = days * DAY_MS / 1000;
+  if (!ttl) {
+    await coll.createIndex({ createdAt: 1 }, { expireAfterSeconds: seconds, name: "ttl_createdAt" });
+    return { retentionDays: days, action: "created" };
+  }
+  if (ttl.expireAfterSeconds !== seconds) {
+    await AnalyticsEvent.db.db.command({
+      collMod: coll.collectionName,
+      index: { name: "ttl_createdAt", expireAfterSeconds: seconds },
+    });
+    return { retentionDays: days, action: "updated" };
+  }
+  return { retentionDays: days, action: "none" };
+}
+
+module.exports = {
+  utcDay,
+  dateRange,
+  datesToRollup,
+  backfillRollups,
+  syncRetentionIndex,
+};
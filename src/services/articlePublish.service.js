@@ -0,0 +1,88 @@
+// backend/src/services/articlePublish.service.js
+"use strict";
+
+/**
+ * Side effects of an article going live — shared by the admin publish
+ * route, workflow transitions and the scheduled-publishing worker:
+ *  - sitemap invalidation
+ *  - "article.published" on /api/stream
+ *  - Telegram post (at most once per article, claimed via telegramPostedAt)
+ *  - optional socialPublisher hook, if that module is present
+ */
+
+const Article = require("../models/Article");
+const { markSitemapDirty } = require("../routes/sitemap");
+const { postArticle } = require("./telegram.service");
+const { publish } = require("./eventStream.service");
+
+const SITE_URL = (process.env.FRONTEND_BASE_URL || "https://timelyvoice.com").replace(/\/+$/, "");
+
+function telegramEnabled() {
+  if (String(process.env.TELEGRAM_AUTO_POST || "true").toLowerCase() === "false") return false;
+  return !!(process.env.TELEGRAM_BOT_TOKEN && process.env.TELEGRAM_CHAT_ID);
+}
+
+async function postToTelegramOnce(article) {
+  if (!telegramEnabled()) return false;
+
+  // Claim first: if two workers (or a restart) race, only one gets to post.
+  const claim = await Article.updateOne(
+    { _id: article._id, status: "published", telegramPostedAt: null },
+    { $set: { telegramPostedAt: new Date() } }
+  );
+  if (!claim.modifiedCount) return false;
+
+  const ok = await postArticle({
+    title: article.title,
+    summary: article.summary,
+    url: `${SITE_URL}/article/${encodeURIComponent(article.slug)}`,
+    imageUrl: article.ogImage || article.imageUrl || "",
+  });
+
+  // release the claim so a later publish can retry
+  if (!ok) await Article.updateOne({ _id: article._id }, { $set: { telegramPostedAt: null } });
+  return ok;
+}
+
+/**
+ * Fire-and-forget friendly: never throws.
+ */
+async function runPublishSideEffects(article) {
+  if (!article?._id) return;
+
+  markSitemapDirty();
+
+  publish("article.published", {
+    _id: article._id,
+    slug: article.slug,
+    title: article.title,
+    summary: article.summary || "",
+    category: article.category || "",
+    imageUrl: article.imageUrl || "",
+    publishedAt: article.publishedAt || new Date(),
+    url: `${SITE_URL}/article/${encodeURIComponent(article.slug)}`,
+  });
+
+  try {
+    await postToTelegramOnce(article);
+  } catch (err) {
+    console.warn("[publish] telegram failed:", err?.message || err);
+  }
+
+  try {
+    const { publishEverywhere } = require("./socialPublisher");
+    await publishEverywhere(article);
+  } catch (_) {
+    // optional module
+  }
+}
+
+/** Side effects of an article leaving the site (expiry / unpublish). */
+function runUnpublishSideEffects() {
+  markSitemapDirty();
+}
+
+module.exports = {
+  runPublishSideEffects,
+  runUnpublishSideEffects,
+};
@@ -0,0 +1,286 @@
+// backend/src/services/articleRevision.service.js
+"use strict";
+
+/**
+ * Article revision history
+ * ------------------------
+ * recordRevision(before, after, ctx)  → stores a snapshot when tracked fields changed
+ * listRevisions(articleId)            → newest first, without snapshots
+ * diffSnapshots(a, b)                 → field-level diff + token diff for long text
+ * restoreRevision(articleId, rev, ctx)→ re-applies an old snapshot as a new revision
+ * automationActor(name)               → ctx.user for writes made by crons / AI / image pickers
+ *
+ * The first time an article is edited we also store its pre-edit state as
+ * revision 1 ("initial"), so content written before history existed (or by the
+ * AI cron on create) can always be recovered.
+ */
+
+const mongoose = require("mongoose");
+const Article = require("../models/Article");
+const ArticleRevision = require("../models/ArticleRevision");
+
+// Fields we keep history for
+const TRACKED_FIELDS = [
+  "title",
+  "slug",
+  "summary",
+  "body",
+  "bodyHtml",
+  "author",
+  "category",
+  "categorySlug",
+  "tags",
+  "status",
+  "publishAt",
+  "unpublishAt",
+  "homepagePlacement",
+  "imageUrl",
+  "imagePublicId",
+  "imageAlt",
+  "ogImage",
+  "thumbImage",
+  "metaTitle",
+  "metaDesc",
+  "geoMode",
+  "geoAreas",
+  "sourceUrl",
+];
+
+// Restoring must not silently publish/unpublish or move the URL
+const NON_RESTORABLE = new Set(["slug", "status", "publishAt", "unpublishAt"]);
+
+// Long text fields get a token diff instead of before/after only
+const TEXT_FIELDS = new Set(["title", "summary", "body", "bodyHtml", "metaTitle", "metaDesc"]);
+
+// Guard for the O(n*m) LCS table
+const MAX_DIFF_CELLS = 4_000_000;
+
+/* -------------------- snapshots -------------------- */
+
+function normalizeValue(v) {
+  if (v === undefined) return null;
+  if (v instanceof Date) return v.toISOString();
+  if (Array.isArray(v)) return v.map(normalizeValue);
+  if (v && typeof v === "object") {
+    // category may be populated
+    if (v.name || v.slug) return String(v.name || v.slug);
+    if (mongoose.isValidObjectId(v)) return String(v);
+  }
+  return v;
+}
+
+function pickSnapshot(doc = {}) {
+  const src = typeof doc.toObject === "function" ? doc.toObject() : doc;
+  const out = {};
+  for (const k of TRACKED_FIELDS) out[k] = normalizeValue(src[k]);
+  return out;
+}
+
+function changedFieldsBetween(a = {}, b = {}) {
+  return TRACKED_FIELDS.filter(
+    (k) => JSON.stringify(a[k] ?? null) !== JSON.stringify(b[k] ?? null)
+  );
+}
+
+function actorFromUser(user) {
+  if (!user) return { id: null, name: "", role: "" };
+  const id = user.id && mongoose.isValidObjectId(user.id) ? user.id : null;
+  return { id, name: user.name || user.email || "", role: user.role || "" };
+}
+
+// Robots get a named actor so history shows which automation overwrote an edit
+function automationActor(name) {
+  return { id: null, name: String(name || "automation"), role: "automation" };
+}
+
+async function nextRevNumber(articleId) {
+  const last = await ArticleRevision.findOne({ articleId })
+    .sort({ rev: -1 })
+    .select("rev")
+    .lean();
+  return (last?.rev || 0) + 1;
+}
+
+async function insertRevision(data) {
+  // Two concurrent saves can race for the same rev number; retry once.
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      const rev = await nextRevNumber(data.articleId);
+      return await ArticleRevision.create({ ...data, rev });
+    } catch (err) {
+      if (err?.code !== 11000 || attempt === 1) throw err;
+    }
+  }
+  return null;
+}
+
+/**
+ * Store a revision for an article save.
+ * before: article state before the write (doc or lean object, may be null for creates)
+ * after:  article state after the write
+ * ctx:    { user, source, note, restoredFrom }
+ * Never throws — history must not break a save.
+ */
+async function recordRevision(before, after, ctx = {}) {
+  try {
+    if (!after?._id) return null;
+    const articleId = after._id;
+
+    const afterSnap = pickSnapshot(after);
+    const hasHistory = await ArticleRevision.exists({ articleId });
+
+    if (!hasHistory && before) {
+      await insertRevision({
+        articleId,
+        snapshot: pickSnapshot(before),
+        changedFields: [],
+        source: "initial",
+      });
+    }
+
+    const prevSnap = before ? pickSnapshot(before) : {};
+    const changedFields = before ? changedFieldsBetween(prevSnap, afterSnap) : TRACKED_FIELDS.slice();
+    if (before && !changedFields.length && ctx.restoredFrom == null) return null;
+
+    return await insertRevision({
+      articleId,
+      snapshot: afterSnap,
+      changedFields,
+      actor: actorFromUser(ctx.user),
+      source: ctx.source || "admin",
+      note: String(ctx.note || "").slice(0, 500),
+      restoredFrom: ctx.restoredFrom ?? null,
+    });
+  } catch (err) {
+    console.error("[articleRevision] record failed:", err?.message || err);
+    return null;
+  }
+}
+
+/* -------------------- reading -------------------- */
+
+async function listRevisions(articleId, { limit = 100 } = {}) {
+  return ArticleRevision.find({ articleId })
+    .sort({ rev: -1 })
+    .limit(Math.min(Math.max(parseInt(limit, 10) || 100, 1), 500))
+    .select("-snapshot")
+    .lean();
+}
+
+async function getRevision(articleId, rev) {
+  const n = parseInt(rev, 10);
+  if (!Number.isFinite(n)) return null;
+  return ArticleRevision.findOne({ articleId, rev: n }).lean();
+}
+
+/* -------------------- diff -------------------- */
+
+function tokenize(s) {
+  const str = String(s ?? "");
+  // multi-line text diffs by line, single-line text by word
+  return str.includes("\n") ? str.split("\n").map((l) => l + "\n") : str.split(/(\s+)/).filter(Boolean);
+}
+
+// Classic LCS; returns [{ op: "equal"|"insert"|"delete", text }]
+function textDiff(a, b) {
+  const A = tokenize(a);
+  const B = tokenize(b);
+  const n = A.length;
+  const m = B.length;
+
+  if (n * m > MAX_DIFF_CELLS) {
+    return [
+      { op: "delete", text: A.join("") },
+      { op: "insert", text: B.join("") },
+    ].filter((p) => p.text);
+  }
+
+  const dp = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      dp[i][j] = A[i] === B[j] ? dp[i + 1][j + 1] + 1 : Math.max(dp[i + 1][j], dp[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (op, text) => {
+    const last = parts[parts.length - 1];
+    if (last && last.op === op) last.text += text;
+    else parts.push({ op, text });
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (A[i] === B[j]) {
+      push("equal", A[i]);
+      i++;
+      j++;
+    } else if (dp[i + 1][j] >= dp[i][j + 1]) {
+      push("delete", A[i++]);
+    } else {
+      push("insert", B[j++]);
+    }
+  }
+  while (i < n) push("delete", A[i++]);
+  while (j < m) push("insert", B[j++]);
+
+  return parts;
+}
+
+/**
+ * Field-level diff between two snapshots.
+ * Returns [{ field, before, after, diff? }] for changed fields only.
+ */
+function diffSnapshots(a = {}, b = {}) {
+  return changedFieldsBetween(a, b).map((field) => {
+    const entry = { field, before: a[field] ?? null, after: b[field] ?? null };
+    if (TEXT_FIELDS.has(field)) entry.diff = textDiff(entry.before, entry.after);
+    return entry;
+  });
+}
+
+/* -------------------- restore -------------------- */
+
+/**
+ * Re-apply an old revision's content. Creates a new revision (source "restore").
+ * Returns the updated article (lean) or null if the article/revision is missing.
+ */
+async function restoreRevision(articleId, rev, ctx = {}) {
+  const revision = await getRevision(articleId, rev);
+  if (!revision) return null;
+
+  const before = await Article.findById(articleId).lean();
+  if (!before) return null;
+
+  const $set = {};
+  for (const k of TRACKED_FIELDS) {
+    if (NON_RESTORABLE.has(k)) continue;
+    if (Object.prototype.hasOwnProperty.call(revision.snapshot || {}, k)) {
+      $set[k] = revision.snapshot[k];
+    }
+  }
+
+  const updated = await Article.findByIdAndUpdate(articleId, { $set }, { new: true }).lean();
+  if (!updated) return null;
+
+  await recordRevision(before, updated, {
+    ...ctx,
+    source: "restore",
+    restoredFrom: revision.rev,
+  });
+
+  return updated;
+}
+
+module.exports = {
+  TRACKED_FIELDS,
+  pickSnapshot,
+  recordRevision,
+  automationActor,
+  listRevisions,
+  getRevision,
+  diffSnapshots,
+  textDiff,
+  restoreRevision,
+};
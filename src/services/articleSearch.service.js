@@ -0,0 +1,385 @@
+// backend/src/services/articleSearch.service.js
+"use strict";
+
+/**
+ * Article search
+ * --------------
+ * - MongoDB $text over title/tags/summary/author/body (weights on the
+ *   "article_text" index in models/Article.js), relevance-sorted
+ * - snippet + title highlighting with <mark>
+ * - facet counts by categorySlug, tag, author and publish-date range
+ * - "did you mean" suggestions from a cached vocabulary of published titles/tags/summaries
+ *
+ * Facets are counted over the query + visibility only (not the facet filters
+ * themselves), so the UI can show how many results each alternative would give.
+ * They cost a pass over every match, so plain listings (no q) skip them unless
+ * asked for with ?facets=1. Results are sorted and paged in their own pipeline.
+ * If the text index is missing (fresh DB) we fall back to a regex scan.
+ */
+
+const Article = require("../models/Article");
+const { TRENDING_SORT } = require("./engagement.service");
+
+const SNIPPET_CHARS = 220;
+const VOCAB_TTL_MS = 30 * 60 * 1000;
+const VOCAB_DOCS = parseInt(process.env.SEARCH_VOCAB_DOCS || "5000", 10);
+
+// assignee / reviewer / review notes stay out of public results
+const PRIVATE_PROJECTION = Object.fromEntries(Article.PRIVATE_FIELDS.map((f) => [f, 0]));
+
+const DATE_RANGES = {
+  "24h": 24 * 60 * 60 * 1000,
+  "7d": 7 * 24 * 60 * 60 * 1000,
+  "30d": 30 * 24 * 60 * 60 * 1000,
+  "1y": 365 * 24 * 60 * 60 * 1000,
+};
+
+const STOPWORDS = new Set(
+  "a an and are as at be by for from has have in is it of on or that the this to was were will with".split(" ")
+);
+
+/* -------------------- helpers -------------------- */
+
+function escapeRegex(s = "") {
+  return String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function escapeHtml(s = "") {
+  return String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function stripHtml(s = "") {
+  return String(s).replace(/<[^>]*>/g, " ").replace(/\s+/g, " ").trim();
+}
+
+// Words the user typed (quotes/negations removed), lowercase
+function queryTerms(q = "") {
+  return String(q)
+    .toLowerCase()
+    .replace(/(^|\s)-\S+/g, " ")
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((t) => t.length > 1 && !STOPWORDS.has(t));
+}
+
+// Prefix match so "elect" also marks "election" (close to what the text stemmer does)
+function termsRegex(terms) {
+  if (!terms.length) return null;
+  return new RegExp(`\\b(${terms.map(escapeRegex).join("|")})[\\p{L}\\p{N}]*`, "giu");
+}
+
+function highlight(text, rx) {
+  const safe = escapeHtml(text);
+  return rx ? safe.replace(rx, (m) => `<mark>${m}</mark>`) : safe;
+}
+
+function buildSnippet(doc, rx) {
+  const sources = [doc.summary, doc.body || doc.bodyHtml].map(stripHtml).filter(Boolean);
+  if (!sources.length) return "";
+
+  for (const text of sources) {
+    if (!rx) break;
+    rx.lastIndex = 0;
+    const m = rx.exec(text);
+    if (!m) continue;
+
+    const start = Math.max(0, m.index - Math.floor(SNIPPET_CHARS / 3));
+    const end = Math.min(text.length, start + SNIPPET_CHARS);
+    const cut = (start > 0 ? "…" : "") + text.slice(start, end) + (end < text.length ? "…" : "");
+    rx.lastIndex = 0;
+    return highlight(cut, rx);
+  }
+
+  const first = sources[0];
+  return highlight(first.length > SNIPPET_CHARS ? first.slice(0, SNIPPET_CHARS) + "…" : first, null);
+}
+
+/* -------------------- did you mean -------------------- */
+
+let vocab = null; // Map(term -> frequency)
+let vocabBuiltAt = 0;
+let vocabBuilding = null;
+
+async function buildVocab() {
+  const docs = await Article.find({ status: "published" })
+    .sort({ publishedAt: -1 })
+    .limit(VOCAB_DOCS)
+    .select("title summary tags author")
+    .lean();
+
+  const map = new Map();
+  const add = (text) => {
+    for (const t of queryTerms(text)) {
+      if (t.length < 3 || /^\d+$/.test(t)) continue;
+      map.set(t, (map.get(t) || 0) + 1);
+    }
+  };
+  for (const d of docs) {
+    add(d.title);
+    add(d.summary);
+    add(d.author);
+    (d.tags || []).forEach(add);
+  }
+  vocab = map;
+  vocabBuiltAt = Date.now();
+  return vocab;
+}
+
+async function getVocab() {
+  if (vocab && Date.now() - vocabBuiltAt < VOCAB_TTL_MS) return vocab;
+  if (!vocabBuilding) {
+    vocabBuilding = buildVocab().finally(() => {
+      vocabBuilding = null;
+    });
+  }
+  return vocabBuilding;
+}
+
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      rowMin = Math.min(rowMin, cur[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Returns a corrected query string, or null if every word is already known.
+ */
+async function suggestQuery(q) {
+  const words = String(q || "").toLowerCase().split(/\s+/).filter(Boolean);
+  if (!words.length) return null;
+
+  const v = await getVocab();
+  let changed = false;
+
+  const fixed = words.map((w) => {
+    const bare = w.replace(/[^\p{L}\p{N}]/gu, "");
+    if (bare.length < 3 || STOPWORDS.has(bare) || v.has(bare)) return w;
+
+    const max = bare.length <= 5 ? 1 : 2;
+    let best = null;
+    let bestDist = max + 1;
+    let bestFreq = 0;
+    for (const [term, freq] of v) {
+      const d = editDistance(bare, term, max);
+      if (d < bestDist || (d === bestDist && freq > bestFreq)) {
+        best = term;
+        bestDist = d;
+        bestFreq = freq;
+      }
+    }
+    if (best && bestDist <= max) {
+      changed = true;
+      return best;
+    }
+    return w;
+  });
+
+  return changed ? fixed.join(" ") : null;
+}
+
+/* -------------------- search -------------------- */
+
+function visibilityMatch(now) {
+  return {
+    status: "published",
+    $or: [
+      { publishedAt: { $lte: now } },
+      { publishAt: { $lte: now } },
+      { $and: [{ publishedAt: { $exists: false } }, { publishAt: { $exists: false } }] },
+    ],
+  };
+}
+
+function facetFilters({ category, tag, author, from, to, range, homepagePlacement }, now) {
+  const and = [];
+  // "trending" ranks by engagement (see searchArticles) instead of filtering on the old flag
+  const placement = String(homepagePlacement || "").toLowerCase();
+  if (placement && placement !== "trending") and.push({ homepagePlacement: placement });
+  if (category && String(category).toLowerCase() !== "all") {
+    and.push({ categorySlug: String(category).trim().toLowerCase() });
+  }
+  if (tag) and.push({ tags: new RegExp(`^${escapeRegex(String(tag).trim())}$`, "i") });
+  if (author) and.push({ author: new RegExp(`^${escapeRegex(String(author).trim())}$`, "i") });
+
+  const dateQ = {};
+  if (range && DATE_RANGES[range]) dateQ.$gte = new Date(now.getTime() - DATE_RANGES[range]);
+  if (from && !Number.isNaN(new Date(from).getTime())) dateQ.$gte = new Date(from);
+  if (to && !Number.isNaN(new Date(to).getTime())) dateQ.$lte = new Date(to);
+  if (Object.keys(dateQ).length) and.push({ publishedAt: dateQ });
+
+  return and;
+}
+
+function dateBucketExpr(now) {
+  const since = (ms) => new Date(now.getTime() - ms);
+  return {
+    $switch: {
+      branches: [
+        { case: { $gte: ["$publishedAt", since(DATE_RANGES["24h"])] }, then: "24h" },
+        { case: { $gte: ["$publishedAt", since(DATE_RANGES["7d"])] }, then: "7d" },
+        { case: { $gte: ["$publishedAt", since(DATE_RANGES["30d"])] }, then: "30d" },
+        { case: { $gte: ["$publishedAt", since(DATE_RANGES["1y"])] }, then: "1y" },
+      ],
+      default: "older",
+    },
+  };
+}
+
+function shapeFacets(raw = {}) {
+  const list = (arr = []) => arr.filter((x) => x._id).map((x) => ({ value: x._id, count: x.count }));
+
+  // date buckets are exclusive in the pipeline; report them cumulatively ("within 7d" includes 24h)
+  const byBucket = Object.fromEntries((raw.dates || []).map((x) => [x._id, x.count]));
+  let running = 0;
+  const dates = [];
+  for (const key of ["24h", "7d", "30d", "1y"]) {
+    running += byBucket[key] || 0;
+    dates.push({ value: key, count: running });
+  }
+  dates.push({ value: "older", count: byBucket.older || 0 });
+
+  return {
+    categories: list(raw.categories),
+    tags: list(raw.tags),
+    authors: list(raw.authors),
+    dates,
+  };
+}
+
+/**
+ * params: { q, category, tag, author, from, to, range, homepagePlacement, sort, page, limit, facets, includeAll }
+ * Returns { items, total, facets, suggestion, mode }; facets is null unless
+ * there is a q or the caller asked for them (facets: "1").
+ */
+async function searchArticles(params = {}) {
+  const now = new Date();
+  const page = Math.max(parseInt(params.page || "1", 10), 1);
+  const limit = Math.min(Math.max(parseInt(params.limit || "10", 10), 1), 50);
+  const q = String(params.q || "").trim();
+  const terms = queryTerms(q);
+
+  const wantFacets = Boolean(q) || ["1", "true"].includes(String(params.facets ?? "").toLowerCase());
+
+  const run = async (mode) => {
+    const base = {};
+    if (q && mode === "text") base.$text = { $search: q };
+    if (q && mode === "regex") {
+      const rx = new RegExp(escapeRegex(q), "i");
+      base.$or = [{ title: rx }, { summary: rx }, { author: rx }, { tags: rx }, { body: rx }];
+    }
+    const visible = params.includeAll ? {} : visibilityMatch(now);
+    const filters = facetFilters(params, now);
+
+    // $text must be in the first $match
+    const scoped = { ...base, ...(Object.keys(visible).length ? { $and: [visible] } : {}) };
+    const match = filters.length ? { ...scoped, $and: [...(scoped.$and || []), ...filters] } : scoped;
+    const scoreStage = mode === "text" && q ? [{ $addFields: { score: { $meta: "textScore" } } }] : [];
+
+    // Date order goes straight off the { status, publishedAt } index; only a text
+    // match (already narrowed by the index) is sorted by score.
+    const sortByRelevance = mode === "text" && params.sort !== "date";
+    const trending = String(params.homepagePlacement || "").toLowerCase() === "trending";
+    const sort = sortByRelevance
+      ? { score: -1, publishedAt: -1, _id: -1 }
+      : trending
+        ? TRENDING_SORT
+        : { publishedAt: -1, _id: -1 };
+
+    const [results, total, facetOut] = await Promise.all([
+      Article.aggregate([
+        { $match: match },
+        ...scoreStage,
+        { $sort: sort },
+        { $skip: (page - 1) * limit },
+        { $limit: limit },
+        { $project: PRIVATE_PROJECTION },
+      ]),
+      Article.countDocuments(match),
+      wantFacets
+        ? Article.aggregate([
+            { $match: scoped },
+            {
+              $facet: {
+                categories: [
+                  { $group: { _id: "$categorySlug", count: { $sum: 1 } } },
+                  { $sort: { count: -1 } },
+                  { $limit: 30 },
+                ],
+                tags: [
+                  { $unwind: "$tags" },
+                  { $group: { _id: "$tags", count: { $sum: 1 } } },
+                  { $sort: { count: -1 } },
+                  { $limit: 30 },
+                ],
+                authors: [
+                  { $group: { _id: "$author", count: { $sum: 1 } } },
+                  { $sort: { count: -1 } },
+                  { $limit: 20 },
+                ],
+                dates: [{ $group: { _id: dateBucketExpr(now), count: { $sum: 1 } } }],
+              },
+            },
+          ])
+        : [],
+    ]);
+    return { results, total, facets: wantFacets ? facetOut[0] || {} : null, mode };
+  };
+
+  let result;
+  if (q) {
+    try {
+      result = await run("text");
+    } catch (err) {
+      // 27 = IndexNotFound (text index not built yet)
+      if (err?.code !== 27 && !/text index/i.test(err?.message || "")) throw err;
+      console.warn("[search] text index missing, falling back to regex");
+      result = await run("regex");
+    }
+  } else {
+    result = await run("none");
+  }
+
+  const { results, total, mode } = result;
+  const rx = termsRegex(terms);
+  const items = results.map((a) => ({
+    ...a,
+    score: a.score ?? null,
+    highlights: {
+      title: highlight(a.title || "", rx),
+      snippet: buildSnippet(a, rx),
+    },
+  }));
+
+  let suggestion = null;
+  if (q && total < 3) {
+    try {
+      suggestion = await suggestQuery(q);
+    } catch (err) {
+      console.warn("[search] suggestion failed:", err?.message || err);
+    }
+  }
+
+  return {
+    items,
+    page,
+    limit,
+    total,
+    facets: result.facets ? shapeFacets(result.facets) : null,
+    suggestion,
+    mode,
+  };
+}
+
+module.exports = {
+  searchArticles,
+  suggestQuery,
+};
@@ -0,0 +1,184 @@
+// backend/src/services/auth.service.js
+"use strict";
+
+/**
+ * Newsroom account helpers
+ * ------------------------
+ * - scrypt password hashing (no native deps)
+ * - JWT signing for per-user tokens ({ id, email, name, role })
+ * - one-time invite / reset tokens (only the sha256 is stored)
+ * - token → live user resolution (disabled accounts are rejected)
+ */
+
+const crypto = require("crypto");
+const { promisify } = require("util");
+const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+
+const scrypt = promisify(crypto.scrypt);
+
+const TOKEN_TTL = process.env.AUTH_TOKEN_TTL || "6h";
+const RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || "60", 10);
+const INVITE_TTL_HOURS = parseInt(process.env.USER_INVITE_TTL_HOURS || "72", 10);
+const MIN_PASSWORD_LENGTH = parseInt(process.env.USER_MIN_PASSWORD_LENGTH || "8", 10);
+
+const ROLES = ["author", "editor", "admin"];
+
+/* -------------------- passwords -------------------- */
+
+// Stored as "scrypt$<saltHex>$<hashHex>"
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const derived = await scrypt(String(password), salt, 64);
+  return `scrypt$${salt.toString("hex")}$${derived.toString("hex")}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !saltHex || !hashHex) return false;
+
+  const expected = Buffer.from(hashHex, "hex");
+  const derived = await scrypt(String(password), Buffer.from(saltHex, "hex"), expected.length);
+  return crypto.timingSafeEqual(derived, expected);
+}
+
+function validatePassword(password) {
+  const s = String(password || "");
+  if (s.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+/* -------------------- JWT -------------------- */
+
+function jwtSecret() {
+  return process.env.JWT_SECRET;
+}
+
+function signUserToken(user) {
+  const payload = {
+    id: String(user._id || user.id),
+    email: user.email,
+    name: user.name,
+    role: user.role,
+  };
+  return jwt.sign(payload, jwtSecret(), { expiresIn: TOKEN_TTL });
+}
+
+// Legacy shared-password token (only issued while no accounts exist yet)
+function signBootstrapToken() {
+  return jwt.sign({ role: "admin", bootstrap: true }, jwtSecret(), { expiresIn: TOKEN_TTL });
+}
+
+// The shared ADMIN_PASSWORD login (and the tokens it issued) is only honoured until the
+// first account with a password exists (so the first admin can be created).
+async function bootstrapAllowed() {
+  const n = await User.countDocuments({ active: { $ne: false }, passwordHash: { $nin: ["", null] } });
+  return n === 0;
+}
+
+/**
+ * Turn a verified JWT payload into req.user.
+ * Per-user tokens are re-checked against the DB so disabling an account,
+ * changing its role or resetting its password takes effect immediately.
+ * Bootstrap tokens stop working once a real account exists. Returns null if rejected.
+ */
+async function resolveTokenUser(decoded = {}) {
+  if (!decoded.id) {
+    if (!decoded.role || !(await bootstrapAllowed())) return null;
+    return { id: null, role: decoded.role, bootstrap: !!decoded.bootstrap };
+  }
+
+  const user = await User.findById(decoded.id).select("name email role active passwordChangedAt").lean();
+  if (!user || user.active === false) return null;
+
+  // issued before the last password change (iat is in whole seconds)
+  if (user.passwordChangedAt && Number(decoded.iat || 0) < Math.floor(new Date(user.passwordChangedAt).getTime() / 1000)) {
+    return null;
+  }
+
+  return { id: String(user._id), email: user.email, name: user.name, role: user.role };
+}
+
+/* -------------------- invite / reset tokens -------------------- */
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+/**
+ * Create a one-time token on the user. kind = "invite" | "reset".
+ * Returns { token, expiresAt, url } — the raw token is never stored.
+ */
+async function issueResetToken(userId, kind = "reset") {
+  const token = crypto.randomBytes(32).toString("hex");
+  const ttlMs = kind === "invite"
+    ? INVITE_TTL_HOURS * 60 * 60 * 1000
+    : RESET_TTL_MINUTES * 60 * 1000;
+  const expiresAt = new Date(Date.now() + ttlMs);
+
+  await User.updateOne(
+    { _id: userId },
+    { $set: { resetTokenHash: hashToken(token), resetTokenExpiresAt: expiresAt } }
+  );
+
+  const base = (process.env.FRONTEND_BASE_URL || "https://timelyvoice.com").replace(/\/+$/, "");
+  const url = `${base}/admin/reset-password?token=${encodeURIComponent(token)}`;
+
+  return { token, expiresAt, url };
+}
+
+/**
+ * Consume a reset/invite token and set a new password.
+ * Returns the updated user or null if the token is invalid/expired.
+ */
+async function consumeResetToken(token, newPassword) {
+  if (!token) return null;
+
+  const user = await User.findOne({
+    resetTokenHash: hashToken(token),
+    resetTokenExpiresAt: { $gt: new Date() },
+    active: { $ne: false },
+  });
+  if (!user) return null;
+
+  user.passwordHash = await hashPassword(newPassword);
+  user.passwordChangedAt = new Date();
+  user.resetTokenHash = null;
+  user.resetTokenExpiresAt = null;
+  await user.save();
+
+  return user;
+}
+
+/* -------------------- shaping -------------------- */
+
+function publicUser(u = {}) {
+  return {
+    id: String(u._id || u.id),
+    name: u.name,
+    email: u.email,
+    role: u.role,
+    active: u.active !== false,
+    hasPassword: !!u.passwordHash,
+    invitedBy: u.invitedBy || null,
+    lastLoginAt: u.lastLoginAt || null,
+    createdAt: u.createdAt,
+    updatedAt: u.updatedAt,
+  };
+}
+
+module.exports = {
+  ROLES,
+  hashPassword,
+  verifyPassword,
+  validatePassword,
+  signUserToken,
+  signBootstrapToken,
+  bootstrapAllowed,
+  resolveTokenUser,
+  issueResetToken,
+  consumeResetToken,
+  publicUser,
+};
@@ -0,0 +1,106 @@
+// backend/src/services/breakingNews.service.js
+"use strict";
+
+/**
+ * Breaking news visibility:
+ *  - an item is shown while active and inside its [startsAt, expiresAt) window
+ *  - geo targeting follows Article (geoMode/geoAreas, see utils/geo)
+ *  - an item linked to an article (articleId) takes that article's public URL
+ *
+ * sweepExpired() is the "breaking-sweep" job: switches off items whose window has closed.
+ */
+
+const BreakingNews = require("../../models/BreakingNews");
+const Article = require("../models/Article");
+const { publish } = require("./eventStream.service");
+const { isAllowedForGeoDoc } = require("../utils/geo");
+
+const SITE_URL = (process.env.FRONTEND_BASE_URL || "https://timelyvoice.com").replace(/\/+$/, "");
+
+/** Mongo filter for items that should be on air at `now`. */
+function liveFilter(now = new Date()) {
+  return {
+    active: true,
+    $and: [
+      { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+      { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+    ],
+  };
+}
+
+/** inactive | scheduled | live | expired — for admin lists. */
+function breakingStatus(item, now = new Date()) {
+  if (item.expiresAt && new Date(item.expiresAt) <= now) return "expired";
+  if (!item.active) return "inactive";
+  if (item.startsAt && new Date(item.startsAt) > now) return "scheduled";
+  return "live";
+}
+
+/**
+ * Fill `url` (and `article`) for items linked to an article.
+ * Links to articles that are not published (or are trashed) fall back to the stored url.
+ */
+async function resolveArticleLinks(items = []) {
+  const ids = [...new Set(items.filter((i) => i.articleId).map((i) => String(i.articleId)))];
+  if (!ids.length) return items;
+
+  const articles = await Article.find({ _id: { $in: ids }, status: "published" }).select("_id slug title").lean();
+  const byId = new Map(articles.map((a) => [String(a._id), a]));
+
+  return items.map((i) => {
+    const a = i.articleId && byId.get(String(i.articleId));
+    if (!a) return i;
+    return {
+      ...i,
+      url: `${SITE_URL}/article/${encodeURIComponent(a.slug)}`,
+      article: { _id: a._id, slug: a.slug, title: a.title },
+    };
+  });
+}
+
+/** What a visitor from `geo` sees right now. */
+async function listVisible({ geo = {}, now = new Date() } = {}) {
+  const items = await BreakingNews.find(liveFilter(now)).sort({ priority: 1, createdAt: -1 }).lean();
+  return resolveArticleLinks(items.filter((i) => isAllowedForGeoDoc(i, geo)));
+}
+
+// Start of the window the previous sweep covered (per process)
+let lastSweepAt = null;
+
+/**
+ * Switch off every active item whose expiresAt has passed, and tell /api/stream
+ * clients about items whose startsAt passed since the previous sweep.
+ */
+async function sweepExpired({ now = new Date(), log = () => {} } = {}) {
+  const expired = await BreakingNews.find({ active: true, expiresAt: { $ne: null, $lte: now } })
+    .select("_id headline expiresAt")
+    .lean();
+
+  if (expired.length) {
+    await BreakingNews.updateMany(
+      { _id: { $in: expired.map((i) => i._id) }, active: true },
+      { $set: { active: false, expiredAt: now } }
+    );
+    for (const i of expired) {
+      log(`expired ${i._id} "${i.headline}" (expiresAt ${new Date(i.expiresAt).toISOString()})`);
+    }
+  }
+
+  const since = lastSweepAt;
+  lastSweepAt = now;
+  let started = 0;
+  if (since) {
+    started = await BreakingNews.countDocuments({ active: true, startsAt: { $gt: since, $lte: now } });
+    if (started) publish("breaking.refresh", {});
+  }
+
+  return { expired: expired.length, started };
+}
+
+module.exports = {
+  liveFilter,
+  breakingStatus,
+  resolveArticleLinks,
+  listVisible,
+  sweepExpired,
+};
@@ -0,0 +1,264 @@
+// backend/src/services/commentSpam.service.js
+"use strict";
+
+/**
+ * Comment spam / toxicity scoring
+ * -------------------------------
+ * createCommentSpamScorer({ Comment, CommentSpamToken, AdminSetting }) returns
+ * a scorer with a list of rules. Each rule looks at the incoming comment and
+ * returns points (0..100) plus a human-readable reason; the final score is the
+ * capped sum. Moderators see every reason on the comment (comment.spam.reasons).
+ *
+ * Built-in rules:
+ *  - links:      link count / density
+ *  - repeat:     same normalized content from the same authorEmailHash (or many authors)
+ *  - velocity:   comments from the same meta.ip in the last few minutes
+ *  - banned:     admin-editable banned-words list (AdminSetting "commentBannedWords")
+ *  - bayes:      optional naive Bayes classifier trained from approve/spam decisions
+ *
+ * Extra rules can be added with scorer.use({ name, score: async (ctx) => ({ points, detail }) }).
+ */
+
+const crypto = require("crypto");
+
+const SPAM_THRESHOLD = parseInt(process.env.COMMENT_SPAM_THRESHOLD || "70", 10);
+// Below this score comments are approved without moderation (0 = never auto-approve)
+const AUTO_APPROVE_BELOW = parseInt(process.env.COMMENT_AUTO_APPROVE_BELOW || "0", 10);
+const VELOCITY_WINDOW_MIN = parseInt(process.env.COMMENT_VELOCITY_WINDOW_MINUTES || "10", 10);
+const VELOCITY_MAX = parseInt(process.env.COMMENT_VELOCITY_MAX || "5", 10);
+const BAYES_ENABLED = String(process.env.COMMENT_BAYES_ENABLED || "false") === "true";
+const BAYES_MIN_DOCS = parseInt(process.env.COMMENT_BAYES_MIN_DOCS || "20", 10);
+
+const BANNED_WORDS_KEY = "commentBannedWords";
+const DEFAULT_BANNED_WORDS = ["viagra", "casino"];
+const DOCS_TOKEN = "__docs__";
+
+/* -------------------- text helpers -------------------- */
+
+const URL_RX = /\b(?:https?:\/\/|www\.)\S+|<a\s[^>]*href=/gi;
+
+function normalizeContent(text = "") {
+  return String(text)
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .replace(/[^\p{L}\p{N} ]/gu, "")
+    .trim();
+}
+
+function fingerprintOf(text = "") {
+  return crypto.createHash("sha1").update(normalizeContent(text)).digest("hex");
+}
+
+function tokensOf(text = "") {
+  const words = normalizeContent(text).split(" ").filter((w) => w.length > 2 && w.length < 30);
+  const hasLink = URL_RX.test(text);
+  URL_RX.lastIndex = 0;
+  return Array.from(new Set(hasLink ? [...words, "__link__"] : words)).slice(0, 300);
+}
+
+/* -------------------- factory -------------------- */
+
+function createCommentSpamScorer({ Comment, CommentSpamToken, AdminSetting }) {
+  let bannedCache = null;
+  let bannedCachedAt = 0;
+
+  async function getBannedWords() {
+    if (bannedCache && Date.now() - bannedCachedAt < 60 * 1000) return bannedCache;
+    const doc = AdminSetting ? await AdminSetting.findOne({ key: BANNED_WORDS_KEY }).lean() : null;
+    bannedCache = doc ? parseWordList(doc.value) : DEFAULT_BANNED_WORDS.slice();
+    bannedCachedAt = Date.now();
+    return bannedCache;
+  }
+
+  function parseWordList(value) {
+    let list = [];
+    try {
+      const parsed = JSON.parse(value);
+      list = Array.isArray(parsed) ? parsed : [];
+    } catch {
+      list = String(value || "").split(/[\n,]/);
+    }
+    return Array.from(new Set(list.map((w) => String(w).trim().toLowerCase()).filter(Boolean)));
+  }
+
+  async function setBannedWords(words = []) {
+    const list = parseWordList(JSON.stringify(Array.isArray(words) ? words : String(words).split(/[\n,]/)));
+    await AdminSetting.findOneAndUpdate(
+      { key: BANNED_WORDS_KEY },
+      { value: JSON.stringify(list) },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+    bannedCache = list;
+    bannedCachedAt = Date.now();
+    return list;
+  }
+
+  /* ---------- rules ---------- */
+
+  const rules = [
+    {
+      name: "links",
+      async score({ content }) {
+        const links = (content.match(URL_RX) || []).length;
+        if (!links) return null;
+        const words = Math.max(1, content.split(/\s+/).filter(Boolean).length);
+        const per100 = (links / words) * 100;
+        const points = Math.min(60, links * 15 + (per100 > 10 ? 20 : 0));
+        return { points, detail: `${links} link(s), ${per100.toFixed(1)} per 100 words` };
+      },
+    },
+    {
+      name: "repeat",
+      async score({ fingerprint, authorEmailHash, excludeId }) {
+        const since = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+        const base = { fingerprint, createdAt: { $gte: since } };
+        if (excludeId) base._id = { $ne: excludeId };
+
+        const [sameAuthor, anyAuthor] = await Promise.all([
+          authorEmailHash ? Comment.countDocuments({ ...base, authorEmailHash }) : 0,
+          Comment.countDocuments(base),
+        ]);
+        if (sameAuthor) return { points: Math.min(60, 30 + sameAuthor * 10), detail: `same text posted ${sameAuthor}× by this author in 7d` };
+        if (anyAuthor >= 3) return { points: 40, detail: `same text posted ${anyAuthor}× by different authors in 7d` };
+        return null;
+      },
+    },
+    {
+      name: "velocity",
+      async score({ ip, excludeId }) {
+        if (!ip) return null;
+        const since = new Date(Date.now() - VELOCITY_WINDOW_MIN * 60 * 1000);
+        const q = { "meta.ip": ip, createdAt: { $gte: since } };
+        if (excludeId) q._id = { $ne: excludeId };
+        const n = await Comment.countDocuments(q);
+        if (n < VELOCITY_MAX) return null;
+        return { points: Math.min(50, 20 + (n - VELOCITY_MAX) * 10), detail: `${n} comments from this IP in ${VELOCITY_WINDOW_MIN} min` };
+      },
+    },
+    {
+      name: "banned",
+      async score({ content, authorName }) {
+        const words = await getBannedWords();
+        const text = `${authorName || ""} ${content}`.toLowerCase();
+        const hits = words.filter((w) => new RegExp(`\\b${w.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}\\b`, "i").test(text));
+        if (!hits.length) return null;
+        return { points: Math.min(100, hits.length * 35), detail: `banned word(s): ${hits.slice(0, 5).join(", ")}` };
+      },
+    },
+    {
+      name: "bayes",
+      async score({ content }) {
+        if (!BAYES_ENABLED || !CommentSpamToken) return null;
+        const p = await bayesProbability(content);
+        if (p == null || p <= 0.5) return null;
+        return { points: Math.round((p - 0.5) * 2 * 60), detail: `classifier spam probability ${(p * 100).toFixed(0)}%` };
+      },
+    },
+  ];
+
+  function use(rule) {
+    if (!rule?.name || typeof rule.score !== "function") throw new Error("rule needs name + score()");
+    rules.push(rule);
+  }
+
+  /* ---------- naive Bayes ---------- */
+
+  async function bayesProbability(content) {
+    const docs = await CommentSpamToken.findOne({ token: DOCS_TOKEN }).lean();
+    if (!docs || docs.spam < BAYES_MIN_DOCS || docs.ham < BAYES_MIN_DOCS) return null;
+
+    const tokens = tokensOf(content);
+    if (!tokens.length) return null;
+    const rows = await CommentSpamToken.find({ token: { $in: tokens } }).lean();
+
+    // log-odds with Laplace smoothing
+    let logOdds = Math.log(docs.spam / docs.ham);
+    for (const r of rows) {
+      const pSpam = (r.spam + 1) / (docs.spam + 2);
+      const pHam = (r.ham + 1) / (docs.ham + 2);
+      logOdds += Math.log(pSpam / pHam);
+    }
+    return 1 / (1 + Math.exp(-logOdds));
+  }
+
+  /**
+   * Learn from a moderator decision. label = "spam" | "ham".
+   * If the comment was already trained the other way, that is undone first.
+   */
+  async function train(comment, label) {
+    if (!CommentSpamToken || !comment || !["spam", "ham"].includes(label)) return;
+    const prev = comment.spam?.trainedAs || null;
+    if (prev === label) return;
+
+    const tokens = [...tokensOf(comment.content), DOCS_TOKEN];
+    const ops = tokens.map((token) => ({
+      updateOne: {
+        filter: { token },
+        update: { $inc: { [label]: 1, ...(prev ? { [prev]: -1 } : {}) } },
+        upsert: true,
+      },
+    }));
+    await CommentSpamToken.bulkWrite(ops, { ordered: false });
+    await Comment.updateOne({ _id: comment._id }, { $set: { "spam.trainedAs": label } });
+  }
+
+  /* ---------- scoring ---------- */
+
+  /**
+   * Score a comment payload: { content, authorName, authorEmailHash, ip, excludeId? }
+   * Returns { score, reasons, fingerprint, status }.
+   */
+  async function score(input = {}) {
+    const ctx = {
+      content: String(input.content || ""),
+      authorName: String(input.authorName || ""),
+      authorEmailHash: input.authorEmailHash || "",
+      ip: input.ip || "",
+      excludeId: input.excludeId || null,
+      fingerprint: fingerprintOf(input.content),
+    };
+
+    const reasons = [];
+    for (const rule of rules) {
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        const r = await rule.score(ctx);
+        if (r && r.points > 0) reasons.push({ rule: rule.name, points: Math.round(r.points), detail: r.detail || "" });
+      } catch (err) {
+        console.warn(`[commentSpam] rule ${rule.name} failed:`, err?.message || err);
+      }
+    }
+
+    const total = Math.min(100, reasons.reduce((sum, r) => sum + r.points, 0));
+    let status = "pending";
+    if (total >= SPAM_THRESHOLD) status = "spam";
+    else if (AUTO_APPROVE_BELOW > 0 && total < AUTO_APPROVE_BELOW) status = "approved";
+
+    return { score: total, reasons, fingerprint: ctx.fingerprint, status };
+  }
+
+  async function classifierStats() {
+    if (!CommentSpamToken) return { enabled: false };
+    const docs = await CommentSpamToken.findOne({ token: DOCS_TOKEN }).lean();
+    const vocabulary = await CommentSpamToken.estimatedDocumentCount();
+    return {
+      enabled: BAYES_ENABLED,
+      minDocs: BAYES_MIN_DOCS,
+      trainedSpam: docs?.spam || 0,
+      trainedHam: docs?.ham || 0,
+      vocabulary: Math.max(0, vocabulary - (docs ? 1 : 0)),
+    };
+  }
+
+  return {
+    score,
+    train,
+    use,
+    getBannedWords,
+    setBannedWords,
+    classifierStats,
+    thresholds: { spam: SPAM_THRESHOLD, autoApproveBelow: AUTO_APPROVE_BELOW },
+  };
+}
+
+module.exports = { createCommentSpamScorer, fingerprintOf };
@@ -0,0 +1,148 @@
+// backend/src/services/editorialWorkflow.js
+"use strict";
+
+/**
+ * Editorial workflow
+ * ------------------
+ * States come from the Article.status enum. Transitions map "from → to" to
+ * the roles allowed to make that move. Defaults live here; admins can
+ * override individual transitions via AdminSetting key "editorialWorkflow"
+ * (JSON: { "transitions": { "draft": { "in_review": ["author","editor","admin"] } } }).
+ *
+ * Admins may force any move (e.g. straight from draft to published). Like the
+ * rest of the admin API, the rules are only enforced when ADMIN_AUTH_ENABLED=true;
+ * with admin auth switched off (the default, no-login admin UI) every move is
+ * allowed.
+ */
+
+const Article = require("../models/Article");
+const AdminSetting = require("../models/AdminSetting");
+
+const SETTING_KEY = "editorialWorkflow";
+const CACHE_MS = 60 * 1000;
+
+const STATES = Article.schema.path("status").enumValues;
+const ROLES = ["author", "editor", "admin"];
+
+const STAFF = ["author", "editor", "admin"];
+const EDITORS = ["editor", "admin"];
+const ADMINS = ["admin"];
+
+function adminAuthEnabled() {
+  return String(process.env.ADMIN_AUTH_ENABLED || "").trim().toLowerCase() === "true";
+}
+
+const DEFAULT_TRANSITIONS = {
+  draft: { in_review: STAFF, archived: EDITORS },
+  in_review: { draft: STAFF, approved: EDITORS },
+  approved: { in_review: EDITORS, draft: EDITORS, scheduled: EDITORS, published: EDITORS },
+  scheduled: { approved: EDITORS, published: EDITORS },
+  published: { archived: EDITORS, draft: ADMINS },
+  archived: { draft: ADMINS },
+};
+
+let cached = null;
+let cachedAt = 0;
+
+function sanitizeTransitions(input = {}) {
+  const out = {};
+  for (const from of STATES) {
+    const row = input[from];
+    if (!row || typeof row !== "object") continue;
+    for (const to of STATES) {
+      if (to === from || !Array.isArray(row[to])) continue;
+      out[from] = out[from] || {};
+      out[from][to] = row[to].map(String).filter((r) => ROLES.includes(r));
+    }
+  }
+  return out;
+}
+
+function mergeTransitions(overrides = {}) {
+  const merged = {};
+  for (const from of STATES) {
+    merged[from] = { ...(DEFAULT_TRANSITIONS[from] || {}), ...(overrides[from] || {}) };
+    // an empty role list removes the transition
+    for (const to of Object.keys(merged[from])) {
+      if (!merged[from][to].length) delete merged[from][to];
+    }
+  }
+  return merged;
+}
+
+async function loadOverrides() {
+  const doc = await AdminSetting.findOne({ key: SETTING_KEY }).lean();
+  if (!doc?.value) return {};
+  try {
+    return sanitizeTransitions(JSON.parse(doc.value).transitions || {});
+  } catch {
+    console.warn("[workflow] ignoring invalid editorialWorkflow setting");
+    return {};
+  }
+}
+
+/**
+ * Returns { states, transitions } (defaults merged with admin overrides).
+ */
+async function getWorkflow({ fresh = false } = {}) {
+  if (!fresh && cached && Date.now() - cachedAt < CACHE_MS) return cached;
+  const overrides = await loadOverrides();
+  cached = { states: STATES, transitions: mergeTransitions(overrides), overrides };
+  cachedAt = Date.now();
+  return cached;
+}
+
+async function saveOverrides(transitions = {}) {
+  const clean = sanitizeTransitions(transitions);
+  await AdminSetting.findOneAndUpdate(
+    { key: SETTING_KEY },
+    { value: JSON.stringify({ transitions: clean }) },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+  return getWorkflow({ fresh: true });
+}
+
+/** Roles allowed to move from → to, or null if the transition does not exist. */
+async function rolesFor(from, to) {
+  const { transitions } = await getWorkflow();
+  return transitions[String(from || "draft")]?.[String(to)] || null;
+}
+
+/** States `role` may move an article in `from` to. */
+async function nextStates(from, role) {
+  if (role === "admin") return STATES.filter((s) => s !== String(from || "draft"));
+  const { transitions } = await getWorkflow();
+  const row = transitions[String(from || "draft")] || {};
+  return Object.keys(row).filter((to) => row[to].includes(role));
+}
+
+/**
+ * Validate a status change made through a generic edit (PATCH) or on creation
+ * (from "draft"). Returns null when allowed, otherwise { status, error }.
+ */
+async function checkTransition(from, to, user) {
+  const target = String(to || "").toLowerCase();
+  if (!STATES.includes(target)) return { status: 400, error: `Unknown status "${to}"` };
+  if (String(from || "draft") === target) return null;
+  if (!adminAuthEnabled()) return null;
+  if (!user) return { status: 401, error: "Unauthorized" };
+
+  const role = user.role;
+  if (role === "admin") return null;
+
+  const roles = await rolesFor(from, target);
+  if (!roles) return { status: 400, error: `Cannot move from ${from || "draft"} to ${target}` };
+  if (!roles.includes(role)) return { status: 403, error: "Forbidden: insufficient role" };
+  return null;
+}
+
+module.exports = {
+  STATES,
+  ROLES,
+  DEFAULT_TRANSITIONS,
+  getWorkflow,
+  saveOverrides,
+  rolesFor,
+  nextStates,
+  checkTransition,
+};
@@ -0,0 +1,146 @@
+// backend/src/services/engagement.service.js
+"use strict";
+
+/**
+ * Per-article engagement from raw analytics, written onto Article.engagement.
+ *
+ *  computeEngagementScores()   the "engagement-scores" job: score every article read in the window
+ *  TRENDING_SORT               Mongo sort for "trending": top news (API + RSS), sections and
+ *                              /api/articles?homepagePlacement=trending
+ *
+ * Events from the last ENGAGEMENT_WINDOW_HOURS (48) count, each weighted by its age with a
+ * half-life of ENGAGEMENT_HALF_LIFE_HOURS (12), so a story read an hour ago outranks one read
+ * yesterday:
+ *   score = views + 3 × read_completes + 0.5 × minutes read       (all decayed)
+ * Articles nobody read in the window drop back to 0 and sort by publishedAt.
+ */
+
+const Article = require("../models/Article");
+const AnalyticsEvent = require("../../models/AnalyticsEvent");
+
+const WINDOW_HOURS = parseInt(process.env.ENGAGEMENT_WINDOW_HOURS || "48", 10);
+const HALF_LIFE_HOURS = Number(process.env.ENGAGEMENT_HALF_LIFE_HOURS || 12);
+const HEARTBEAT_SECONDS = 15;
+
+const WEIGHTS = { view: 1, complete: 3, readMinute: 0.5 };
+
+const TRENDING_SORT = { "engagement.score": -1, publishedAt: -1, _id: -1 };
+
+const ARTICLE_PATH = /^\/article\/([^/?#]+)/;
+
+const round = (n, d = 2) => Number(n.toFixed(d));
+
+function slugFromPath(path) {
+  const m = ARTICLE_PATH.exec(String(path || ""));
+  if (!m) return null;
+  try {
+    return decodeURIComponent(m[1]);
+  } catch {
+    return m[1];
+  }
+}
+
+async function computeEngagementScores({ now = new Date(), log = () => {} } = {}) {
+  const since = new Date(now.getTime() - WINDOW_HOURS * 60 * 60 * 1000);
+  const decayPerMs = Math.LN2 / (HALF_LIFE_HOURS * 60 * 60 * 1000);
+  const weightOf = { $exp: { $multiply: [-decayPerMs, { $subtract: [now, "$createdAt"] }] } };
+  const when = (type, value) => ({ $cond: [{ $eq: ["$type", type] }, value, 0] });
+
+  const rows = await AnalyticsEvent.aggregate([
+    {
+      $match: {
+        createdAt: { $gte: since, $lte: now },
+        path: ARTICLE_PATH,
+        type: { $in: ["page_view", "heartbeat", "read_complete"] },
+        "flags.isBot": { $ne: true },
+        "flags.isAdmin": { $ne: true },
+      },
+    },
+    { $set: { w: weightOf } },
+    {
+      $group: {
+        _id: "$path",
+        views: { $sum: when("page_view", 1) },
+        heartbeats: { $sum: when("heartbeat", 1) },
+        readCompletes: { $sum: when("read_complete", 1) },
+        wViews: { $sum: when("page_view", "$w") },
+        wHeartbeats: { $sum: when("heartbeat", "$w") },
+        wCompletes: { $sum: when("read_complete", "$w") },
+        visitors: { $addToSet: "$visitorId" },
+      },
+    },
+  ]).allowDiskUse(true);
+
+  // One article can be reached under several paths (trailing slash, encoding)
+  const bySlug = new Map();
+  for (const r of rows) {
+    const slug = slugFromPath(r._id);
+    if (!slug) continue;
+    const cur = bySlug.get(slug) || { views: 0, heartbeats: 0, readCompletes: 0, wViews: 0, wHeartbeats: 0, wCompletes: 0, visitors: new Set() };
+    for (const k of ["views", "heartbeats", "readCompletes", "wViews", "wHeartbeats", "wCompletes"]) cur[k] += r[k];
+    for (const v of r.visitors) if (v) cur.visitors.add(v);
+    bySlug.set(slug, cur);
+  }
+
+  const articles = await Article.find({ slug: { $in: [...bySlug.keys()] }, status: "published" })
+    .select("_id slug")
+    .lean();
+
+  const ops = articles.map((a) => {
+    const e = bySlug.get(a.slug);
+    const score =
+      WEIGHTS.view * e.wViews +
+      WEIGHTS.complete * e.wCompletes +
+      WEIGHTS.readMinute * ((e.wHeartbeats * HEARTBEAT_SECONDS) / 60);
+    return {
+      updateOne: {
+        filter: { _id: a._id },
+        update: {
+          $set: {
+            engagement: {
+              score: round(score),
+              views: e.views,
+              uniques: e.visitors.size,
+              readSeconds: e.heartbeats * HEARTBEAT_SECONDS,
+              readCompletes: e.readCompletes,
+              completionRate: e.views ? round(e.readCompletes / e.views, 4) : 0,
+              computedAt: now,
+            },
+          },
+        },
+        timestamps: false, // a score is not an edit: keep updatedAt (sitemaps, caches)
+      },
+    };
+  });
+  if (ops.length) await Article.bulkWrite(ops, { ordered: false });
+
+  // Articles that fell out of the window
+  const reset = await Article.updateMany(
+    { "engagement.score": { $gt: 0 }, _id: { $nin: articles.map((a) => a._id) } },
+    {
+      $set: {
+        "engagement.score": 0,
+        "engagement.views": 0,
+        "engagement.uniques": 0,
+        "engagement.readSeconds": 0,
+        "engagement.readCompletes": 0,
+        "engagement.completionRate": 0,
+        "engagement.computedAt": now,
+      },
+    },
+    { timestamps: false }
+  );
+
+  const top = ops
+    .map((o) => ({ id: o.updateOne.filter._id, score: o.updateOne.update.$set.engagement.score }))
+    .sort((a, b) => b.score - a.score)[0];
+  if (top) log(`top ${top.id} score=${top.score}`);
+
+  return { scored: ops.length, reset: reset.modifiedCount || 0, windowHours: WINDOW_HOURS };
+}
+
+module.exports = {
+  TRENDING_SORT,
+  slugFromPath,
+  computeEngagementScores,
+};
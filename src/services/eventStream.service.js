@@ -0,0 +1,67 @@
+// backend/src/services/eventStream.service.js
+"use strict";
+
+/**
+ * In-process event fan-out behind /api/stream (server-sent events).
+ *
+ *  publish(type, data)        e.g. publish("ticker.updated", doc); type is "<topic>.<action>"
+ *  subscribe(fn)              fn(event) for every event; returns unsubscribe
+ *  eventsAfter(lastEventId)   replay for a reconnecting client, or null if the id is unknown
+ *                             (older than the buffer, or from before a restart)
+ *
+ * Event ids are "<boot>-<seq>" so ids from a previous process are recognised as stale.
+ * Only this process's subscribers see an event: a separate worker process (cron.js)
+ * publishing an article does not reach the web process's clients.
+ */
+
+const { EventEmitter } = require("events");
+
+const BUFFER_SIZE = parseInt(process.env.STREAM_BUFFER_SIZE || "500", 10);
+
+const BOOT = Date.now().toString(36);
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // one listener per connected client
+
+const buffer = [];
+let seq = 0;
+
+function publish(type, data = {}) {
+  const [topic] = String(type).split(".");
+  const event = { id: `${BOOT}-${++seq}`, seq, type, topic, data, at: new Date().toISOString() };
+
+  buffer.push(event);
+  if (buffer.length > BUFFER_SIZE) buffer.shift();
+
+  try {
+    emitter.emit("event", event);
+  } catch (e) {
+    console.warn("[stream] subscriber failed:", e?.message || e);
+  }
+  return event;
+}
+
+function subscribe(fn) {
+  emitter.on("event", fn);
+  return () => emitter.off("event", fn);
+}
+
+function eventsAfter(lastEventId) {
+  const m = /^([a-z0-9]+)-(\d+)$/.exec(String(lastEventId || ""));
+  if (!m || m[1] !== BOOT) return null;
+
+  const last = Number(m[2]);
+  if (last >= seq) return [];
+  if (!buffer.length || buffer[0].seq > last + 1) return null; // fell out of the buffer
+  return buffer.filter((e) => e.seq > last);
+}
+
+function streamStats() {
+  return { subscribers: emitter.listenerCount("event"), buffered: buffer.length, lastEventId: seq ? `${BOOT}-${seq}` : null };
+}
+
+module.exports = {
+  publish,
+  subscribe,
+  eventsAfter,
+  streamStats,
+};
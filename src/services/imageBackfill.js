@@ -18,6 +18,7 @@
 "use strict";
 
 const Article = require("../models/Article");
+const { recordRevision, automationActor } = require("./articleRevision.service");
 const cloudinary = require("cloudinary").v2;
 
 const OG_W = Number(process.env.CLOUDINARY_OG_WIDTH || 1200);
@@ -293,6 +294,10 @@ async function backfillMatchingArticlesFromLibraryImage(imageDoc, opts = {}) {
     if (res?.modifiedCount) {
       updated += 1;
       updatedIds.push(String(a._id));
+      await recordRevision(a, await Article.findById(a._id).lean(), {
+        user: automationActor("image-backfill"),
+        source: "image-backfill",
+      });
     }
   }
 
@@ -0,0 +1,485 @@
+// backend/src/services/jobQueue.service.js
+"use strict";
+
+/**
+ * MongoDB-backed job queue
+ * ------------------------
+ * Replaces the in-process setInterval/inFlight loops so several backend
+ * instances can share one queue without double-running anything.
+ *
+ *  defineJob(name, handler, opts)     register a handler: async (payload, ctx) => result
+ *  enqueue(name, payload, opts)       add a job (opts.uniqueKey dedupes across instances)
+ *  schedule(id, { job, everySec | dailyAtUtc, payload })
+ *                                     recurring job; each time slot is enqueued once (uniqueKey)
+ *  startJobWorker() / stopJobWorker() poll + claim + run
+ *
+ * Semantics:
+ *  - claim: atomic queued → running with a lease (owner + expiresAt), renewed while the handler runs
+ *  - concurrency: per job name, cluster-wide, via (name, lane) unique while running
+ *  - failure: retried with exponential backoff until maxAttempts, then "dead" (dead-letter)
+ *  - uniqueKey: held while a job is queued/running/succeeded; a dead or cancelled one-off job
+ *    releases it (moved to releasedKey) so the work can be queued again. Schedule slots keep theirs.
+ *  - a crashed worker's lease expires and the job is re-queued (or dead-lettered) by any worker
+ *  - timeoutSec: an overrunning handler is failed and ctx.signal is aborted; the job keeps its
+ *    lease and lane until the handler actually returns, so a retry never overlaps it
+ *  - ctx.log()/warn()/error() append to job.logs (last JOB_MAX_LOGS lines kept)
+ */
+
+const os = require("os");
+const crypto = require("crypto");
+const Job = require("../models/Job");
+const AdminSetting = require("../models/AdminSetting");
+
+const POLL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS || "2000", 10);
+const SCHEDULE_EVERY_MS = parseInt(process.env.JOB_SCHEDULE_INTERVAL_MS || "15000", 10);
+const MAX_LOCAL_RUNNING = parseInt(process.env.JOB_WORKER_MAX_CONCURRENCY || "4", 10);
+const MAX_LOGS = parseInt(process.env.JOB_MAX_LOGS || "200", 10);
+const PAUSED_SCHEDULES_KEY = "jobSchedulesPaused";
+
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString("hex")}`;
+
+const DEFAULTS = {
+  concurrency: 1,
+  maxAttempts: 3,
+  backoffSec: 30,
+  maxBackoffSec: 60 * 60,
+  leaseSec: 120,
+  timeoutSec: 15 * 60,
+};
+
+const defs = new Map(); // name → definition
+const schedules = new Map(); // id → schedule
+const running = new Map(); // jobId → name (this process)
+
+let pollTimer = null;
+let ticking = false;
+let lastScheduleRunAt = 0;
+let pausedCache = null;
+let pausedCachedAt = 0;
+
+/* -------------------- registration -------------------- */
+
+function defineJob(name, handler, opts = {}) {
+  if (!name || typeof handler !== "function") throw new Error("defineJob needs a name and a handler");
+  defs.set(name, { name, handler, ...DEFAULTS, ...opts });
+}
+
+/**
+ * Recurring job. Exactly one of:
+ *  - everySec:   slots aligned to the epoch (every 300s → :00, :05, ...)
+ *  - dailyAtUtc: "HH:MM"
+ * skipIfPending (default true) skips a slot while an earlier run of the same job is queued/running.
+ */
+function schedule(id, { job, everySec, dailyAtUtc, payload = {}, skipIfPending = true, enabled = true }) {
+  if (!defs.has(job)) throw new Error(`schedule ${id}: unknown job "${job}"`);
+  if (!everySec && !dailyAtUtc) throw new Error(`schedule ${id}: everySec or dailyAtUtc required`);
+  schedules.set(id, { id, job, everySec, dailyAtUtc, payload, skipIfPending, enabled });
+}
+
+function unschedule(id) {
+  schedules.delete(id);
+}
+
+/* -------------------- enqueue / admin ops -------------------- */
+
+/** Returns { job, duplicate }. A duplicate uniqueKey returns the existing job instead of throwing. */
+async function enqueue(name, payload = {}, opts = {}) {
+  const def = defs.get(name);
+  const doc = {
+    name,
+    payload,
+    priority: opts.priority || 0,
+    runAt: opts.runAt || new Date(),
+    maxAttempts: opts.maxAttempts || def?.maxAttempts || DEFAULTS.maxAttempts,
+    enqueuedBy: opts.enqueuedBy || "system",
+  };
+  if (opts.uniqueKey) doc.uniqueKey = String(opts.uniqueKey);
+
+  try {
+    const job = await Job.create(doc);
+    return { job: job.toObject(), duplicate: false };
+  } catch (err) {
+    if (err?.code === 11000 && doc.uniqueKey) {
+      return { job: await Job.findOne({ uniqueKey: doc.uniqueKey }).lean(), duplicate: true };
+    }
+    throw err;
+  }
+}
+
+/** Move a dead/cancelled (or stuck queued) job back to the front of the queue. */
+async function retryJob(id, { by = "admin" } = {}) {
+  return Job.findOneAndUpdate(
+    { _id: id, status: { $in: ["dead", "cancelled", "queued"] } },
+    {
+      $set: { status: "queued", runAt: new Date(), attempts: 0, lastError: "", finishedAt: null },
+      $push: { logs: { $each: [{ level: "info", msg: `retried by ${by}` }], $slice: -MAX_LOGS } },
+    },
+    { new: true }
+  ).lean();
+}
+
+async function cancelJob(id, { by = "admin" } = {}) {
+  const job = await Job.findOneAndUpdate(
+    { _id: id, status: "queued" },
+    {
+      $set: { status: "cancelled", finishedAt: new Date() },
+      $push: { logs: { $each: [{ level: "info", msg: `cancelled by ${by}` }], $slice: -MAX_LOGS } },
+    },
+    { new: true }
+  ).lean();
+  if (job) await releaseUniqueKeys({ _id: job._id, status: "cancelled" });
+  return job;
+}
+
+/**
+ * Expire the leases of running jobs (optionally one name) so the reaper re-queues them.
+ * Replacement for the old "clear in-flight" switch.
+ */
+async function releaseRunning(name) {
+  const q = { status: "running" };
+  if (name) q.name = name;
+  const r = await Job.updateMany(q, { $set: { "lease.expiresAt": new Date(0) } });
+  await reapExpiredLeases();
+  return { released: r.modifiedCount || 0 };
+}
+
+/** Poll until the job reaches a final state or timeoutMs passes. */
+async function waitForJob(id, timeoutMs = 30000) {
+  const until = Date.now() + timeoutMs;
+  for (;;) {
+    // eslint-disable-next-line no-await-in-loop
+    const job = await Job.findById(id).lean();
+    if (!job || !["queued", "running"].includes(job.status) || Date.now() >= until) return job;
+    // eslint-disable-next-line no-await-in-loop
+    await new Promise((r) => setTimeout(r, 1000));
+  }
+}
+
+/* -------------------- paused schedules (shared across instances) -------------------- */
+
+async function getPausedSchedules() {
+  if (pausedCache && Date.now() - pausedCachedAt < 30 * 1000) return pausedCache;
+  let list = [];
+  try {
+    const doc = await AdminSetting.findOne({ key: PAUSED_SCHEDULES_KEY }).lean();
+    list = doc?.value ? JSON.parse(doc.value) : [];
+  } catch {
+    list = [];
+  }
+  pausedCache = Array.isArray(list) ? list : [];
+  pausedCachedAt = Date.now();
+  return pausedCache;
+}
+
+async function setSchedulePaused(id, paused) {
+  const current = new Set(await getPausedSchedules());
+  if (paused) current.add(id);
+  else current.delete(id);
+  const list = Array.from(current);
+  await AdminSetting.findOneAndUpdate(
+    { key: PAUSED_SCHEDULES_KEY },
+    { value: JSON.stringify(list) },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+  pausedCache = list;
+  pausedCachedAt = Date.now();
+  return list;
+}
+
+/* -------------------- worker internals -------------------- */
+
+// Schedule slots (enqueuedBy "schedule:<id>") keep their key, or a dead slot would be re-queued at once
+async function releaseUniqueKeys(filter) {
+  await Job.updateMany(
+    { ...filter, uniqueKey: { $type: "string" }, enqueuedBy: { $not: /^schedule:/ } },
+    [{ $set: { releasedKey: "$uniqueKey" } }, { $unset: "uniqueKey" }]
+  );
+}
+
+function slotFor(s, now) {
+  if (s.everySec) {
+    const ms = s.everySec * 1000;
+    return new Date(Math.floor(now.getTime() / ms) * ms);
+  }
+  const [h, m] = String(s.dailyAtUtc).split(":").map((n) => parseInt(n, 10) || 0);
+  const today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), h, m));
+  return today <= now ? today : new Date(today.getTime() - 24 * 60 * 60 * 1000);
+}
+
+async function runSchedules(now = new Date()) {
+  const paused = await getPausedSchedules();
+  for (const s of schedules.values()) {
+    if (!s.enabled || paused.includes(s.id)) continue;
+    try {
+      if (s.skipIfPending) {
+        // eslint-disable-next-line no-await-in-loop
+        const pending = await Job.exists({ name: s.job, status: { $in: ["queued", "running"] } });
+        if (pending) continue;
+      }
+      const slot = slotFor(s, now);
+      // eslint-disable-next-line no-await-in-loop
+      await enqueue(s.job, s.payload, {
+        uniqueKey: `${s.id}@${slot.toISOString()}`,
+        runAt: slot,
+        enqueuedBy: `schedule:${s.id}`,
+      });
+    } catch (err) {
+      console.warn("[jobs] schedule %s failed:", s.id, err?.message || err);
+    }
+  }
+}
+
+async function reapExpiredLeases(now = new Date()) {
+  const expired = { status: "running", "lease.expiresAt": { $lt: now } };
+  const note = { level: "error", msg: "lease expired (worker stopped or job released)", at: now };
+
+  await Job.updateMany(
+    { ...expired, $expr: { $gte: ["$attempts", "$maxAttempts"] } },
+    {
+      $set: { status: "dead", lane: null, finishedAt: now, lastError: "lease expired" },
+      $push: { logs: { $each: [note], $slice: -MAX_LOGS } },
+    }
+  );
+  await releaseUniqueKeys({ status: "dead", finishedAt: now });
+  await Job.updateMany(expired, {
+    $set: { status: "queued", lane: null, runAt: now, lastError: "lease expired" },
+    $push: { logs: { $each: [note], $slice: -MAX_LOGS } },
+  });
+}
+
+async function claimNext(def) {
+  const now = new Date();
+  for (let lane = 0; lane < def.concurrency; lane++) {
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      return await Job.findOneAndUpdate(
+        { name: def.name, status: "queued", runAt: { $lte: now } },
+        {
+          $set: {
+            status: "running",
+            lane,
+            lease: { owner: WORKER_ID, expiresAt: new Date(now.getTime() + def.leaseSec * 1000) },
+            startedAt: now,
+          },
+          $inc: { attempts: 1 },
+        },
+        { sort: { priority: -1, runAt: 1 }, new: true }
+      ).lean();
+    } catch (err) {
+      if (err?.code === 11000) continue; // lane busy on some instance, try the next one
+      throw err;
+    }
+  }
+  return null; // all lanes busy
+}
+
+function makeContext(job, def, signal) {
+  let chain = Promise.resolve();
+  const write = (level, args) => {
+    const msg = args.map((a) => (typeof a === "string" ? a : JSON.stringify(a))).join(" ").slice(0, 2000);
+    (level === "info" ? console.log : console.warn)(`[job:${def.name}] ${msg}`);
+    chain = chain
+      .then(() =>
+        Job.updateOne(
+          { _id: job._id },
+          { $push: { logs: { $each: [{ level, msg, at: new Date() }], $slice: -MAX_LOGS } } }
+        )
+      )
+      .catch(() => {});
+  };
+
+  return {
+    job,
+    attempt: job.attempts,
+    signal, // aborted when the job times out; long loops should check it
+    log: (...args) => write("info", args),
+    warn: (...args) => write("warn", args),
+    error: (...args) => write("error", args),
+    flush: () => chain,
+    heartbeat: () => extendLease(job, def),
+  };
+}
+
+async function extendLease(job, def) {
+  const r = await Job.updateOne(
+    { _id: job._id, status: "running", "lease.owner": WORKER_ID },
+    { $set: { "lease.expiresAt": new Date(Date.now() + def.leaseSec * 1000) } }
+  );
+  return r.modifiedCount > 0;
+}
+
+function withTimeout(promise, ms, onTimeout) {
+  let t;
+  const timeout = new Promise((_, reject) => {
+    t = setTimeout(() => {
+      const err = new Error(`timed out after ${Math.round(ms / 1000)}s`);
+      onTimeout?.(err);
+      reject(err);
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(t));
+}
+
+function plain(value) {
+  if (value == null) return null;
+  try {
+    return JSON.parse(JSON.stringify(value));
+  } catch {
+    return { note: `unserializable result (${typeof value})` };
+  }
+}
+
+async function execute(def, job) {
+  const controller = new AbortController();
+  const ctx = makeContext(job, def, controller.signal);
+  const started = Date.now();
+  const hb = setInterval(() => {
+    extendLease(job, def).catch(() => {});
+  }, Math.max(5000, (def.leaseSec * 1000) / 3));
+
+  let update;
+  const run = Promise.resolve().then(() => def.handler(job.payload || {}, ctx));
+  try {
+    const result = await withTimeout(run, def.timeoutSec * 1000, (err) => controller.abort(err));
+    update = {
+      $set: { status: "succeeded", result: plain(result), lastError: "", finishedAt: new Date() },
+    };
+  } catch (err) {
+    if (controller.signal.aborted) {
+      // keep heartbeating (lease + lane held) until the timed-out handler gives up
+      ctx.warn("timed out, waiting for the handler to stop");
+      await run.catch(() => {});
+    }
+    const message = String(err?.message || err).slice(0, 2000);
+    const dead = job.attempts >= job.maxAttempts || err?.permanent === true;
+    const backoffSec = Math.min(def.maxBackoffSec, def.backoffSec * 2 ** Math.max(0, job.attempts - 1));
+    ctx.error(dead ? `failed permanently: ${message}` : `failed (attempt ${job.attempts}/${job.maxAttempts}), retry in ${backoffSec}s: ${message}`);
+    update = dead
+      ? { $set: { status: "dead", lastError: message, finishedAt: new Date() } }
+      : { $set: { status: "queued", lastError: message, runAt: new Date(Date.now() + backoffSec * 1000) } };
+  } finally {
+    clearInterval(hb);
+  }
+
+  await ctx.flush();
+  update.$set.lane = null;
+  update.$set.lease = { owner: null, expiresAt: null };
+  update.$set.durationMs = Date.now() - started;
+
+  try {
+    // only if we still own it (a reaped + re-claimed job belongs to someone else now)
+    const r = await Job.updateOne({ _id: job._id, status: "running", "lease.owner": WORKER_ID }, update);
+    if (!r.modifiedCount) console.warn("[jobs] %s %s finished after losing its lease", def.name, job._id);
+    else if (update.$set.status === "dead") await releaseUniqueKeys({ _id: job._id, status: "dead" });
+  } catch (err) {
+    console.error("[jobs] could not record result for %s %s:", def.name, job._id, err?.message || err);
+  } finally {
+    running.delete(String(job._id));
+  }
+}
+
+const runningCount = (name) => Array.from(running.values()).filter((n) => n === name).length;
+
+async function tick() {
+  if (ticking) return;
+  ticking = true;
+  try {
+    const now = new Date();
+    await reapExpiredLeases(now);
+
+    if (Date.now() - lastScheduleRunAt >= SCHEDULE_EVERY_MS) {
+      lastScheduleRunAt = Date.now();
+      await runSchedules(now);
+    }
+
+    for (const def of defs.values()) {
+      while (running.size < MAX_LOCAL_RUNNING && runningCount(def.name) < def.concurrency) {
+        // eslint-disable-next-line no-await-in-loop
+        const job = await claimNext(def);
+        if (!job) break;
+        running.set(String(job._id), def.name);
+        execute(def, job).catch((e) => console.error("[jobs] execute error:", e?.message || e));
+      }
+    }
+  } catch (err) {
+    console.error("[jobs] tick failed:", err?.message || err);
+  } finally {
+    ticking = false;
+  }
+}
+
+function startJobWorker({ pollMs = POLL_MS } = {}) {
+  if (pollTimer) clearInterval(pollTimer);
+  console.log(
+    "[jobs] worker %s starting — poll=%sms jobs=%s schedules=%s",
+    WORKER_ID,
+    pollMs,
+    Array.from(defs.keys()).join(",") || "(none)",
+    Array.from(schedules.keys()).join(",") || "(none)"
+  );
+  pollTimer = setInterval(tick, Math.max(500, pollMs));
+  tick();
+}
+
+function stopJobWorker() {
+  if (pollTimer) clearInterval(pollTimer);
+  pollTimer = null;
+}
+
+/* -------------------- introspection -------------------- */
+
+async function getQueueStats() {
+  const rows = await Job.aggregate([{ $group: { _id: { name: "$name", status: "$status" }, count: { $sum: 1 } } }]);
+  const byName = {};
+  for (const r of rows) {
+    byName[r._id.name] = byName[r._id.name] || {};
+    byName[r._id.name][r._id.status] = r.count;
+  }
+  const paused = await getPausedSchedules();
+
+  return {
+    worker: { id: WORKER_ID, polling: !!pollTimer, running: Array.from(running.entries()).map(([id, name]) => ({ id, name })) },
+    jobs: Array.from(defs.values()).map((d) => ({
+      name: d.name,
+      concurrency: d.concurrency,
+      maxAttempts: d.maxAttempts,
+      timeoutSec: d.timeoutSec,
+      counts: byName[d.name] || {},
+    })),
+    schedules: Array.from(schedules.values()).map((s) => ({
+      id: s.id,
+      job: s.job,
+      everySec: s.everySec || null,
+      dailyAtUtc: s.dailyAtUtc || null,
+      enabled: s.enabled && !paused.includes(s.id),
+      paused: paused.includes(s.id),
+    })),
+  };
+}
+
+function isDefined(name) {
+  return defs.has(name);
+}
+
+function getSchedule(id) {
+  return schedules.get(id) || null;
+}
+
+module.exports = {
+  WORKER_ID,
+  defineJob,
+  schedule,
+  unschedule,
+  getSchedule,
+  isDefined,
+  enqueue,
+  retryJob,
+  cancelJob,
+  releaseRunning,
+  waitForJob,
+  setSchedulePaused,
+  getPausedSchedules,
+  startJobWorker,
+  stopJobWorker,
+  getQueueStats,
+};
@@ -0,0 +1,235 @@
+// backend/src/services/liveBlog.service.js
+"use strict";
+
+/**
+ * Live blogs: an article flagged `live` carries timestamped updates (Article.liveUpdates).
+ *
+ *  setLive(id, live)                        start / end coverage (liveStartedAt / liveEndedAt)
+ *  appendUpdate(id, input, actor)           new update at the top of the feed
+ *  editUpdate(id, updateId, input)          text / image / embed / pinned / timestamp
+ *  removeUpdate(id, updateId)               tombstone (removedAt) so pollers can drop it
+ *  orderedUpdates(article)                  pinned first, then newest first
+ *  updatesSince(article, since, { limit })  what changed for a poller (changed + removed ids)
+ *
+ * Every change bumps liveUpdatedAt, which pollers and caches can compare cheaply.
+ */
+
+const mongoose = require("mongoose");
+const Article = require("../models/Article");
+
+const MAX_UPDATES = parseInt(process.env.LIVE_BLOG_MAX_UPDATES || "1000", 10);
+const MAX_TEXT = 10000;
+
+const EDITABLE = ["text", "imageUrl", "imagePublicId", "imageAlt", "embedUrl", "pinned", "createdAt"];
+
+function isValidId(id) {
+  return mongoose.Types.ObjectId.isValid(String(id || ""));
+}
+
+function updateAuthor(user) {
+  return {
+    id: user?.id && isValidId(user.id) ? user.id : null,
+    name: user?.name || user?.email || "",
+    role: user?.role || "",
+  };
+}
+
+function isHttpUrl(s) {
+  try {
+    const u = new URL(s);
+    return u.protocol === "http:" || u.protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Pick and check the editable fields of an update.
+ * Returns { value } or { error }; `partial` allows leaving text out (edits).
+ */
+function cleanInput(body = {}, { partial = false } = {}) {
+  const value = {};
+
+  for (const key of EDITABLE) {
+    if (body[key] === undefined) continue;
+    const v = body[key];
+
+    if (key === "pinned") {
+      value.pinned = !!v;
+    } else if (key === "createdAt") {
+      const d = new Date(v);
+      if (Number.isNaN(d.getTime())) return { error: "Invalid createdAt" };
+      value.createdAt = d;
+    } else {
+      value[key] = String(v ?? "").trim();
+    }
+  }
+
+  if (value.text !== undefined) {
+    if (!value.text) return { error: "Update text required" };
+    if (value.text.length > MAX_TEXT) return { error: `Update text is limited to ${MAX_TEXT} characters` };
+  } else if (!partial) {
+    return { error: "Update text required" };
+  }
+
+  for (const key of ["imageUrl", "embedUrl"]) {
+    if (value[key] && !isHttpUrl(value[key])) return { error: `Invalid ${key}` };
+  }
+
+  return { value };
+}
+
+function isRemoved(u) {
+  return !!u?.removedAt;
+}
+
+/** Newest first, with pinned updates on top (display order). */
+function orderedUpdates(article) {
+  return (article?.liveUpdates || [])
+    .filter((u) => !isRemoved(u))
+    .sort((a, b) => (b.pinned === a.pinned ? new Date(b.createdAt) - new Date(a.createdAt) : b.pinned ? 1 : -1));
+}
+
+/** Public shape: no author id/role. */
+function publicUpdate(u) {
+  return {
+    id: String(u._id),
+    text: u.text,
+    imageUrl: u.imageUrl || "",
+    imageAlt: u.imageAlt || "",
+    embedUrl: u.embedUrl || "",
+    pinned: !!u.pinned,
+    author: { name: u.author?.name || "" },
+    createdAt: u.createdAt,
+    updatedAt: u.updatedAt,
+  };
+}
+
+/**
+ * What a poller needs since its last cursor.
+ * Without `since`: the latest `limit` updates (pinned included). With `since`: every update
+ * added or edited after it, plus the ids removed after it.
+ */
+function updatesSince(article, since = null, { limit = 50 } = {}) {
+  const all = article?.liveUpdates || [];
+  let updates;
+  let removed = [];
+
+  if (since) {
+    const t = since.getTime();
+    updates = orderedUpdates(article).filter((u) => new Date(u.updatedAt).getTime() > t);
+    removed = all.filter((u) => isRemoved(u) && new Date(u.removedAt).getTime() > t).map((u) => String(u._id));
+  } else {
+    const ordered = orderedUpdates(article);
+    const pinned = ordered.filter((u) => u.pinned);
+    updates = [...pinned, ...ordered.filter((u) => !u.pinned).slice(0, Math.max(0, limit - pinned.length))];
+  }
+
+  return {
+    live: !!article?.live,
+    liveStartedAt: article?.liveStartedAt || null,
+    liveEndedAt: article?.liveEndedAt || null,
+    total: all.filter((u) => !isRemoved(u)).length,
+    updates: updates.map(publicUpdate),
+    removed,
+  };
+}
+
+async function setLive(articleId, live) {
+  if (!isValidId(articleId)) return null;
+  const now = new Date();
+  const article = await Article.findById(articleId).select("live liveStartedAt liveEndedAt");
+  if (!article) return null;
+
+  if (live) {
+    article.live = true;
+    article.liveEndedAt = null;
+    if (!article.liveStartedAt) article.liveStartedAt = now;
+  } else if (article.live) {
+    article.live = false;
+    article.liveEndedAt = now;
+  }
+
+  // updateOne keeps the publish-time validation (min body/summary) out of the way
+  await Article.updateOne(
+    { _id: article._id },
+    { $set: { live: article.live, liveStartedAt: article.liveStartedAt, liveEndedAt: article.liveEndedAt, liveUpdatedAt: now } }
+  );
+  return { live: article.live, liveStartedAt: article.liveStartedAt, liveEndedAt: article.liveEndedAt };
+}
+
+/** Returns { update } or { error, status }. */
+async function appendUpdate(articleId, input, actor = null) {
+  if (!isValidId(articleId)) return { error: "Bad id", status: 400 };
+  const { value, error } = cleanInput(input);
+  if (error) return { error, status: 400 };
+
+  const now = new Date();
+  const update = {
+    _id: new mongoose.Types.ObjectId(),
+    author: updateAuthor(actor),
+    imageUrl: "",
+    imagePublicId: "",
+    imageAlt: "",
+    embedUrl: "",
+    pinned: false,
+    createdAt: now,
+    ...value,
+    updatedAt: now,
+    removedAt: null,
+  };
+
+  const r = await Article.updateOne(
+    { _id: articleId, [`liveUpdates.${MAX_UPDATES - 1}`]: { $exists: false } },
+    { $push: { liveUpdates: update }, $set: { liveUpdatedAt: now } }
+  );
+  if (!r.matchedCount) {
+    const exists = await Article.exists({ _id: articleId });
+    return exists
+      ? { error: `Live blog is full (${MAX_UPDATES} updates)`, status: 409 }
+      : { error: "Not found", status: 404 };
+  }
+  return { update };
+}
+
+async function editUpdate(articleId, updateId, input) {
+  if (!isValidId(articleId) || !isValidId(updateId)) return { error: "Bad id", status: 400 };
+  const { value, error } = cleanInput(input, { partial: true });
+  if (error) return { error, status: 400 };
+  if (!Object.keys(value).length) return { error: "Nothing to update", status: 400 };
+
+  const now = new Date();
+  const $set = { liveUpdatedAt: now, "liveUpdates.$.updatedAt": now };
+  for (const [k, v] of Object.entries(value)) $set[`liveUpdates.$.${k}`] = v;
+
+  const article = await Article.findOneAndUpdate(
+    { _id: articleId, liveUpdates: { $elemMatch: { _id: updateId, removedAt: null } } },
+    { $set },
+    { new: true, projection: { liveUpdates: { $elemMatch: { _id: updateId } } } }
+  ).lean();
+  if (!article) return { error: "Not found", status: 404 };
+  return { update: article.liveUpdates?.[0] || null };
+}
+
+async function removeUpdate(articleId, updateId) {
+  if (!isValidId(articleId) || !isValidId(updateId)) return { error: "Bad id", status: 400 };
+  const now = new Date();
+  const r = await Article.updateOne(
+    { _id: articleId, liveUpdates: { $elemMatch: { _id: updateId, removedAt: null } } },
+    { $set: { "liveUpdates.$.removedAt": now, "liveUpdates.$.pinned": false, liveUpdatedAt: now } }
+  );
+  if (!r.matchedCount) return { error: "Not found", status: 404 };
+  return { ok: true };
+}
+
+module.exports = {
+  MAX_UPDATES,
+  cleanInput,
+  orderedUpdates,
+  publicUpdate,
+  updatesSince,
+  setLive,
+  appendUpdate,
+  editUpdate,
+  removeUpdate,
+};
@@ -0,0 +1,95 @@
+// backend/src/services/mailTransport.service.js
+"use strict";
+
+/**
+ * Outgoing mail transport
+ * -----------------------
+ * MAIL_TRANSPORT picks the backend (defaults to "smtp" when SMTP_HOST is set, else "console"):
+ *  - smtp:    SMTP_HOST, SMTP_PORT (587), SMTP_SECURE ("true" for 465), SMTP_USER, SMTP_PASS
+ *  - file:    writes each message as an .eml file into MAIL_FILE_DIR (./tmp-mail)
+ *  - console: logs the plain-text version (dev)
+ *
+ * All transports expose the same sendMail({ to, subject, html, text, headers }).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const nodemailer = require("nodemailer");
+
+const MAIL_FROM = process.env.MAIL_FROM || "Timely Voice <no-reply@timelyvoice.com>";
+
+function resolveKind() {
+  const kind = String(process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? "smtp" : "console")).toLowerCase();
+  return ["smtp", "file", "console"].includes(kind) ? kind : "console";
+}
+
+function createSmtpTransport() {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || "587", 10),
+    secure: String(process.env.SMTP_SECURE || "false") === "true",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS || "" }
+      : undefined,
+  });
+
+  return {
+    kind: "smtp",
+    async sendMail(msg) {
+      const info = await transporter.sendMail({ from: MAIL_FROM, ...msg });
+      return { messageId: info.messageId || "" };
+    },
+  };
+}
+
+function createFileTransport() {
+  const dir = path.resolve(process.env.MAIL_FILE_DIR || "tmp-mail");
+  const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: "unix" });
+
+  return {
+    kind: "file",
+    async sendMail(msg) {
+      const info = await transporter.sendMail({ from: MAIL_FROM, ...msg });
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${crypto.randomBytes(4).toString("hex")}.eml`);
+      await fs.promises.writeFile(file, info.message);
+      return { messageId: info.messageId || "", file };
+    },
+  };
+}
+
+function createConsoleTransport() {
+  return {
+    kind: "console",
+    async sendMail(msg) {
+      const messageId = `<${Date.now()}.${crypto.randomBytes(4).toString("hex")}@console>`;
+      console.log(
+        "[mail:console] to=%s subject=%j\n%s",
+        msg.to,
+        msg.subject,
+        String(msg.text || "").slice(0, 2000)
+      );
+      return { messageId };
+    },
+  };
+}
+
+let transport = null;
+
+function getMailTransport() {
+  if (transport) return transport;
+  const kind = resolveKind();
+  if (kind === "smtp") transport = createSmtpTransport();
+  else if (kind === "file") transport = createFileTransport();
+  else transport = createConsoleTransport();
+  return transport;
+}
+
+async function sendMail(msg) {
+  const t = getMailTransport();
+  const result = await t.sendMail(msg);
+  return { transport: t.kind, ...result };
+}
+
+module.exports = { getMailTransport, sendMail, MAIL_FROM };
@@ -0,0 +1,521 @@
+// backend/src/services/newsletter.service.js
+"use strict";
+
+/**
+ * Newsletter pipeline
+ * -------------------
+ *  - subscriber addresses are stored AES-GCM encrypted (emailEnc) next to the lookup hash
+ *  - double opt-in: subscribe → queued "confirm" mail → /newsletter/confirm?token=
+ *  - one-click unsubscribe + preferences links carry an HMAC-signed subscriber id (no DB token needed)
+ *  - daily / weekly digests: top published articles per category, built once per period
+ *    (NewsletterDigest) and filtered to each reader's chosen categories at send time
+ *  - breaking alerts go to "breaking" subscribers interested in the story's category
+ *  - digests and alerts can be narrowed to an admin segment (newsletterSegment.service.js)
+ *  - every outgoing mail is a NewsletterDelivery row: queued → sending → sent | failed | skipped,
+ *    drained at a fixed rate by src/cron/newsletterCron.js
+ */
+
+const crypto = require("crypto");
+const Article = require("../models/Article");
+const Subscriber = require("../../models/Subscriber");
+const NewsletterDigest = require("../../models/NewsletterDigest");
+const NewsletterDelivery = require("../../models/NewsletterDelivery");
+const AnalyticsEvent = require("../../models/AnalyticsEvent");
+const { sendMail } = require("./mailTransport.service");
+const { confirmEmail, digestEmail, breakingEmail } = require("./newsletterTemplates");
+const { segmentQuery, findSegment, slugify } = require("./newsletterSegment.service");
+
+const SITE_URL = (process.env.FRONTEND_BASE_URL || "https://timelyvoice.com").replace(/\/+$/, "");
+// Where the /newsletter/* reader links are reachable (backend or a proxying frontend)
+const LINK_BASE_URL = (process.env.NEWSLETTER_LINK_BASE_URL || SITE_URL).replace(/\/+$/, "");
+
+const PER_CATEGORY = parseInt(process.env.NEWSLETTER_DIGEST_PER_CATEGORY || "3", 10);
+const MAX_CATEGORIES = parseInt(process.env.NEWSLETTER_DIGEST_MAX_CATEGORIES || "8", 10);
+const MAX_ATTEMPTS = parseInt(process.env.NEWSLETTER_MAX_ATTEMPTS || "3", 10);
+const CONFIRM_RESEND_MIN = parseInt(process.env.NEWSLETTER_CONFIRM_RESEND_MINUTES || "10", 10);
+const STALE_LOCK_MS = 10 * 60 * 1000;
+
+/* -------------------- address encryption -------------------- */
+
+function emailKey() {
+  const secret = process.env.NEWSLETTER_EMAIL_KEY || process.env.JWT_SECRET || "";
+  return crypto.createHash("sha256").update(`newsletter-email|${secret}`).digest();
+}
+
+function encryptEmail(email) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", emailKey(), iv);
+  const data = Buffer.concat([cipher.update(String(email).trim().toLowerCase(), "utf8"), cipher.final()]);
+  return ["v1", iv.toString("base64"), cipher.getAuthTag().toString("base64"), data.toString("base64")].join(":");
+}
+
+function decryptEmail(value) {
+  try {
+    const [v, iv, tag, data] = String(value || "").split(":");
+    if (v !== "v1" || !data) return null;
+    const decipher = crypto.createDecipheriv("aes-256-gcm", emailKey(), Buffer.from(iv, "base64"));
+    decipher.setAuthTag(Buffer.from(tag, "base64"));
+    return Buffer.concat([decipher.update(Buffer.from(data, "base64")), decipher.final()]).toString("utf8");
+  } catch {
+    return null; // key rotated or corrupted value
+  }
+}
+
+/* -------------------- signed links -------------------- */
+
+// purpose keeps an unsubscribe token from being replayed as a preferences token and vice versa
+function linkSignature(purpose, subscriberId) {
+  const secret = process.env.NEWSLETTER_SECRET || process.env.JWT_SECRET || "";
+  return crypto.createHmac("sha256", secret).update(`${purpose}|${subscriberId}`).digest("base64url").slice(0, 32);
+}
+
+function signedToken(purpose, subscriberId) {
+  return `${subscriberId}.${linkSignature(purpose, String(subscriberId))}`;
+}
+
+/** Returns the subscriber id for a valid token, else null. */
+function verifySignedToken(purpose, token) {
+  const [id, sig] = String(token || "").split(".");
+  if (!id || !sig || !/^[a-f0-9]{24}$/i.test(id)) return null;
+  const expected = linkSignature(purpose, id);
+  if (sig.length !== expected.length) return null;
+  return crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected)) ? id : null;
+}
+
+const unsubscribeToken = (subscriberId) => signedToken("unsubscribe", subscriberId);
+const preferencesToken = (subscriberId) => signedToken("preferences", subscriberId);
+const verifyUnsubscribeToken = (token) => verifySignedToken("unsubscribe", token);
+const verifyPreferencesToken = (token) => verifySignedToken("preferences", token);
+
+const confirmUrl = (token) => `${LINK_BASE_URL}/newsletter/confirm?token=${encodeURIComponent(token)}`;
+const unsubscribeUrl = (subscriberId) =>
+  `${LINK_BASE_URL}/newsletter/unsubscribe?token=${encodeURIComponent(unsubscribeToken(subscriberId))}`;
+const preferencesUrl = (subscriberId) =>
+  `${LINK_BASE_URL}/newsletter/preferences?token=${encodeURIComponent(preferencesToken(subscriberId))}`;
+
+/* -------------------- digest builder -------------------- */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_KEY_RX = /^(\d{4})-W(\d{2})$/;
+
+function utcDateKey(d = new Date()) {
+  return d.toISOString().slice(0, 10);
+}
+
+/** ISO-8601 week key, e.g. "2026-W42" */
+function utcWeekKey(d = new Date()) {
+  const t = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+  t.setUTCDate(t.getUTCDate() + 4 - (t.getUTCDay() || 7)); // Thursday decides the year
+  const week = Math.ceil(((t - Date.UTC(t.getUTCFullYear(), 0, 1)) / DAY_MS + 1) / 7);
+  return `${t.getUTCFullYear()}-W${String(week).padStart(2, "0")}`;
+}
+
+const periodOf = (key) => (WEEK_KEY_RX.test(key) ? "weekly" : "daily");
+const isDigestKey = (key) => WEEK_KEY_RX.test(key) || /^\d{4}-\d{2}-\d{2}$/.test(key);
+
+function periodStart(key) {
+  const m = WEEK_KEY_RX.exec(key);
+  if (!m) return new Date(`${key}T00:00:00.000Z`);
+  // Monday of ISO week: week 1 is the one containing Jan 4th
+  const jan4 = new Date(Date.UTC(+m[1], 0, 4));
+  return new Date(jan4.getTime() - ((jan4.getUTCDay() || 7) - 1) * DAY_MS + (+m[2] - 1) * 7 * DAY_MS);
+}
+
+/**
+ * Window for a digest key: the 24h (daily) or 7 days (weekly) before now for the
+ * current period, the whole period for past ones.
+ */
+function digestWindow(key) {
+  const span = periodOf(key) === "weekly" ? 7 * DAY_MS : DAY_MS;
+  const periodEnd = periodStart(key).getTime() + span;
+  const end = new Date(Math.min(Date.now(), periodEnd));
+  return { from: new Date(end.getTime() - span), to: end };
+}
+
+async function viewsBySlug(slugs, from, to) {
+  if (!slugs.length) return new Map();
+  const rows = await AnalyticsEvent.aggregate([
+    {
+      $match: {
+        type: "page_view",
+        createdAt: { $gte: from, $lt: to },
+        path: { $in: slugs.map((s) => `/article/${s}`) },
+        "flags.isBot": { $ne: true },
+      },
+    },
+    { $group: { _id: "$path", views: { $sum: 1 } } },
+  ]);
+  return new Map(rows.map((r) => [String(r._id).replace(/^\/article\//, ""), r.views]));
+}
+
+/**
+ * Pick the period's top articles per category (page views, then homepage "top", then recency)
+ * and render them. Does not persist anything.
+ */
+async function composeDigest(key = utcDateKey()) {
+  const period = periodOf(key);
+  const { from, to } = digestWindow(key);
+
+  const articles = await Article.find({
+    status: "published",
+    publishedAt: { $gte: from, $lt: to },
+  })
+    .select("title slug summary category categorySlug imageUrl thumbImage homepagePlacement publishedAt")
+    .sort({ publishedAt: -1 })
+    .limit(500)
+    .lean();
+
+  const views = await viewsBySlug(articles.map((a) => a.slug), from, to);
+  const rank = (a) => [views.get(a.slug) || 0, a.homepagePlacement === "top" ? 1 : 0, +new Date(a.publishedAt)];
+  articles.sort((a, b) => {
+    const ra = rank(a);
+    const rb = rank(b);
+    return rb[0] - ra[0] || rb[1] - ra[1] || rb[2] - ra[2];
+  });
+
+  const byCategory = new Map();
+  for (const a of articles) {
+    const category = a.category || "General";
+    if (!byCategory.has(category)) {
+      byCategory.set(category, { category, categorySlug: a.categorySlug || slugify(category), score: 0, articles: [] });
+    }
+    const bucket = byCategory.get(category);
+    if (bucket.articles.length >= PER_CATEGORY) continue;
+    bucket.score += views.get(a.slug) || 0;
+    bucket.articles.push(a);
+  }
+
+  // busiest categories first
+  const sections = Array.from(byCategory.values())
+    .sort((a, b) => b.score - a.score || b.articles.length - a.articles.length)
+    .slice(0, MAX_CATEGORIES)
+    .map((s) => ({
+      category: s.category,
+      categorySlug: s.categorySlug,
+      articles: s.articles.map((a) => ({
+        _id: a._id,
+        title: a.title,
+        summary: a.summary || "",
+        url: `${SITE_URL}/article/${encodeURIComponent(a.slug)}`,
+        imageUrl: a.thumbImage || a.imageUrl || "",
+      })),
+    }));
+
+  const dateLabel = periodStart(key).toLocaleDateString("en-US", {
+    ...(period === "weekly" ? {} : { weekday: "long" }),
+    month: "long",
+    day: "numeric",
+    year: "numeric",
+    timeZone: "UTC",
+  });
+  const label = period === "weekly" ? `week of ${dateLabel}` : dateLabel;
+
+  return { key, period, label, from, to, sections, ...digestEmail({ dateLabel: label, sections, period }) };
+}
+
+/** Compose + store the digest for `key` (re-renders until the first deliveries were queued). */
+async function buildDigest(key = utcDateKey()) {
+  const existing = await NewsletterDigest.findOne({ key }).lean();
+  if (existing?.queuedCount) return existing;
+
+  const d = await composeDigest(key);
+  return NewsletterDigest.findOneAndUpdate(
+    { key },
+    {
+      $set: {
+        period: d.period,
+        label: d.label,
+        subject: d.subject,
+        html: d.html,
+        text: d.text,
+        articleIds: d.sections.flatMap((s) => s.articles.map((a) => a._id)),
+        sections: d.sections,
+        builtAt: new Date(),
+      },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  ).lean();
+}
+
+/* -------------------- queueing -------------------- */
+
+/** Queue the double-opt-in mail unless one is already pending or was just sent. */
+async function enqueueConfirm(subscriberId) {
+  const recent = await NewsletterDelivery.findOne({
+    subscriberId,
+    kind: "confirm",
+    $or: [
+      { status: { $in: ["queued", "sending"] } },
+      { status: "sent", sentAt: { $gte: new Date(Date.now() - CONFIRM_RESEND_MIN * 60 * 1000) } },
+    ],
+  }).lean();
+  if (recent) return null;
+  return NewsletterDelivery.create({ subscriberId, kind: "confirm" });
+}
+
+/** Insert one delivery per matching subscriber, in batches; duplicates (unique digest index) are ignored. */
+async function queueForSubscribers(filter, makeDelivery) {
+  let queued = 0;
+  let batch = [];
+  const flush = async () => {
+    if (!batch.length) return;
+    try {
+      const res = await NewsletterDelivery.insertMany(batch, { ordered: false });
+      queued += res.length;
+    } catch (err) {
+      // duplicates (re-runs, overlapping segments) are expected; count what did go in
+      queued += err?.insertedDocs?.length || err?.result?.insertedCount || 0;
+      if (err?.code !== 11000 && !err?.writeErrors) throw err;
+    }
+    batch = [];
+  };
+
+  const cursor = Subscriber.find(filter).select("_id").lean().cursor();
+  for await (const sub of cursor) {
+    batch.push(makeDelivery(sub));
+    if (batch.length >= 500) await flush();
+  }
+  await flush();
+  return queued;
+}
+
+/** segment: NewsletterSegment id/slug (or a loaded doc). Returns [filter, segment] or throws on unknown ids. */
+async function withSegment(filter, segment) {
+  if (!segment) return [filter, null];
+  const seg = typeof segment === "object" && segment.rules ? segment : await findSegment(segment);
+  if (!seg) {
+    const err = new Error("Unknown segment");
+    err.status = 400;
+    throw err;
+  }
+  return [{ $and: [filter, segmentQuery(seg.rules)] }, seg];
+}
+
+/**
+ * Build the digest for `key` (daily "YYYY-MM-DD" or weekly "YYYY-Www") and queue it for
+ * confirmed subscribers on that frequency.
+ *  - without a segment the send is claimed via NewsletterDigest.queuedAt, so it runs once
+ *    per period even with several instances
+ *  - with a segment only that audience is queued; a later full send skips anyone who already has it
+ */
+async function enqueueDigest(key = utcDateKey(), { force = false, segment = null } = {}) {
+  const period = periodOf(key);
+  const [filter, seg] = await withSegment(
+    {
+      status: "confirmed",
+      // legacy subscribers have no preferences and are treated as "daily"
+      "preferences.frequency": period === "weekly" ? "weekly" : { $in: ["daily", null] },
+    },
+    segment
+  );
+
+  const existing = await NewsletterDigest.findOne({ key }).select("queuedAt").lean();
+  if (existing?.queuedAt && !force && !seg) return { ok: true, key, skipped: "already_queued", queued: 0 };
+
+  const digest = await buildDigest(key);
+  if (!digest.articleIds?.length) {
+    // nothing to send; mark the period done so the cron doesn't rebuild every tick (force retries)
+    if (!seg) await NewsletterDigest.updateOne({ key, queuedAt: null }, { $set: { queuedAt: new Date() } });
+    return { ok: true, key, skipped: "no_articles", queued: 0 };
+  }
+
+  if (!existing?.queuedAt && !seg) {
+    const claimed = await NewsletterDigest.findOneAndUpdate(
+      { key, queuedAt: null },
+      { $set: { queuedAt: new Date() } },
+      { new: true }
+    ).lean();
+    if (!claimed) return { ok: true, key, skipped: "already_queued", queued: 0 };
+  }
+
+  const queued = await queueForSubscribers(filter, (sub) => ({
+    subscriberId: sub._id,
+    kind: "digest",
+    digestKey: key,
+    segmentId: seg?._id || null,
+    subject: digest.subject,
+  }));
+
+  await NewsletterDigest.updateOne({ key }, { $inc: { queuedCount: queued } });
+  return { ok: true, key, segment: seg?.slug || null, queued };
+}
+
+/**
+ * Queue a breaking alert for confirmed "breaking" subscribers whose categories include
+ * `categorySlug` (or who didn't pick any), optionally narrowed to a segment.
+ */
+async function enqueueBreakingAlert({ title, summary = "", url = "", categorySlug = "", segment = null }) {
+  const category = slugify(categorySlug);
+  const base = { status: "confirmed", "preferences.frequency": "breaking" };
+  if (category) {
+    base.$or = [
+      { "preferences.categories": category },
+      { "preferences.categories": { $size: 0 } },
+      { "preferences.categories": { $exists: false } },
+    ];
+  }
+  const [filter, seg] = await withSegment(base, segment);
+
+  const alert = { title: String(title).slice(0, 300), summary: String(summary || "").slice(0, 1000), url };
+  const queued = await queueForSubscribers(filter, (sub) => ({
+    subscriberId: sub._id,
+    kind: "breaking",
+    segmentId: seg?._id || null,
+    subject: `Breaking: ${alert.title}`,
+    alert,
+  }));
+  return { ok: true, segment: seg?.slug || null, queued };
+}
+
+/* -------------------- delivery -------------------- */
+
+const digestCache = new Map(); // key → { doc, at }
+
+async function getDigest(key) {
+  const hit = digestCache.get(key);
+  if (hit && Date.now() - hit.at < 10 * 60 * 1000) return hit.doc;
+  const doc = await NewsletterDigest.findOne({ key }).lean();
+  if (doc) digestCache.set(key, { doc, at: Date.now() });
+  return doc;
+}
+
+/** Digest sections for this reader: their categories only (everything if none picked). */
+function sectionsFor(digest, sub) {
+  const picked = sub.preferences?.categories || [];
+  if (!picked.length) return digest.sections || [];
+  return (digest.sections || []).filter((s) => picked.includes(s.categorySlug));
+}
+
+async function renderFor(delivery, sub) {
+  if (delivery.kind === "confirm") {
+    if (sub.status !== "pending" || !sub.token) return { skip: "already_confirmed" };
+    return { message: confirmEmail({ confirmUrl: confirmUrl(sub.token) }) };
+  }
+
+  if (sub.status !== "confirmed") return { skip: "not_confirmed" };
+
+  let content;
+  if (delivery.kind === "breaking") {
+    content = breakingEmail(delivery.alert || {});
+  } else {
+    const digest = await getDigest(delivery.digestKey);
+    if (!digest) throw new Error(`digest ${delivery.digestKey} not found`);
+    const sections = sectionsFor(digest, sub);
+    if (!sections.length) return { skip: "no_matching_categories" };
+    content = digestEmail({ dateLabel: digest.label, sections, period: digest.period });
+  }
+
+  const unsub = unsubscribeUrl(sub._id);
+  const fill = (str) =>
+    str.split("{{unsubscribeUrl}}").join(unsub).split("{{preferencesUrl}}").join(preferencesUrl(sub._id));
+  return {
+    message: {
+      subject: content.subject,
+      html: fill(content.html),
+      text: fill(content.text),
+      headers: {
+        "List-Unsubscribe": `<${unsub}>`,
+        "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+      },
+    },
+  };
+}
+
+async function deliverOne(delivery) {
+  const sub = await Subscriber.findById(delivery.subscriberId).select("+emailEnc").lean();
+  const to = sub ? decryptEmail(sub.emailEnc) : null;
+
+  const skip = async (reason) => {
+    await NewsletterDelivery.updateOne(
+      { _id: delivery._id },
+      { $set: { status: "skipped", lastError: reason, lockedAt: null } }
+    );
+    return "skipped";
+  };
+  if (!sub) return skip("subscriber_missing");
+  if (!to) return skip("no_address");
+
+  try {
+    const { skip: reason, message } = await renderFor(delivery, sub);
+    if (reason) return skip(reason);
+
+    const info = await sendMail({ to, ...message });
+    await NewsletterDelivery.updateOne(
+      { _id: delivery._id },
+      {
+        $set: {
+          status: "sent",
+          sentAt: new Date(),
+          subject: message.subject,
+          transport: info.transport,
+          messageId: info.messageId || "",
+          lastError: "",
+          lockedAt: null,
+        },
+      }
+    );
+    if (delivery.kind === "digest") {
+      await Subscriber.updateOne({ _id: sub._id }, { $set: { lastDigestAt: new Date() } });
+    }
+    return "sent";
+  } catch (err) {
+    const giveUp = delivery.attempts >= MAX_ATTEMPTS;
+    await NewsletterDelivery.updateOne(
+      { _id: delivery._id },
+      {
+        $set: {
+          status: giveUp ? "failed" : "queued",
+          lastError: String(err?.message || err).slice(0, 500),
+          nextAttemptAt: new Date(Date.now() + delivery.attempts * 5 * 60 * 1000),
+          lockedAt: null,
+        },
+      }
+    );
+    console.warn("[newsletter] delivery %s failed (attempt %d):", delivery._id, delivery.attempts, err?.message || err);
+    return giveUp ? "failed" : "retry";
+  }
+}
+
+/** Send up to `limit` due deliveries, oldest first. */
+async function processQueue({ limit = 10 } = {}) {
+  const now = new Date();
+  // release claims from a crashed worker
+  await NewsletterDelivery.updateMany(
+    { status: "sending", lockedAt: { $lt: new Date(now.getTime() - STALE_LOCK_MS) } },
+    { $set: { status: "queued", lockedAt: null } }
+  );
+
+  const counts = { sent: 0, skipped: 0, failed: 0, retry: 0 };
+  for (let i = 0; i < limit; i++) {
+    // eslint-disable-next-line no-await-in-loop
+    const delivery = await NewsletterDelivery.findOneAndUpdate(
+      { status: "queued", nextAttemptAt: { $lte: now } },
+      { $set: { status: "sending", lockedAt: now }, $inc: { attempts: 1 } },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    ).lean();
+    if (!delivery) break;
+    // eslint-disable-next-line no-await-in-loop
+    counts[await deliverOne(delivery)] += 1;
+  }
+  return counts;
+}
+
+module.exports = {
+  encryptEmail,
+  decryptEmail,
+  unsubscribeToken,
+  verifyUnsubscribeToken,
+  unsubscribeUrl,
+  preferencesToken,
+  verifyPreferencesToken,
+  preferencesUrl,
+  utcDateKey,
+  utcWeekKey,
+  isDigestKey,
+  composeDigest,
+  buildDigest,
+  enqueueConfirm,
+  enqueueDigest,
+  enqueueBreakingAlert,
+  processQueue,
+};
@@ -0,0 +1,133 @@
+// backend/src/services/newsletterSegment.service.js
+"use strict";
+
+/**
+ * Subscriber preferences + admin segments
+ * ---------------------------------------
+ * Preferences (categories / frequency / language) are chosen by the reader;
+ * country and signup source are captured at subscribe time. A NewsletterSegment
+ * is a set of rule lists over those fields that compiles to a Mongo filter,
+ * used both for targeted sends and for the admin subscriber list.
+ */
+
+const mongoose = require("mongoose");
+const Subscriber = require("../../models/Subscriber");
+const NewsletterSegment = require("../../models/NewsletterSegment");
+
+const FREQUENCIES = Subscriber.FREQUENCIES;
+const RULE_KEYS = ["categories", "countries", "sources", "frequencies", "languages"];
+
+function toList(v) {
+  if (v == null || v === "") return [];
+  const arr = Array.isArray(v) ? v : String(v).split(",");
+  return Array.from(new Set(arr.map((x) => String(x).trim()).filter(Boolean)));
+}
+
+const slugify = (s) =>
+  String(s || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+/**
+ * Validate reader preferences. Only keys present in `input` are returned,
+ * so the result can be $set directly for partial updates.
+ * Returns { preferences } or { error }.
+ */
+function normalizePreferences(input = {}) {
+  const out = {};
+  if ("categories" in input) out.categories = toList(input.categories).map(slugify).filter(Boolean).slice(0, 50);
+  if ("frequency" in input) {
+    const f = String(input.frequency || "").toLowerCase();
+    if (!FREQUENCIES.includes(f)) return { error: `frequency must be one of: ${FREQUENCIES.join(", ")}` };
+    out.frequency = f;
+  }
+  if ("language" in input) {
+    const lang = String(input.language || "").trim().toLowerCase();
+    if (!/^[a-z]{2}(-[a-z]{2})?$/.test(lang)) return { error: "language must be an ISO code like 'en' or 'pt-br'" };
+    out.language = lang;
+  }
+  return { preferences: out };
+}
+
+function normalizeRules(input = {}) {
+  const rules = {};
+  for (const key of RULE_KEYS) rules[key] = toList(input[key]);
+  rules.categories = rules.categories.map(slugify).filter(Boolean);
+  rules.countries = rules.countries.map((c) => c.toUpperCase().slice(0, 2));
+  rules.frequencies = rules.frequencies.map((f) => f.toLowerCase()).filter((f) => FREQUENCIES.includes(f));
+  rules.languages = rules.languages.map((l) => l.toLowerCase());
+  return rules;
+}
+
+/** Compile segment rules into a Subscriber filter (without the status condition). */
+function segmentQuery(rules = {}) {
+  const q = {};
+  if (rules.categories?.length) q["preferences.categories"] = { $in: rules.categories };
+  if (rules.countries?.length) q.country = { $in: rules.countries };
+  if (rules.sources?.length) q.source = { $in: rules.sources };
+  if (rules.frequencies?.length) {
+    // legacy subscribers have no preferences and are treated as "daily"
+    q["preferences.frequency"] = {
+      $in: rules.frequencies.includes("daily") ? [...rules.frequencies, null] : rules.frequencies,
+    };
+  }
+  if (rules.languages?.length) {
+    q["preferences.language"] = {
+      $in: rules.languages.includes("en") ? [...rules.languages, null] : rules.languages,
+    };
+  }
+  return q;
+}
+
+async function findSegment(idOrSlug) {
+  if (!idOrSlug) return null;
+  const v = String(idOrSlug);
+  return NewsletterSegment.findOne(
+    mongoose.Types.ObjectId.isValid(v) ? { _id: v } : { slug: v.toLowerCase() }
+  ).lean();
+}
+
+/**
+ * Build the admin list filter from query params:
+ * status, frequency, category, language, country, source, segment (id or slug), q (masked email contains)
+ * Returns { filter } or { error }.
+ */
+async function subscriberListFilter(params = {}) {
+  const filter = {};
+  if (params.status) filter.status = { $in: toList(params.status) };
+
+  const direct = segmentQuery(
+    normalizeRules({
+      categories: params.category,
+      countries: params.country,
+      sources: params.source,
+      frequencies: params.frequency,
+      languages: params.language,
+    })
+  );
+  Object.assign(filter, direct);
+
+  if (params.q) {
+    const esc = String(params.q).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    filter.emailMasked = { $regex: esc, $options: "i" };
+  }
+
+  if (params.segment) {
+    const seg = await findSegment(params.segment);
+    if (!seg) return { error: "Unknown segment" };
+    // AND with the segment so explicit filters narrow it further
+    return { filter: { $and: [filter, segmentQuery(seg.rules)] }, segment: seg };
+  }
+  return { filter };
+}
+
+module.exports = {
+  FREQUENCIES,
+  normalizePreferences,
+  normalizeRules,
+  segmentQuery,
+  findSegment,
+  subscriberListFilter,
+  slugify,
+};
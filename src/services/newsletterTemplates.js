@@ -0,0 +1,149 @@
+// backend/src/services/newsletterTemplates.js
+"use strict";
+
+/**
+ * HTML + plain-text templates for newsletter mail.
+ * Kept dependency-free: plain template strings with inline styles (mail clients ignore <style>).
+ */
+
+const SITE_NAME = process.env.NEWSLETTER_SITE_NAME || "Timely Voice";
+
+const escapeHtml = (s = "") =>
+  String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const trunc = (s = "", n) => (s.length > n ? s.slice(0, n - 1) + "…" : s);
+
+function layout({ title, bodyHtml, footerHtml }) {
+  return `<!doctype html>
+<html>
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width"><title>${escapeHtml(title)}</title></head>
+<body style="margin:0;padding:0;background:#f4f4f5;font-family:Arial,Helvetica,sans-serif;color:#18181b;">
+  <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:#f4f4f5;">
+    <tr><td align="center" style="padding:24px 12px;">
+      <table role="presentation" width="600" cellpadding="0" cellspacing="0" style="max-width:600px;width:100%;background:#ffffff;border-radius:6px;">
+        <tr><td style="padding:20px 24px;border-bottom:1px solid #e4e4e7;font-size:20px;font-weight:bold;">${escapeHtml(SITE_NAME)}</td></tr>
+        <tr><td style="padding:20px 24px;">${bodyHtml}</td></tr>
+        <tr><td style="padding:16px 24px;border-top:1px solid #e4e4e7;font-size:12px;color:#71717a;">${footerHtml || ""}</td></tr>
+      </table>
+    </td></tr>
+  </table>
+</body>
+</html>`;
+}
+
+/* -------------------- double opt-in -------------------- */
+
+function confirmEmail({ confirmUrl }) {
+  const subject = `Confirm your ${SITE_NAME} newsletter subscription`;
+  const html = layout({
+    title: subject,
+    bodyHtml: `
+      <p style="font-size:16px;margin:0 0 16px;">Please confirm that you want to receive the ${escapeHtml(SITE_NAME)} newsletter.</p>
+      <p style="margin:0 0 24px;"><a href="${escapeHtml(confirmUrl)}" style="display:inline-block;background:#2563eb;color:#ffffff;padding:10px 18px;border-radius:4px;text-decoration:none;">Confirm subscription</a></p>
+      <p style="font-size:13px;color:#52525b;margin:0;">If you didn't sign up, just ignore this email — you won't hear from us again.</p>`,
+    footerHtml: `Button not working? Open this link: ${escapeHtml(confirmUrl)}`,
+  });
+  const text = [
+    `Please confirm that you want to receive the ${SITE_NAME} newsletter:`,
+    "",
+    confirmUrl,
+    "",
+    "If you didn't sign up, just ignore this email.",
+  ].join("\n");
+  return { subject, html, text };
+}
+
+/* -------------------- daily / weekly digest -------------------- */
+
+/**
+ * sections: [{ category, articles: [{ title, summary, url, imageUrl }] }]
+ * The unsubscribe/preferences links are left as the literals {{unsubscribeUrl}} / {{preferencesUrl}}
+ * and filled in per subscriber at send time.
+ */
+function digestEmail({ dateLabel, sections, period = "daily" }) {
+  const weekly = period === "weekly";
+  const subject = `${SITE_NAME} ${weekly ? "weekly" : "daily"} digest — ${dateLabel}`;
+  const intro = weekly ? `This week's top stories, ${dateLabel}.` : `Today's top stories, ${dateLabel}.`;
+
+  const sectionsHtml = sections
+    .map(
+      (s) => `
+      <h2 style="font-size:17px;margin:24px 0 8px;padding-bottom:4px;border-bottom:2px solid #2563eb;">${escapeHtml(s.category)}</h2>
+      ${s.articles
+        .map(
+          (a) => `
+        <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="margin:0 0 14px;">
+          <tr>
+            ${a.imageUrl ? `<td width="96" valign="top" style="padding-right:12px;"><img src="${escapeHtml(a.imageUrl)}" width="96" alt="" style="display:block;border-radius:4px;"></td>` : ""}
+            <td valign="top">
+              <a href="${escapeHtml(a.url)}" style="font-size:15px;font-weight:bold;color:#18181b;text-decoration:none;">${escapeHtml(a.title)}</a>
+              ${a.summary ? `<p style="font-size:13px;color:#52525b;margin:4px 0 0;">${escapeHtml(trunc(a.summary, 220))}</p>` : ""}
+            </td>
+          </tr>
+        </table>`
+        )
+        .join("")}`
+    )
+    .join("");
+
+  const html = layout({
+    title: subject,
+    bodyHtml: `<p style="font-size:15px;margin:0;">${escapeHtml(intro)}</p>${sectionsHtml}`,
+    footerHtml: subscriberFooter(),
+  });
+
+  const textSections = sections.map((s) =>
+    [
+      s.category.toUpperCase(),
+      ...s.articles.map((a) => `- ${a.title}\n  ${a.url}`),
+    ].join("\n")
+  );
+  const text = [
+    `${SITE_NAME} — ${intro}`,
+    "",
+    textSections.join("\n\n"),
+    "",
+    subscriberFooterText(),
+  ].join("\n");
+
+  return { subject, html, text };
+}
+
+/* -------------------- breaking alert -------------------- */
+
+function breakingEmail({ title, summary, url }) {
+  const subject = `Breaking: ${title}`;
+  const html = layout({
+    title: subject,
+    bodyHtml: `
+      <p style="font-size:12px;font-weight:bold;letter-spacing:1px;color:#dc2626;margin:0 0 8px;">BREAKING NEWS</p>
+      <h1 style="font-size:20px;margin:0 0 12px;">${escapeHtml(title)}</h1>
+      ${summary ? `<p style="font-size:14px;color:#3f3f46;margin:0 0 20px;">${escapeHtml(trunc(summary, 400))}</p>` : ""}
+      ${url ? `<p style="margin:0;"><a href="${escapeHtml(url)}" style="display:inline-block;background:#dc2626;color:#ffffff;padding:10px 18px;border-radius:4px;text-decoration:none;">Read more</a></p>` : ""}`,
+    footerHtml: subscriberFooter(),
+  });
+  const text = [
+    `BREAKING: ${title}`,
+    "",
+    ...(summary ? [trunc(summary, 400), ""] : []),
+    ...(url ? [url, ""] : []),
+    subscriberFooterText(),
+  ].join("\n");
+  return { subject, html, text };
+}
+
+function subscriberFooter() {
+  return `You're receiving this because you subscribed to the ${escapeHtml(SITE_NAME)} newsletter. ` +
+    `<a href="{{preferencesUrl}}" style="color:#71717a;">Manage preferences</a> · ` +
+    `<a href="{{unsubscribeUrl}}" style="color:#71717a;">Unsubscribe</a>`;
+}
+
+function subscriberFooterText() {
+  return ["--", "Manage preferences: {{preferencesUrl}}", "Unsubscribe: {{unsubscribeUrl}}"].join("\n");
+}
+
+module.exports = { confirmEmail, digestEmail, breakingEmail, escapeHtml };
@@ -0,0 +1,180 @@
+// backend/src/services/relatedArticles.service.js
+"use strict";
+
+/**
+ * Related articles for GET /api/articles/:slug/related and the "related" section source.
+ *
+ * Candidates are published articles from the last RELATED_WINDOW_DAYS (365) that share a tag or
+ * the category, plus the best $text matches for the article's keywords. Each is scored:
+ *   3 × shared tags + 2 × shared keywords (textKeywords.extractKeywordsFromText)
+ *   + 1.5 same category + recency (1, halving every RELATED_HALF_LIFE_DAYS = 14)
+ * and only candidates sharing at least a tag, a keyword or the category are kept.
+ *
+ * The ranked list is cached per article for RELATED_CACHE_SECONDS (600); geo targeting
+ * (geoMode/geoAreas, of the source article as well as the candidates) is applied per request
+ * on top of the cache. Without a visitor geo (sections, which are cached for everyone)
+ * geo-targeted articles are left out entirely.
+ */
+
+const Article = require("../models/Article");
+const { extractKeywordsFromText, normTag } = require("./textKeywords");
+const { isAllowedForGeoDoc } = require("../utils/geo");
+
+const WINDOW_DAYS = parseInt(process.env.RELATED_WINDOW_DAYS || "365", 10);
+const HALF_LIFE_DAYS = Number(process.env.RELATED_HALF_LIFE_DAYS || 14);
+const CACHE_TTL_MS = parseInt(process.env.RELATED_CACHE_SECONDS || "600", 10) * 1000;
+const CACHE_MAX = 500; // articles
+const RANKED_MAX = 30; // kept per article, before geo filtering
+const CANDIDATES = 200;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEIGHTS = { tag: 3, keyword: 2, category: 1.5, recency: 1 };
+
+const LIST_FIELDS =
+  "_id title slug summary imageUrl imageAlt cover publishedAt author category categorySlug tags geoMode geoAreas";
+
+const cache = new Map(); // slug -> { at, article, ranked }
+
+function stripHtml(s = "") {
+  return String(s).replace(/<[^>]*>/g, " ").replace(/\s+/g, " ").trim();
+}
+
+const tagSet = (tags) => new Set((Array.isArray(tags) ? tags : []).map(normTag).filter(Boolean));
+const keywordsOf = (a, limit = 12) => extractKeywordsFromText(`${a.title || ""} ${a.summary || ""}`, limit);
+
+function publicFilter(now = new Date()) {
+  return { status: "published", publishedAt: { $lte: now } };
+}
+
+async function findCandidates(article, keywords, now) {
+  const base = {
+    ...publicFilter(now),
+    _id: { $ne: article._id },
+    publishedAt: { $lte: now, $gte: new Date(now.getTime() - WINDOW_DAYS * DAY_MS) },
+  };
+
+  const or = [];
+  if (Array.isArray(article.tags) && article.tags.length) or.push({ tags: { $in: article.tags } });
+  if (article.categorySlug) or.push({ categorySlug: article.categorySlug });
+  else if (article.category) or.push({ category: article.category });
+
+  const [byTags, byText] = await Promise.all([
+    or.length
+      ? Article.find({ ...base, $or: or }, LIST_FIELDS).sort({ publishedAt: -1 }).limit(CANDIDATES).lean().maxTimeMS(5000)
+      : [],
+    keywords.length
+      ? Article.find({ ...base, $text: { $search: keywords.join(" ") } }, LIST_FIELDS)
+          .sort({ score: { $meta: "textScore" } })
+          .limit(CANDIDATES / 2)
+          .lean()
+          .maxTimeMS(5000)
+          .catch((e) => {
+            // fresh DB without the text index: tags/category candidates only
+            console.warn("[related] text candidates skipped:", e?.message || e);
+            return [];
+          })
+      : [],
+  ]);
+
+  const byId = new Map();
+  for (const a of [...byTags, ...byText]) byId.set(String(a._id), a);
+  return [...byId.values()];
+}
+
+function scoreCandidate(c, ctx, now) {
+  const tags = tagSet(c.tags);
+  let sharedTags = 0;
+  for (const t of tags) if (ctx.tags.has(t)) sharedTags += 1;
+
+  let sharedKeywords = 0;
+  for (const k of keywordsOf(c)) if (ctx.keywords.has(k)) sharedKeywords += 1;
+
+  const sameCategory = ctx.categorySlug
+    ? c.categorySlug === ctx.categorySlug
+    : !!ctx.category && c.category === ctx.category;
+
+  if (!sharedTags && !sharedKeywords && !sameCategory) return null;
+
+  const ageDays = Math.max(0, (now - new Date(c.publishedAt)) / DAY_MS);
+  const score =
+    WEIGHTS.tag * sharedTags +
+    WEIGHTS.keyword * sharedKeywords +
+    (sameCategory ? WEIGHTS.category : 0) +
+    WEIGHTS.recency * Math.pow(0.5, ageDays / HALF_LIFE_DAYS);
+
+  return { score: Number(score.toFixed(3)), sharedTags, sharedKeywords, sameCategory };
+}
+
+async function rankRelated(slug, now = new Date()) {
+  const article = await Article.findOne({ slug, ...publicFilter(now) })
+    .select("_id slug title summary body category categorySlug tags geoMode geoAreas")
+    .lean();
+  if (!article) return null;
+
+  const keywords = [
+    ...new Set([
+      ...keywordsOf(article),
+      ...extractKeywordsFromText(stripHtml(article.body).slice(0, 3000), 8),
+    ]),
+  ];
+  const ctx = {
+    tags: tagSet(article.tags),
+    keywords: new Set(keywords),
+    category: article.category || "",
+    categorySlug: article.categorySlug || "",
+  };
+
+  const candidates = await findCandidates(article, keywords, now);
+  const ranked = [];
+  for (const c of candidates) {
+    const s = scoreCandidate(c, ctx, now);
+    if (s) ranked.push({ ...c, related: s });
+  }
+  ranked.sort((a, b) => b.related.score - a.related.score || new Date(b.publishedAt) - new Date(a.publishedAt));
+
+  return {
+    article: { _id: article._id, slug: article.slug, title: article.title, geoMode: article.geoMode, geoAreas: article.geoAreas },
+    ranked: ranked.slice(0, RANKED_MAX),
+  };
+}
+
+async function cachedRanking(slug) {
+  const hit = cache.get(slug);
+  if (hit && Date.now() - hit.at < CACHE_TTL_MS) return hit;
+
+  const fresh = await rankRelated(slug);
+  if (!fresh) {
+    cache.delete(slug);
+    return null;
+  }
+  cache.delete(slug); // re-insert at the end: Map order = age
+  cache.set(slug, { at: Date.now(), ...fresh });
+  while (cache.size > CACHE_MAX) cache.delete(cache.keys().next().value);
+  return cache.get(slug);
+}
+
+/**
+ * Up to `limit` related articles for the article at `slug` (null if it isn't public, or
+ * isn't shown to this visitor). geo: the visitor's req.geo; null hides every geo-targeted article.
+ */
+async function relatedArticles(slug, { limit = 6, geo = null, excludeIds = [] } = {}) {
+  const entry = await cachedRanking(String(slug || "").trim());
+  if (!entry) return null;
+
+  const allowed = (a) => (geo ? isAllowedForGeoDoc(a, geo) : !a.geoMode || a.geoMode === "global");
+  if (!allowed(entry.article)) return null;
+
+  const excluded = new Set(excludeIds.map(String));
+  const visible = entry.ranked.filter((a) => !excluded.has(String(a._id)) && allowed(a));
+  const { geoMode, geoAreas, ...article } = entry.article;
+
+  return {
+    article,
+    cachedAt: new Date(entry.at),
+    items: visible.slice(0, limit).map(({ geoMode, geoAreas, ...a }) => a),
+  };
+}
+
+module.exports = {
+  relatedArticles,
+};
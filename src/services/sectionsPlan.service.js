@@ -2,6 +2,8 @@
 const Section = require("../models/Section");
 const Article = require("../models/Article");
 const Category = require("../models/Category");
+const { TRENDING_SORT } = require("./engagement.service");
+const { relatedArticles } = require("./relatedArticles.service");
 
 /* =============================== Utilities =============================== */
 
@@ -141,7 +143,9 @@ async function runQuery({ query = {}, limit = 4, excludeIds = [] } = {}) {
   const SORT =
     query.sort === "publishedAt_asc"
       ? { publishedAt: 1, _id: 1 }
-      : { publishedAt: -1, _id: -1 };
+      : query.sort === "trending"
+        ? TRENDING_SORT
+        : { publishedAt: -1, _id: -1 };
 
       // Slice / offset (1-based)
 const from1 = Number(query?.sliceFrom) || 1;
@@ -162,6 +166,12 @@ const effLimit = Number.isFinite(to1)
   return rows.map(stripArticleFields);
 }
 
+// "Trending"/"popular" zones rank by reader engagement unless the zone sets its own sort
+function trendingZone(zone) {
+  if (zone?.enable === false) return zone;
+  return { ...(zone || {}), query: { sort: "trending", ...(zone?.query || {}) } };
+}
+
 /* =============================== Plan Builder =============================== */
 
 /**
@@ -169,6 +179,7 @@ const effLimit = Number.isFinite(to1)
  * Accepts either:
  * - { sectionType, sectionValue } (from client)
  * - { targetType, targetValue }  (legacy / internal)
+ * plus { articleSlug } for sections whose feed.source is "related".
  */
 exports.buildPlan = async (params = {}) => {
   // Accept aliases & normalize
@@ -539,7 +550,7 @@ const canonicalItems = await runQuery({
         lead: (await take({ ...(cfg.lead || {}), limit: 1 }, 1)).slice(0, 1),
         rightStack: await take(cfg.rightStack, 2),
         freshStories: await take(cfg.freshStories, 10),
-        popular: await take(cfg.popular, 10),
+        popular: await take(trendingZone(cfg.popular), 10),
       };
 
       out.push({
@@ -667,7 +678,7 @@ const canonicalItems = await runQuery({
             zoneItems.belowGrid = [...zoneItems.belowGrid, ...extra].slice(0, cfg.belowGrid?.limit ?? 6);
           }
           if (trendNeed > 0) {
-            const extra = await take({ ...(cfg.trending || {}), limit: trendNeed }, trendNeed);
+            const extra = await take({ ...trendingZone(cfg.trending), limit: trendNeed }, trendNeed);
             zoneItems.trending = [...zoneItems.trending, ...extra].slice(0, cfg.trending?.limit ?? 10);
           }
         }
@@ -677,7 +688,7 @@ const canonicalItems = await runQuery({
           hero: (await take({ ...(cfg.hero || {}), limit: 1 }, 1)).slice(0, 1),
           sideStack: await take({ ...(cfg.sideStack || {}) }, 3),
           belowGrid: await take({ ...(cfg.belowGrid || {}) }, 6),
-          trending: await take({ ...(cfg.trending || {}) }, 10),
+          trending: await take(trendingZone(cfg.trending), 10),
         };
       }
 
@@ -751,7 +762,9 @@ const canonicalItems = await runQuery({
       const SORT =
         s.feed?.sortBy === "priority"
           ? { priority: -1, publishedAt: -1, _id: -1 }
-          : { publishedAt: -1, _id: -1 };
+          : s.feed?.sortBy === "trending"
+            ? TRENDING_SORT
+            : { publishedAt: -1, _id: -1 };
 
           // Enforce exactly two items for m10
 if (s.template === "m10") s.capacity = 2;
@@ -771,12 +784,24 @@ const effCap = Math.min(capClamp, Number.isFinite(rangeCount) ? rangeCount : cap
 // How many auto items still needed after pins
 const need = Math.max(0, effCap - orderedPins.length);
 
-autoItems = await Article.find(q, PROJECTION_LIST)
-  .sort(SORT)
-  .skip(offset)
-  .limit(need)
-  .lean({ getters: true })
-  .maxTimeMS(5000);
+if (s.feed?.source === "related") {
+  // Plans are cached for every visitor: relatedArticles() leaves out geo-targeted stories
+  const relatedTo = String(s.feed.relatedTo || params.articleSlug || "").trim();
+  const related = relatedTo
+    ? await relatedArticles(relatedTo, {
+        limit: offset + need,
+        excludeIds: orderedPins.map((a) => a._id),
+      })
+    : null;
+  autoItems = related ? related.items.slice(offset) : [];
+} else {
+  autoItems = await Article.find(q, PROJECTION_LIST)
+    .sort(SORT)
+    .skip(offset)
+    .limit(need)
+    .lean({ getters: true })
+    .maxTimeMS(5000);
+}
 
     }
 
@@ -6,7 +6,7 @@ exports.toSlug = (text) => slugify(text, { lower: true, strict: true });
 exports.ensureUniqueArticleSlug = async (title, categoryId) => {
   const base = exports.toSlug(title);
   let slug = base, i = 1;
-  while (await Article.exists({ slug, category: categoryId })) {
+  while (await Article.exists({ slug, category: categoryId }).setOptions({ withDeleted: true })) {
     slug = `${base}-${i++}`;
   }
   return slug;
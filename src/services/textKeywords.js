@@ -190,7 +190,7 @@ function detectCountries(text) {
   return Array.from(out);
 }
 
-// Internal helper: extract keywords from one string
+// Most frequent non-stopword terms of one string (also used to match related articles)
 function extractKeywordsFromText(text, limit = 12) {
   const s = String(text || "")
     .toLowerCase()
@@ -293,4 +293,8 @@ module.exports = {
   // used by imageStrategy
   extractKeywords,
   normalizeToken,
+
+  // used by relatedArticles.service
+  extractKeywordsFromText,
+  normTag,
 };
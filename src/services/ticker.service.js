@@ -0,0 +1,98 @@
+// backend/src/services/ticker.service.js
+"use strict";
+
+/**
+ * Live ticker values.
+ *
+ *  refreshTickerItems({ ids })  pull fresh quotes for provider-backed items ("ticker-refresh" job)
+ *  withStaleness(item)          read-side stale flag (covers a refresher that stopped running)
+ *
+ * An item is stale when its last successful refresh is older than TICKER_STALE_SECONDS.
+ */
+
+const TickerItem = require("../../models/TickerItem");
+const { getProvider } = require("./tickerProviders");
+
+const STALE_SEC = parseInt(process.env.TICKER_STALE_SECONDS || "1800", 10);
+
+function isStale(item, now = new Date()) {
+  if (!item?.provider) return false;
+  if (!item.refreshedAt) return true;
+  return now.getTime() - new Date(item.refreshedAt).getTime() > STALE_SEC * 1000;
+}
+
+function withStaleness(item, now = new Date()) {
+  return item?.provider ? { ...item, stale: isStale(item, now) } : item;
+}
+
+function directionFor(item, quote) {
+  const delta = quote.change != null ? quote.change : item.numericValue != null ? quote.value - item.numericValue : null;
+  if (delta == null) return "";
+  return delta > 0 ? "up" : delta < 0 ? "down" : "flat";
+}
+
+async function fetchForProvider(name, items) {
+  const provider = getProvider(name);
+  if (!provider) throw new Error(`unknown provider "${name}"`);
+  return provider.fetchQuotes([...new Set(items.map((i) => i.symbol))]);
+}
+
+async function refreshTickerItems({ ids = null, now = new Date(), log = () => {} } = {}) {
+  const filter = { provider: { $ne: "" } };
+  if (ids?.length) filter._id = { $in: ids };
+  else filter.active = true;
+
+  const items = await TickerItem.find(filter).lean();
+  const byProvider = new Map();
+  for (const item of items) {
+    if (!byProvider.has(item.provider)) byProvider.set(item.provider, []);
+    byProvider.get(item.provider).push(item);
+  }
+
+  let refreshed = 0;
+  let failed = 0;
+  for (const [name, group] of byProvider) {
+    let quotes;
+    try {
+      quotes = await fetchForProvider(name, group);
+    } catch (e) {
+      quotes = new Map(group.map((i) => [i.symbol, e]));
+    }
+
+    for (const item of group) {
+      const q = quotes.get(item.symbol) || new Error(`no quote for "${item.symbol}"`);
+
+      if (q instanceof Error) {
+        failed++;
+        log(`${item.label} (${name}:${item.symbol}) failed: ${q.message}`);
+        await TickerItem.updateOne({ _id: item._id }, { $set: { refreshError: String(q.message).slice(0, 300) } })
+          .setOptions({ skipStreamEvent: true });
+        continue;
+      }
+
+      refreshed++;
+      const value = String(q.display).slice(0, 80);
+      const $set = { value, numericValue: q.value, direction: directionFor(item, q), refreshedAt: now, refreshError: "", stale: false };
+      const changed = value !== item.value || $set.direction !== item.direction || item.stale;
+      // only real changes go out on /api/stream
+      await TickerItem.findOneAndUpdate({ _id: item._id }, { $set }, { new: true })
+        .setOptions({ skipStreamEvent: !changed });
+    }
+  }
+
+  const cutoff = new Date(now.getTime() - STALE_SEC * 1000);
+  const staleRes = await TickerItem.updateMany(
+    { provider: { $ne: "" }, stale: false, $or: [{ refreshedAt: null }, { refreshedAt: { $lt: cutoff } }] },
+    { $set: { stale: true } }
+  );
+  if (staleRes.modifiedCount) log(`flagged ${staleRes.modifiedCount} item(s) stale (no refresh since ${cutoff.toISOString()})`);
+
+  return { items: items.length, refreshed, failed, markedStale: staleRes.modifiedCount || 0 };
+}
+
+module.exports = {
+  STALE_SEC,
+  isStale,
+  withStaleness,
+  refreshTickerItems,
+};
@@ -0,0 +1,56 @@
+// backend/src/services/tickerProviders/alphaVantage.js
+"use strict";
+
+/**
+ * "alphavantage": stock / index / FX quotes (GLOBAL_QUOTE), symbol as Alpha Vantage
+ * expects it (e.g. "RELIANCE.BSE", "IBM"). Needs ALPHAVANTAGE_API_KEY; the free tier
+ * is heavily rate limited, so keep TICKER_REFRESH_INTERVAL_SECONDS generous.
+ */
+
+const API = "https://www.alphavantage.co/query";
+const TIMEOUT_MS = 10_000;
+
+function isConfigured() {
+  return !!process.env.ALPHAVANTAGE_API_KEY;
+}
+
+async function fetchOne(symbol) {
+  const url = `${API}?function=GLOBAL_QUOTE&symbol=${encodeURIComponent(symbol)}&apikey=${encodeURIComponent(process.env.ALPHAVANTAGE_API_KEY)}`;
+  const res = await fetch(url, { signal: AbortSignal.timeout(TIMEOUT_MS) });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+
+  const json = await res.json();
+  if (json.Note || json.Information) throw new Error(String(json.Note || json.Information).slice(0, 200));
+  const q = json["Global Quote"] || {};
+  const price = Number(q["05. price"]);
+  if (!Number.isFinite(price)) throw new Error(`no quote for "${symbol}"`);
+
+  const change = Number(String(q["10. change percent"] || "").replace("%", ""));
+  const pct = Number.isFinite(change) ? change : null;
+  return {
+    value: price,
+    display: pct == null ? price.toFixed(2) : `${price.toFixed(2)} (${pct >= 0 ? "+" : ""}${pct.toFixed(2)}%)`,
+    ...(pct != null ? { change: pct } : {}),
+  };
+}
+
+async function fetchQuotes(symbols) {
+  if (!isConfigured()) throw new Error("ALPHAVANTAGE_API_KEY is not set");
+  const out = new Map();
+  // one request per symbol; sequential to stay inside the provider's rate limit
+  for (const symbol of symbols) {
+    try {
+      out.set(symbol, await fetchOne(symbol));
+    } catch (e) {
+      out.set(symbol, e);
+    }
+  }
+  return out;
+}
+
+module.exports = {
+  name: "alphavantage",
+  types: ["stock"],
+  isConfigured,
+  fetchQuotes,
+};
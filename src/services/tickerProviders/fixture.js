@@ -0,0 +1,48 @@
+// backend/src/services/tickerProviders/fixture.js
+"use strict";
+
+/**
+ * "fixture": quotes from a JSON file, for local development and demos.
+ * TICKER_FIXTURE_FILE overrides the bundled fixtures.json. The file is re-read on every
+ * refresh, so editing it is enough to see the ticker move.
+ *
+ *   { "NIFTY": { "value": 22450.1, "change": 0.7 }, "Delhi": { "value": 35, "unit": "°C" } }
+ */
+
+const fs = require("fs/promises");
+const path = require("path");
+
+const FILE = process.env.TICKER_FIXTURE_FILE || path.join(__dirname, "fixtures.json");
+
+function display(q) {
+  const n = Number(q.value);
+  const num = Number.isInteger(n) ? String(n) : n.toFixed(2);
+  if (q.unit) return `${num}${q.unit}`;
+  if (q.change == null) return num;
+  const change = Number(q.change);
+  return `${num} (${change >= 0 ? "+" : ""}${change.toFixed(2)}%)`;
+}
+
+async function fetchQuotes(symbols) {
+  const data = JSON.parse(await fs.readFile(FILE, "utf8"));
+  const out = new Map();
+  for (const symbol of symbols) {
+    const q = data[symbol];
+    if (!q || !Number.isFinite(Number(q.value))) {
+      out.set(symbol, new Error(`no fixture for "${symbol}"`));
+      continue;
+    }
+    out.set(symbol, {
+      value: Number(q.value),
+      display: q.display || display(q),
+      ...(q.change != null ? { change: Number(q.change) } : {}),
+    });
+  }
+  return out;
+}
+
+module.exports = {
+  name: "fixture",
+  types: ["stock", "weather"],
+  fetchQuotes,
+};
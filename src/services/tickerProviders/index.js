@@ -0,0 +1,44 @@
+// backend/src/services/tickerProviders/index.js
+"use strict";
+
+/**
+ * Ticker data providers.
+ *
+ * A provider is { name, types, fetchQuotes(symbols) } where
+ *  - types:  which TickerItem types it can serve ("stock", "weather")
+ *  - fetchQuotes(symbols) resolves to a Map(symbol -> quote | Error), one entry per symbol:
+ *      { value: Number, display: String, change?: Number }
+ *    `change` is the provider's own move (e.g. day change %); without it the refresher
+ *    compares with the previous value to work out the direction.
+ *
+ * Built in: "fixture" (local JSON file, no network), "alphavantage" (stocks,
+ * ALPHAVANTAGE_API_KEY), "open-meteo" (weather, no key). More can be added with
+ * registerProvider().
+ */
+
+const providers = new Map();
+
+function registerProvider(provider) {
+  if (!provider?.name || typeof provider.fetchQuotes !== "function") {
+    throw new Error("ticker provider needs a name and fetchQuotes()");
+  }
+  providers.set(provider.name, provider);
+}
+
+function getProvider(name) {
+  return providers.get(String(name || "")) || null;
+}
+
+function listProviders() {
+  return [...providers.values()].map((p) => ({ name: p.name, types: p.types, configured: p.isConfigured ? p.isConfigured() : true }));
+}
+
+registerProvider(require("./fixture"));
+registerProvider(require("./alphaVantage"));
+registerProvider(require("./openMeteo"));
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  listProviders,
+};
@@ -0,0 +1,62 @@
+// backend/src/services/tickerProviders/openMeteo.js
+"use strict";
+
+/**
+ * "open-meteo": current temperature, no API key. The symbol is a place name
+ * ("Delhi", "London, GB") or "lat,lon" ("28.61,77.21"); names are geocoded once per process.
+ */
+
+const GEOCODE_API = "https://geocoding-api.open-meteo.com/v1/search";
+const FORECAST_API = "https://api.open-meteo.com/v1/forecast";
+const TIMEOUT_MS = 10_000;
+
+const geocodeCache = new Map(); // symbol -> { latitude, longitude }
+
+async function getJson(url) {
+  const res = await fetch(url, { signal: AbortSignal.timeout(TIMEOUT_MS) });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return res.json();
+}
+
+async function locate(symbol) {
+  const m = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/.exec(symbol);
+  if (m) return { latitude: Number(m[1]), longitude: Number(m[2]) };
+  if (geocodeCache.has(symbol)) return geocodeCache.get(symbol);
+
+  const [name, country] = symbol.split(",").map((s) => s.trim());
+  const json = await getJson(`${GEOCODE_API}?name=${encodeURIComponent(name)}&count=10&format=json`);
+  const results = json.results || [];
+  const hit = (country && results.find((r) => String(r.country_code).toUpperCase() === country.toUpperCase())) || results[0];
+  if (!hit) throw new Error(`unknown location "${symbol}"`);
+
+  const loc = { latitude: hit.latitude, longitude: hit.longitude };
+  geocodeCache.set(symbol, loc);
+  return loc;
+}
+
+async function fetchOne(symbol) {
+  const { latitude, longitude } = await locate(symbol);
+  const json = await getJson(`${FORECAST_API}?latitude=${latitude}&longitude=${longitude}&current=temperature_2m`);
+  const t = Number(json.current?.temperature_2m);
+  if (!Number.isFinite(t)) throw new Error(`no reading for "${symbol}"`);
+  const unit = json.current_units?.temperature_2m || "°C";
+  return { value: t, display: `${Math.round(t)}${unit}` };
+}
+
+async function fetchQuotes(symbols) {
+  const out = new Map();
+  for (const symbol of symbols) {
+    try {
+      out.set(symbol, await fetchOne(symbol));
+    } catch (e) {
+      out.set(symbol, e);
+    }
+  }
+  return out;
+}
+
+module.exports = {
+  name: "open-meteo",
+  types: ["weather"],
+  fetchQuotes,
+};
@@ -0,0 +1,417 @@
+// backend/src/services/topics.service.js
+"use strict";
+
+/**
+ * Story clusters (Topic): every article we ran on one developing story.
+ *
+ *  assignTopic(article)              put a newly published article into a cluster (Article hooks)
+ *  recountTopic(topicId)             refresh articleCount / dates / keys (status changes, trash, restore)
+ *  assignPendingTopics(opts)         the "topic-assign" job: sweep up published articles without one
+ *  listTopics / topicPage            GET /api/topics, GET /api/topics/:slug (timeline of coverage)
+ *  listAdminTopics / adminTopic      GET /api/admin/topics[/:id]
+ *  updateTopic / mergeTopics / splitTopic   editor fixes (PATCH, /merge, /split)
+ *
+ * An article's topic key is the one aiArticleGuard computed for the RSS seed it was generated
+ * from (RssTopicFingerprint.articleIds), else computeTopicKey() over its own title and summary.
+ * It joins the active topic that already holds that key, else the closest topic in the same
+ * category that had coverage within TOPIC_MATCH_WINDOW_DAYS (7) of it, when one of that topic's
+ * keys reaches TOPIC_MATCH_THRESHOLD (0.5) Jaccard similarity; otherwise it starts a new topic.
+ * Articles keep their topic on later edits; only merge/split move them.
+ *
+ * Service calls that can be refused return { error, status }.
+ */
+
+const mongoose = require("mongoose");
+const Article = require("../models/Article");
+const Topic = require("../models/Topic");
+const RssTopicFingerprint = require("../models/RssTopicFingerprint");
+const { computeTopicKey, jaccardSimilarity } = require("./aiArticleGuard");
+const { toSlug } = require("./slug.service");
+const { isAllowedForGeoDoc } = require("../utils/geo");
+const { publish } = require("./eventStream.service");
+
+const WINDOW_DAYS = parseInt(process.env.TOPIC_MATCH_WINDOW_DAYS || "7", 10);
+const MATCH_THRESHOLD = Number(process.env.TOPIC_MATCH_THRESHOLD || 0.5);
+// GET /api/topics lists stories with at least this many pieces
+const MIN_ARTICLES = parseInt(process.env.TOPIC_MIN_ARTICLES || "2", 10);
+const PAGE_MAX_ARTICLES = 200;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const LIST_FIELDS =
+  "_id title slug summary imageUrl imageAlt cover publishedAt updatedAt author category categorySlug tags live geoMode geoAreas";
+
+function isValidId(id) {
+  return mongoose.Types.ObjectId.isValid(String(id || ""));
+}
+
+const keyTokens = (key) => String(key || "").split(" ").filter(Boolean);
+
+function tokensOfKeys(keys) {
+  return [...new Set(keys.flatMap(keyTokens))];
+}
+
+function publicTopic(t) {
+  return {
+    _id: t._id,
+    slug: t.slug,
+    title: t.title,
+    summary: t.summary || "",
+    category: t.category || null,
+    articleCount: t.articleCount || 0,
+    firstPublishedAt: t.firstPublishedAt,
+    lastPublishedAt: t.lastPublishedAt,
+  };
+}
+
+async function uniqueTopicSlug(title) {
+  const base = (toSlug(String(title || "")) || "topic").slice(0, 80).replace(/-+$/, "");
+  let slug = base;
+  for (let i = 2; await Topic.exists({ slug }); i++) slug = `${base}-${i}`;
+  return slug;
+}
+
+/* ============================== Assignment ============================== */
+
+async function topicKeyFor(article) {
+  const fp = await RssTopicFingerprint.findOne({ articleIds: article._id }).select("key").lean();
+  if (fp?.key) return fp.key;
+  return computeTopicKey({ title: article.title, summary: article.summary });
+}
+
+async function findTopicFor(key, article) {
+  const exact = await Topic.findOne({ status: "active", keys: key }).sort({ lastPublishedAt: -1 });
+  if (exact) return exact;
+
+  const tokens = keyTokens(key);
+  const at = new Date(article.publishedAt || Date.now());
+  const candidates = await Topic.find({
+    status: "active",
+    tokens: { $in: tokens },
+    lastPublishedAt: { $gte: new Date(at.getTime() - WINDOW_DAYS * DAY_MS) },
+  })
+    .sort({ lastPublishedAt: -1 })
+    .limit(50);
+
+  let best = null;
+  let bestScore = 0;
+  for (const t of candidates) {
+    // same scoping as the guard: a category only clusters with itself
+    if (t.category && article.category && t.category !== article.category) continue;
+    for (const k of t.keys) {
+      const sim = jaccardSimilarity(tokens, keyTokens(k));
+      if (sim > bestScore) {
+        best = t;
+        bestScore = sim;
+      }
+    }
+  }
+  return bestScore >= MATCH_THRESHOLD ? best : null;
+}
+
+/**
+ * Returns { topic, created } or null (not published, already assigned, no usable key,
+ * or another writer got there first). Safe to call more than once per article.
+ */
+async function assignTopic(article) {
+  if (!article?._id || article.status !== "published" || article.topic) return null;
+
+  const key = await topicKeyFor(article);
+  if (!key) return null;
+
+  let topic = await findTopicFor(key, article);
+  const created = !topic;
+  const publishedAt = article.publishedAt ? new Date(article.publishedAt) : new Date();
+  if (created) {
+    topic = new Topic({
+      slug: await uniqueTopicSlug(article.title),
+      title: article.title,
+      summary: String(article.summary || "").slice(0, 300),
+      category: article.category || null,
+      keys: [key],
+      tokens: keyTokens(key),
+      articleCount: 1,
+      firstPublishedAt: publishedAt,
+      lastPublishedAt: publishedAt,
+    });
+  }
+
+  // Claim the article first: hooks and the sweep may race, and a write inside an uncommitted
+  // transaction isn't visible yet (the sweep picks it up later)
+  const claim = await Article.updateOne(
+    { _id: article._id, status: "published", topic: null },
+    { $set: { topic: topic._id, topicSlug: topic.slug, topicKey: key } },
+    { timestamps: false }
+  );
+  if (!claim.modifiedCount) return null;
+
+  try {
+    if (created) {
+      await topic.save();
+    } else {
+      await Topic.updateOne(
+        { _id: topic._id },
+        {
+          $addToSet: { keys: key, tokens: { $each: keyTokens(key) } },
+          $inc: { articleCount: 1 },
+          $min: { firstPublishedAt: publishedAt },
+          $max: { lastPublishedAt: publishedAt },
+        }
+      );
+    }
+  } catch (err) {
+    await Article.updateOne(
+      { _id: article._id, topic: topic._id },
+      { $set: { topic: null, topicSlug: null, topicKey: "" } },
+      { timestamps: false }
+    );
+    throw err;
+  }
+
+  return { topic, created };
+}
+
+/** "topic-assign": oldest first, so clusters grow in publishing order. */
+async function assignPendingTopics({ lookbackDays = 3, limit = 500, log = () => {} } = {}) {
+  const now = new Date();
+  const rows = await Article.find({
+    status: "published",
+    topic: null,
+    publishedAt: { $gte: new Date(now.getTime() - lookbackDays * DAY_MS), $lte: now },
+  })
+    .select("_id title summary category status publishedAt topic")
+    .sort({ publishedAt: 1 })
+    .limit(limit)
+    .lean();
+
+  let assigned = 0;
+  let created = 0;
+  let failed = 0;
+  for (const a of rows) {
+    try {
+      const r = await assignTopic(a);
+      if (!r) continue;
+      assigned += 1;
+      if (r.created) created += 1;
+    } catch (err) {
+      failed += 1;
+      log(`article ${a._id}: ${err?.message || err}`);
+    }
+  }
+  return { scanned: rows.length, assigned, created, failed };
+}
+
+/** Article count, coverage dates and keys from the articles the topic holds now. */
+async function recountTopic(topicId) {
+  const [stats] = await Article.aggregate([
+    { $match: { topic: new mongoose.Types.ObjectId(String(topicId)), status: "published" } },
+    {
+      $group: {
+        _id: null,
+        count: { $sum: 1 },
+        first: { $min: "$publishedAt" },
+        last: { $max: "$publishedAt" },
+      },
+    },
+  ]);
+  const keys = (await Article.distinct("topicKey", { topic: topicId })).filter(Boolean);
+
+  await Topic.updateOne(
+    { _id: topicId },
+    {
+      $set: {
+        articleCount: stats?.count || 0,
+        firstPublishedAt: stats?.first || null,
+        lastPublishedAt: stats?.last || null,
+        keys,
+        tokens: tokensOfKeys(keys),
+      },
+    }
+  );
+}
+
+/* ============================== Public ============================== */
+
+async function listTopics({ limit = 20, skip = 0, category = "" } = {}) {
+  const q = { status: "active", articleCount: { $gte: MIN_ARTICLES } };
+  if (category) q.category = category;
+  const rows = await Topic.find(q).sort({ lastPublishedAt: -1 }).skip(skip).limit(limit).lean();
+  return rows.map(publicTopic);
+}
+
+/**
+ * Topic page: the topic and its coverage grouped by UTC day, newest first.
+ * Returns null (unknown slug), { redirectTo } (merged topic) or { topic, items, timeline }.
+ */
+async function topicPage(rawSlug, { geo = null } = {}) {
+  const slug = String(rawSlug || "").trim();
+  let topic = await Topic.findOne({ slug }).lean();
+  if (!topic) return null;
+
+  // merges re-point older merges, but follow a few hops in case one raced
+  for (let hops = 0; topic?.status === "merged" && hops < 5; hops++) {
+    topic = topic.mergedInto ? await Topic.findById(topic.mergedInto).lean() : null;
+  }
+  if (!topic || topic.status !== "active") return null;
+  if (topic.slug !== slug) return { redirectTo: topic.slug };
+
+  const now = new Date();
+  const rows = await Article.find({ topic: topic._id, status: "published", publishedAt: { $lte: now } })
+    .select(LIST_FIELDS)
+    .sort({ publishedAt: -1 })
+    .limit(PAGE_MAX_ARTICLES)
+    .lean();
+
+  const items = rows
+    .filter((a) => !geo || isAllowedForGeoDoc(a, geo))
+    .map(({ geoMode, geoAreas, ...a }) => a);
+
+  const byDay = new Map();
+  for (const a of items) {
+    const day = new Date(a.publishedAt).toISOString().slice(0, 10);
+    if (!byDay.has(day)) byDay.set(day, []);
+    byDay.get(day).push(a);
+  }
+
+  return {
+    topic: publicTopic(topic),
+    items,
+    timeline: [...byDay.entries()].map(([date, articles]) => ({ date, articles })),
+  };
+}
+
+/* ============================== Admin ============================== */
+
+function changed(topic, action) {
+  publish(`topic.${action}`, { _id: topic._id, slug: topic.slug, title: topic.title });
+}
+
+async function listAdminTopics({ q = "", status = "active", limit = 50, skip = 0 } = {}) {
+  const where = {};
+  if (status) where.status = status;
+  if (q) {
+    const re = new RegExp(String(q).trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
+    where.$or = [{ title: re }, { slug: re }, { keys: re }];
+  }
+  const [items, total] = await Promise.all([
+    Topic.find(where).sort({ lastPublishedAt: -1, _id: -1 }).skip(skip).limit(limit).lean(),
+    Topic.countDocuments(where),
+  ]);
+  return { items, total };
+}
+
+/** Returns { topic, articles } or { error, status }. */
+async function adminTopic(id) {
+  if (!isValidId(id)) return { error: "Bad id", status: 400 };
+  const topic = await Topic.findById(id).lean();
+  if (!topic) return { error: "Not found", status: 404 };
+  const articles = await Article.find({ topic: topic._id })
+    .select("_id title slug status publishedAt category topicKey")
+    .sort({ publishedAt: -1 })
+    .limit(500)
+    .lean();
+  return { topic, articles };
+}
+
+/** Title/summary edits; the slug stays put so shared links keep working. */
+async function updateTopic(id, input = {}) {
+  if (!isValidId(id)) return { error: "Bad id", status: 400 };
+  const $set = {};
+  if (input.title !== undefined) {
+    const title = String(input.title || "").trim();
+    if (!title) return { error: "title cannot be empty", status: 400 };
+    $set.title = title.slice(0, 200);
+  }
+  if (input.summary !== undefined) $set.summary = String(input.summary || "").trim().slice(0, 1000);
+  if (!Object.keys($set).length) return { error: "Nothing to update", status: 400 };
+
+  const topic = await Topic.findOneAndUpdate({ _id: id, status: "active" }, { $set }, { new: true }).lean();
+  if (!topic) return { error: "Not found", status: 404 };
+  changed(topic, "updated");
+  return { topic };
+}
+
+/**
+ * Fold `sourceId` into `intoId`: its articles and keys move over, and its slug
+ * redirects to the target. Returns { topic } or { error, status }.
+ */
+async function mergeTopics(sourceId, intoId) {
+  if (!isValidId(sourceId) || !isValidId(intoId)) return { error: "Bad id", status: 400 };
+  if (String(sourceId) === String(intoId)) return { error: "Cannot merge a topic into itself", status: 400 };
+
+  const [source, target] = await Promise.all([
+    Topic.findOne({ _id: sourceId, status: "active" }).lean(),
+    Topic.findOne({ _id: intoId, status: "active" }).lean(),
+  ]);
+  if (!source || !target) return { error: "Both topics must exist and be active", status: 404 };
+
+  await Article.updateMany(
+    { topic: source._id },
+    { $set: { topic: target._id, topicSlug: target.slug } },
+    { timestamps: false }
+  );
+  await Topic.updateOne(
+    { _id: source._id },
+    { $set: { status: "merged", mergedInto: target._id, keys: [], tokens: [], articleCount: 0 } }
+  );
+  // earlier merges into the source now land on the target in one hop
+  await Topic.updateMany({ mergedInto: source._id }, { $set: { mergedInto: target._id } });
+  await recountTopic(target._id);
+
+  const topic = await Topic.findById(target._id).lean();
+  changed(topic, "merged");
+  return { topic, merged: { _id: source._id, slug: source.slug } };
+}
+
+/**
+ * Move `articleIds` out of topic `id` into a new topic titled `title`
+ * (default: the newest moved article's title). Returns { topic, from } or { error, status }.
+ */
+async function splitTopic(id, { articleIds = [], title = "" } = {}) {
+  if (!isValidId(id)) return { error: "Bad id", status: 400 };
+  const ids = [...new Set((Array.isArray(articleIds) ? articleIds : []).map(String))];
+  if (!ids.length || !ids.every(isValidId)) return { error: "articleIds must be a non-empty list of ids", status: 400 };
+
+  const source = await Topic.findOne({ _id: id, status: "active" }).lean();
+  if (!source) return { error: "Not found", status: 404 };
+
+  const [moving, total] = await Promise.all([
+    Article.find({ _id: { $in: ids }, topic: source._id }).select("_id title summary publishedAt").sort({ publishedAt: -1 }).lean(),
+    Article.countDocuments({ topic: source._id }),
+  ]);
+  if (!moving.length) return { error: "None of those articles are in this topic", status: 400 };
+  if (moving.length === total) return { error: "A split must leave at least one article in the topic", status: 400 };
+
+  const name = String(title || "").trim() || moving[0].title;
+  const topic = await Topic.create({
+    slug: await uniqueTopicSlug(name),
+    title: name.slice(0, 200),
+    summary: String(moving[0].summary || "").slice(0, 300),
+    category: source.category,
+    origin: "manual",
+  });
+
+  await Article.updateMany(
+    { _id: { $in: moving.map((a) => a._id) }, topic: source._id },
+    { $set: { topic: topic._id, topicSlug: topic.slug } },
+    { timestamps: false }
+  );
+  await Promise.all([recountTopic(source._id), recountTopic(topic._id)]);
+
+  const [fresh, from] = await Promise.all([Topic.findById(topic._id).lean(), Topic.findById(source._id).lean()]);
+  changed(fresh, "split");
+  return { topic: fresh, from };
+}
+
+module.exports = {
+  assignTopic,
+  assignPendingTopics,
+  recountTopic,
+  listTopics,
+  topicPage,
+  listAdminTopics,
+  adminTopic,
+  updateTopic,
+  mergeTopics,
+  splitTopic,
+};
@@ -0,0 +1,168 @@
+// backend/src/services/trash.service.js
+"use strict";
+
+/**
+ * Trash bin for articles, media and comments.
+ *
+ *  trashItem(type, id, actor)  soft delete (deletedAt/deletedBy; see models/plugins/softDelete)
+ *  restoreItem(type, id)       back out of the trash
+ *  listTrash(type, opts)       newest-trashed first, with the date each item will be purged
+ *  purgeItem(type, id)         permanent delete + cleanup (Cloudinary asset for media, reactions, revisions)
+ *  purgeExpired()              everything trashed more than TRASH_RETENTION_DAYS ago ("trash-purge" job)
+ */
+
+const mongoose = require("mongoose");
+const cloudinary = require("cloudinary").v2;
+const Article = require("../models/Article");
+const ArticleRevision = require("../models/ArticleRevision");
+const Comment = require("../../models/Comment");
+const CommentReaction = require("../../models/CommentReaction");
+const { recountTopic } = require("./topics.service");
+
+const RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS || "30", 10);
+const PURGE_BATCH = parseInt(process.env.TRASH_PURGE_BATCH || "200", 10);
+
+async function destroyAsset(publicId) {
+  if (!publicId) return;
+  try {
+    await cloudinary.uploader.destroy(publicId);
+  } catch (e) {
+    console.warn("[trash] cloudinary destroy warn:", e?.message || e);
+  }
+}
+
+// Media is registered by index.js (inline schema); look it up lazily
+const TYPES = {
+  article: {
+    model: () => Article,
+    fields: "title slug status category imageUrl publishedAt",
+    // trashed articles drop out of their story's count; restored ones come back
+    async moved(doc) {
+      if (doc.topic) await recountTopic(doc.topic);
+    },
+    // Hero images are usually shared Image Library assets, so Cloudinary is left alone here
+    async purge(doc) {
+      const comments = await Comment.find({ articleId: doc._id }).setOptions({ withDeleted: true }).select("_id").lean();
+      await CommentReaction.deleteMany({ commentId: { $in: comments.map((c) => c._id) } });
+      await Comment.deleteMany({ articleId: doc._id });
+      await ArticleRevision.deleteMany({ articleId: doc._id });
+    },
+  },
+  media: {
+    model: () => mongoose.model("Media"),
+    fields: "url publicId mime format bytes width height",
+    async purge(doc) {
+      await destroyAsset(doc.publicId);
+    },
+  },
+  comment: {
+    model: () => Comment,
+    fields: "articleId parentId authorName content status",
+    async purge(doc) {
+      await CommentReaction.deleteMany({ commentId: doc._id });
+    },
+  },
+};
+
+const TRASH_TYPES = Object.keys(TYPES);
+
+function purgeAtFor(deletedAt) {
+  return deletedAt ? new Date(new Date(deletedAt).getTime() + RETENTION_DAYS * 24 * 60 * 60 * 1000) : null;
+}
+
+function isValidId(id) {
+  return mongoose.Types.ObjectId.isValid(String(id || ""));
+}
+
+/** Soft delete one item. Returns the trashed doc, or null if it does not exist (or is already trashed). */
+async function trashItem(type, id, actor = null) {
+  if (!TYPES[type] || !isValidId(id)) return null;
+  const doc = await TYPES[type].model().findById(id);
+  if (!doc) return null;
+  await doc.softDelete(actor);
+  await TYPES[type].moved?.(doc);
+  return doc;
+}
+
+async function restoreItem(type, id) {
+  if (!TYPES[type] || !isValidId(id)) return null;
+  const doc = await TYPES[type].model().restoreById(id).lean();
+  if (doc) await TYPES[type].moved?.(doc);
+  return doc;
+}
+
+async function listTrash(type, { limit = 50, skip = 0 } = {}) {
+  const def = TYPES[type];
+  const Model = def.model();
+  const [items, total] = await Promise.all([
+    Model.findTrashed()
+      .sort({ deletedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .select(`${def.fields} deletedAt deletedBy createdAt`)
+      .lean(),
+    Model.countDocuments({ deletedAt: { $ne: null } }),
+  ]);
+  return {
+    items: items.map((it) => ({ ...it, type, purgeAt: purgeAtFor(it.deletedAt) })),
+    total,
+  };
+}
+
+async function trashCounts() {
+  const counts = {};
+  for (const type of TRASH_TYPES) {
+    counts[type] = await TYPES[type].model().countDocuments({ deletedAt: { $ne: null } });
+  }
+  return counts;
+}
+
+/** Permanently delete one trashed item. Only trashed items can be purged. */
+async function purgeItem(type, id) {
+  if (!TYPES[type] || !isValidId(id)) return false;
+  const def = TYPES[type];
+  const Model = def.model();
+  const doc = await Model.findOne({ _id: id, deletedAt: { $ne: null } }).lean();
+  if (!doc) return false;
+
+  await def.purge(doc);
+  await Model.deleteOne({ _id: doc._id });
+  return true;
+}
+
+async function purgeExpired({ now = new Date(), log = () => {} } = {}) {
+  const cutoff = new Date(now.getTime() - RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const purged = {};
+
+  for (const type of TRASH_TYPES) {
+    purged[type] = 0;
+    for (;;) {
+      const expired = await TYPES[type].model()
+        .find({ deletedAt: { $ne: null, $lte: cutoff } })
+        .select("_id")
+        .limit(PURGE_BATCH)
+        .lean();
+
+      let n = 0;
+      for (const { _id } of expired) {
+        if (await purgeItem(type, _id)) n++;
+      }
+      purged[type] += n;
+      if (expired.length < PURGE_BATCH || !n) break;
+    }
+    if (purged[type]) log(`purged ${purged[type]} ${type}(s) trashed before ${cutoff.toISOString()}`);
+  }
+
+  return { cutoff, retentionDays: RETENTION_DAYS, purged };
+}
+
+module.exports = {
+  TRASH_TYPES,
+  RETENTION_DAYS,
+  trashItem,
+  restoreItem,
+  listTrash,
+  trashCounts,
+  purgeItem,
+  purgeExpired,
+};
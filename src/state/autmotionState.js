@@ -1,13 +1,9 @@
 // backend/src/state/autmotionState.js
-let running = false;
-let inFlight = false;
-let timer = null;
+// Per-process settings for feed automation; run state lives in the job queue (src/jobs/autmotion.js).
 let intervalSec = parseInt(process.env.AUTMOTION_INTERVAL_SECONDS || "300", 10);
-let lastRun = null;
-let nextRun = null;
 
 function getStatus() {
-  return { running, inFlight, intervalSec, lastRun, nextRun };
+  return { intervalSec };
 }
 
 function setIntervalSec(sec) {
@@ -15,16 +11,4 @@ function setIntervalSec(sec) {
   return intervalSec;
 }
 
-function setTimer(t) { timer = t; }
-function getTimer() { return timer; }
-
-function setRunning(v) { running = !!v; }
-function setInFlight(v) { inFlight = !!v; }
-function setLastRun(d) { lastRun = d || new Date(); }
-function setNextRun(d) { nextRun = d || null; }
-
-module.exports = {
-  getStatus, setIntervalSec,
-  setTimer, getTimer,
-  setRunning, setInFlight, setLastRun, setNextRun
-};
+module.exports = { getStatus, setIntervalSec };
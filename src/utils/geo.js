@@ -0,0 +1,30 @@
+// backend/src/utils/geo.js
+// Geo targeting shared by articles and breaking news:
+// geoMode 'global' (everyone), 'include' (only geoAreas), 'exclude' (everyone but geoAreas).
+// geoAreas are 2-letter country codes; an unknown visitor country always sees the item.
+
+const GEO_MODES = ['global', 'include', 'exclude'];
+
+// Pure function; works on lean docs too
+function isAllowedForGeoDoc(a = {}, geo = {}) {
+  const mode  = String(a.geoMode || 'global');
+  const areas = Array.isArray(a.geoAreas)
+    ? a.geoAreas.map(s => String(s).trim().toUpperCase()).filter(Boolean)
+    : [];
+  const country = String(geo.country || '').trim().toUpperCase();
+
+  if (!country || mode === 'global') return true;
+  if (mode === 'include') return areas.includes(country);
+  if (mode === 'exclude') return !areas.includes(country);
+  return true; // default allow
+}
+
+function sanitizeGeoMode(mode) {
+  return GEO_MODES.includes(String(mode)) ? String(mode) : 'global';
+}
+
+function sanitizeGeoAreas(areas) {
+  return Array.isArray(areas) ? areas.map(s => String(s).trim()).filter(Boolean) : [];
+}
+
+module.exports = { GEO_MODES, isAllowedForGeoDoc, sanitizeGeoMode, sanitizeGeoAreas };
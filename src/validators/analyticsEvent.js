@@ -0,0 +1,95 @@
+const { z } = require('zod');
+
+// Max events in one POST /api/analytics/collect (a batch or a sendBeacon flush)
+const MAX_BATCH = parseInt(process.env.ANALYTICS_BATCH_MAX || '50', 10);
+
+const shortText = (max) => z.string().trim().max(max).nullable().optional();
+
+// Client timestamp: epoch ms or ISO string; events far in the future are clock skew
+const tsField = z
+  .union([z.number().int().positive(), z.string().datetime({ offset: true })])
+  .transform((v) => new Date(v))
+  .refine((d) => !Number.isNaN(d.getTime()) && d.getTime() <= Date.now() + 10 * 60 * 1000, 'Invalid ts')
+  .optional();
+
+exports.AnalyticsEventSchema = z.object({
+  type: z.enum(['page_view', 'scroll', 'heartbeat', 'read_complete']),
+  ts: tsField,
+
+  visitorId: shortText(100),
+  sessionId: shortText(100),
+  consent: z.boolean().optional(),
+
+  path: z.string().trim().max(500).startsWith('/').nullable().optional(),
+  referrer: shortText(1000),
+  utm: z
+    .object({
+      source: shortText(200),
+      medium: shortText(200),
+      campaign: shortText(200),
+    })
+    .nullable()
+    .optional(),
+
+  scroll: z
+    .object({
+      p25: z.boolean().optional(),
+      p50: z.boolean().optional(),
+      p75: z.boolean().optional(),
+      p90: z.boolean().optional(),
+    })
+    .nullable()
+    .optional(),
+  read: z
+    .object({
+      seconds: z.number().min(0).max(24 * 60 * 60).optional(),
+      complete: z.boolean().optional(),
+    })
+    .nullable()
+    .optional(),
+
+  // client-side exclusions (can only add to the server's flags, never clear them)
+  flags: z
+    .object({
+      isBot: z.boolean().optional(),
+      isAdmin: z.boolean().optional(),
+      dnt: z.boolean().optional(),
+      optOut: z.boolean().optional(),
+    })
+    .optional(),
+});
+
+exports.MAX_BATCH = MAX_BATCH;
+
+/**
+ * A collect body is one event, an array of events or { events: [...] }.
+ * sendBeacon posts text/plain, which arrives here as a JSON string.
+ * Returns { events: [...valid], rejected: n } or { error }.
+ */
+exports.parseCollectBody = function parseCollectBody(body) {
+  let data = body;
+  if (typeof data === 'string') {
+    try {
+      data = JSON.parse(data);
+    } catch {
+      return { error: 'Invalid JSON' };
+    }
+  }
+
+  const list = Array.isArray(data) ? data : Array.isArray(data?.events) ? data.events : [data];
+  if (!list.length) return { error: 'No events' };
+  if (list.length > MAX_BATCH) return { error: `At most ${MAX_BATCH} events per request` };
+
+  const events = [];
+  const issues = [];
+  for (const item of list) {
+    const r = exports.AnalyticsEventSchema.safeParse(item);
+    if (r.success) events.push(r.data);
+    else issues.push(r.error.issues[0]);
+  }
+  if (!events.length) {
+    const first = issues[0];
+    return { error: first ? `${first.path.join('.') || 'event'}: ${first.message}` : 'Invalid event' };
+  }
+  return { events, rejected: issues.length };
+};
@@ -34,7 +34,7 @@ exports.ArticleCreateSchema = z.object({
   tags: tagsField,
 
   // Status + placement
-  status: z.enum(['draft', 'published']).optional(),
+  status: z.enum(['draft', 'in_review', 'approved', 'scheduled', 'published', 'archived']).optional(),
   homepagePlacement: z.enum(['none', 'top', 'latest', 'trending']).optional(),
 
   // SEO